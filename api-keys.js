@@ -0,0 +1,181 @@
+/*!
+ * ═══════════════════════════════════════════════════════════════
+ * insane.marketing - Luxury Hospitality Intelligence Platform
+ * ═══════════════════════════════════════════════════════════════
+ * 
+ * Copyright (c) 2024-2025 insane.marketing
+ * All Rights Reserved - Proprietary and Confidential
+
+ * 
+ * NOTICE: This code contains proprietary business logic and trade secrets.
+ * 
+ * Unauthorized use, reproduction, or distribution of this code,
+ * or any portion of it, may result in severe civil and criminal penalties,
+ * and will be prosecuted to the maximum extent possible under the law.
+
+ * 
+ * Key Protected Features:
+ * - Zero-Knowledge Architecture & Data Handling
+ * - Time Machine Transformation Visualization System
+ * - VIP Prediction & Recognition Engine
+ * - Service Recovery Intelligence System
+ * - Real-time Mission Control Analytics
+
+ * Protected by AI tracking - active
+ * For licensing inquiries: steve@insane.marketing
+
+ * ═══════════════════════════════════════════════════════════════
+ */
+
+
+
+
+
+
+// api-keys.js
+// Long-lived, scoped, revocable keys for machine access to one venue.
+// A key looks like "rik_<prefix>_<secret>": the prefix finds the row, the secret is checked
+// against its SHA-256. Scopes map onto the same permissions venue roles use, so routes guarded
+// by requirePermission() work unchanged.
+// The per-key rate limit is counted in memory, so each server instance enforces it separately.
+
+const crypto = require('crypto');
+
+const KEY_PREFIX = 'rik';
+
+// Deliberately small: nothing that manages staff, keys, venue settings or QR codes
+const SCOPES = {
+  'analytics:read': ['analytics.view', 'predictions.view'],
+  'tables:read': ['tables.view'],
+  // Raise alerts (POST /api/service-alerts/:restaurantId) and acknowledge/resolve them - what a kiosk needs
+  'service_requests:write': ['tables.view', 'alerts.respond']
+};
+
+const RATE_WINDOW_MS = 60 * 1000;
+const LAST_USED_RESOLUTION_SECONDS = 60; // don't write last_used_at on every request
+
+class ApiKeyService {
+  constructor(pool) {
+    this.pool = pool;
+    this.windows = new Map(); // keyId -> { startedAt, count }
+  }
+
+  static isApiKey(token) {
+    return typeof token === 'string' && token.startsWith(`${KEY_PREFIX}_`);
+  }
+
+  hash(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+
+  // Returns the row plus the full key - the only time the key is ever visible
+  async create(restaurantId, { name, scopes, rateLimitPerMinute, expiresAt, createdBy }) {
+    const unknown = scopes.filter(scope => !SCOPES[scope]);
+    if (unknown.length > 0) {
+      throw this.error(`Unknown scope(s): ${unknown.join(', ')}`, 'INVALID_SCOPE', 400);
+    }
+
+    const prefix = crypto.randomBytes(6).toString('hex');
+    const secret = crypto.randomBytes(24).toString('base64url');
+
+    const result = await this.pool.query(`
+      INSERT INTO api_keys (restaurant_id, name, key_prefix, key_hash, scopes, rate_limit_per_minute, expires_at, created_by)
+      VALUES ($1, $2, $3, $4, $5, COALESCE($6, 60), $7, $8)
+      RETURNING id, restaurant_id, name, key_prefix, scopes, rate_limit_per_minute, expires_at, created_at
+    `, [restaurantId, name, prefix, this.hash(secret), [...new Set(scopes)], rateLimitPerMinute || null,
+        expiresAt || null, createdBy]);
+
+    return { apiKey: result.rows[0], key: `${KEY_PREFIX}_${prefix}_${secret}` };
+  }
+
+  async list(restaurantId) {
+    const result = await this.pool.query(`
+      SELECT k.id, k.name, k.key_prefix, k.scopes, k.rate_limit_per_minute, k.created_at, k.expires_at,
+             k.last_used_at, k.last_used_ip, k.revoked_at, u.full_name AS created_by_name
+      FROM api_keys k
+      LEFT JOIN users u ON u.id = k.created_by
+      WHERE k.restaurant_id = $1
+      ORDER BY k.revoked_at IS NOT NULL, k.created_at DESC
+    `, [restaurantId]);
+    return result.rows;
+  }
+
+  async revoke(restaurantId, keyId, revokedBy) {
+    const result = await this.pool.query(`
+      UPDATE api_keys SET revoked_at = NOW(), revoked_by = $3
+      WHERE id = $1 AND restaurant_id = $2 AND revoked_at IS NULL
+      RETURNING id, name, key_prefix, revoked_at
+    `, [keyId, restaurantId, revokedBy]);
+
+    if (result.rows.length === 0) {
+      throw this.error('API key not found or already revoked', 'API_KEY_NOT_FOUND', 404);
+    }
+    this.windows.delete(result.rows[0].id);
+    return result.rows[0];
+  }
+
+  // Resolves a presented key to the principal authenticateToken puts on req.user
+  async authenticate(key, { ipAddress } = {}) {
+    const [, prefix, secret] = key.match(/^[a-z]+_([0-9a-f]{12})_([A-Za-z0-9_-]+)$/) || [];
+    if (!prefix) throw this.error('Malformed API key', 'API_KEY_INVALID', 401);
+
+    const result = await this.pool.query(`
+      SELECT k.*, (k.expires_at IS NOT NULL AND k.expires_at <= NOW()) AS expired
+      FROM api_keys k WHERE k.key_prefix = $1
+    `, [prefix]);
+    const row = result.rows[0];
+
+    const presented = Buffer.from(this.hash(secret));
+    if (!row || !crypto.timingSafeEqual(presented, Buffer.from(row.key_hash))) {
+      throw this.error('Invalid API key', 'API_KEY_INVALID', 401);
+    }
+    if (row.revoked_at) throw this.error('API key has been revoked', 'API_KEY_REVOKED', 401);
+    if (row.expired) throw this.error('API key has expired', 'API_KEY_EXPIRED', 401);
+
+    this.pool.query(`
+      UPDATE api_keys SET last_used_at = NOW(), last_used_ip = $2
+      WHERE id = $1 AND (last_used_at IS NULL OR last_used_at < NOW() - make_interval(secs => $3))
+    `, [row.id, ipAddress || null, LAST_USED_RESOLUTION_SECONDS])
+      .catch(error => console.error('API key last-used update failed:', error.message));
+
+    return {
+      id: null,
+      email: null,
+      apiKeyId: row.id,
+      apiKeyName: row.name,
+      restaurantId: row.restaurant_id,
+      scopes: row.scopes,
+      permissions: [...new Set(row.scopes.flatMap(scope => SCOPES[scope] || []))],
+      rateLimitPerMinute: row.rate_limit_per_minute
+    };
+  }
+
+  // Fixed one-minute window per key. Returns { allowed, limit, remaining, retryAfterSeconds }.
+  consume(principal, now = Date.now()) {
+    let window = this.windows.get(principal.apiKeyId);
+    if (!window || now - window.startedAt >= RATE_WINDOW_MS) {
+      window = { startedAt: now, count: 0 };
+      this.windows.set(principal.apiKeyId, window);
+    }
+    window.count++;
+
+    const limit = principal.rateLimitPerMinute;
+    return {
+      allowed: window.count <= limit,
+      limit,
+      remaining: Math.max(0, limit - window.count),
+      retryAfterSeconds: Math.ceil((window.startedAt + RATE_WINDOW_MS - now) / 1000)
+    };
+  }
+
+  error(message, code, statusCode) {
+    const error = new Error(message);
+    error.code = code;
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+ApiKeyService.SCOPES = Object.keys(SCOPES);
+
+module.exports = ApiKeyService;
@@ -0,0 +1,842 @@
+/*!
+ * ═══════════════════════════════════════════════════════════════
+ * insane.marketing - Luxury Hospitality Intelligence Platform
+ * ═══════════════════════════════════════════════════════════════
+ * 
+ * Copyright (c) 2024-2025 insane.marketing
+ * All Rights Reserved - Proprietary and Confidential
+
+ * 
+ * NOTICE: This code contains proprietary business logic and trade secrets.
+ * 
+ * Unauthorized use, reproduction, or distribution of this code,
+ * or any portion of it, may result in severe civil and criminal penalties,
+ * and will be prosecuted to the maximum extent possible under the law.
+
+ * 
+ * Key Protected Features:
+ * - Zero-Knowledge Architecture & Data Handling
+ * - Time Machine Transformation Visualization System
+ * - VIP Prediction & Recognition Engine
+ * - Service Recovery Intelligence System
+ * - Real-time Mission Control Analytics
+
+ * Protected by AI tracking - active
+ * For licensing inquiries: steve@insane.marketing
+
+ * ═══════════════════════════════════════════════════════════════
+ */
+
+
+
+
+
+
+// auth-service.js
+// The one place accounts are created and tokens are issued, refreshed and revoked.
+// Access tokens are short-lived JWTs with a jti; refresh tokens are random strings stored
+// hashed in refresh_tokens and rotated on every use. Emailed tokens (password reset, email
+// verification) are JWTs signed with a per-purpose key and made single-use through user_tokens.
+// Accounts with TOTP enabled get a short-lived challenge token from login instead of a session.
+
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
+const totp = require('./totp');
+
+const DEFAULTS = {
+  accessTokenTtl: '1h',
+  refreshTokenTtlDays: 30,
+  bcryptRounds: 12,
+  invitationTtlDays: 7,
+  appBaseUrl: 'https://qr.insane.marketing',
+  totpIssuer: 'Restaurant Intelligence'
+};
+
+const TWO_FACTOR_CHALLENGE_TTL_SECONDS = 300;
+const RECOVERY_CODE_COUNT = 10;
+
+const EMAIL_TOKENS = {
+  password_reset: { ttl: '1h', page: 'reset-password.html' },
+  email_verification: { ttl: '48h', page: 'verify-email.html' }
+};
+
+const EMAIL_RESEND_COOLDOWN_SECONDS = 60;
+
+class AuthService {
+  constructor(pool, { secret, accessTokenTtl, refreshTokenTtlDays, bcryptRounds,
+                      mailer, appBaseUrl, requireEmailVerification = true, loginGuard,
+                      totpEncryptionKey, totpIssuer } = {}) {
+    if (!secret) throw new Error('AuthService needs a JWT secret');
+    this.pool = pool;
+    this.secret = secret;
+    this.mailer = mailer;
+    this.loginGuard = loginGuard;
+    this.totpEncryptionKey = totpEncryptionKey || secret;
+    this.totpIssuer = totpIssuer || DEFAULTS.totpIssuer;
+    this.appBaseUrl = (appBaseUrl || DEFAULTS.appBaseUrl).replace(/\/$/, '');
+    this.requireEmailVerification = requireEmailVerification;
+    this.accessTokenTtl = accessTokenTtl || DEFAULTS.accessTokenTtl;
+    this.refreshTokenTtlDays = parseInt(refreshTokenTtlDays, 10) || DEFAULTS.refreshTokenTtlDays;
+    this.bcryptRounds = parseInt(bcryptRounds, 10) || DEFAULTS.bcryptRounds;
+  }
+
+  // Creates the user and claims the restaurant ID. A restaurant that already has users
+  // cannot be claimed by a new registration - staff join through invitations instead.
+  async register({ email, password, fullName, companyName, restaurantId, restaurantName }) {
+    const normalisedEmail = email.trim().toLowerCase();
+    const passwordHash = await bcrypt.hash(password, this.bcryptRounds);
+
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const existingEmail = await client.query(
+        'SELECT id FROM users WHERE LOWER(email) = $1',
+        [normalisedEmail]
+      );
+      if (existingEmail.rows.length > 0) {
+        throw this.error('An account with this email already exists', 'EMAIL_TAKEN', 409);
+      }
+
+      // Lock the restaurant row (scans may already have created it) so two sign-ups can't both claim it
+      await client.query(`
+        INSERT INTO restaurants (restaurant_id, name) VALUES ($1, $2)
+        ON CONFLICT (restaurant_id) DO NOTHING
+      `, [restaurantId, restaurantName || companyName]);
+      await client.query('SELECT 1 FROM restaurants WHERE restaurant_id = $1 FOR UPDATE', [restaurantId]);
+
+      const claimed = await client.query('SELECT 1 FROM users WHERE restaurant_id = $1 LIMIT 1', [restaurantId]);
+      if (claimed.rows.length > 0) {
+        throw this.error('This restaurant ID is already registered', 'RESTAURANT_TAKEN', 409);
+      }
+
+      await client.query('UPDATE restaurants SET name = $2 WHERE restaurant_id = $1', [restaurantId, restaurantName || companyName]);
+
+      const result = await client.query(`
+        INSERT INTO users (email, password_hash, full_name, company_name, restaurant_id, venue_setup_complete)
+        VALUES ($1, $2, $3, $4, $5, FALSE)
+        RETURNING *
+      `, [normalisedEmail, passwordHash, fullName, companyName, restaurantId]);
+
+      await client.query('COMMIT');
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      if (error.code === '23505') {
+        throw this.error('An account with this email already exists', 'EMAIL_TAKEN', 409);
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Returns the user row, or throws INVALID_CREDENTIALS without saying which half was wrong
+  async verifyCredentials(email, password) {
+    const result = await this.pool.query(
+      'SELECT * FROM users WHERE LOWER(email) = $1 ORDER BY id LIMIT 1',
+      [email.trim().toLowerCase()]
+    );
+    const user = result.rows[0];
+
+    if (!user || !(await bcrypt.compare(password, user.password_hash))) {
+      throw this.error('Invalid email or password', 'INVALID_CREDENTIALS', 401);
+    }
+    if (user.is_active === false) {
+      throw this.error('Account is disabled', 'ACCOUNT_DISABLED', 403);
+    }
+    if (this.requireEmailVerification && !user.email_verified_at) {
+      throw this.error('Please verify your email address before signing in', 'EMAIL_NOT_VERIFIED', 403);
+    }
+
+    // Accounts created with the old cost factor are upgraded on their next sign-in
+    if (bcrypt.getRounds(user.password_hash) < this.bcryptRounds) {
+      const upgraded = await bcrypt.hash(password, this.bcryptRounds);
+      await this.pool.query('UPDATE users SET password_hash = $1 WHERE id = $2', [upgraded, user.id]);
+    }
+
+    return user;
+  }
+
+  // Password sign-in. With a loginGuard every attempt is audited and repeated failures are throttled.
+  // Accounts with 2FA get { twoFactorRequired, challengeToken } and finish in completeTwoFactorLogin.
+  async login(email, password, context = {}) {
+    if (this.loginGuard) await this.loginGuard.check(email, context);
+
+    let user;
+    try {
+      user = await this.verifyCredentials(email, password);
+    } catch (error) {
+      if (this.loginGuard && error.statusCode) {
+        await this.loginGuard.recordFailure(email, context, error.code.toLowerCase());
+      }
+      throw error;
+    }
+
+    if (user.totp_enabled_at) {
+      if (this.loginGuard) await this.loginGuard.record(email, context, false, 'two_factor_required', user);
+      const challengeToken = jwt.sign({ sub: String(user.id) }, this.emailTokenSecret('two_factor_challenge'), {
+        expiresIn: TWO_FACTOR_CHALLENGE_TTL_SECONDS
+      });
+      return { user, twoFactorRequired: true, challengeToken, challengeExpiresIn: TWO_FACTOR_CHALLENGE_TTL_SECONDS };
+    }
+
+    if (this.loginGuard) await this.loginGuard.recordSuccess(user, context);
+    await this.pool.query('UPDATE users SET last_login = NOW() WHERE id = $1', [user.id]);
+    return { user, ...(await this.issueTokens(user, context)) };
+  }
+
+  // Second login step: the challenge proves the password was right, the code proves the device
+  async completeTwoFactorLogin(challengeToken, code, context = {}) {
+    let claims;
+    try {
+      claims = jwt.verify(challengeToken, this.emailTokenSecret('two_factor_challenge'));
+    } catch {
+      throw this.error('Sign-in has expired - please enter your password again', 'CHALLENGE_INVALID', 401);
+    }
+
+    const result = await this.pool.query('SELECT * FROM users WHERE id = $1', [claims.sub]);
+    const user = result.rows[0];
+    if (!user || user.is_active === false || !user.totp_enabled_at) {
+      throw this.error('Sign-in has expired - please enter your password again', 'CHALLENGE_INVALID', 401);
+    }
+
+    if (this.loginGuard) await this.loginGuard.check(user.email, context);
+    try {
+      await this.verifySecondFactor(user, code);
+    } catch (error) {
+      if (this.loginGuard && error.statusCode) {
+        await this.loginGuard.recordFailure(user.email, context, error.code.toLowerCase());
+      }
+      throw error;
+    }
+
+    if (this.loginGuard) await this.loginGuard.recordSuccess(user, context);
+    await this.pool.query('UPDATE users SET last_login = NOW() WHERE id = $1', [user.id]);
+    return { user, ...(await this.issueTokens(user, context)) };
+  }
+
+  async issueTokens(user, { userAgent = null, ipAddress = null, familyId = null } = {}) {
+    const accessToken = this.signAccessToken(user);
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+
+    const result = await this.pool.query(`
+      INSERT INTO refresh_tokens (user_id, token_hash, family_id, expires_at, user_agent, ip_address)
+      VALUES ($1, $2, $3, NOW() + make_interval(days => $4), $5, $6)
+      RETURNING id, expires_at
+    `, [user.id, this.hash(refreshToken), familyId || crypto.randomUUID(), this.refreshTokenTtlDays,
+        userAgent, ipAddress]);
+
+    const { exp } = jwt.decode(accessToken);
+    return {
+      accessToken,
+      refreshToken,
+      refreshTokenId: result.rows[0].id,
+      expiresIn: exp - Math.floor(Date.now() / 1000),
+      refreshExpiresAt: result.rows[0].expires_at
+    };
+  }
+
+  signAccessToken(user) {
+    return jwt.sign({
+      id: user.id,
+      email: user.email,
+      restaurantId: user.restaurant_id,
+      companyName: user.company_name,
+      venueRole: user.venue_role,
+      platformRole: user.platform_role || undefined
+    }, this.secret, {
+      expiresIn: this.accessTokenTtl,
+      jwtid: crypto.randomUUID()
+    });
+  }
+
+  // Throws with statusCode 401/403 for anything that shouldn't be let through
+  async verifyAccessToken(token) {
+    let claims;
+    try {
+      claims = jwt.verify(token, this.secret);
+    } catch (error) {
+      throw this.error(
+        error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token',
+        error.name === 'TokenExpiredError' ? 'TOKEN_EXPIRED' : 'TOKEN_INVALID',
+        error.name === 'TokenExpiredError' ? 401 : 403
+      );
+    }
+
+    // Tokens from before this service had no jti and no expiry - they can't be revoked, so they're refused
+    if (!claims.jti || !claims.exp) {
+      throw this.error('Session expired - please sign in again', 'TOKEN_LEGACY', 401);
+    }
+
+    // The account is read on every request, so disabling, demoting or erasing someone takes effect
+    // immediately rather than when their access token runs out
+    const result = await this.pool.query(`
+      SELECT u.is_active, u.restaurant_id, u.venue_role, u.platform_role,
+             EXISTS (SELECT 1 FROM revoked_tokens WHERE jti = $2) AS revoked
+      FROM users u
+      WHERE u.id = $1
+    `, [claims.id, claims.jti]);
+    const account = result.rows[0];
+
+    if (account?.revoked) {
+      throw this.error('Token has been revoked', 'TOKEN_REVOKED', 401);
+    }
+    if (!account || account.is_active === false) {
+      throw this.error('Account is disabled or no longer exists', 'ACCOUNT_INACTIVE', 401);
+    }
+
+    return {
+      ...claims,
+      restaurantId: account.restaurant_id,
+      venueRole: account.venue_role,
+      platformRole: account.platform_role || undefined
+    };
+  }
+
+  // Rotates the refresh token. Presenting one that was already rotated means it leaked,
+  // so the whole family (every token descended from that sign-in) is revoked.
+  async refresh(refreshToken, context = {}) {
+    const client = await this.pool.connect();
+    let stored;
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(`
+        SELECT rt.*, u.is_active
+        FROM refresh_tokens rt
+        JOIN users u ON u.id = rt.user_id
+        WHERE rt.token_hash = $1
+        FOR UPDATE OF rt
+      `, [this.hash(refreshToken)]);
+      stored = result.rows[0];
+
+      if (!stored) {
+        throw this.error('Invalid refresh token', 'REFRESH_INVALID', 401);
+      }
+      if (stored.revoked_at) {
+        await client.query(
+          'UPDATE refresh_tokens SET revoked_at = NOW() WHERE family_id = $1 AND revoked_at IS NULL',
+          [stored.family_id]
+        );
+        await client.query('COMMIT');
+        console.warn(`⚠️ Refresh token reuse for user ${stored.user_id} - session family revoked`);
+        throw this.error('Refresh token already used', 'REFRESH_REUSED', 401);
+      }
+      if (new Date(stored.expires_at) <= new Date()) {
+        throw this.error('Refresh token expired', 'REFRESH_EXPIRED', 401);
+      }
+      if (stored.is_active === false) {
+        throw this.error('Account is disabled', 'ACCOUNT_DISABLED', 403);
+      }
+
+      await client.query('UPDATE refresh_tokens SET revoked_at = NOW() WHERE id = $1', [stored.id]);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    const userResult = await this.pool.query('SELECT * FROM users WHERE id = $1', [stored.user_id]);
+    const user = userResult.rows[0];
+    const tokens = await this.issueTokens(user, { ...context, familyId: stored.family_id });
+    await this.pool.query('UPDATE refresh_tokens SET replaced_by = $1 WHERE id = $2', [tokens.refreshTokenId, stored.id]);
+
+    return { user, ...tokens };
+  }
+
+  // Staff invitations: the token goes to the invitee, only its hash is stored.
+  // Re-inviting the same address replaces the previous open invitation.
+  async createInvitation({ restaurantId, email, role, invitedBy }) {
+    const normalisedEmail = email.trim().toLowerCase();
+
+    const existing = await this.pool.query('SELECT id FROM users WHERE LOWER(email) = $1', [normalisedEmail]);
+    if (existing.rows.length > 0) {
+      throw this.error('An account with this email already exists', 'EMAIL_TAKEN', 409);
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(`
+        UPDATE staff_invitations SET revoked_at = NOW()
+        WHERE restaurant_id = $1 AND LOWER(email) = $2 AND accepted_at IS NULL AND revoked_at IS NULL
+      `, [restaurantId, normalisedEmail]);
+
+      const result = await client.query(`
+        INSERT INTO staff_invitations (restaurant_id, email, venue_role, token_hash, invited_by, expires_at)
+        VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(days => $6))
+        RETURNING id, restaurant_id, email, venue_role, invited_by, expires_at, created_at
+      `, [restaurantId, normalisedEmail, role, this.hash(token), invitedBy, DEFAULTS.invitationTtlDays]);
+
+      await client.query('COMMIT');
+      return { invitation: result.rows[0], token };
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // What the accept page shows before the invitee picks a password
+  async previewInvitation(token) {
+    const result = await this.pool.query(`
+      SELECT i.email, i.venue_role, i.expires_at, r.name AS restaurant_name
+      FROM staff_invitations i
+      JOIN restaurants r ON r.restaurant_id = i.restaurant_id
+      WHERE i.token_hash = $1 AND i.accepted_at IS NULL AND i.revoked_at IS NULL AND i.expires_at > NOW()
+    `, [this.hash(token)]);
+
+    if (result.rows.length === 0) {
+      throw this.error('Invitation is invalid or has expired', 'INVITATION_INVALID', 404);
+    }
+    return result.rows[0];
+  }
+
+  async acceptInvitation(token, { fullName, password }) {
+    const passwordHash = await bcrypt.hash(password, this.bcryptRounds);
+
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const invitationResult = await client.query(`
+        SELECT i.*, r.name AS restaurant_name
+        FROM staff_invitations i
+        JOIN restaurants r ON r.restaurant_id = i.restaurant_id
+        WHERE i.token_hash = $1
+        FOR UPDATE OF i
+      `, [this.hash(token)]);
+      const invitation = invitationResult.rows[0];
+
+      if (!invitation || invitation.accepted_at || invitation.revoked_at || new Date(invitation.expires_at) <= new Date()) {
+        throw this.error('Invitation is invalid or has expired', 'INVITATION_INVALID', 404);
+      }
+
+      const userResult = await client.query(`
+        INSERT INTO users (email, password_hash, full_name, company_name, restaurant_id,
+                           venue_role, invited_by, venue_setup_complete, email_verified_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, TRUE, NOW())
+        RETURNING *
+      `, [invitation.email, passwordHash, fullName, invitation.restaurant_name, invitation.restaurant_id,
+          invitation.venue_role, invitation.invited_by]);
+
+      await client.query(
+        'UPDATE staff_invitations SET accepted_at = NOW(), accepted_user_id = $1 WHERE id = $2',
+        [userResult.rows[0].id, invitation.id]
+      );
+
+      await client.query('COMMIT');
+      return userResult.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      if (error.code === '23505') {
+        throw this.error('An account with this email already exists', 'EMAIL_TAKEN', 409);
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // ---------- Emailed tokens: verification and password reset ----------
+
+  emailTokenSecret(purpose) {
+    // A different key per purpose, so an emailed or 2FA challenge token can never pass as an access token or vice versa
+    return `${this.secret}:${purpose}`;
+  }
+
+  // Issues a new token and retires any earlier unused one for the same purpose - only the latest link works
+  async issueEmailToken(userId, purpose) {
+    const jti = crypto.randomUUID();
+    const token = jwt.sign({ sub: String(userId), purpose }, this.emailTokenSecret(purpose), {
+      expiresIn: EMAIL_TOKENS[purpose].ttl,
+      jwtid: jti
+    });
+    const { exp } = jwt.decode(token);
+
+    await this.pool.query(
+      'UPDATE user_tokens SET used_at = NOW() WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL',
+      [userId, purpose]
+    );
+    await this.pool.query(`
+      INSERT INTO user_tokens (jti, user_id, purpose, expires_at)
+      VALUES ($1, $2, $3, to_timestamp($4))
+    `, [jti, userId, purpose, exp]);
+
+    return `${this.appBaseUrl}/${EMAIL_TOKENS[purpose].page}?token=${token}`;
+  }
+
+  // Marks the token used inside the caller's transaction and returns the user id
+  async consumeEmailToken(client, token, purpose) {
+    let claims;
+    try {
+      claims = jwt.verify(token, this.emailTokenSecret(purpose));
+    } catch {
+      throw this.error('This link is invalid or has expired', 'LINK_INVALID', 400);
+    }
+
+    const result = await client.query(`
+      UPDATE user_tokens SET used_at = NOW()
+      WHERE jti = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > NOW()
+      RETURNING user_id
+    `, [claims.jti, purpose]);
+
+    if (result.rows.length === 0) {
+      throw this.error('This link has already been used or replaced by a newer one', 'LINK_USED', 400);
+    }
+    return result.rows[0].user_id;
+  }
+
+  async recentlySent(userId, purpose) {
+    const result = await this.pool.query(`
+      SELECT 1 FROM user_tokens
+      WHERE user_id = $1 AND purpose = $2 AND created_at > NOW() - make_interval(secs => $3)
+    `, [userId, purpose, EMAIL_RESEND_COOLDOWN_SECONDS]);
+    return result.rows.length > 0;
+  }
+
+  async sendVerificationEmail(user) {
+    const link = await this.issueEmailToken(user.id, 'email_verification');
+    await this.mailer.send({
+      to: user.email,
+      subject: 'Confirm your email address',
+      text: `Hi ${user.full_name},\n\nPlease confirm your email address to finish setting up your account:\n${link}\n\n` +
+        `The link expires in 48 hours. If you didn't sign up, you can ignore this email.`,
+      html: `<p>Hi ${escapeHtml(user.full_name)},</p><p>Please confirm your email address to finish setting up your account:</p>` +
+        `<p><a href="${link}">Confirm email address</a></p><p>The link expires in 48 hours. If you didn't sign up, you can ignore this email.</p>`
+    });
+  }
+
+  // Silent when the address is unknown, disabled, already verified or just emailed - callers always say "sent"
+  async resendVerification(email) {
+    const result = await this.pool.query(
+      'SELECT * FROM users WHERE LOWER(email) = $1 AND is_active = TRUE AND email_verified_at IS NULL',
+      [email.trim().toLowerCase()]
+    );
+    const user = result.rows[0];
+    if (!user || await this.recentlySent(user.id, 'email_verification')) return;
+
+    await this.sendVerificationEmail(user);
+  }
+
+  async verifyEmail(token) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const userId = await this.consumeEmailToken(client, token, 'email_verification');
+      const result = await client.query(
+        'UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW()) WHERE id = $1 RETURNING *',
+        [userId]
+      );
+      await client.query('COMMIT');
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Same silence rules as resendVerification
+  async requestPasswordReset(email) {
+    const result = await this.pool.query(
+      'SELECT * FROM users WHERE LOWER(email) = $1 AND is_active = TRUE',
+      [email.trim().toLowerCase()]
+    );
+    const user = result.rows[0];
+    if (!user || await this.recentlySent(user.id, 'password_reset')) return;
+
+    const link = await this.issueEmailToken(user.id, 'password_reset');
+    await this.mailer.send({
+      to: user.email,
+      subject: 'Reset your password',
+      text: `Hi ${user.full_name},\n\nSomeone asked to reset the password for this account. To choose a new password, open:\n${link}\n\n` +
+        `The link expires in 1 hour and can be used once. If it wasn't you, ignore this email - your password hasn't changed.`,
+      html: `<p>Hi ${escapeHtml(user.full_name)},</p><p>Someone asked to reset the password for this account.</p>` +
+        `<p><a href="${link}">Choose a new password</a></p><p>The link expires in 1 hour and can be used once. ` +
+        `If it wasn't you, ignore this email - your password hasn't changed.</p>`
+    });
+  }
+
+  // Sets the new password and signs the user out everywhere. Using the emailed link also proves the address.
+  async resetPassword(token, password) {
+    const passwordHash = await bcrypt.hash(password, this.bcryptRounds);
+
+    const client = await this.pool.connect();
+    let user;
+    try {
+      await client.query('BEGIN');
+      const userId = await this.consumeEmailToken(client, token, 'password_reset');
+      const result = await client.query(`
+        UPDATE users
+        SET password_hash = $1, email_verified_at = COALESCE(email_verified_at, NOW()),
+            failed_login_count = 0, locked_until = NULL, updated_at = NOW()
+        WHERE id = $2 AND is_active = TRUE
+        RETURNING *
+      `, [passwordHash, userId]);
+
+      if (result.rows.length === 0) {
+        throw this.error('Account is disabled', 'ACCOUNT_DISABLED', 403);
+      }
+      await client.query('COMMIT');
+      user = result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    await this.revokeAllForUser(user.id);
+    return user;
+  }
+
+  // ---------- Two-factor authentication (TOTP) ----------
+
+  // Accepts a current authenticator code (each time step only once) or an unused recovery code
+  async verifySecondFactor(user, code) {
+    const candidate = String(code || '').trim();
+
+    if (/^\d{6}$/.test(candidate)) {
+      const counter = totp.verifyCode(totp.decryptSecret(user.totp_secret, this.totpEncryptionKey), candidate);
+      if (counter !== null) {
+        const claimed = await this.pool.query(`
+          UPDATE users SET totp_last_counter = $2
+          WHERE id = $1 AND (totp_last_counter IS NULL OR totp_last_counter < $2)
+          RETURNING id
+        `, [user.id, counter]);
+        if (claimed.rows.length > 0) return 'totp';
+      }
+    } else if (candidate) {
+      const used = await this.pool.query(`
+        UPDATE user_recovery_codes SET used_at = NOW()
+        WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+        RETURNING id
+      `, [user.id, this.hash(candidate.toLowerCase().replace(/[\s-]/g, ''))]);
+      if (used.rows.length > 0) {
+        console.log(`🔑 Recovery code used: user ${user.id}`);
+        return 'recovery_code';
+      }
+    }
+
+    throw this.error('Invalid authentication code', 'INVALID_TWO_FACTOR_CODE', 401);
+  }
+
+  async loadUser(userId) {
+    const result = await this.pool.query('SELECT * FROM users WHERE id = $1', [userId]);
+    if (result.rows.length === 0) throw this.error('User not found', 'USER_NOT_FOUND', 404);
+    return result.rows[0];
+  }
+
+  async twoFactorStatus(userId) {
+    const result = await this.pool.query(`
+      SELECT u.totp_enabled_at,
+             (SELECT COUNT(*)::int FROM user_recovery_codes c WHERE c.user_id = u.id AND c.used_at IS NULL) AS recovery_codes_remaining
+      FROM users u WHERE u.id = $1
+    `, [userId]);
+    const row = result.rows[0];
+    return {
+      enabled: Boolean(row?.totp_enabled_at),
+      enabledAt: row?.totp_enabled_at || null,
+      recoveryCodesRemaining: row?.totp_enabled_at ? row.recovery_codes_remaining : 0
+    };
+  }
+
+  // Step 1 of enrolment: a fresh secret parked as pending until the user proves their app has it
+  async beginTotpEnrolment(userId) {
+    const user = await this.loadUser(userId);
+    if (user.totp_enabled_at) {
+      throw this.error('Two-factor authentication is already on', 'TOTP_ALREADY_ENABLED', 409);
+    }
+
+    const secret = totp.generateSecret();
+    await this.pool.query(
+      'UPDATE users SET totp_pending_secret = $2, updated_at = NOW() WHERE id = $1',
+      [userId, totp.encryptSecret(secret, this.totpEncryptionKey)]
+    );
+
+    return {
+      secret,
+      otpauthUri: totp.otpauthUri({ secret, accountName: user.email, issuer: this.totpIssuer })
+    };
+  }
+
+  // Step 2: a valid code switches 2FA on; the recovery codes are only ever shown here
+  async activateTotp(userId, code) {
+    const user = await this.loadUser(userId);
+    if (user.totp_enabled_at) {
+      throw this.error('Two-factor authentication is already on', 'TOTP_ALREADY_ENABLED', 409);
+    }
+    if (!user.totp_pending_secret) {
+      throw this.error('Start two-factor setup first', 'TOTP_NOT_STARTED', 400);
+    }
+
+    const counter = totp.verifyCode(totp.decryptSecret(user.totp_pending_secret, this.totpEncryptionKey), code);
+    if (counter === null) {
+      throw this.error('Invalid authentication code', 'INVALID_TWO_FACTOR_CODE', 400);
+    }
+
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(`
+        UPDATE users
+        SET totp_secret = totp_pending_secret, totp_pending_secret = NULL,
+            totp_enabled_at = NOW(), totp_last_counter = $2, updated_at = NOW()
+        WHERE id = $1
+      `, [userId, counter]);
+      const recoveryCodes = await this.replaceRecoveryCodes(client, userId);
+      await client.query('COMMIT');
+      return recoveryCodes;
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Turning 2FA off needs both the password and a code, so a stolen session alone can't do it
+  async disableTotp(userId, { password, code }) {
+    const user = await this.loadUser(userId);
+    if (!user.totp_enabled_at) {
+      throw this.error('Two-factor authentication is not on', 'TOTP_NOT_ENABLED', 400);
+    }
+    await this.confirmPassword(user, password);
+    await this.verifySecondFactor(user, code);
+
+    await this.pool.query(`
+      UPDATE users
+      SET totp_secret = NULL, totp_pending_secret = NULL, totp_enabled_at = NULL,
+          totp_last_counter = NULL, updated_at = NOW()
+      WHERE id = $1
+    `, [userId]);
+    await this.pool.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+  }
+
+  // Re-entry of the password before destructive actions; `user` is a users row or an id
+  async confirmPassword(user, password) {
+    const row = typeof user === 'object' ? user : await this.loadUser(user);
+    if (!password || !(await bcrypt.compare(password, row.password_hash))) {
+      throw this.error('Invalid password', 'INVALID_CREDENTIALS', 401);
+    }
+    return row;
+  }
+
+  async regenerateRecoveryCodes(userId, code) {
+    const user = await this.loadUser(userId);
+    if (!user.totp_enabled_at) {
+      throw this.error('Two-factor authentication is not on', 'TOTP_NOT_ENABLED', 400);
+    }
+    await this.verifySecondFactor(user, code);
+
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const recoveryCodes = await this.replaceRecoveryCodes(client, userId);
+      await client.query('COMMIT');
+      return recoveryCodes;
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Codes look like "k3p9-x2qa"; only their hashes are kept
+  async replaceRecoveryCodes(client, userId) {
+    await client.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+
+    const codes = [];
+    for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+      const raw = totp.base32Encode(crypto.randomBytes(5)).toLowerCase();
+      codes.push(`${raw.slice(0, 4)}-${raw.slice(4)}`);
+      await client.query(
+        'INSERT INTO user_recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+        [userId, this.hash(raw)]
+      );
+    }
+    return codes;
+  }
+
+  async sendInvitationEmail({ email, role, restaurantName, inviterName, token }) {
+    const link = `${this.appBaseUrl}/accept-invite.html?token=${token}`;
+    await this.mailer.send({
+      to: email,
+      subject: `You've been invited to join ${restaurantName}`,
+      text: `${inviterName} has invited you to join ${restaurantName} as ${role}.\n\nCreate your account here:\n${link}\n\n` +
+        `The invitation expires in ${DEFAULTS.invitationTtlDays} days.`,
+      html: `<p>${escapeHtml(inviterName)} has invited you to join <strong>${escapeHtml(restaurantName)}</strong> as ${role}.</p>` +
+        `<p><a href="${link}">Create your account</a></p><p>The invitation expires in ${DEFAULTS.invitationTtlDays} days.</p>`
+    });
+    return link;
+  }
+
+  async revokeAccessToken(claims) {
+    await this.pool.query(`
+      INSERT INTO revoked_tokens (jti, user_id, expires_at)
+      VALUES ($1, $2, to_timestamp($3))
+      ON CONFLICT (jti) DO NOTHING
+    `, [claims.jti, claims.id, claims.exp]);
+  }
+
+  // Logout: the presented access token plus one refresh token, or every refresh token the user has
+  async logout(claims, { refreshToken = null, allDevices = false } = {}) {
+    await this.revokeAccessToken(claims);
+
+    if (allDevices) {
+      await this.revokeAllForUser(claims.id);
+    } else if (refreshToken) {
+      await this.pool.query(`
+        UPDATE refresh_tokens SET revoked_at = NOW()
+        WHERE token_hash = $1 AND user_id = $2 AND revoked_at IS NULL
+      `, [this.hash(refreshToken), claims.id]);
+    }
+  }
+
+  async revokeAllForUser(userId) {
+    const result = await this.pool.query(
+      'UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL',
+      [userId]
+    );
+    return result.rowCount;
+  }
+
+  async purgeExpired() {
+    const revoked = await this.pool.query('DELETE FROM revoked_tokens WHERE expires_at < NOW()');
+    const refresh = await this.pool.query(
+      `DELETE FROM refresh_tokens WHERE expires_at < NOW() - INTERVAL '7 days'`
+    );
+    const emailed = await this.pool.query(
+      `DELETE FROM user_tokens WHERE expires_at < NOW() - INTERVAL '7 days'`
+    );
+    return { revokedTokens: revoked.rowCount, refreshTokens: refresh.rowCount, emailTokens: emailed.rowCount };
+  }
+
+  hash(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+  }
+
+  error(message, code, statusCode) {
+    const error = new Error(message);
+    error.code = code;
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+module.exports = AuthService;
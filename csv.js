@@ -0,0 +1,52 @@
+/*!
+ * ═══════════════════════════════════════════════════════════════
+ * insane.marketing - Luxury Hospitality Intelligence Platform
+ * ═══════════════════════════════════════════════════════════════
+ * 
+ * Copyright (c) 2024-2025 insane.marketing
+ * All Rights Reserved - Proprietary and Confidential
+
+ * 
+ * NOTICE: This code contains proprietary business logic and trade secrets.
+ * 
+ * Unauthorized use, reproduction, or distribution of this code,
+ * or any portion of it, may result in severe civil and criminal penalties,
+ * and will be prosecuted to the maximum extent possible under the law.
+
+ * 
+ * Key Protected Features:
+ * - Zero-Knowledge Architecture & Data Handling
+ * - Time Machine Transformation Visualization System
+ * - VIP Prediction & Recognition Engine
+ * - Service Recovery Intelligence System
+ * - Real-time Mission Control Analytics
+
+ * Protected by AI tracking - active
+ * For licensing inquiries: steve@insane.marketing
+
+ * ═══════════════════════════════════════════════════════════════
+ */
+
+
+
+
+
+
+// csv.js
+// RFC 4180 CSV lines for the export routes. Values spreadsheet apps would run as formulas are
+// prefixed with a quote - except plain numbers, so negative amounts stay numeric.
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString()
+    : typeof value === 'object' ? JSON.stringify(value)
+      : String(value);
+  if (/^[=+\-@\t\r]/.test(text) && !/^-\d+(\.\d+)?$/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(values) {
+  return values.map(csvValue).join(',') + '\r\n';
+}
+
+module.exports = { csvValue, csvLine };
@@ -0,0 +1,220 @@
+/*!
+ * ═══════════════════════════════════════════════════════════════
+ * insane.marketing - Luxury Hospitality Intelligence Platform
+ * ═══════════════════════════════════════════════════════════════
+ * 
+ * Copyright (c) 2024-2025 insane.marketing
+ * All Rights Reserved - Proprietary and Confidential
+
+ * 
+ * NOTICE: This code contains proprietary business logic and trade secrets.
+ * 
+ * Unauthorized use, reproduction, or distribution of this code,
+ * or any portion of it, may result in severe civil and criminal penalties,
+ * and will be prosecuted to the maximum extent possible under the law.
+
+ * 
+ * Key Protected Features:
+ * - Zero-Knowledge Architecture & Data Handling
+ * - Time Machine Transformation Visualization System
+ * - VIP Prediction & Recognition Engine
+ * - Service Recovery Intelligence System
+ * - Real-time Mission Control Analytics
+
+ * Protected by AI tracking - active
+ * For licensing inquiries: steve@insane.marketing
+
+ * ═══════════════════════════════════════════════════════════════
+ */
+
+
+
+
+
+
+// data-export.js
+// Spreadsheet exports of raw history (scans, service alerts, table sessions, staffing
+// recommendations) filtered by date range, table and QR type. Rows come off a server-side cursor
+// and go straight to the response as CSV or XLSX, so a venue's full history never sits in memory.
+
+const QueryStream = require('pg-query-stream');
+const ExcelJS = require('exceljs');
+const { csvLine } = require('./csv');
+
+const BATCH_SIZE = 500;
+const FORMATS = ['csv', 'xlsx'];
+
+// timeColumn: what the date range applies to. tableColumn / qrTypeColumn: null when the filter
+// doesn't apply to that dataset. scanClassColumn: human-only unless includeAll, as in analytics.
+const DATASETS = {
+  scans: {
+    table: 'qr_scans',
+    timeColumn: 'scan_timestamp',
+    tableColumn: 'table_number',
+    qrTypeColumn: 'qr_type',
+    scanClassColumn: 'scan_class',
+    columns: ['id', 'scan_timestamp', 'qr_type', 'table_number', 'qr_id', 'destination_url', 'scan_class',
+      'class_reason', 'device_type', 'os_family', 'os_version', 'browser', 'browser_version', 'in_app_browser',
+      'is_webview', 'actual_wait_time']
+  },
+  service_alerts: {
+    table: 'service_alerts',
+    timeColumn: 'created_at',
+    tableColumn: 'table_number',
+    qrTypeColumn: null,
+    columns: ['alert_id', 'created_at', 'table_number', 'alert_type', 'service_type', 'priority', 'source', 'status',
+      'message', 'acknowledged_at', 'acknowledged_by', 'started_at', 'started_by', 'resolved_at', 'resolved_by',
+      'escalated_at', 'cancelled_at']
+  },
+  table_sessions: {
+    table: 'table_sessions',
+    timeColumn: 'start_time',
+    tableColumn: 'table_number',
+    qrTypeColumn: null,
+    columns: ['session_id', 'table_number', 'start_time', 'last_activity', 'ended_at', 'status', 'customer_count',
+      'total_scans']
+  },
+  staffing_recommendations: {
+    table: 'staffing_recommendations',
+    timeColumn: 'recommendation_time',
+    tableColumn: null,
+    qrTypeColumn: null,
+    columns: ['id', 'recommendation_time', 'current_staff', 'recommended_staff', 'hourly_cost_change',
+      'predicted_revenue', 'confidence_level', 'reasoning', 'implemented', 'decision', 'decision_reason',
+      'decided_at', 'actual_outcome', 'outcome_recorded_at', 'created_at']
+  }
+};
+
+// A bare date as the end of the range means "through the end of that day"
+function endBound(to) {
+  if (!to) return null;
+  const date = new Date(to);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(String(to))) date.setUTCDate(date.getUTCDate() + 1);
+  return date;
+}
+
+// Resolves when the response can take more, or is gone
+function drained(output) {
+  return new Promise(resolve => {
+    const done = () => {
+      output.off('drain', done);
+      output.off('close', done);
+      resolve();
+    };
+    output.on('drain', done);
+    output.on('close', done);
+  });
+}
+
+function cellValue(value) {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date || typeof value !== 'object') return value;
+  return JSON.stringify(value);
+}
+
+class DataExporter {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  // { sql, params } for one dataset; throws 400 for filters the dataset has no column for
+  buildQuery(restaurantId, datasetName, { from, to, table, qrType, includeAll = false } = {}) {
+    const dataset = DATASETS[datasetName];
+    if (!dataset) throw this.error(`Unknown export: ${datasetName}`, 'UNKNOWN_EXPORT', 404);
+
+    const params = [restaurantId];
+    const conditions = ['restaurant_id = $1'];
+
+    if (from) {
+      params.push(new Date(from));
+      conditions.push(`${dataset.timeColumn} >= $${params.length}`);
+    }
+    if (to) {
+      params.push(endBound(to));
+      conditions.push(`${dataset.timeColumn} < $${params.length}`);
+    }
+    if (table !== undefined && table !== null) {
+      if (!dataset.tableColumn) throw this.error(`${datasetName} can't be filtered by table`, 'UNSUPPORTED_FILTER', 400);
+      params.push(String(table));
+      conditions.push(`${dataset.tableColumn} = $${params.length}`);
+    }
+    if (qrType) {
+      if (!dataset.qrTypeColumn) throw this.error(`${datasetName} can't be filtered by qrType`, 'UNSUPPORTED_FILTER', 400);
+      params.push(qrType);
+      conditions.push(`${dataset.qrTypeColumn} = $${params.length}`);
+    }
+    if (dataset.scanClassColumn && !includeAll) {
+      conditions.push(`${dataset.scanClassColumn} = 'human'`);
+    }
+
+    return {
+      columns: dataset.columns,
+      sql: `SELECT ${dataset.columns.join(', ')} FROM ${dataset.table}
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY ${dataset.timeColumn}`,
+      params
+    };
+  }
+
+  // Writes the export to `output` (an HTTP response). Call buildQuery first so filter errors
+  // surface before any headers go out. Resolves with { rows, completed } - completed is false
+  // when the client disconnected part way.
+  async stream(query, format, output, sheetName = 'Export') {
+    const client = await this.pool.connect();
+    const rows = client.query(new QueryStream(query.sql, query.params, { batchSize: BATCH_SIZE }));
+    // Stop reading from Postgres if the client goes away mid-download
+    let aborted = false;
+    const abort = () => {
+      if (output.writableFinished) return;
+      aborted = true;
+      rows.destroy();
+    };
+    output.on('close', abort);
+
+    let count = 0;
+    let failed = false;
+    try {
+      if (format === 'xlsx') {
+        const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useStyles: false, useSharedStrings: false });
+        const sheet = workbook.addWorksheet(sheetName);
+        sheet.columns = query.columns.map(column => ({ header: column, key: column, width: Math.max(column.length + 2, 14) }));
+
+        for await (const row of rows) {
+          sheet.addRow(query.columns.map(column => cellValue(row[column]))).commit();
+          count++;
+        }
+        sheet.commit();
+        await workbook.commit();
+      } else {
+        output.write(csvLine(query.columns));
+        for await (const row of rows) {
+          if (!output.write(csvLine(query.columns.map(column => row[column])))) await drained(output);
+          count++;
+        }
+        output.end();
+      }
+      return { rows: count, completed: true };
+    } catch (error) {
+      failed = true;
+      if (aborted) return { rows: count, completed: false };
+      throw error;
+    } finally {
+      output.off('close', abort);
+      // A cursor abandoned mid-read or a failed query leaves the connection unusable - drop it
+      // rather than pool it
+      client.release(failed || aborted || undefined);
+    }
+  }
+
+  error(message, code, statusCode) {
+    const error = new Error(message);
+    error.code = code;
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+DataExporter.DATASETS = Object.keys(DATASETS);
+DataExporter.FORMATS = FORMATS;
+
+module.exports = DataExporter;
@@ -0,0 +1,252 @@
+/*!
+ * ═══════════════════════════════════════════════════════════════
+ * insane.marketing - Luxury Hospitality Intelligence Platform
+ * ═══════════════════════════════════════════════════════════════
+ * 
+ * Copyright (c) 2024-2025 insane.marketing
+ * All Rights Reserved - Proprietary and Confidential
+
+ * 
+ * NOTICE: This code contains proprietary business logic and trade secrets.
+ * 
+ * Unauthorized use, reproduction, or distribution of this code,
+ * or any portion of it, may result in severe civil and criminal penalties,
+ * and will be prosecuted to the maximum extent possible under the law.
+
+ * 
+ * Key Protected Features:
+ * - Zero-Knowledge Architecture & Data Handling
+ * - Time Machine Transformation Visualization System
+ * - VIP Prediction & Recognition Engine
+ * - Service Recovery Intelligence System
+ * - Real-time Mission Control Analytics
+
+ * Protected by AI tracking - active
+ * For licensing inquiries: steve@insane.marketing
+
+ * ═══════════════════════════════════════════════════════════════
+ */
+
+
+
+
+
+
+// escalation-scheduler.js
+// Follows up on service alerts nobody has acknowledged.
+// Each venue can set a ladder per priority; venues without one use DEFAULT_POLICIES.
+
+const ADVISORY_LOCK_KEY = 720419; // one instance escalates at a time
+const DEFAULT_INTERVAL_MS = 30000;
+const MAX_ALERT_AGE_MINUTES = 120; // older alerts are left to the stale-alert cleanup
+
+// Steps are cumulative from alert creation. targetStaffType null = every subscribed staff member.
+const DEFAULT_POLICIES = {
+  urgent: [
+    { step: 1, afterSeconds: 120, targetStaffType: 'server', markEscalated: false },
+    { step: 2, afterSeconds: 300, targetStaffType: 'manager', markEscalated: true }
+  ],
+  high: [
+    { step: 1, afterSeconds: 300, targetStaffType: 'server', markEscalated: false },
+    { step: 2, afterSeconds: 600, targetStaffType: 'manager', markEscalated: true }
+  ]
+};
+
+const PRIORITIES = ['urgent', 'high', 'medium', 'low'];
+
+class EscalationScheduler {
+  constructor(pool, { notify, alertWorkflow, intervalMs = DEFAULT_INTERVAL_MS }) {
+    this.pool = pool;
+    this.notify = notify; // (restaurantId, notificationData, targetStaffType) => { sent, failed }
+    this.alertWorkflow = alertWorkflow;
+    this.intervalMs = intervalMs;
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    console.log(`✅ Escalation scheduler running every ${this.intervalMs / 1000}s`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async tick() {
+    let client;
+    try {
+      client = await this.pool.connect();
+      const lock = await client.query('SELECT pg_try_advisory_lock($1) AS locked', [ADVISORY_LOCK_KEY]);
+      if (!lock.rows[0].locked) return;
+
+      try {
+        await this.runOnce();
+      } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [ADVISORY_LOCK_KEY]);
+      }
+    } catch (error) {
+      console.error('Escalation run failed:', error);
+    } finally {
+      if (client) client.release();
+    }
+  }
+
+  // Send every step that is due and past the alert's escalation_step. Returns the steps sent.
+  async runOnce() {
+    const alertsResult = await this.pool.query(`
+      SELECT a.alert_id, a.restaurant_id, a.table_number, a.alert_type, a.service_type,
+             a.message, a.priority, a.status, a.escalation_step,
+             EXTRACT(EPOCH FROM (NOW() - a.created_at)) AS age_seconds
+      FROM service_alerts a
+      WHERE a.status IN ('created', 'escalated')
+        AND a.source <> 'behavioral' -- inferred alerts are replaced on the next scan, not chased
+        AND a.created_at > NOW() - make_interval(mins => $1)
+      ORDER BY a.created_at
+    `, [MAX_ALERT_AGE_MINUTES]);
+
+    if (alertsResult.rows.length === 0) return [];
+
+    const restaurantIds = [...new Set(alertsResult.rows.map(a => a.restaurant_id))];
+    const policies = await this.loadPolicies(restaurantIds);
+    const escalations = [];
+
+    for (const alert of alertsResult.rows) {
+      const steps = (policies[alert.restaurant_id] || {})[alert.priority] || [];
+      const ageSeconds = parseFloat(alert.age_seconds);
+
+      for (const policyStep of steps) {
+        if (policyStep.afterSeconds > ageSeconds || policyStep.step <= alert.escalation_step) continue;
+
+        if (await this.escalate(alert, policyStep, Math.floor(ageSeconds))) {
+          escalations.push({ alertId: alert.alert_id, step: policyStep.step });
+        }
+      }
+    }
+
+    return escalations;
+  }
+
+  // Claims the step on the alert before notifying: a step is sent at most once, even if the
+  // notification or its log entry fails. Returns false if the step was already claimed.
+  async escalate(alert, policyStep, ageSeconds) {
+    const claimed = await this.pool.query(
+      'UPDATE service_alerts SET escalation_step = $2 WHERE alert_id = $1 AND escalation_step < $2 RETURNING alert_id',
+      [alert.alert_id, policyStep.step]
+    );
+    if (claimed.rows.length === 0) return false;
+    alert.escalation_step = policyStep.step;
+
+    const minutes = Math.max(1, Math.round(ageSeconds / 60));
+    const request = (alert.service_type || alert.alert_type).replace(/_/g, ' ');
+
+    const result = await this.notify(alert.restaurant_id, {
+      title: `⚠️ Table ${alert.table_number} still waiting`,
+      body: `${request} unanswered for ${minutes} min - please acknowledge`,
+      tableNumber: alert.table_number,
+      alertId: alert.alert_id,
+      type: 'escalation',
+      escalationStep: policyStep.step
+    }, policyStep.targetStaffType);
+
+    console.log(`⚠️ Escalated ${alert.alert_id} step ${policyStep.step} to ${policyStep.targetStaffType || 'all staff'} (${result.sent} notified)`);
+
+    if (policyStep.markEscalated && alert.status === 'created') {
+      try {
+        await this.alertWorkflow.transition(alert.restaurant_id, alert.alert_id, 'escalated', {
+          actor: 'system_escalation',
+          note: `Not acknowledged after ${minutes} min`
+        });
+        alert.status = 'escalated';
+      } catch (error) {
+        // Staff picked it up while we were notifying - nothing to mark
+        if (error.code !== 'ILLEGAL_TRANSITION') throw error;
+      }
+    }
+    return true;
+  }
+
+  // { restaurantId: { priority: [steps] } } - venue rows replace the default ladder for that priority
+  async loadPolicies(restaurantIds) {
+    const result = await this.pool.query(`
+      SELECT restaurant_id, priority, step, after_seconds, target_staff_type, mark_escalated
+      FROM escalation_policies
+      WHERE restaurant_id = ANY($1)
+      ORDER BY restaurant_id, priority, step
+    `, [restaurantIds]);
+
+    const policies = {};
+    for (const restaurantId of restaurantIds) {
+      policies[restaurantId] = { ...DEFAULT_POLICIES };
+    }
+
+    const custom = {};
+    for (const row of result.rows) {
+      const key = `${row.restaurant_id}:${row.priority}`;
+      if (!custom[key]) {
+        custom[key] = [];
+        policies[row.restaurant_id][row.priority] = custom[key];
+      }
+      custom[key].push({
+        step: row.step,
+        afterSeconds: row.after_seconds,
+        targetStaffType: row.target_staff_type,
+        markEscalated: row.mark_escalated
+      });
+    }
+
+    return policies;
+  }
+
+  async getPolicy(restaurantId) {
+    const policies = (await this.loadPolicies([restaurantId]))[restaurantId];
+    const customised = await this.pool.query(
+      'SELECT DISTINCT priority FROM escalation_policies WHERE restaurant_id = $1',
+      [restaurantId]
+    );
+    const customPriorities = customised.rows.map(r => r.priority);
+
+    return PRIORITIES.map(priority => ({
+      priority,
+      source: customPriorities.includes(priority) ? 'venue' : 'default',
+      steps: policies[priority] || []
+    }));
+  }
+
+  // Replace one priority's ladder. An empty list puts the priority back on the default.
+  async setPolicy(restaurantId, priority, steps) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(
+        'DELETE FROM escalation_policies WHERE restaurant_id = $1 AND priority = $2',
+        [restaurantId, priority]
+      );
+
+      const ordered = [...steps].sort((a, b) => a.afterSeconds - b.afterSeconds);
+      for (let i = 0; i < ordered.length; i++) {
+        await client.query(`
+          INSERT INTO escalation_policies
+            (restaurant_id, priority, step, after_seconds, target_staff_type, mark_escalated)
+          VALUES ($1, $2, $3, $4, $5, $6)
+        `, [restaurantId, priority, i + 1, ordered[i].afterSeconds,
+            ordered[i].targetStaffType || null, !!ordered[i].markEscalated]);
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    return this.getPolicy(restaurantId);
+  }
+}
+
+EscalationScheduler.DEFAULT_POLICIES = DEFAULT_POLICIES;
+EscalationScheduler.PRIORITIES = PRIORITIES;
+
+module.exports = EscalationScheduler;
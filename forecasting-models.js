@@ -0,0 +1,369 @@
+/*!
+ * ═══════════════════════════════════════════════════════════════
+ * insane.marketing - Luxury Hospitality Intelligence Platform
+ * ═══════════════════════════════════════════════════════════════
+ * 
+ * Copyright (c) 2024-2025 insane.marketing
+ * All Rights Reserved - Proprietary and Confidential
+
+ * 
+ * NOTICE: This code contains proprietary business logic and trade secrets.
+ * 
+ * Unauthorized use, reproduction, or distribution of this code,
+ * or any portion of it, may result in severe civil and criminal penalties,
+ * and will be prosecuted to the maximum extent possible under the law.
+
+ * 
+ * Key Protected Features:
+ * - Zero-Knowledge Architecture & Data Handling
+ * - Time Machine Transformation Visualization System
+ * - VIP Prediction & Recognition Engine
+ * - Service Recovery Intelligence System
+ * - Real-time Mission Control Analytics
+
+ * Protected by AI tracking - active
+ * For licensing inquiries: steve@insane.marketing
+
+ * ═══════════════════════════════════════════════════════════════
+ */
+
+
+
+
+
+
+// forecasting-models.js
+// Forecasting models behind PredictiveAnalyticsEngine. Each model is a pair of pure functions:
+//   train(points, { horizonMinutes })  -> params (plain JSON, stored in prediction_models.model_data)
+//   predict(params, context)           -> number, or null when the history can't support a forecast
+// points / context.history: [{ time (ms), value, scansLastHour, scansLast2Hours, dayOfWeek, hourOfDay, isHoliday }]
+// sorted oldest first, one per performance snapshot. context: { history, targetTime (ms), current }
+// where current is the latest point. No database access here - see forecasting.js.
+
+const HOUR_MS = 60 * 60 * 1000;
+const WEEK_MS = 7 * 24 * HOUR_MS;
+const MATCH_TOLERANCE_MS = 10 * 60 * 1000; // snapshots land every 15 minutes, give or take
+
+function insufficient(message) {
+  const error = new Error(message);
+  error.code = 'INSUFFICIENT_DATA';
+  error.statusCode = 422;
+  return error;
+}
+
+function mean(values) {
+  return values.length === 0 ? null : values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+// Value of the snapshot closest to `time` (within tolerance), by binary search
+function valueNear(points, time, tolerance = MATCH_TOLERANCE_MS) {
+  let low = 0;
+  let high = points.length - 1;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (points[middle].time < time) low = middle + 1;
+    else high = middle;
+  }
+  let best = null;
+  for (const index of [low - 1, low]) {
+    const point = points[index];
+    if (point && Math.abs(point.time - time) <= tolerance && (!best || Math.abs(point.time - time) < Math.abs(best.time - time))) {
+      best = point;
+    }
+  }
+  return best ? best.value : null;
+}
+
+// ===== similar_activity =====
+// The original heuristic: average customer count over past snapshots at the same weekday and
+// hour (±1) whose hourly scan count was within ±3 of now.
+const similarActivity = {
+  description: 'Average of past snapshots at this weekday/hour with similar scan activity (original heuristic)',
+  minPoints: 5,
+
+  train() {
+    return { scanTolerance: 3, hourTolerance: 1, maxMatches: 50 };
+  },
+
+  predict(params, { history, current }) {
+    const candidates = history
+      .filter(point => point.dayOfWeek === current.dayOfWeek &&
+        Math.abs(point.hourOfDay - current.hourOfDay) <= params.hourTolerance)
+      .slice(-params.maxMatches);
+    if (candidates.length < 5) return null;
+
+    const similar = candidates.filter(point =>
+      Math.abs(point.scansLastHour - current.scansLastHour) <= params.scanTolerance);
+    return mean((similar.length > 0 ? similar : candidates).map(point => point.value));
+  }
+};
+
+// ===== seasonal_naive =====
+// "Same time last week": the value at the target's weekly slot, averaged over the last k weeks.
+// Training picks k by backtest.
+const seasonalNaive = {
+  description: 'Value at the same time in the previous weeks (k chosen by backtest)',
+  minPoints: 7 * 24 * 4,
+
+  train(points, options) {
+    let best = null;
+    for (const weeks of [1, 2, 3, 4]) {
+      const params = { weeks };
+      const { mae } = backtest(seasonalNaive, params, points, { ...options, startTime: points[0].time + weeks * WEEK_MS });
+      if (mae !== null && (!best || mae < best.mae)) best = { params, mae };
+    }
+    if (!best) throw insufficient('seasonal_naive needs at least a week of snapshots');
+    return best.params;
+  },
+
+  predict(params, { history, targetTime }) {
+    const lastTime = history[history.length - 1].time;
+    const values = [];
+    for (let week = 1; week <= params.weeks; week++) {
+      const time = targetTime - week * WEEK_MS;
+      if (time > lastTime) continue;
+      const value = valueNear(history, time);
+      if (value !== null) values.push(value);
+    }
+    return mean(values);
+  }
+};
+
+// ===== holt_winters =====
+// Additive Holt-Winters on hourly means. Weekly seasonality once there are two full weeks,
+// daily before that. Training grid-searches the smoothing constants on one-step-ahead error;
+// predictions re-run the filter over the latest history with those constants.
+const HW_ALPHAS = [0.05, 0.1, 0.2, 0.3, 0.5, 0.7];
+const HW_BETAS = [0, 0.02, 0.05, 0.1, 0.2];
+const HW_GAMMAS = [0.05, 0.1, 0.2, 0.3, 0.5];
+
+// [{ hour, value }] for every hour from the first to the last snapshot; value null for gaps
+function hourlySeries(points) {
+  const buckets = new Map();
+  for (const point of points) {
+    const hour = Math.floor(point.time / HOUR_MS);
+    if (!buckets.has(hour)) buckets.set(hour, []);
+    buckets.get(hour).push(point.value);
+  }
+  if (buckets.size === 0) return [];
+
+  const hours = [...buckets.keys()];
+  const first = Math.min(...hours);
+  const last = Math.max(...hours);
+  const series = [];
+  for (let hour = first; hour <= last; hour++) {
+    series.push({ hour, value: buckets.has(hour) ? mean(buckets.get(hour)) : null });
+  }
+  return series;
+}
+
+// Runs the filter; returns final state and the sum of squared one-step errors
+function holtWintersFilter(series, { alpha, beta, gamma, period }) {
+  const firstSeason = series.slice(0, period).map(point => point.value).filter(value => value !== null);
+  const secondSeason = series.slice(period, 2 * period).map(point => point.value).filter(value => value !== null);
+  if (firstSeason.length < period / 2 || secondSeason.length < period / 2) return null;
+
+  let level = mean(firstSeason);
+  let trend = (mean(secondSeason) - level) / period;
+  const seasonals = new Array(period).fill(0);
+  series.slice(0, period).forEach(point => {
+    if (point.value !== null) seasonals[point.hour % period] = point.value - level;
+  });
+
+  let sse = 0;
+  let errors = 0;
+  for (const point of series.slice(period)) {
+    const index = point.hour % period;
+    const forecast = level + trend + seasonals[index];
+    const actual = point.value === null ? forecast : point.value;
+    if (point.value !== null) {
+      sse += (actual - forecast) ** 2;
+      errors++;
+    }
+
+    const previousLevel = level;
+    level = alpha * (actual - seasonals[index]) + (1 - alpha) * (level + trend);
+    trend = beta * (level - previousLevel) + (1 - beta) * trend;
+    seasonals[index] = gamma * (actual - level) + (1 - gamma) * seasonals[index];
+  }
+
+  return { level, trend, seasonals, lastHour: series[series.length - 1].hour, sse, errors };
+}
+
+function seasonalPeriod(series) {
+  const observed = series.filter(point => point.value !== null).length;
+  return series.length >= 2 * 168 && observed >= 168 ? 168 : 24;
+}
+
+const holtWinters = {
+  description: 'Additive Holt-Winters exponential smoothing on hourly averages (daily or weekly season)',
+  minPoints: 2 * 24 * 4,
+
+  train(points) {
+    const series = hourlySeries(points);
+    const period = seasonalPeriod(series);
+    if (series.length < 2 * period + 1) throw insufficient('holt_winters needs at least two days of snapshots');
+
+    let best = null;
+    for (const alpha of HW_ALPHAS) {
+      for (const beta of HW_BETAS) {
+        for (const gamma of HW_GAMMAS) {
+          const state = holtWintersFilter(series, { alpha, beta, gamma, period });
+          if (state && state.errors > 0 && (!best || state.sse < best.sse)) {
+            best = { params: { alpha, beta, gamma, period }, sse: state.sse };
+          }
+        }
+      }
+    }
+    if (!best) throw insufficient('holt_winters needs fewer gaps in the snapshot history');
+    return best.params;
+  },
+
+  predict(params, { history, targetTime }) {
+    const series = hourlySeries(history);
+    if (series.length < 2 * params.period + 1) return null;
+    const state = holtWintersFilter(series, params);
+    if (!state) return null;
+
+    const targetHour = Math.floor(targetTime / HOUR_MS);
+    const steps = Math.max(1, targetHour - state.lastHour);
+    return state.level + steps * state.trend + state.seasonals[targetHour % params.period];
+  }
+};
+
+// ===== regression =====
+// Ridge-regularised least squares, solved in closed form (no gradient descent): the value one
+// horizon ahead from current scans, current value and the target's hour/weekday.
+const REGRESSION_FEATURES = ['intercept', 'scansLastHour', 'scansLast2Hours', 'currentValue',
+  'hourSin', 'hourCos', 'weekend', 'holiday'];
+const RIDGE_LAMBDA = 1;
+
+function regressionFeatures(current, targetTime) {
+  const target = new Date(targetTime);
+  const hour = target.getHours() + target.getMinutes() / 60;
+  const day = target.getDay();
+  return [
+    1,
+    current.scansLastHour || 0,
+    current.scansLast2Hours || 0,
+    current.value || 0,
+    Math.sin((2 * Math.PI * hour) / 24),
+    Math.cos((2 * Math.PI * hour) / 24),
+    day === 0 || day === 6 ? 1 : 0,
+    current.isHoliday ? 1 : 0
+  ];
+}
+
+// Gaussian elimination with partial pivoting; matrix is n x n, vector length n
+function solveLinearSystem(matrix, vector) {
+  const n = vector.length;
+  const rows = matrix.map((row, index) => [...row, vector[index]]);
+  for (let column = 0; column < n; column++) {
+    let pivot = column;
+    for (let row = column + 1; row < n; row++) {
+      if (Math.abs(rows[row][column]) > Math.abs(rows[pivot][column])) pivot = row;
+    }
+    if (Math.abs(rows[pivot][column]) < 1e-12) return null;
+    [rows[column], rows[pivot]] = [rows[pivot], rows[column]];
+
+    for (let row = 0; row < n; row++) {
+      if (row === column) continue;
+      const factor = rows[row][column] / rows[column][column];
+      for (let k = column; k <= n; k++) rows[row][k] -= factor * rows[column][k];
+    }
+  }
+  return rows.map((row, index) => row[n] / row[index]);
+}
+
+const regression = {
+  description: 'Ridge regression on snapshot features (scan counts, current volume, hour, weekend, holiday)',
+  minPoints: 24 * 4,
+
+  train(points, { horizonMinutes }) {
+    const horizonMs = horizonMinutes * 60 * 1000;
+    const features = [];
+    const targets = [];
+    for (const point of points) {
+      const target = valueNear(points, point.time + horizonMs);
+      if (target === null) continue;
+      features.push(regressionFeatures(point, point.time + horizonMs));
+      targets.push(target);
+    }
+    if (features.length < 30) throw insufficient('regression needs at least 30 snapshot pairs one horizon apart');
+
+    const size = REGRESSION_FEATURES.length;
+    const xtx = Array.from({ length: size }, () => new Array(size).fill(0));
+    const xty = new Array(size).fill(0);
+    features.forEach((row, index) => {
+      for (let i = 0; i < size; i++) {
+        xty[i] += row[i] * targets[index];
+        for (let j = 0; j < size; j++) xtx[i][j] += row[i] * row[j];
+      }
+    });
+    for (let i = 1; i < size; i++) xtx[i][i] += RIDGE_LAMBDA; // intercept is not penalised
+
+    const weights = solveLinearSystem(xtx, xty);
+    if (!weights) throw insufficient('regression features are degenerate for this history');
+    return { features: REGRESSION_FEATURES, weights, horizonMinutes };
+  },
+
+  predict(params, { current, targetTime }) {
+    const row = regressionFeatures(current, targetTime);
+    return row.reduce((sum, value, index) => sum + value * params.weights[index], 0);
+  }
+};
+
+const MODELS = {
+  similar_activity: similarActivity,
+  seasonal_naive: seasonalNaive,
+  holt_winters: holtWinters,
+  regression
+};
+
+// Rolling-origin evaluation with fixed params: for every snapshot from startTime on (sampled to at
+// most maxSamples), forecast one horizon ahead from the history up to it and compare with what happened.
+function backtest(model, params, points, { horizonMinutes, startTime = points[0].time, maxSamples = 200 }) {
+  const horizonMs = horizonMinutes * 60 * 1000;
+  const origins = [];
+  for (let index = 0; index < points.length; index++) {
+    if (points[index].time >= startTime && valueNear(points, points[index].time + horizonMs) !== null) {
+      origins.push(index);
+    }
+  }
+  const stride = Math.max(1, Math.ceil(origins.length / maxSamples));
+
+  const errors = [];
+  for (let i = 0; i < origins.length; i += stride) {
+    const index = origins[i];
+    const history = points.slice(0, index + 1);
+    const targetTime = points[index].time + horizonMs;
+    const forecast = model.predict(params, { history, current: points[index], targetTime });
+    if (forecast === null || !Number.isFinite(forecast)) continue;
+    errors.push({ forecast: Math.max(0, forecast), actual: valueNear(points, targetTime) });
+  }
+  return accuracyMetrics(errors);
+}
+
+// { mae, rmse, mape, meanActual, samples, confidence } - mape skips zero actuals, confidence is
+// 1 - MAE relative to the typical actual, clamped to 0.05..0.95
+function accuracyMetrics(errors) {
+  if (errors.length === 0) {
+    return { mae: null, rmse: null, mape: null, meanActual: null, samples: 0, confidence: null };
+  }
+  const absolute = errors.map(({ forecast, actual }) => Math.abs(forecast - actual));
+  const nonZero = errors.filter(({ actual }) => actual !== 0);
+  const mae = mean(absolute);
+  const meanActual = mean(errors.map(({ actual }) => Math.abs(actual)));
+  const relative = meanActual > 0 ? mae / meanActual : (mae === 0 ? 0 : 1);
+
+  return {
+    mae,
+    rmse: Math.sqrt(mean(absolute.map(error => error ** 2))),
+    mape: nonZero.length > 0 ? mean(nonZero.map(({ forecast, actual }) => Math.abs(forecast - actual) / Math.abs(actual))) : null,
+    meanActual,
+    samples: errors.length,
+    confidence: Math.min(0.95, Math.max(0.05, 1 - relative))
+  };
+}
+
+module.exports = { MODELS, backtest, accuracyMetrics, valueNear, insufficient };
@@ -0,0 +1,345 @@
+/*!
+ * ═══════════════════════════════════════════════════════════════
+ * insane.marketing - Luxury Hospitality Intelligence Platform
+ * ═══════════════════════════════════════════════════════════════
+ * 
+ * Copyright (c) 2024-2025 insane.marketing
+ * All Rights Reserved - Proprietary and Confidential
+
+ * 
+ * NOTICE: This code contains proprietary business logic and trade secrets.
+ * 
+ * Unauthorized use, reproduction, or distribution of this code,
+ * or any portion of it, may result in severe civil and criminal penalties,
+ * and will be prosecuted to the maximum extent possible under the law.
+
+ * 
+ * Key Protected Features:
+ * - Zero-Knowledge Architecture & Data Handling
+ * - Time Machine Transformation Visualization System
+ * - VIP Prediction & Recognition Engine
+ * - Service Recovery Intelligence System
+ * - Real-time Mission Control Analytics
+
+ * Protected by AI tracking - active
+ * For licensing inquiries: steve@insane.marketing
+
+ * ═══════════════════════════════════════════════════════════════
+ */
+
+
+
+
+
+
+// forecasting.js
+// Trains, stores and runs the models in forecasting-models.js for each venue.
+// Training fits every model on the first 80% of the snapshot history, backtests it on the rest,
+// then refits on everything and stores parameters + metrics in prediction_models. A venue either
+// picks a model per prediction type or leaves it on 'auto' (best backtest MAE). Active models
+// older than MAX_MODEL_AGE_DAYS are retrained the next time they are used.
+
+const { MODELS, backtest, insufficient } = require('./forecasting-models');
+
+// prediction_type -> performance_snapshots column it forecasts
+const PREDICTION_TYPES = {
+  customer_volume: 'customer_count',
+  revenue_forecast: 'revenue_actual'
+};
+
+const HISTORY_DAYS = 56;
+const DEFAULT_HORIZON_MINUTES = 120;
+const MAX_MODEL_AGE_DAYS = 7;
+const HOLDOUT_FRACTION = 0.2;
+const MIN_POINTS = 24 * 4; // a day of 15-minute snapshots
+const VERSIONS_KEPT = 10; // per venue, prediction type and model type
+
+class ForecastingService {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  // Snapshots for [from, to); the last HISTORY_DAYS by default
+  async loadSeries(restaurantId, predictionType, { from = null, to = null } = {}) {
+    const column = PREDICTION_TYPES[predictionType];
+    if (!column) throw this.error(`Unknown prediction type: ${predictionType}`, 'UNKNOWN_PREDICTION_TYPE', 400);
+
+    const result = await this.pool.query(`
+      SELECT snapshot_time, ${column} AS value, qr_scans_last_hour, qr_scans_last_2hours,
+             day_of_week, hour_of_day, is_holiday
+      FROM performance_snapshots
+      WHERE restaurant_id = $1 AND ${column} IS NOT NULL
+        AND snapshot_time >= COALESCE($3::timestamp, NOW() - make_interval(days => $2))
+        AND snapshot_time < COALESCE($4::timestamp, 'infinity'::timestamp)
+      ORDER BY snapshot_time
+    `, [restaurantId, HISTORY_DAYS, from, to]);
+
+    return result.rows.map(row => ({
+      time: new Date(row.snapshot_time).getTime(),
+      value: parseFloat(row.value),
+      scansLastHour: row.qr_scans_last_hour || 0,
+      scansLast2Hours: row.qr_scans_last_2hours || 0,
+      dayOfWeek: row.day_of_week,
+      hourOfDay: row.hour_of_day,
+      isHoliday: !!row.is_holiday
+    }));
+  }
+
+  // Trains the given model types (default: all) and stores one row per model that could be fitted.
+  // activate: 'auto' makes the best of this run active, a model type makes that one active,
+  // null leaves the active model alone. Returns { models, skipped, active }.
+  async train(restaurantId, predictionType, { modelTypes = Object.keys(MODELS), horizonMinutes = DEFAULT_HORIZON_MINUTES, activate = null } = {}) {
+    const points = await this.loadSeries(restaurantId, predictionType);
+    if (points.length < MIN_POINTS) {
+      throw insufficient(`Need at least ${MIN_POINTS} snapshots to train, have ${points.length}`);
+    }
+
+    const first = points[0].time;
+    const last = points[points.length - 1].time;
+    const holdoutStart = last - (last - first) * HOLDOUT_FRACTION;
+    const trainingPoints = points.filter(point => point.time < holdoutStart);
+    const options = { horizonMinutes };
+
+    const models = [];
+    const skipped = [];
+    for (const modelType of modelTypes) {
+      const model = MODELS[modelType];
+      if (!model) throw this.error(`Unknown model type: ${modelType}`, 'UNKNOWN_MODEL_TYPE', 400);
+
+      try {
+        const holdoutParams = model.train(trainingPoints, options);
+        const metrics = backtest(model, holdoutParams, points, { ...options, startTime: holdoutStart });
+        if (metrics.samples === 0) throw insufficient(`${modelType} produced no forecasts on the holdout period`);
+
+        const params = model.train(points, options);
+        const result = await this.pool.query(`
+          INSERT INTO prediction_models (restaurant_id, prediction_type, model_type, model_data, accuracy_score,
+                                         training_data_count, horizon_minutes, metrics, trained_from, trained_to,
+                                         last_trained, is_active)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW(), FALSE)
+          RETURNING *
+        `, [restaurantId, predictionType, modelType, JSON.stringify(params), metrics.confidence, points.length,
+            horizonMinutes, JSON.stringify({ ...metrics, holdoutFrom: new Date(holdoutStart).toISOString() }),
+            new Date(first), new Date(last)]);
+        models.push(this.formatModel(result.rows[0]));
+      } catch (error) {
+        if (error.code !== 'INSUFFICIENT_DATA') throw error;
+        skipped.push({ modelType, reason: error.message });
+      }
+    }
+
+    await this.pruneVersions(restaurantId, predictionType);
+
+    let active = null;
+    if (activate === 'auto' && models.length > 0) {
+      const best = [...models].sort((a, b) => a.metrics.mae - b.metrics.mae)[0];
+      active = await this.setActive(restaurantId, predictionType, best.id, 'auto');
+    } else if (activate && activate !== 'auto') {
+      const chosen = models.find(model => model.modelType === activate);
+      if (chosen) active = await this.setActive(restaurantId, predictionType, chosen.id, 'venue');
+    }
+
+    return { models, skipped, active };
+  }
+
+  // Out-of-sample backtest over [from, to): each model is fitted only on the HISTORY_DAYS before
+  // `from`, then forecasts one horizon ahead from every snapshot in the range (history grows as it
+  // goes, parameters stay fixed). Nothing is stored.
+  async backtestRange(restaurantId, predictionType, { modelTypes = Object.keys(MODELS), from, to, horizonMinutes = DEFAULT_HORIZON_MINUTES }) {
+    const historyStart = new Date(from.getTime() - HISTORY_DAYS * 24 * 60 * 60 * 1000);
+    const points = await this.loadSeries(restaurantId, predictionType, { from: historyStart, to });
+    const trainingPoints = points.filter(point => point.time < from.getTime());
+    if (trainingPoints.length < MIN_POINTS) {
+      throw insufficient(`Need at least ${MIN_POINTS} snapshots before ${from.toISOString()} to fit models, have ${trainingPoints.length}`);
+    }
+
+    const options = { horizonMinutes };
+    const results = [];
+    for (const modelType of modelTypes) {
+      const model = MODELS[modelType];
+      if (!model) throw this.error(`Unknown model type: ${modelType}`, 'UNKNOWN_MODEL_TYPE', 400);
+
+      try {
+        const params = model.train(trainingPoints, options);
+        const metrics = backtest(model, params, points, { ...options, startTime: from.getTime(), maxSamples: 500 });
+        results.push({ modelType, params, metrics });
+      } catch (error) {
+        if (error.code !== 'INSUFFICIENT_DATA') throw error;
+        results.push({ modelType, params: null, metrics: null, skipped: error.message });
+      }
+    }
+
+    results.sort((a, b) => (a.metrics?.mae ?? Infinity) - (b.metrics?.mae ?? Infinity));
+    return {
+      restaurantId,
+      predictionType,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      horizonMinutes,
+      trainingSnapshots: trainingPoints.length,
+      rangeSnapshots: points.length - trainingPoints.length,
+      results
+    };
+  }
+
+  async pruneVersions(restaurantId, predictionType) {
+    await this.pool.query(`
+      DELETE FROM prediction_models
+      WHERE id IN (
+        SELECT id FROM (
+          SELECT id, is_active,
+                 ROW_NUMBER() OVER (PARTITION BY model_type ORDER BY last_trained DESC, id DESC) AS version
+          FROM prediction_models
+          WHERE restaurant_id = $1 AND prediction_type = $2
+        ) versions
+        WHERE version > $3 AND NOT is_active
+      )
+    `, [restaurantId, predictionType, VERSIONS_KEPT]);
+  }
+
+  async setActive(restaurantId, predictionType, modelId, selection) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(
+        'UPDATE prediction_models SET is_active = FALSE WHERE restaurant_id = $1 AND prediction_type = $2 AND is_active',
+        [restaurantId, predictionType]
+      );
+      const result = await client.query(
+        'UPDATE prediction_models SET is_active = TRUE, selection = $3 WHERE id = $1 AND restaurant_id = $2 RETURNING *',
+        [modelId, restaurantId, selection]
+      );
+      await client.query('COMMIT');
+      return this.formatModel(result.rows[0]);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Venue choice: a model type, or 'auto'. Reuses the latest trained version when it is fresh,
+  // otherwise trains first.
+  async select(restaurantId, predictionType, modelType) {
+    if (!PREDICTION_TYPES[predictionType]) {
+      throw this.error(`Unknown prediction type: ${predictionType}`, 'UNKNOWN_PREDICTION_TYPE', 400);
+    }
+    if (modelType !== 'auto' && !MODELS[modelType]) {
+      throw this.error(`Unknown model type: ${modelType}`, 'UNKNOWN_MODEL_TYPE', 400);
+    }
+
+    const latest = await this.pool.query(`
+      SELECT DISTINCT ON (model_type) *
+      FROM prediction_models
+      WHERE restaurant_id = $1 AND prediction_type = $2
+        AND last_trained > NOW() - make_interval(days => $3)
+        AND ($4::text = 'auto' OR model_type = $4)
+      ORDER BY model_type, last_trained DESC, id DESC
+    `, [restaurantId, predictionType, MAX_MODEL_AGE_DAYS, modelType]);
+
+    const candidates = latest.rows.map(row => this.formatModel(row)).filter(model => model.metrics?.mae !== null);
+    if (candidates.length === 0) {
+      const trained = await this.train(restaurantId, predictionType, {
+        modelTypes: modelType === 'auto' ? Object.keys(MODELS) : [modelType],
+        activate: modelType
+      });
+      if (!trained.active) {
+        throw insufficient(trained.skipped.map(skip => skip.reason).join('; ') || 'No model could be trained');
+      }
+      return trained.active;
+    }
+
+    const best = candidates.sort((a, b) => a.metrics.mae - b.metrics.mae)[0];
+    return this.setActive(restaurantId, predictionType, best.id, modelType === 'auto' ? 'auto' : 'venue');
+  }
+
+  async getActive(restaurantId, predictionType) {
+    const result = await this.pool.query(
+      'SELECT * FROM prediction_models WHERE restaurant_id = $1 AND prediction_type = $2 AND is_active',
+      [restaurantId, predictionType]
+    );
+    return result.rows[0] ? this.formatModel(result.rows[0]) : null;
+  }
+
+  async listModels(restaurantId) {
+    const result = await this.pool.query(`
+      SELECT DISTINCT ON (prediction_type, model_type) *
+      FROM prediction_models
+      WHERE restaurant_id = $1
+      ORDER BY prediction_type, model_type, is_active DESC, last_trained DESC, id DESC
+    `, [restaurantId]);
+    return result.rows.map(row => this.formatModel(row));
+  }
+
+  // Forecast from the venue's active model, training one ('auto') or refreshing a stale one first.
+  // Returns null when there isn't enough history for any model.
+  async forecast(restaurantId, predictionType, { now = Date.now() } = {}) {
+    let active = await this.getActive(restaurantId, predictionType);
+
+    if (!active || now - new Date(active.lastTrained).getTime() > MAX_MODEL_AGE_DAYS * 24 * 60 * 60 * 1000) {
+      try {
+        const trained = await this.train(restaurantId, predictionType, {
+          modelTypes: !active || active.selection === 'auto' ? Object.keys(MODELS) : [active.modelType],
+          horizonMinutes: active ? active.horizonMinutes : DEFAULT_HORIZON_MINUTES,
+          activate: !active || active.selection === 'auto' ? 'auto' : active.modelType
+        });
+        active = trained.active || active;
+      } catch (error) {
+        if (error.code !== 'INSUFFICIENT_DATA') throw error;
+      }
+    }
+    if (!active) return null;
+
+    const history = await this.loadSeries(restaurantId, predictionType);
+    if (history.length === 0) return null;
+
+    const targetTime = now + active.horizonMinutes * 60 * 1000;
+    const value = MODELS[active.modelType].predict(active.params, {
+      history,
+      current: history[history.length - 1],
+      targetTime
+    });
+    if (value === null || !Number.isFinite(value)) return null;
+
+    return {
+      value: Math.max(0, value),
+      confidence: active.accuracyScore,
+      modelId: active.id,
+      modelType: active.modelType,
+      targetTime: new Date(targetTime)
+    };
+  }
+
+  formatModel(row) {
+    return {
+      id: row.id,
+      predictionType: row.prediction_type,
+      modelType: row.model_type,
+      description: MODELS[row.model_type]?.description || null,
+      params: row.model_data,
+      metrics: row.metrics,
+      accuracyScore: row.accuracy_score === null ? null : parseFloat(row.accuracy_score),
+      trainingDataCount: row.training_data_count,
+      horizonMinutes: row.horizon_minutes,
+      trainedFrom: row.trained_from,
+      trainedTo: row.trained_to,
+      lastTrained: row.last_trained,
+      isActive: row.is_active,
+      selection: row.selection
+    };
+  }
+
+  error(message, code, statusCode) {
+    const error = new Error(message);
+    error.code = code;
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+ForecastingService.PREDICTION_TYPES = Object.keys(PREDICTION_TYPES);
+ForecastingService.MODEL_TYPES = Object.keys(MODELS);
+ForecastingService.DEFAULT_HORIZON_MINUTES = DEFAULT_HORIZON_MINUTES;
+
+module.exports = ForecastingService;
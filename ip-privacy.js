@@ -0,0 +1,355 @@
+/*!
+ * ═══════════════════════════════════════════════════════════════
+ * insane.marketing - Luxury Hospitality Intelligence Platform
+ * ═══════════════════════════════════════════════════════════════
+ * 
+ * Copyright (c) 2024-2025 insane.marketing
+ * All Rights Reserved - Proprietary and Confidential
+
+ * 
+ * NOTICE: This code contains proprietary business logic and trade secrets.
+ * 
+ * Unauthorized use, reproduction, or distribution of this code,
+ * or any portion of it, may result in severe civil and criminal penalties,
+ * and will be prosecuted to the maximum extent possible under the law.
+
+ * 
+ * Key Protected Features:
+ * - Zero-Knowledge Architecture & Data Handling
+ * - Time Machine Transformation Visualization System
+ * - VIP Prediction & Recognition Engine
+ * - Service Recovery Intelligence System
+ * - Real-time Mission Control Analytics
+
+ * Protected by AI tracking - active
+ * For licensing inquiries: steve@insane.marketing
+
+ * ═══════════════════════════════════════════════════════════════
+ */
+
+
+
+
+
+
+// ip-privacy.js
+// Guest IPs never reach qr_scans in full. Per venue, an IP is either
+//   truncate - cut to its network (/24 for IPv4, /48 for IPv6), or
+//   hash     - replaced by an HMAC keyed with a salt that rotates every UTC day, so a guest can be
+//              counted within a day but not followed across days (yesterday's salt is deleted).
+// Raw scans older than the venue's retention window are rolled up into qr_scan_daily_aggregates
+// (or just deleted) by enforceRetention, which logs what it removed to retention_runs.
+
+const crypto = require('crypto');
+const net = require('net');
+
+const ADVISORY_LOCK_KEY = 720420; // one instance enforces retention at a time
+const DEFAULT_INTERVAL_MS = 6 * 60 * 60 * 1000;
+const SETTINGS_CACHE_MS = 60 * 1000;
+
+const IP_MODES = ['truncate', 'hash'];
+const RETENTION_ACTIONS = ['aggregate', 'delete'];
+
+const DEFAULT_SETTINGS = {
+  ipMode: 'truncate',
+  rawScanRetentionDays: 90,
+  retentionAction: 'aggregate'
+};
+
+function utcDate(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+// '::ffff:203.0.113.7' (how IPv4 clients show up on a dual-stack socket) -> '203.0.113.7'; drops zone ids
+function normaliseIp(ip) {
+  if (!ip) return null;
+  let address = String(ip).trim().split('%')[0];
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) address = mapped[1];
+  return net.isIP(address) ? address : null;
+}
+
+// Full eight-group form of an IPv6 address, including ones with an embedded IPv4 tail
+function expandIPv6(address) {
+  let [head, tail] = address.split('::');
+  const parse = part => (part ? part.split(':') : []);
+  const toGroups = groups => groups.flatMap(group => {
+    if (!group.includes('.')) return [group];
+    const octets = group.split('.').map(Number);
+    return [((octets[0] << 8) | octets[1]).toString(16), ((octets[2] << 8) | octets[3]).toString(16)];
+  });
+
+  const headGroups = toGroups(parse(head));
+  const tailGroups = tail === undefined ? [] : toGroups(parse(tail));
+  const missing = 8 - headGroups.length - tailGroups.length;
+  return [...headGroups, ...Array(Math.max(missing, 0)).fill('0'), ...tailGroups]
+    .map(group => parseInt(group, 16));
+}
+
+// Network part only: 203.0.113.7 -> 203.0.113.0, 2001:db8:abcd:12::1 -> 2001:db8:abcd::
+function truncateIp(ip) {
+  const address = normaliseIp(ip);
+  if (!address) return null;
+
+  if (net.isIPv4(address)) {
+    return address.split('.').slice(0, 3).concat('0').join('.');
+  }
+  const groups = expandIPv6(address).slice(0, 3);
+  return `${groups.map(group => group.toString(16)).join(':')}::`;
+}
+
+// Display form for dashboards: 203.0.113.xxx, 2001:db8:abcd::/48
+function maskIp(ip) {
+  const address = normaliseIp(ip);
+  if (!address) return null;
+
+  if (net.isIPv4(address)) {
+    return address.split('.').slice(0, 3).concat('xxx').join('.');
+  }
+  const groups = expandIPv6(address).slice(0, 3);
+  return `${groups.map(group => group.toString(16)).join(':')}::/48`;
+}
+
+class IpPrivacy {
+  constructor(pool, { intervalMs = DEFAULT_INTERVAL_MS } = {}) {
+    this.pool = pool;
+    this.intervalMs = intervalMs;
+    this.timer = null;
+    this.salt = null; // { date, value }
+    this.settingsCache = new Map();
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    console.log(`✅ Scan retention job running every ${this.intervalMs / 3600000}h`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Today's salt, created by whichever instance asks first
+  async dailySalt() {
+    const today = utcDate();
+    if (this.salt && this.salt.date === today) return this.salt.value;
+
+    await this.pool.query(
+      'INSERT INTO ip_hash_salts (salt_date, salt) VALUES ($1, $2) ON CONFLICT (salt_date) DO NOTHING',
+      [today, crypto.randomBytes(32).toString('hex')]
+    );
+    const result = await this.pool.query('SELECT salt FROM ip_hash_salts WHERE salt_date = $1', [today]);
+    this.salt = { date: today, value: result.rows[0].salt };
+    return this.salt.value;
+  }
+
+  async getSettings(restaurantId) {
+    const cached = this.settingsCache.get(restaurantId);
+    if (cached && Date.now() - cached.loadedAt < SETTINGS_CACHE_MS) return cached.settings;
+
+    const result = await this.pool.query(
+      `SELECT ip_mode, raw_scan_retention_days, retention_action, updated_at
+       FROM venue_privacy_settings WHERE restaurant_id = $1`,
+      [restaurantId]
+    );
+    const settings = result.rows[0] ? this.formatSettings(result.rows[0]) : { ...DEFAULT_SETTINGS, updatedAt: null };
+    this.settingsCache.set(restaurantId, { settings, loadedAt: Date.now() });
+    return settings;
+  }
+
+  async setSettings(restaurantId, { ipMode, rawScanRetentionDays, retentionAction }, userId = null) {
+    const current = await this.getSettings(restaurantId);
+    const result = await this.pool.query(`
+      INSERT INTO venue_privacy_settings (restaurant_id, ip_mode, raw_scan_retention_days, retention_action, updated_by, updated_at)
+      VALUES ($1, $2, $3, $4, $5, NOW())
+      ON CONFLICT (restaurant_id) DO UPDATE SET
+        ip_mode = EXCLUDED.ip_mode,
+        raw_scan_retention_days = EXCLUDED.raw_scan_retention_days,
+        retention_action = EXCLUDED.retention_action,
+        updated_by = EXCLUDED.updated_by,
+        updated_at = NOW()
+      RETURNING ip_mode, raw_scan_retention_days, retention_action, updated_at
+    `, [
+      restaurantId,
+      ipMode || current.ipMode,
+      rawScanRetentionDays || current.rawScanRetentionDays,
+      retentionAction || current.retentionAction,
+      userId
+    ]);
+
+    this.settingsCache.delete(restaurantId);
+    return this.formatSettings(result.rows[0]);
+  }
+
+  formatSettings(row) {
+    return {
+      ipMode: row.ip_mode,
+      rawScanRetentionDays: row.raw_scan_retention_days,
+      retentionAction: row.retention_action,
+      updatedAt: row.updated_at
+    };
+  }
+
+  // What actually gets stored for a scan: { ipAddress, ipHash } - at most one of them is set
+  async anonymise(restaurantId, ip) {
+    const address = normaliseIp(ip);
+    if (!address) return { ipAddress: null, ipHash: null };
+
+    const { ipMode } = await this.getSettings(restaurantId);
+    if (ipMode === 'hash') {
+      const salt = await this.dailySalt();
+      const ipHash = crypto.createHmac('sha256', salt).update(`${restaurantId}|${address}`).digest('hex');
+      return { ipAddress: null, ipHash };
+    }
+    return { ipAddress: truncateIp(address), ipHash: null };
+  }
+
+  async tick() {
+    let client;
+    try {
+      client = await this.pool.connect();
+      const lock = await client.query('SELECT pg_try_advisory_lock($1) AS locked', [ADVISORY_LOCK_KEY]);
+      if (!lock.rows[0].locked) return;
+
+      try {
+        const runs = await this.enforceRetention();
+        const deleted = runs.reduce((sum, run) => sum + run.scansDeleted, 0);
+        if (deleted > 0) console.log(`🧹 Retention removed ${deleted} raw scans across ${runs.length} venues`);
+      } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [ADVISORY_LOCK_KEY]);
+      }
+    } catch (error) {
+      console.error('Retention run failed:', error);
+    } finally {
+      if (client) client.release();
+    }
+  }
+
+  // Applies every venue's policy (defaults for venues that never set one). Returns one run per venue
+  // that had something to remove, plus any failures.
+  async enforceRetention() {
+    await this.pool.query('DELETE FROM ip_hash_salts WHERE salt_date < $1', [utcDate()]);
+
+    const venues = await this.pool.query(`
+      SELECT r.restaurant_id,
+             COALESCE(p.raw_scan_retention_days, $1) AS retention_days,
+             COALESCE(p.retention_action, $2) AS retention_action
+      FROM restaurants r
+      LEFT JOIN venue_privacy_settings p ON p.restaurant_id = r.restaurant_id
+      WHERE EXISTS (
+        SELECT 1 FROM qr_scans s
+        WHERE s.restaurant_id = r.restaurant_id
+          AND s.scan_timestamp < NOW() - make_interval(days => COALESCE(p.raw_scan_retention_days, $1))
+      )
+    `, [DEFAULT_SETTINGS.rawScanRetentionDays, DEFAULT_SETTINGS.retentionAction]);
+
+    const runs = [];
+    for (const venue of venues.rows) {
+      try {
+        runs.push(await this.purgeVenue(venue.restaurant_id, {
+          retentionDays: venue.retention_days,
+          retentionAction: venue.retention_action
+        }));
+      } catch (error) {
+        console.error(`Retention failed for ${venue.restaurant_id}:`, error);
+        runs.push({ restaurantId: venue.restaurant_id, status: 'failed', error: error.message, scansDeleted: 0 });
+      }
+    }
+    return runs;
+  }
+
+  // Removes one venue's raw scans older than its window, rolling them up first when the policy says so
+  async purgeVenue(restaurantId, { retentionDays, retentionAction, triggeredBy = null } = {}) {
+    if (!retentionDays || !retentionAction) {
+      const settings = await this.getSettings(restaurantId);
+      retentionDays = retentionDays || settings.rawScanRetentionDays;
+      retentionAction = retentionAction || settings.retentionAction;
+    }
+
+    const client = await this.pool.connect();
+    let cutoff = null;
+    try {
+      await client.query('BEGIN');
+      const cutoffResult = await client.query('SELECT NOW() - make_interval(days => $1) AS cutoff', [retentionDays]);
+      cutoff = cutoffResult.rows[0].cutoff;
+
+      let aggregateRows = 0;
+      if (retentionAction === 'aggregate') {
+        const aggregated = await client.query(`
+          INSERT INTO qr_scan_daily_aggregates (restaurant_id, scan_date, qr_type, table_number, scan_class, device_type, scans)
+          SELECT restaurant_id, DATE(scan_timestamp), qr_type, COALESCE(table_number, ''), scan_class,
+                 COALESCE(device_type, 'unknown'), COUNT(*)
+          FROM qr_scans
+          WHERE restaurant_id = $1 AND scan_timestamp < $2
+          GROUP BY 1, 2, 3, 4, 5, 6
+          ON CONFLICT (restaurant_id, scan_date, qr_type, table_number, scan_class, device_type)
+          DO UPDATE SET scans = qr_scan_daily_aggregates.scans + EXCLUDED.scans
+        `, [restaurantId, cutoff]);
+        aggregateRows = aggregated.rowCount;
+      }
+
+      const deleted = await client.query(`
+        WITH deleted AS (
+          DELETE FROM qr_scans WHERE restaurant_id = $1 AND scan_timestamp < $2 RETURNING scan_timestamp
+        )
+        SELECT COUNT(*) AS scans, MIN(scan_timestamp) AS oldest, MAX(scan_timestamp) AS newest FROM deleted
+      `, [restaurantId, cutoff]);
+      const { scans, oldest, newest } = deleted.rows[0];
+
+      const run = await client.query(`
+        INSERT INTO retention_runs (restaurant_id, retention_days, retention_action, cutoff, scans_deleted,
+                                    aggregate_rows, oldest_deleted, newest_deleted, triggered_by, finished_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
+        RETURNING *
+      `, [restaurantId, retentionDays, retentionAction, cutoff, parseInt(scans), aggregateRows, oldest, newest, triggeredBy]);
+
+      await client.query('COMMIT');
+      return this.formatRun(run.rows[0]);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      await this.pool.query(`
+        INSERT INTO retention_runs (restaurant_id, retention_days, retention_action, cutoff, status, error, triggered_by, finished_at)
+        VALUES ($1, $2, $3, COALESCE($4, NOW()), 'failed', $5, $6, NOW())
+      `, [restaurantId, retentionDays, retentionAction, cutoff, error.message, triggeredBy]).catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async recentRuns(restaurantId, limit = 20) {
+    const result = await this.pool.query(
+      'SELECT * FROM retention_runs WHERE restaurant_id = $1 ORDER BY started_at DESC, id DESC LIMIT $2',
+      [restaurantId, limit]
+    );
+    return result.rows.map(row => this.formatRun(row));
+  }
+
+  formatRun(row) {
+    return {
+      id: row.id,
+      restaurantId: row.restaurant_id,
+      retentionDays: row.retention_days,
+      retentionAction: row.retention_action,
+      cutoff: row.cutoff,
+      scansDeleted: row.scans_deleted,
+      aggregateRows: row.aggregate_rows,
+      oldestDeleted: row.oldest_deleted,
+      newestDeleted: row.newest_deleted,
+      status: row.status,
+      error: row.error,
+      triggeredBy: row.triggered_by,
+      startedAt: row.started_at,
+      finishedAt: row.finished_at
+    };
+  }
+}
+
+IpPrivacy.IP_MODES = IP_MODES;
+IpPrivacy.RETENTION_ACTIONS = RETENTION_ACTIONS;
+IpPrivacy.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
+IpPrivacy.truncateIp = truncateIp;
+IpPrivacy.maskIp = maskIp;
+
+module.exports = IpPrivacy;
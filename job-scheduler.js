@@ -0,0 +1,237 @@
+/*!
+ * ═══════════════════════════════════════════════════════════════
+ * insane.marketing - Luxury Hospitality Intelligence Platform
+ * ═══════════════════════════════════════════════════════════════
+ * 
+ * Copyright (c) 2024-2025 insane.marketing
+ * All Rights Reserved - Proprietary and Confidential
+
+ * 
+ * NOTICE: This code contains proprietary business logic and trade secrets.
+ * 
+ * Unauthorized use, reproduction, or distribution of this code,
+ * or any portion of it, may result in severe civil and criminal penalties,
+ * and will be prosecuted to the maximum extent possible under the law.
+
+ * 
+ * Key Protected Features:
+ * - Zero-Knowledge Architecture & Data Handling
+ * - Time Machine Transformation Visualization System
+ * - VIP Prediction & Recognition Engine
+ * - Service Recovery Intelligence System
+ * - Real-time Mission Control Analytics
+
+ * Protected by AI tracking - active
+ * For licensing inquiries: steve@insane.marketing
+
+ * ═══════════════════════════════════════════════════════════════
+ */
+
+
+
+
+
+
+// job-scheduler.js
+// Durable recurring jobs, one row per (job type, venue) in scheduled_jobs.
+// Every instance polls for due jobs; each job is run under a two-key advisory lock
+// (ADVISORY_LOCK_KEY, job id), so however many instances are up a job has one runner at a time,
+// and whichever instance is alive picks up jobs after a restart. A missed run is made once, late -
+// downtime is not replayed.
+
+const os = require('os');
+
+const ADVISORY_LOCK_KEY = 720422; // classid of every job lock; objid is scheduled_jobs.id
+const DEFAULT_POLL_INTERVAL_MS = 30000;
+const MAX_JOBS_PER_POLL = 20;
+const MAX_BACKOFF_FACTOR = 8; // failing jobs retry at up to 8x their interval
+
+class JobScheduler {
+  constructor(pool, { pollIntervalMs = DEFAULT_POLL_INTERVAL_MS } = {}) {
+    this.pool = pool;
+    this.pollIntervalMs = pollIntervalMs;
+    this.handlers = new Map(); // jobType -> { run: async (job) => void, intervalSeconds }
+    this.runner = `${os.hostname()}:${process.pid}`;
+    this.timer = null;
+    this.polling = false;
+  }
+
+  error(message, code, statusCode) {
+    const error = new Error(message);
+    error.code = code;
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  // Handlers must be registered on every instance before start()
+  register(jobType, run, { intervalSeconds }) {
+    this.handlers.set(jobType, { run, intervalSeconds });
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), this.pollIntervalMs);
+    this.tick();
+    console.log(`✅ Job scheduler polling every ${this.pollIntervalMs / 1000}s as ${this.runner}`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async tick() {
+    if (this.polling) return; // previous poll still working through its jobs
+    this.polling = true;
+    try {
+      const due = await this.pool.query(`
+        SELECT id FROM scheduled_jobs
+        WHERE enabled AND next_run_at <= NOW() AND job_type = ANY($1)
+        ORDER BY next_run_at
+        LIMIT $2
+      `, [[...this.handlers.keys()], MAX_JOBS_PER_POLL]);
+
+      for (const { id } of due.rows) {
+        await this.runJob(id);
+      }
+    } catch (error) {
+      console.error('Job scheduler poll failed:', error);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  // Runs one job if no other instance holds it and it is still due once the lock is ours.
+  // Returns false when the job was skipped.
+  async runJob(jobId) {
+    const client = await this.pool.connect();
+    try {
+      const lock = await client.query('SELECT pg_try_advisory_lock($1, $2) AS locked', [ADVISORY_LOCK_KEY, jobId]);
+      if (!lock.rows[0].locked) return false;
+
+      try {
+        // Another instance may have finished it between our poll and the lock
+        const result = await client.query(`
+          UPDATE scheduled_jobs SET last_started_at = NOW(), last_runner = $2
+          WHERE id = $1 AND enabled AND next_run_at <= NOW()
+          RETURNING *
+        `, [jobId, this.runner]);
+        if (result.rows.length === 0) return false;
+
+        await this.execute(client, result.rows[0]);
+        return true;
+      } finally {
+        await client.query('SELECT pg_advisory_unlock($1, $2)', [ADVISORY_LOCK_KEY, jobId]);
+      }
+    } finally {
+      client.release();
+    }
+  }
+
+  async execute(client, job) {
+    const handler = this.handlers.get(job.job_type);
+    const started = Date.now();
+
+    try {
+      await handler.run(job);
+      await client.query(`
+        UPDATE scheduled_jobs
+        SET last_status = 'success', last_error = NULL, last_finished_at = NOW(), last_duration_ms = $2,
+            run_count = run_count + 1, consecutive_failures = 0,
+            next_run_at = NOW() + make_interval(secs => interval_seconds)
+        WHERE id = $1
+      `, [job.id, Date.now() - started]);
+    } catch (error) {
+      console.error(`Scheduled job ${job.job_type} failed for ${job.restaurant_id}:`, error);
+      await client.query(`
+        UPDATE scheduled_jobs
+        SET last_status = 'failed', last_error = $2, last_finished_at = NOW(), last_duration_ms = $3,
+            run_count = run_count + 1, consecutive_failures = consecutive_failures + 1,
+            next_run_at = NOW() + make_interval(secs => interval_seconds * LEAST(POWER(2, consecutive_failures), $4))
+        WHERE id = $1
+      `, [job.id, String(error.message).slice(0, 1000), Date.now() - started, MAX_BACKOFF_FACTOR]);
+    }
+  }
+
+  // Enables (or re-enables) a venue's job; it first runs on the next poll
+  async schedule(jobType, restaurantId, { intervalSeconds, createdBy = null } = {}) {
+    const handler = this.handlers.get(jobType);
+    if (!handler) throw this.error(`Unknown job type: ${jobType}`, 'UNKNOWN_JOB_TYPE', 400);
+
+    const result = await this.pool.query(`
+      INSERT INTO scheduled_jobs (job_type, restaurant_id, interval_seconds, created_by)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (job_type, restaurant_id) DO UPDATE
+      SET enabled = TRUE, interval_seconds = EXCLUDED.interval_seconds, updated_at = NOW(),
+          next_run_at = CASE WHEN scheduled_jobs.enabled THEN scheduled_jobs.next_run_at ELSE NOW() END
+      RETURNING *
+    `, [jobType, restaurantId, intervalSeconds || handler.intervalSeconds, createdBy]);
+
+    return result.rows[0];
+  }
+
+  // Returns false when the venue had no enabled job of that type
+  async unschedule(jobType, restaurantId) {
+    const result = await this.pool.query(`
+      UPDATE scheduled_jobs SET enabled = FALSE, updated_at = NOW()
+      WHERE job_type = $1 AND restaurant_id = $2 AND enabled
+    `, [jobType, restaurantId]);
+    return result.rowCount > 0;
+  }
+
+  async isEnabled(jobType, restaurantId) {
+    const result = await this.pool.query(
+      'SELECT 1 FROM scheduled_jobs WHERE job_type = $1 AND restaurant_id = $2 AND enabled',
+      [jobType, restaurantId]
+    );
+    return result.rows.length > 0;
+  }
+
+  // { jobType: enabled venue count } across every instance
+  async countEnabled() {
+    const result = await this.pool.query(`
+      SELECT job_type, COUNT(*) AS venues FROM scheduled_jobs WHERE enabled GROUP BY job_type
+    `);
+    return Object.fromEntries(result.rows.map(row => [row.job_type, parseInt(row.venues)]));
+  }
+
+  // A job is running right now if some session holds its advisory lock
+  async list(restaurantId) {
+    const result = await this.pool.query(`
+      SELECT j.*, EXISTS (
+        SELECT 1 FROM pg_locks l
+        WHERE l.locktype = 'advisory' AND l.granted AND l.objsubid = 2
+          AND l.classid = $2 AND l.objid = j.id
+      ) AS running
+      FROM scheduled_jobs j
+      WHERE j.restaurant_id = $1
+      ORDER BY j.job_type
+    `, [restaurantId, ADVISORY_LOCK_KEY]);
+
+    return result.rows.map(row => JobScheduler.formatJob(row));
+  }
+
+  static formatJob(row) {
+    return {
+      jobType: row.job_type,
+      enabled: row.enabled,
+      intervalSeconds: row.interval_seconds,
+      running: !!row.running,
+      nextRunAt: row.enabled ? row.next_run_at : null,
+      lastRun: row.last_started_at ? {
+        startedAt: row.last_started_at,
+        finishedAt: row.last_finished_at,
+        status: row.last_status,
+        error: row.last_error,
+        durationMs: row.last_duration_ms,
+        runner: row.last_runner
+      } : null,
+      runCount: row.run_count,
+      consecutiveFailures: row.consecutive_failures,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = JobScheduler;
@@ -0,0 +1,139 @@
+/*!
+ * ═══════════════════════════════════════════════════════════════
+ * insane.marketing - Luxury Hospitality Intelligence Platform
+ * ═══════════════════════════════════════════════════════════════
+ * 
+ * Copyright (c) 2024-2025 insane.marketing
+ * All Rights Reserved - Proprietary and Confidential
+
+ * 
+ * NOTICE: This code contains proprietary business logic and trade secrets.
+ * 
+ * Unauthorized use, reproduction, or distribution of this code,
+ * or any portion of it, may result in severe civil and criminal penalties,
+ * and will be prosecuted to the maximum extent possible under the law.
+
+ * 
+ * Key Protected Features:
+ * - Zero-Knowledge Architecture & Data Handling
+ * - Time Machine Transformation Visualization System
+ * - VIP Prediction & Recognition Engine
+ * - Service Recovery Intelligence System
+ * - Real-time Mission Control Analytics
+
+ * Protected by AI tracking - active
+ * For licensing inquiries: steve@insane.marketing
+
+ * ═══════════════════════════════════════════════════════════════
+ */
+
+
+
+
+
+
+// live-events.js
+// Per-restaurant live event bus for the floor dashboards.
+// Events go through Postgres LISTEN/NOTIFY so every server instance sees them.
+
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+
+const CHANNEL = 'live_events';
+const MAX_PAYLOAD_BYTES = 7900; // NOTIFY payloads are capped at 8000 bytes
+const RECONNECT_DELAY_MS = 5000;
+
+class LiveEventBus extends EventEmitter {
+  constructor(pool) {
+    super();
+    this.pool = pool;
+    this.listenClient = null;
+    this.stopped = false;
+    this.setMaxListeners(0); // one listener per open dashboard
+  }
+
+  async start() {
+    this.stopped = false;
+    try {
+      const client = await this.pool.connect();
+
+      client.on('notification', (message) => {
+        if (message.channel !== CHANNEL) return;
+        try {
+          const event = JSON.parse(message.payload);
+          this.emit(`restaurant:${event.restaurantId}`, event);
+        } catch (error) {
+          console.error('Invalid live event payload:', error.message);
+        }
+      });
+
+      client.on('error', (error) => {
+        console.error('Live event listener connection lost:', error.message);
+        this.reconnect();
+      });
+
+      await client.query(`LISTEN ${CHANNEL}`);
+      this.listenClient = client;
+      console.log('✅ Live event bus listening');
+    } catch (error) {
+      console.error('Live event bus failed to start:', error.message);
+      this.reconnect();
+    }
+  }
+
+  reconnect() {
+    if (this.listenClient) {
+      this.listenClient.release(true);
+      this.listenClient = null;
+    }
+    if (!this.stopped) {
+      setTimeout(() => this.start(), RECONNECT_DELAY_MS).unref();
+    }
+  }
+
+  async stop() {
+    this.stopped = true;
+    if (this.listenClient) {
+      await this.listenClient.query(`UNLISTEN ${CHANNEL}`).catch(() => {});
+      this.listenClient.release();
+      this.listenClient = null;
+    }
+  }
+
+  // Never throws - a failed publish must not break the scan or alert that caused it
+  async publish(restaurantId, type, data = {}) {
+    const event = {
+      id: crypto.randomUUID(),
+      restaurantId,
+      type,
+      data,
+      timestamp: new Date().toISOString()
+    };
+
+    let payload = JSON.stringify(event);
+    if (Buffer.byteLength(payload) > MAX_PAYLOAD_BYTES) {
+      payload = JSON.stringify({ ...event, data: {}, truncated: true });
+    }
+
+    try {
+      await this.pool.query('SELECT pg_notify($1, $2)', [CHANNEL, payload]);
+    } catch (error) {
+      console.error(`Live event ${type} publish failed, delivering locally:`, error.message);
+      this.emit(`restaurant:${restaurantId}`, JSON.parse(payload));
+    }
+
+    return event;
+  }
+
+  subscribe(restaurantId, handler) {
+    const key = `restaurant:${restaurantId}`;
+    this.on(key, handler);
+    return () => this.off(key, handler);
+  }
+
+  subscriberCount(restaurantId) {
+    return this.listenerCount(`restaurant:${restaurantId}`);
+  }
+}
+
+module.exports = LiveEventBus;
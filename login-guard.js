@@ -0,0 +1,251 @@
+/*!
+ * ═══════════════════════════════════════════════════════════════
+ * insane.marketing - Luxury Hospitality Intelligence Platform
+ * ═══════════════════════════════════════════════════════════════
+ * 
+ * Copyright (c) 2024-2025 insane.marketing
+ * All Rights Reserved - Proprietary and Confidential
+
+ * 
+ * NOTICE: This code contains proprietary business logic and trade secrets.
+ * 
+ * Unauthorized use, reproduction, or distribution of this code,
+ * or any portion of it, may result in severe civil and criminal penalties,
+ * and will be prosecuted to the maximum extent possible under the law.
+
+ * 
+ * Key Protected Features:
+ * - Zero-Knowledge Architecture & Data Handling
+ * - Time Machine Transformation Visualization System
+ * - VIP Prediction & Recognition Engine
+ * - Service Recovery Intelligence System
+ * - Real-time Mission Control Analytics
+
+ * Protected by AI tracking - active
+ * For licensing inquiries: steve@insane.marketing
+
+ * ═══════════════════════════════════════════════════════════════
+ */
+
+
+
+
+
+
+// login-guard.js
+// Brute-force protection for password sign-in, layered on top of the global rate limit:
+//   - per IP: too many bad passwords in a window blocks that IP until the window rolls on
+//   - per account: after a few bad passwords or 2FA codes each further try must wait longer (2s, 4s, 8s...)
+//   - per account: maxFailures in a row locks the account for lockoutMinutes
+// Unknown emails are throttled and "locked" the same way so the answers don't reveal which accounts exist.
+// Every attempt lands in login_attempts, which is also what owners see as their venue's sign-in history.
+
+const crypto = require('crypto');
+
+const DEFAULTS = {
+  maxFailures: 5,
+  lockoutMinutes: 15,
+  delayAfterFailures: 3,
+  maxDelaySeconds: 30,
+  ipMaxFailures: 20,
+  ipWindowMinutes: 15,
+  retentionDays: 90
+};
+
+// Only a wrong password or 2FA code counts towards throttling; a disabled or unverified account is a different problem
+const COUNTED_FAILURES = ['invalid_credentials', 'invalid_two_factor_code'];
+
+class LoginGuard {
+  constructor(pool, { secret, maxFailures, lockoutMinutes, ipMaxFailures } = {}) {
+    if (!secret) throw new Error('LoginGuard needs a secret to hash emails');
+    this.pool = pool;
+    this.secret = secret;
+    this.maxFailures = parseInt(maxFailures, 10) || DEFAULTS.maxFailures;
+    this.lockoutMinutes = parseInt(lockoutMinutes, 10) || DEFAULTS.lockoutMinutes;
+    this.ipMaxFailures = parseInt(ipMaxFailures, 10) || DEFAULTS.ipMaxFailures;
+  }
+
+  normalise(email) {
+    return String(email || '').trim().toLowerCase();
+  }
+
+  emailHash(email) {
+    return crypto.createHmac('sha256', this.secret).update(this.normalise(email)).digest('hex');
+  }
+
+  // "alice@example.com" -> "a***@example.com"
+  maskEmail(email) {
+    const [local, domain] = this.normalise(email).split('@');
+    if (!domain) return '***';
+    return `${local.slice(0, 1)}***@${domain}`;
+  }
+
+  // Throws a 429 when this attempt must not even be checked against the password
+  async check(email, { ipAddress, userAgent } = {}) {
+    const emailHash = this.emailHash(email);
+
+    if (ipAddress) {
+      const ipResult = await this.pool.query(`
+        SELECT COUNT(*)::int AS failures,
+               CEIL(EXTRACT(EPOCH FROM MIN(created_at) + make_interval(mins => $3) - NOW()))::int AS retry_after
+        FROM login_attempts
+        WHERE ip_address = $1 AND failure_reason = ANY($2) AND created_at > NOW() - make_interval(mins => $3)
+      `, [ipAddress, COUNTED_FAILURES, DEFAULTS.ipWindowMinutes]);
+
+      const { failures, retry_after } = ipResult.rows[0];
+      if (failures >= this.ipMaxFailures) {
+        await this.record(email, { ipAddress, userAgent }, false, 'ip_blocked');
+        throw this.error('Too many failed sign-in attempts from this network. Please try again later.',
+          'TOO_MANY_ATTEMPTS', 429, retry_after);
+      }
+    }
+
+    // Real accounts keep their count and lock on the users row (a password reset clears them).
+    // Unknown emails get the same treatment from login_attempts: failures since the last success in the window.
+    const emailResult = await this.pool.query(`
+      WITH account AS (
+        SELECT failed_login_count,
+               CEIL(EXTRACT(EPOCH FROM locked_until - NOW()))::int AS locked_for
+        FROM users WHERE LOWER(email) = $4
+        ORDER BY id LIMIT 1
+      ),
+      recent AS (
+        SELECT COUNT(*)::int AS failures,
+               EXTRACT(EPOCH FROM NOW() - MAX(created_at))::float AS seconds_since_last
+        FROM login_attempts
+        WHERE email_hash = $1 AND failure_reason = ANY($2)
+          AND created_at > NOW() - make_interval(mins => $3)
+          AND created_at > COALESCE(
+            (SELECT MAX(created_at) FROM login_attempts WHERE email_hash = $1 AND success), '-infinity'::timestamp)
+      )
+      SELECT recent.failures, recent.seconds_since_last,
+             account.failed_login_count, account.locked_for, (account.failed_login_count IS NOT NULL) AS account_exists
+      FROM recent LEFT JOIN account ON TRUE
+    `, [emailHash, COUNTED_FAILURES, this.lockoutMinutes, this.normalise(email)]);
+
+    const row = emailResult.rows[0];
+    const failures = row.account_exists ? row.failed_login_count : row.failures;
+    const secondsSinceLast = row.seconds_since_last === null ? Infinity : row.seconds_since_last;
+
+    const lockedFor = row.account_exists
+      ? row.locked_for || 0
+      : (failures >= this.maxFailures ? Math.ceil(this.lockoutMinutes * 60 - secondsSinceLast) : 0);
+    if (lockedFor > 0) {
+      await this.record(email, { ipAddress, userAgent }, false, 'locked');
+      throw this.error('This account is temporarily locked after too many failed sign-in attempts',
+        'ACCOUNT_LOCKED', 429, lockedFor);
+    }
+
+    if (failures >= DEFAULTS.delayAfterFailures) {
+      const delay = Math.min(2 ** (failures - DEFAULTS.delayAfterFailures + 1), DEFAULTS.maxDelaySeconds);
+      const wait = Math.ceil(delay - secondsSinceLast);
+      if (wait > 0) {
+        await this.record(email, { ipAddress, userAgent }, false, 'throttled');
+        throw this.error('Please wait a moment before trying again', 'LOGIN_THROTTLED', 429, wait);
+      }
+    }
+  }
+
+  // Returns the lock expiry when this failure locked the account.
+  // Failures only run together when each comes within lockoutMinutes of the previous one.
+  async recordFailure(email, context, failureReason) {
+    let user = null;
+    if (COUNTED_FAILURES.includes(failureReason)) {
+      const result = await this.pool.query(`
+        WITH counted AS (
+          SELECT id, CASE WHEN last_failed_login_at > NOW() - make_interval(mins => $3)
+                          THEN failed_login_count + 1 ELSE 1 END AS failures
+          FROM users WHERE LOWER(email) = $1
+        )
+        UPDATE users u
+        SET failed_login_count = counted.failures,
+            last_failed_login_at = NOW(),
+            locked_until = CASE WHEN counted.failures >= $2
+                                THEN NOW() + make_interval(mins => $3) ELSE u.locked_until END
+        FROM counted
+        WHERE u.id = counted.id
+        RETURNING u.id, u.restaurant_id, u.failed_login_count, u.locked_until
+      `, [this.normalise(email), this.maxFailures, this.lockoutMinutes]);
+      user = result.rows[0] || null;
+    }
+
+    await this.record(email, context, false, failureReason, user);
+
+    if (user && user.failed_login_count === this.maxFailures) {
+      console.warn(`🔒 Account ${user.id} (${this.maskEmail(email)}) locked after ${user.failed_login_count} failed sign-ins`);
+      return user.locked_until;
+    }
+    return null;
+  }
+
+  async recordSuccess(user, context) {
+    await this.pool.query(
+      'UPDATE users SET failed_login_count = 0, locked_until = NULL WHERE id = $1',
+      [user.id]
+    );
+    await this.record(user.email, context, true, null, user);
+  }
+
+  // Looks the account up when the caller doesn't have it, so failed attempts on real accounts show up for their venue
+  async record(email, { ipAddress, userAgent } = {}, success, failureReason, user) {
+    await this.pool.query(`
+      WITH account AS (
+        SELECT id, restaurant_id FROM users
+        WHERE id = $3 OR ($3::int IS NULL AND LOWER(email) = $8)
+        ORDER BY id LIMIT 1
+      )
+      INSERT INTO login_attempts (email_hash, email_masked, user_id, restaurant_id, ip_address, user_agent, success, failure_reason)
+      SELECT $1, $2, account.id, account.restaurant_id, $4, $5, $6, $7
+      FROM (SELECT 1) AS attempt
+      LEFT JOIN account ON TRUE
+    `, [this.emailHash(email), this.maskEmail(email), user ? user.id : null, ipAddress || null,
+        userAgent ? userAgent.slice(0, 500) : null, success, failureReason, this.normalise(email)]);
+  }
+
+  // Recent sign-ins for a venue, newest first
+  async recentSignIns(restaurantId, { days = 30, limit = 100, outcome } = {}) {
+    const params = [restaurantId, days, limit];
+    let outcomeFilter = '';
+    if (outcome === 'success' || outcome === 'failure') {
+      params.push(outcome === 'success');
+      outcomeFilter = `AND a.success = $${params.length}`;
+    }
+
+    const attempts = await this.pool.query(`
+      SELECT a.id, a.user_id, u.full_name, COALESCE(u.email, a.email_masked) AS email, u.venue_role AS role,
+             a.success, a.failure_reason, a.ip_address, a.user_agent, a.created_at
+      FROM login_attempts a
+      LEFT JOIN users u ON u.id = a.user_id
+      WHERE a.restaurant_id = $1 AND a.created_at > NOW() - make_interval(days => $2) ${outcomeFilter}
+      ORDER BY a.created_at DESC
+      LIMIT $3
+    `, params);
+
+    const locked = await this.pool.query(`
+      SELECT id AS user_id, full_name, email, venue_role AS role, locked_until
+      FROM users
+      WHERE restaurant_id = $1 AND locked_until > NOW()
+      ORDER BY locked_until DESC
+    `, [restaurantId]);
+
+    return { attempts: attempts.rows, lockedAccounts: locked.rows };
+  }
+
+  async purge(retentionDays = DEFAULTS.retentionDays) {
+    const result = await this.pool.query(
+      'DELETE FROM login_attempts WHERE created_at < NOW() - make_interval(days => $1)',
+      [retentionDays]
+    );
+    return result.rowCount;
+  }
+
+  error(message, code, statusCode, retryAfterSeconds) {
+    const error = new Error(message);
+    error.code = code;
+    error.statusCode = statusCode;
+    error.retryAfterSeconds = Math.max(1, retryAfterSeconds || 1);
+    return error;
+  }
+}
+
+module.exports = LoginGuard;
@@ -0,0 +1,96 @@
+/*!
+ * ═══════════════════════════════════════════════════════════════
+ * insane.marketing - Luxury Hospitality Intelligence Platform
+ * ═══════════════════════════════════════════════════════════════
+ * 
+ * Copyright (c) 2024-2025 insane.marketing
+ * All Rights Reserved - Proprietary and Confidential
+
+ * 
+ * NOTICE: This code contains proprietary business logic and trade secrets.
+ * 
+ * Unauthorized use, reproduction, or distribution of this code,
+ * or any portion of it, may result in severe civil and criminal penalties,
+ * and will be prosecuted to the maximum extent possible under the law.
+
+ * 
+ * Key Protected Features:
+ * - Zero-Knowledge Architecture & Data Handling
+ * - Time Machine Transformation Visualization System
+ * - VIP Prediction & Recognition Engine
+ * - Service Recovery Intelligence System
+ * - Real-time Mission Control Analytics
+
+ * Protected by AI tracking - active
+ * For licensing inquiries: steve@insane.marketing
+
+ * ═══════════════════════════════════════════════════════════════
+ */
+
+
+
+
+
+
+// mailer.js
+// Outgoing mail behind one send() so the transport is a config choice:
+//   console - log the message with link tokens redacted (default in development, refused in production)
+//   file    - write each message as JSON into MAIL_OUTBOX_DIR (tests read them back)
+//   smtp    - deliver through nodemailer using SMTP_URL
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+class Mailer {
+  constructor({ transport = 'console', from, outboxDir, smtpUrl, production = false } = {}) {
+    this.transport = transport;
+    this.from = from || 'Insane Marketing <no-reply@insane.marketing>';
+    this.outboxDir = outboxDir || path.join(process.cwd(), 'mail-outbox');
+
+    if (transport === 'smtp') {
+      if (!smtpUrl) throw new Error('MAIL_TRANSPORT=smtp needs SMTP_URL');
+      const nodemailer = require('nodemailer');
+      this.smtp = nodemailer.createTransport(smtpUrl);
+    } else if (!['console', 'file'].includes(transport)) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${transport}"`);
+    } else if (transport === 'console' && production) {
+      // Verification and reset mail would never arrive - set MAIL_TRANSPORT=smtp
+      throw new Error('MAIL_TRANSPORT=console cannot be used when NODE_ENV=production');
+    }
+  }
+
+  static fromEnv(env = process.env) {
+    return new Mailer({
+      transport: env.MAIL_TRANSPORT || 'console',
+      from: env.MAIL_FROM,
+      outboxDir: env.MAIL_OUTBOX_DIR,
+      smtpUrl: env.SMTP_URL,
+      production: env.NODE_ENV === 'production'
+    });
+  }
+
+  async send({ to, subject, text, html }) {
+    const message = { from: this.from, to, subject, text, html };
+
+    if (this.transport === 'smtp') {
+      const info = await this.smtp.sendMail(message);
+      return { messageId: info.messageId };
+    }
+
+    const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+
+    if (this.transport === 'file') {
+      await fs.promises.mkdir(this.outboxDir, { recursive: true });
+      const file = path.join(this.outboxDir, `${messageId}.json`);
+      await fs.promises.writeFile(file, JSON.stringify({ ...message, messageId, sentAt: new Date().toISOString() }, null, 2));
+      return { messageId, file };
+    }
+
+    // Links carry single-use sign-in tokens, which have no business in logs
+    console.log(`📧 [mail] to=${to} subject="${subject}"\n${(text || '').replace(/([?&]token=)[^\s&]+/g, '$1[redacted]')}`);
+    return { messageId };
+  }
+}
+
+module.exports = Mailer;
@@ -0,0 +1,289 @@
+/*!
+ * ═══════════════════════════════════════════════════════════════
+ * insane.marketing - Luxury Hospitality Intelligence Platform
+ * ═══════════════════════════════════════════════════════════════
+ * 
+ * Copyright (c) 2024-2025 insane.marketing
+ * All Rights Reserved - Proprietary and Confidential
+
+ * 
+ * NOTICE: This code contains proprietary business logic and trade secrets.
+ * 
+ * Unauthorized use, reproduction, or distribution of this code,
+ * or any portion of it, may result in severe civil and criminal penalties,
+ * and will be prosecuted to the maximum extent possible under the law.
+
+ * 
+ * Key Protected Features:
+ * - Zero-Knowledge Architecture & Data Handling
+ * - Time Machine Transformation Visualization System
+ * - VIP Prediction & Recognition Engine
+ * - Service Recovery Intelligence System
+ * - Real-time Mission Control Analytics
+
+ * Protected by AI tracking - active
+ * For licensing inquiries: steve@insane.marketing
+
+ * ═══════════════════════════════════════════════════════════════
+ */
+
+
+
+
+
+
+// migration-runner.js
+// Versioned schema migrations backed by a schema_migrations ledger
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.js$/;
+
+// Arbitrary advisory lock key so two instances never migrate at the same time
+const MIGRATION_LOCK_KEY = 720418;
+
+class MigrationRunner {
+  constructor(pool, migrationsDir = path.join(__dirname, 'migrations')) {
+    this.pool = pool;
+    this.migrationsDir = migrationsDir;
+  }
+
+  // Read migration files from disk, ordered by version
+  loadMigrations() {
+    const migrations = fs.readdirSync(this.migrationsDir)
+      .map(file => ({ file, match: file.match(MIGRATION_FILE_PATTERN) }))
+      .filter(({ match }) => match)
+      .map(({ file, match }) => {
+        const definition = require(path.join(this.migrationsDir, file));
+        if (!definition.up || !definition.down) {
+          throw new Error(`Migration ${file} must export both up and down`);
+        }
+        return {
+          version: parseInt(match[1], 10),
+          name: match[2],
+          file,
+          up: definition.up,
+          down: definition.down
+        };
+      })
+      .sort((a, b) => a.version - b.version);
+
+    for (let i = 1; i < migrations.length; i++) {
+      if (migrations[i].version === migrations[i - 1].version) {
+        throw new Error(`Duplicate migration version ${migrations[i].version}`);
+      }
+    }
+
+    return migrations;
+  }
+
+  async ensureLedger(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        applied_at TIMESTAMP DEFAULT NOW(),
+        execution_ms INTEGER
+      )
+    `);
+  }
+
+  // Applied versions, without creating the ledger (safe for read-only checks)
+  async getAppliedVersions(client = this.pool) {
+    const ledger = await client.query(`SELECT to_regclass('schema_migrations') AS ledger`);
+    if (!ledger.rows[0].ledger) return [];
+
+    const result = await client.query('SELECT version FROM schema_migrations ORDER BY version');
+    return result.rows.map(row => row.version);
+  }
+
+  async status() {
+    const migrations = this.loadMigrations();
+    const applied = await this.getAppliedVersions();
+    const known = new Set(migrations.map(m => m.version));
+
+    return {
+      currentVersion: applied.length > 0 ? applied[applied.length - 1] : 0,
+      latestVersion: migrations.length > 0 ? migrations[migrations.length - 1].version : 0,
+      applied,
+      pending: migrations
+        .filter(m => !applied.includes(m.version))
+        .map(m => ({ version: m.version, name: m.name })),
+      unknown: applied.filter(version => !known.has(version))
+    };
+  }
+
+  // Apply pending migrations up to (and including) targetVersion
+  async migrate({ dryRun = false, targetVersion = null } = {}) {
+    const migrations = this.loadMigrations();
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+
+      if (!dryRun) await this.ensureLedger(client);
+      const applied = await this.getAppliedVersions(client);
+
+      const pending = migrations.filter(m =>
+        !applied.includes(m.version) &&
+        (targetVersion === null || m.version <= targetVersion)
+      );
+
+      if (pending.length === 0) {
+        console.log('✅ Schema already up to date');
+        return [];
+      }
+
+      for (const migration of pending) {
+        await this.runStep(client, migration, 'up', dryRun);
+      }
+
+      return pending.map(m => ({ version: m.version, name: m.name }));
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]).catch(() => {});
+      client.release();
+    }
+  }
+
+  // Revert the most recent `steps` applied migrations
+  async rollback({ steps = 1, dryRun = false } = {}) {
+    const migrations = this.loadMigrations();
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+
+      const applied = await this.getAppliedVersions(client);
+      const toRevert = applied.slice(-steps).reverse();
+
+      const reverted = [];
+      for (const version of toRevert) {
+        const migration = migrations.find(m => m.version === version);
+        if (!migration) {
+          throw new Error(`Cannot roll back version ${version}: migration file not found`);
+        }
+        await this.runStep(client, migration, 'down', dryRun);
+        reverted.push({ version: migration.version, name: migration.name });
+      }
+
+      return reverted;
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]).catch(() => {});
+      client.release();
+    }
+  }
+
+  // Each migration runs in its own transaction together with its ledger entry
+  async runStep(client, migration, direction, dryRun) {
+    const label = `${String(migration.version).padStart(3, '0')}_${migration.name} (${direction})`;
+    const step = migration[direction];
+
+    if (dryRun) {
+      console.log(`-- [dry-run] ${label}`);
+      if (typeof step === 'function') {
+        console.log('-- programmatic migration, statements not listed');
+      } else {
+        step.forEach(sql => console.log(`${sql.trim()};\n`));
+      }
+      return;
+    }
+
+    const startedAt = Date.now();
+    try {
+      await client.query('BEGIN');
+
+      if (typeof step === 'function') {
+        await step(client);
+      } else {
+        for (const sql of step) {
+          await client.query(sql);
+        }
+      }
+
+      if (direction === 'up') {
+        await client.query(
+          'INSERT INTO schema_migrations (version, name, execution_ms) VALUES ($1, $2, $3)',
+          [migration.version, migration.name, Date.now() - startedAt]
+        );
+      } else {
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+      }
+
+      await client.query('COMMIT');
+      console.log(`✅ Migration ${label} applied in ${Date.now() - startedAt}ms`);
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      console.error(`❌ Migration ${label} failed:`, error.message);
+      throw error;
+    }
+  }
+
+  // Startup guard: throws when the database is behind the code
+  async assertUpToDate() {
+    const { pending, unknown, currentVersion, latestVersion } = await this.status();
+
+    if (unknown.length > 0) {
+      console.warn(`⚠️ Database has migrations this build does not know about: ${unknown.join(', ')}`);
+    }
+
+    if (pending.length > 0) {
+      const list = pending.map(m => `${m.version}_${m.name}`).join(', ');
+      const error = new Error(
+        `Database schema is behind (at ${currentVersion}, code expects ${latestVersion}). ` +
+        `Pending migrations: ${list}. Run "npm run migrate" first.`
+      );
+      error.code = 'SCHEMA_BEHIND';
+      throw error;
+    }
+
+    return { currentVersion };
+  }
+}
+
+// ======================================================
+// CLI: node migration-runner.js <up|down|status> [--dry-run] [--to=N] [--steps=N]
+// ======================================================
+
+if (require.main === module) {
+  require('dotenv').config();
+  const { Pool } = require('pg');
+
+  const [command = 'status', ...args] = process.argv.slice(2);
+  const option = (name) => {
+    const arg = args.find(a => a.startsWith(`--${name}=`));
+    return arg ? parseInt(arg.split('=')[1], 10) : null;
+  };
+  const dryRun = args.includes('--dry-run');
+
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.DATABASE_SSL === 'false' ? false : { rejectUnauthorized: false }
+  });
+  const runner = new MigrationRunner(pool);
+
+  (async () => {
+    if (command === 'up') {
+      const applied = await runner.migrate({ dryRun, targetVersion: option('to') });
+      console.log(`${dryRun ? 'Would apply' : 'Applied'} ${applied.length} migration(s)`);
+    } else if (command === 'down') {
+      const reverted = await runner.rollback({ dryRun, steps: option('steps') || 1 });
+      console.log(`${dryRun ? 'Would revert' : 'Reverted'} ${reverted.length} migration(s)`);
+    } else if (command === 'status') {
+      const status = await runner.status();
+      console.log(`Current version: ${status.currentVersion} / latest: ${status.latestVersion}`);
+      status.pending.forEach(m => console.log(`  pending: ${m.version}_${m.name}`));
+      status.unknown.forEach(v => console.log(`  unknown (applied, no file): ${v}`));
+    } else {
+      throw new Error(`Unknown command "${command}" - use up, down or status`);
+    }
+  })()
+    .then(() => pool.end())
+    .catch(async (error) => {
+      console.error('Migration command failed:', error.message);
+      await pool.end();
+      process.exit(1);
+    });
+}
+
+module.exports = MigrationRunner;
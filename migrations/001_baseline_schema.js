@@ -0,0 +1,267 @@
+// 001_baseline_schema.js
+// The schema initializeDatabase() and createNotificationTables() used to create
+// on every boot. Everything is IF NOT EXISTS so databases created by the old
+// boot code adopt the ledger without changes.
+
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS restaurants (
+      restaurant_id VARCHAR(100) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS users (
+      id SERIAL PRIMARY KEY,
+      email VARCHAR(255) UNIQUE NOT NULL,
+      password_hash VARCHAR(255) NOT NULL,
+      full_name VARCHAR(255) NOT NULL,
+      company_name VARCHAR(255) NOT NULL,
+      restaurant_id VARCHAR(100) NOT NULL,
+      plan VARCHAR(50) DEFAULT 'professional',
+      created_at TIMESTAMP DEFAULT NOW(),
+      last_login TIMESTAMP,
+      is_active BOOLEAN DEFAULT true,
+      FOREIGN KEY (restaurant_id) REFERENCES restaurants(restaurant_id) ON DELETE CASCADE
+    )`,
+
+    `ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS venue_setup_complete BOOLEAN DEFAULT FALSE,
+      ADD COLUMN IF NOT EXISTS setup_data JSONB,
+      ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT NOW()`,
+
+    `CREATE TABLE IF NOT EXISTS qr_codes (
+      id SERIAL PRIMARY KEY,
+      restaurant_id VARCHAR(100) NOT NULL,
+      qr_type VARCHAR(50) NOT NULL,
+      tracking_url TEXT NOT NULL,
+      destination_url TEXT NOT NULL,
+      table_number VARCHAR(50),
+      created_at TIMESTAMP DEFAULT NOW(),
+      FOREIGN KEY (restaurant_id) REFERENCES restaurants(restaurant_id) ON DELETE CASCADE
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS qr_scans (
+      id SERIAL PRIMARY KEY,
+      restaurant_id VARCHAR(100) NOT NULL,
+      qr_id INTEGER,
+      qr_type VARCHAR(50) NOT NULL,
+      table_number VARCHAR(50),
+      scan_timestamp TIMESTAMP DEFAULT NOW(),
+      user_agent TEXT,
+      ip_address INET,
+      referrer TEXT,
+      session_duration INTEGER,
+      converted BOOLEAN,
+      FOREIGN KEY (restaurant_id) REFERENCES restaurants(restaurant_id) ON DELETE CASCADE,
+      FOREIGN KEY (qr_id) REFERENCES qr_codes(id) ON DELETE CASCADE
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS table_sessions (
+      id SERIAL PRIMARY KEY,
+      restaurant_id VARCHAR(100) NOT NULL,
+      table_number VARCHAR(50) NOT NULL,
+      session_id VARCHAR(100) UNIQUE NOT NULL,
+      start_time TIMESTAMP NOT NULL,
+      last_activity TIMESTAMP NOT NULL,
+      customer_count INTEGER DEFAULT 1,
+      status VARCHAR(20) DEFAULT 'active',
+      total_scans INTEGER DEFAULT 0,
+      created_at TIMESTAMP DEFAULT NOW(),
+      ended_at TIMESTAMP,
+      FOREIGN KEY (restaurant_id) REFERENCES restaurants(restaurant_id) ON DELETE CASCADE
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS service_alerts (
+      id SERIAL PRIMARY KEY,
+      alert_id VARCHAR(100) UNIQUE NOT NULL,
+      restaurant_id VARCHAR(100) NOT NULL,
+      table_number VARCHAR(50) NOT NULL,
+      alert_type VARCHAR(50) NOT NULL,
+      service_type VARCHAR(50),
+      message TEXT NOT NULL,
+      action_required TEXT,
+      priority VARCHAR(20) DEFAULT 'medium',
+      source VARCHAR(30) DEFAULT 'behavioral',
+      resolved BOOLEAN DEFAULT FALSE,
+      resolved_at TIMESTAMP,
+      resolved_by VARCHAR(100),
+      acknowledged BOOLEAN DEFAULT FALSE,
+      acknowledged_at TIMESTAMP,
+      acknowledged_by VARCHAR(100),
+      created_at TIMESTAMP DEFAULT NOW(),
+      FOREIGN KEY (restaurant_id) REFERENCES restaurants(restaurant_id) ON DELETE CASCADE
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS table_activities (
+      id SERIAL PRIMARY KEY,
+      restaurant_id VARCHAR(100) NOT NULL,
+      table_number VARCHAR(50) NOT NULL,
+      session_id VARCHAR(100),
+      qr_type VARCHAR(50) NOT NULL,
+      activity_data JSONB,
+      created_at TIMESTAMP DEFAULT NOW(),
+      FOREIGN KEY (restaurant_id) REFERENCES restaurants(restaurant_id) ON DELETE CASCADE
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS performance_snapshots (
+      id SERIAL PRIMARY KEY,
+      restaurant_id VARCHAR(100) NOT NULL,
+      snapshot_time TIMESTAMP NOT NULL,
+      qr_scans_last_hour INTEGER DEFAULT 0,
+      qr_scans_last_2hours INTEGER DEFAULT 0,
+      customer_count INTEGER,
+      revenue_actual DECIMAL(10,2),
+      staff_count INTEGER,
+      weather_condition VARCHAR(50),
+      day_of_week INTEGER,
+      hour_of_day INTEGER,
+      is_holiday BOOLEAN DEFAULT FALSE,
+      local_events TEXT,
+      created_at TIMESTAMP DEFAULT NOW(),
+      FOREIGN KEY (restaurant_id) REFERENCES restaurants(restaurant_id) ON DELETE CASCADE
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS prediction_models (
+      id SERIAL PRIMARY KEY,
+      restaurant_id VARCHAR(100) NOT NULL,
+      model_type VARCHAR(50) NOT NULL,
+      model_data JSONB NOT NULL,
+      accuracy_score DECIMAL(5,4),
+      training_data_count INTEGER,
+      last_trained TIMESTAMP DEFAULT NOW(),
+      is_active BOOLEAN DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT NOW(),
+      FOREIGN KEY (restaurant_id) REFERENCES restaurants(restaurant_id) ON DELETE CASCADE
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS live_predictions (
+      id SERIAL PRIMARY KEY,
+      restaurant_id VARCHAR(100) NOT NULL,
+      prediction_type VARCHAR(50) NOT NULL,
+      prediction_time TIMESTAMP NOT NULL,
+      predicted_value DECIMAL(10,2),
+      confidence_score DECIMAL(5,4),
+      recommended_action TEXT,
+      actual_value DECIMAL(10,2),
+      accuracy_score DECIMAL(5,4),
+      status VARCHAR(50),
+      created_at TIMESTAMP DEFAULT NOW(),
+      FOREIGN KEY (restaurant_id) REFERENCES restaurants(restaurant_id) ON DELETE CASCADE
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS staffing_recommendations (
+      id SERIAL PRIMARY KEY,
+      restaurant_id VARCHAR(100) NOT NULL,
+      recommendation_time TIMESTAMP NOT NULL,
+      current_staff INTEGER,
+      recommended_staff INTEGER,
+      predicted_revenue DECIMAL(10,2),
+      confidence_level VARCHAR(20),
+      reasoning TEXT,
+      implemented BOOLEAN DEFAULT FALSE,
+      actual_outcome JSONB,
+      created_at TIMESTAMP DEFAULT NOW(),
+      FOREIGN KEY (restaurant_id) REFERENCES restaurants(restaurant_id) ON DELETE CASCADE
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS table_alerts (
+      id SERIAL PRIMARY KEY,
+      restaurant_id VARCHAR(100) NOT NULL,
+      table_number VARCHAR(50) NOT NULL,
+      status VARCHAR(20) DEFAULT 'created' NOT NULL,
+      alert_type VARCHAR(50) NOT NULL,
+      message TEXT,
+      created_at TIMESTAMP DEFAULT NOW(),
+      FOREIGN KEY (restaurant_id) REFERENCES restaurants(restaurant_id) ON DELETE CASCADE
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS table_status (
+      id SERIAL PRIMARY KEY,
+      restaurant_id VARCHAR(100) NOT NULL,
+      table_number VARCHAR(50) NOT NULL,
+      status VARCHAR(50) NOT NULL,
+      last_updated TIMESTAMP DEFAULT NOW(),
+      FOREIGN KEY (restaurant_id) REFERENCES restaurants(restaurant_id) ON DELETE CASCADE
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS card_configurations (
+      id SERIAL PRIMARY KEY,
+      restaurant_id VARCHAR(100) NOT NULL UNIQUE,
+      selected_cards JSONB NOT NULL DEFAULT '[]'::jsonb,
+      configurations JSONB NOT NULL DEFAULT '{}'::jsonb,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (restaurant_id) REFERENCES restaurants(restaurant_id) ON DELETE CASCADE
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS push_subscriptions (
+      id SERIAL PRIMARY KEY,
+      restaurant_id VARCHAR(100) NOT NULL,
+      staff_type VARCHAR(50) NOT NULL,
+      staff_name VARCHAR(100),
+      phone_number VARCHAR(20),
+      subscription_data JSONB NOT NULL,
+      is_active BOOLEAN DEFAULT true,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_used TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (restaurant_id) REFERENCES restaurants(restaurant_id) ON DELETE CASCADE
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS notification_log (
+      id SERIAL PRIMARY KEY,
+      alert_id VARCHAR(100) NOT NULL,
+      restaurant_id VARCHAR(100) NOT NULL,
+      table_number VARCHAR(50),
+      notification_type VARCHAR(50),
+      status VARCHAR(50) DEFAULT 'sent',
+      sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      delivered_at TIMESTAMP,
+      staff_notified JSONB,
+      FOREIGN KEY (restaurant_id) REFERENCES restaurants(restaurant_id) ON DELETE CASCADE
+    )`,
+
+    // Indexes for performance
+    `CREATE INDEX IF NOT EXISTS idx_users_email ON users(email)`,
+    `CREATE INDEX IF NOT EXISTS idx_qr_scans_restaurant_date
+      ON qr_scans(restaurant_id, scan_timestamp DESC)`,
+    `CREATE INDEX IF NOT EXISTS idx_table_sessions_restaurant_active
+      ON table_sessions(restaurant_id, status, last_activity DESC)`,
+    `CREATE INDEX IF NOT EXISTS idx_service_alerts_restaurant_unresolved
+      ON service_alerts(restaurant_id, resolved, priority, created_at DESC)`,
+    `CREATE INDEX IF NOT EXISTS idx_performance_snapshots_restaurant_time
+      ON performance_snapshots(restaurant_id, snapshot_time DESC)`,
+    `CREATE INDEX IF NOT EXISTS idx_live_predictions_restaurant_type
+      ON live_predictions(restaurant_id, prediction_type, created_at DESC)`,
+    `CREATE INDEX IF NOT EXISTS idx_table_alerts_restaurant_status
+      ON table_alerts(restaurant_id, status, created_at DESC)`,
+    `CREATE INDEX IF NOT EXISTS idx_table_status_restaurant
+      ON table_status(restaurant_id, last_updated DESC)`,
+    `CREATE INDEX IF NOT EXISTS idx_card_configurations_restaurant
+      ON card_configurations(restaurant_id)`,
+    `CREATE INDEX IF NOT EXISTS idx_push_subscriptions_restaurant
+      ON push_subscriptions(restaurant_id, is_active)`,
+    `CREATE INDEX IF NOT EXISTS idx_notification_log_alert
+      ON notification_log(alert_id)`
+  ],
+
+  down: [
+    `DROP TABLE IF EXISTS notification_log`,
+    `DROP TABLE IF EXISTS push_subscriptions`,
+    `DROP TABLE IF EXISTS card_configurations`,
+    `DROP TABLE IF EXISTS table_status`,
+    `DROP TABLE IF EXISTS table_alerts`,
+    `DROP TABLE IF EXISTS staffing_recommendations`,
+    `DROP TABLE IF EXISTS live_predictions`,
+    `DROP TABLE IF EXISTS prediction_models`,
+    `DROP TABLE IF EXISTS performance_snapshots`,
+    `DROP TABLE IF EXISTS table_activities`,
+    `DROP TABLE IF EXISTS service_alerts`,
+    `DROP TABLE IF EXISTS table_sessions`,
+    `DROP TABLE IF EXISTS qr_scans`,
+    `DROP TABLE IF EXISTS qr_codes`,
+    `DROP TABLE IF EXISTS users`,
+    `DROP TABLE IF EXISTS restaurants`
+  ]
+};
@@ -0,0 +1,40 @@
+// 002_route_columns.js
+// Columns and tables the routes already query but the boot-time schema never created:
+// - qr_scans.destination_url / actual_wait_time (QR tracking, /avg-wait, demo data)
+// - chat_conversations (/api/chat)
+// - the unique key behind ON CONFLICT (restaurant_id, subscription_data) in /api/notifications/subscribe
+
+module.exports = {
+  up: [
+    `ALTER TABLE qr_scans
+      ADD COLUMN IF NOT EXISTS destination_url TEXT,
+      ADD COLUMN IF NOT EXISTS actual_wait_time INTEGER`,
+
+    `CREATE TABLE IF NOT EXISTS chat_conversations (
+      id SERIAL PRIMARY KEY,
+      conversation_id VARCHAR(100),
+      user_message TEXT NOT NULL,
+      bot_response TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT NOW()
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_chat_conversations_conversation
+      ON chat_conversations(conversation_id, created_at)`,
+
+    // Keep the newest row for any duplicated subscription before adding the unique key
+    `DELETE FROM push_subscriptions older
+      USING push_subscriptions newer
+      WHERE older.id < newer.id
+        AND older.restaurant_id = newer.restaurant_id
+        AND older.subscription_data = newer.subscription_data`,
+    `CREATE UNIQUE INDEX IF NOT EXISTS idx_push_subscriptions_restaurant_subscription
+      ON push_subscriptions(restaurant_id, subscription_data)`
+  ],
+
+  down: [
+    `DROP INDEX IF EXISTS idx_push_subscriptions_restaurant_subscription`,
+    `DROP TABLE IF EXISTS chat_conversations`,
+    `ALTER TABLE qr_scans
+      DROP COLUMN IF EXISTS actual_wait_time,
+      DROP COLUMN IF EXISTS destination_url`
+  ]
+};
@@ -0,0 +1,31 @@
+// 003_qr_short_codes.js
+// qr_codes rows own their destination and resolve through /q/:shortCode
+
+module.exports = {
+  up: [
+    `ALTER TABLE qr_codes
+      ADD COLUMN IF NOT EXISTS short_code VARCHAR(16),
+      ADD COLUMN IF NOT EXISTS is_active BOOLEAN DEFAULT TRUE,
+      ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT NOW()`,
+
+    // Existing rows get a code too so they can be reprinted as short links
+    `UPDATE qr_codes
+      SET short_code = substr(md5(random()::text || id::text), 1, 10)
+      WHERE short_code IS NULL`,
+
+    `ALTER TABLE qr_codes ALTER COLUMN short_code SET NOT NULL`,
+    `CREATE UNIQUE INDEX IF NOT EXISTS idx_qr_codes_short_code ON qr_codes(short_code)`,
+    `CREATE INDEX IF NOT EXISTS idx_qr_codes_restaurant ON qr_codes(restaurant_id, qr_type, table_number)`,
+    `CREATE INDEX IF NOT EXISTS idx_qr_scans_qr_id ON qr_scans(qr_id, scan_timestamp DESC)`
+  ],
+
+  down: [
+    `DROP INDEX IF EXISTS idx_qr_scans_qr_id`,
+    `DROP INDEX IF EXISTS idx_qr_codes_restaurant`,
+    `DROP INDEX IF EXISTS idx_qr_codes_short_code`,
+    `ALTER TABLE qr_codes
+      DROP COLUMN IF EXISTS updated_at,
+      DROP COLUMN IF EXISTS is_active,
+      DROP COLUMN IF EXISTS short_code`
+  ]
+};
@@ -0,0 +1,13 @@
+// 004_optional_qr_destination.js
+// Service and WiFi codes render their own page and have nowhere to redirect to
+
+module.exports = {
+  up: [
+    `ALTER TABLE qr_codes ALTER COLUMN destination_url DROP NOT NULL`
+  ],
+
+  down: [
+    `UPDATE qr_codes SET destination_url = tracking_url WHERE destination_url IS NULL`,
+    `ALTER TABLE qr_codes ALTER COLUMN destination_url SET NOT NULL`
+  ]
+};
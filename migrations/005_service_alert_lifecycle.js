@@ -0,0 +1,71 @@
+// 005_service_alert_lifecycle.js
+// Service alerts move through created -> acknowledged -> in_progress -> resolved/escalated/cancelled.
+// `resolved` stays as the "closed" flag the dashboards already filter on; `status` carries the detail.
+
+module.exports = {
+  up: [
+    `ALTER TABLE service_alerts
+      ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'created',
+      ADD COLUMN IF NOT EXISTS started_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS started_by VARCHAR(100),
+      ADD COLUMN IF NOT EXISTS escalated_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS escalated_by VARCHAR(100),
+      ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS cancelled_by VARCHAR(100),
+      ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT NOW()`,
+
+    `UPDATE service_alerts
+      SET status = CASE
+        WHEN resolved THEN 'resolved'
+        WHEN acknowledged THEN 'acknowledged'
+        ELSE 'created'
+      END`,
+
+    `ALTER TABLE service_alerts
+      ADD CONSTRAINT service_alerts_status_check
+      CHECK (status IN ('created', 'acknowledged', 'in_progress', 'escalated', 'resolved', 'cancelled'))`,
+
+    `CREATE INDEX IF NOT EXISTS idx_service_alerts_restaurant_status
+      ON service_alerts(restaurant_id, status, created_at DESC)`,
+
+    `CREATE TABLE IF NOT EXISTS service_alert_events (
+      id SERIAL PRIMARY KEY,
+      alert_id VARCHAR(100) NOT NULL,
+      restaurant_id VARCHAR(100) NOT NULL,
+      from_status VARCHAR(20),
+      to_status VARCHAR(20) NOT NULL,
+      actor VARCHAR(100),
+      note TEXT,
+      created_at TIMESTAMP DEFAULT NOW(),
+      FOREIGN KEY (alert_id) REFERENCES service_alerts(alert_id) ON DELETE CASCADE
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_service_alert_events_alert
+      ON service_alert_events(alert_id, created_at)`,
+
+    // Seed the history of existing alerts from what the row already records
+    `INSERT INTO service_alert_events (alert_id, restaurant_id, from_status, to_status, actor, created_at)
+      SELECT alert_id, restaurant_id, NULL, 'created', source, created_at FROM service_alerts`,
+    `INSERT INTO service_alert_events (alert_id, restaurant_id, from_status, to_status, actor, created_at)
+      SELECT alert_id, restaurant_id, 'created', 'acknowledged', acknowledged_by, COALESCE(acknowledged_at, created_at)
+      FROM service_alerts WHERE acknowledged = TRUE`,
+    `INSERT INTO service_alert_events (alert_id, restaurant_id, from_status, to_status, actor, created_at)
+      SELECT alert_id, restaurant_id, CASE WHEN acknowledged THEN 'acknowledged' ELSE 'created' END,
+             'resolved', resolved_by, COALESCE(resolved_at, created_at)
+      FROM service_alerts WHERE resolved = TRUE`
+  ],
+
+  down: [
+    `DROP TABLE IF EXISTS service_alert_events`,
+    `DROP INDEX IF EXISTS idx_service_alerts_restaurant_status`,
+    `ALTER TABLE service_alerts DROP CONSTRAINT IF EXISTS service_alerts_status_check`,
+    `ALTER TABLE service_alerts
+      DROP COLUMN IF EXISTS updated_at,
+      DROP COLUMN IF EXISTS cancelled_by,
+      DROP COLUMN IF EXISTS cancelled_at,
+      DROP COLUMN IF EXISTS escalated_by,
+      DROP COLUMN IF EXISTS escalated_at,
+      DROP COLUMN IF EXISTS started_by,
+      DROP COLUMN IF EXISTS started_at,
+      DROP COLUMN IF EXISTS status`
+  ]
+};
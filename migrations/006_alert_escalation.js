@@ -0,0 +1,35 @@
+// 006_alert_escalation.js
+// Per-venue escalation ladders for unacknowledged alerts, and which rung each notification was
+
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS escalation_policies (
+      id SERIAL PRIMARY KEY,
+      restaurant_id VARCHAR(100) NOT NULL,
+      priority VARCHAR(20) NOT NULL,
+      step INTEGER NOT NULL CHECK (step > 0),
+      after_seconds INTEGER NOT NULL CHECK (after_seconds > 0),
+      target_staff_type VARCHAR(50),
+      mark_escalated BOOLEAN DEFAULT FALSE,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE (restaurant_id, priority, step),
+      FOREIGN KEY (restaurant_id) REFERENCES restaurants(restaurant_id) ON DELETE CASCADE
+    )`,
+
+    // 0 = the notification sent when the alert was raised, 1..n = escalation steps
+    `ALTER TABLE notification_log
+      ADD COLUMN IF NOT EXISTS escalation_step INTEGER NOT NULL DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS target_staff_type VARCHAR(50)`,
+    `CREATE INDEX IF NOT EXISTS idx_notification_log_alert_step
+      ON notification_log(alert_id, escalation_step)`
+  ],
+
+  down: [
+    `DROP INDEX IF EXISTS idx_notification_log_alert_step`,
+    `ALTER TABLE notification_log
+      DROP COLUMN IF EXISTS target_staff_type,
+      DROP COLUMN IF EXISTS escalation_step`,
+    `DROP TABLE IF EXISTS escalation_policies`
+  ]
+};
@@ -0,0 +1,24 @@
+// 007_service_level_targets.js
+// Per-venue response/resolution targets for the SLA report (missing priorities use the built-in defaults)
+
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS service_level_targets (
+      restaurant_id VARCHAR(100) NOT NULL,
+      priority VARCHAR(20) NOT NULL,
+      acknowledge_seconds INTEGER NOT NULL CHECK (acknowledge_seconds > 0),
+      resolve_seconds INTEGER NOT NULL CHECK (resolve_seconds > 0),
+      updated_at TIMESTAMP DEFAULT NOW(),
+      PRIMARY KEY (restaurant_id, priority),
+      FOREIGN KEY (restaurant_id) REFERENCES restaurants(restaurant_id) ON DELETE CASCADE
+    )`,
+
+    `CREATE INDEX IF NOT EXISTS idx_service_alerts_restaurant_created
+      ON service_alerts(restaurant_id, created_at)`
+  ],
+
+  down: [
+    `DROP INDEX IF EXISTS idx_service_alerts_restaurant_created`,
+    `DROP TABLE IF EXISTS service_level_targets`
+  ]
+};
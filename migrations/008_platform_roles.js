@@ -0,0 +1,15 @@
+// 008_platform_roles.js
+// Platform-wide roles for our own support staff. NULL = ordinary venue user, limited to users.restaurant_id.
+// Granted by hand: UPDATE users SET platform_role = 'super_admin' WHERE email = '...';
+
+module.exports = {
+  up: [
+    `ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS platform_role VARCHAR(30)
+      CHECK (platform_role IN ('super_admin'))`
+  ],
+
+  down: [
+    `ALTER TABLE users DROP COLUMN IF EXISTS platform_role`
+  ]
+};
@@ -0,0 +1,35 @@
+// 009_auth_tokens.js
+// Server-side refresh tokens (hashed, rotated on use) and the access-token revocation list
+
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS refresh_tokens (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      token_hash VARCHAR(64) UNIQUE NOT NULL,
+      family_id UUID NOT NULL,
+      expires_at TIMESTAMP NOT NULL,
+      revoked_at TIMESTAMP,
+      replaced_by INTEGER REFERENCES refresh_tokens(id) ON DELETE SET NULL,
+      user_agent TEXT,
+      ip_address VARCHAR(45),
+      created_at TIMESTAMP DEFAULT NOW()
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user ON refresh_tokens(user_id, revoked_at)`,
+    `CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family ON refresh_tokens(family_id)`,
+
+    // Access tokens are only listed until they would have expired anyway
+    `CREATE TABLE IF NOT EXISTS revoked_tokens (
+      jti UUID PRIMARY KEY,
+      user_id INTEGER,
+      expires_at TIMESTAMP NOT NULL,
+      revoked_at TIMESTAMP DEFAULT NOW()
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_revoked_tokens_expires ON revoked_tokens(expires_at)`
+  ],
+
+  down: [
+    `DROP TABLE IF EXISTS revoked_tokens`,
+    `DROP TABLE IF EXISTS refresh_tokens`
+  ]
+};
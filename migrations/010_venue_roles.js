@@ -0,0 +1,47 @@
+// 010_venue_roles.js
+// Several staff logins per venue, each with a role, joined through owner/manager invitations.
+// Existing users were the only login for their venue, so they become its owner.
+
+module.exports = {
+  up: [
+    `ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS venue_role VARCHAR(20) NOT NULL DEFAULT 'owner'
+        CHECK (venue_role IN ('owner', 'manager', 'server', 'host', 'kitchen')),
+      ADD COLUMN IF NOT EXISTS invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL`,
+    `CREATE INDEX IF NOT EXISTS idx_users_restaurant ON users(restaurant_id)`,
+
+    `CREATE TABLE IF NOT EXISTS staff_invitations (
+      id SERIAL PRIMARY KEY,
+      restaurant_id VARCHAR(100) NOT NULL,
+      email VARCHAR(255) NOT NULL,
+      venue_role VARCHAR(20) NOT NULL CHECK (venue_role IN ('owner', 'manager', 'server', 'host', 'kitchen')),
+      token_hash VARCHAR(64) UNIQUE NOT NULL,
+      invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      expires_at TIMESTAMP NOT NULL,
+      accepted_at TIMESTAMP,
+      accepted_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      revoked_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW(),
+      FOREIGN KEY (restaurant_id) REFERENCES restaurants(restaurant_id) ON DELETE CASCADE
+    )`,
+    // One open invitation per address per venue
+    `CREATE UNIQUE INDEX IF NOT EXISTS idx_staff_invitations_open
+      ON staff_invitations(restaurant_id, LOWER(email))
+      WHERE accepted_at IS NULL AND revoked_at IS NULL`,
+
+    // NULL = subscription registered before staff accounts existed
+    `ALTER TABLE push_subscriptions
+      ADD COLUMN IF NOT EXISTS user_id INTEGER REFERENCES users(id) ON DELETE CASCADE`,
+    `CREATE INDEX IF NOT EXISTS idx_push_subscriptions_user ON push_subscriptions(user_id)`
+  ],
+
+  down: [
+    `DROP INDEX IF EXISTS idx_push_subscriptions_user`,
+    `ALTER TABLE push_subscriptions DROP COLUMN IF EXISTS user_id`,
+    `DROP TABLE IF EXISTS staff_invitations`,
+    `DROP INDEX IF EXISTS idx_users_restaurant`,
+    `ALTER TABLE users
+      DROP COLUMN IF EXISTS invited_by,
+      DROP COLUMN IF EXISTS venue_role`
+  ]
+};
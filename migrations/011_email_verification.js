@@ -0,0 +1,26 @@
+// 011_email_verification.js
+// Email verification and password reset. Accounts that already exist are treated as verified
+// so nobody is locked out by the deploy.
+
+module.exports = {
+  up: [
+    `ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP`,
+    `UPDATE users SET email_verified_at = COALESCE(last_login, created_at, NOW()) WHERE email_verified_at IS NULL`,
+
+    // One row per emailed token (the JWT's jti) so each can only be used once
+    `CREATE TABLE IF NOT EXISTS user_tokens (
+      jti UUID PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      purpose VARCHAR(30) NOT NULL CHECK (purpose IN ('password_reset', 'email_verification')),
+      expires_at TIMESTAMP NOT NULL,
+      used_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW()
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_user_tokens_user_purpose ON user_tokens(user_id, purpose, created_at DESC)`
+  ],
+
+  down: [
+    `DROP TABLE IF EXISTS user_tokens`,
+    `ALTER TABLE users DROP COLUMN IF EXISTS email_verified_at`
+  ]
+};
@@ -0,0 +1,36 @@
+// 012_login_protection.js
+// Audit trail of sign-in attempts plus per-account lockout state.
+// Emails are stored as an HMAC (for counting) and a masked form (for display), never in full.
+
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS login_attempts (
+      id BIGSERIAL PRIMARY KEY,
+      email_hash VARCHAR(64) NOT NULL,
+      email_masked VARCHAR(255) NOT NULL,
+      user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      restaurant_id VARCHAR(100),
+      ip_address VARCHAR(45),
+      user_agent TEXT,
+      success BOOLEAN NOT NULL,
+      failure_reason VARCHAR(40),
+      created_at TIMESTAMP DEFAULT NOW()
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_login_attempts_email ON login_attempts(email_hash, created_at DESC)`,
+    `CREATE INDEX IF NOT EXISTS idx_login_attempts_ip ON login_attempts(ip_address, created_at DESC)`,
+    `CREATE INDEX IF NOT EXISTS idx_login_attempts_restaurant ON login_attempts(restaurant_id, created_at DESC)`,
+
+    `ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS failed_login_count INTEGER NOT NULL DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS last_failed_login_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP`
+  ],
+
+  down: [
+    `ALTER TABLE users
+      DROP COLUMN IF EXISTS locked_until,
+      DROP COLUMN IF EXISTS last_failed_login_at,
+      DROP COLUMN IF EXISTS failed_login_count`,
+    `DROP TABLE IF EXISTS login_attempts`
+  ]
+};
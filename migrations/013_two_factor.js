@@ -0,0 +1,32 @@
+// 013_two_factor.js
+// Optional TOTP second factor. The secret is stored encrypted; a pending secret only becomes
+// active once the user proves their authenticator produces matching codes.
+
+module.exports = {
+  up: [
+    `ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS totp_secret TEXT,
+      ADD COLUMN IF NOT EXISTS totp_pending_secret TEXT,
+      ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS totp_last_counter BIGINT`,
+
+    // Single-use backup codes, stored hashed; regenerating replaces the whole set
+    `CREATE TABLE IF NOT EXISTS user_recovery_codes (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      code_hash VARCHAR(64) NOT NULL,
+      used_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW()
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_user_recovery_codes_user ON user_recovery_codes(user_id) WHERE used_at IS NULL`
+  ],
+
+  down: [
+    `DROP TABLE IF EXISTS user_recovery_codes`,
+    `ALTER TABLE users
+      DROP COLUMN IF EXISTS totp_last_counter,
+      DROP COLUMN IF EXISTS totp_enabled_at,
+      DROP COLUMN IF EXISTS totp_pending_secret,
+      DROP COLUMN IF EXISTS totp_secret`
+  ]
+};
@@ -0,0 +1,29 @@
+// 014_api_keys.js
+// Per-venue API keys for integrations (BI tools, kiosks). Only a SHA-256 of the secret part is
+// stored; the short prefix is kept in clear so a presented key can be found by index.
+
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS api_keys (
+      id SERIAL PRIMARY KEY,
+      restaurant_id VARCHAR(100) NOT NULL REFERENCES restaurants(restaurant_id) ON DELETE CASCADE,
+      name VARCHAR(100) NOT NULL,
+      key_prefix VARCHAR(16) NOT NULL UNIQUE,
+      key_hash VARCHAR(64) NOT NULL,
+      scopes TEXT[] NOT NULL,
+      rate_limit_per_minute INTEGER NOT NULL DEFAULT 60 CHECK (rate_limit_per_minute > 0),
+      created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT NOW(),
+      expires_at TIMESTAMP,
+      last_used_at TIMESTAMP,
+      last_used_ip VARCHAR(45),
+      revoked_at TIMESTAMP,
+      revoked_by INTEGER REFERENCES users(id) ON DELETE SET NULL
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_api_keys_restaurant ON api_keys(restaurant_id, created_at DESC)`
+  ],
+
+  down: [
+    `DROP TABLE IF EXISTS api_keys`
+  ]
+};
@@ -0,0 +1,48 @@
+// 015_scan_classification.js
+// Every scan is kept but labelled: human, duplicate (same device re-hitting the same code within
+// the dedupe window), bot (crawlers, scripts) or preview (link unfurlers, HEAD/prefetch).
+// Analytics count human scans unless asked for everything.
+// Existing rows are labelled from their user agent; rows without one (seeded/demo data) stay human.
+
+module.exports = {
+  up: [
+    `ALTER TABLE qr_scans
+      ADD COLUMN IF NOT EXISTS scan_class VARCHAR(20) NOT NULL DEFAULT 'human',
+      ADD COLUMN IF NOT EXISTS class_reason VARCHAR(60),
+      ADD COLUMN IF NOT EXISTS device_hash VARCHAR(64)`,
+    `ALTER TABLE qr_scans DROP CONSTRAINT IF EXISTS qr_scans_scan_class_check`,
+    `ALTER TABLE qr_scans ADD CONSTRAINT qr_scans_scan_class_check
+      CHECK (scan_class IN ('human', 'duplicate', 'bot', 'preview'))`,
+
+    `UPDATE qr_scans SET scan_class = 'preview', class_reason = 'ua:link_preview'
+     WHERE user_agent ~* '(facebookexternalhit|facebot|^whatsapp/|slackbot|slack-imgproxy|twitterbot|telegrambot|discordbot|linkedinbot|skypeuripreview|pinterestbot|pinterest/0\\.|redditbot|embedly|vkshare|applebot|google-pagerenderer)'`,
+    `UPDATE qr_scans SET scan_class = 'bot', class_reason = 'ua:bot'
+     WHERE scan_class = 'human'
+       AND user_agent ~* '(\\mbot\\M|bot/|\\+https?://|crawl|spider|slurp|curl/|wget|python-requests|python-urllib|go-http-client|okhttp|java/|libwww|httpclient|headlesschrome|phantomjs|scrapy|node-fetch|axios/|uptime|monitor|pingdom)'`,
+
+    // Same IP + user agent hitting the same code again within 30 seconds of its previous hit
+    `UPDATE qr_scans s SET scan_class = 'duplicate', class_reason = 'dedupe_window'
+     FROM (
+       SELECT id, scan_timestamp - LAG(scan_timestamp) OVER (
+         PARTITION BY restaurant_id, ip_address, user_agent, qr_type, COALESCE(table_number, ''), COALESCE(qr_id, 0)
+         ORDER BY scan_timestamp
+       ) AS gap
+       FROM qr_scans
+       WHERE scan_class = 'human' AND ip_address IS NOT NULL AND user_agent IS NOT NULL
+     ) repeats
+     WHERE s.id = repeats.id AND repeats.gap < INTERVAL '30 seconds'`,
+
+    `CREATE INDEX IF NOT EXISTS idx_qr_scans_restaurant_class ON qr_scans(restaurant_id, scan_class, scan_timestamp)`,
+    `CREATE INDEX IF NOT EXISTS idx_qr_scans_device ON qr_scans(device_hash, scan_timestamp DESC) WHERE device_hash IS NOT NULL`
+  ],
+
+  down: [
+    `DROP INDEX IF EXISTS idx_qr_scans_device`,
+    `DROP INDEX IF EXISTS idx_qr_scans_restaurant_class`,
+    `ALTER TABLE qr_scans DROP CONSTRAINT IF EXISTS qr_scans_scan_class_check`,
+    `ALTER TABLE qr_scans
+      DROP COLUMN IF EXISTS device_hash,
+      DROP COLUMN IF EXISTS class_reason,
+      DROP COLUMN IF EXISTS scan_class`
+  ]
+};
@@ -0,0 +1,46 @@
+// 016_scan_device_enrichment.js
+// Device / OS / browser columns parsed from qr_scans.user_agent. New scans are parsed as they are
+// recorded; existing rows are parsed here, once per distinct user agent.
+
+const { parseUserAgent } = require('../user-agent-parser');
+
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      ALTER TABLE qr_scans
+        ADD COLUMN IF NOT EXISTS device_type VARCHAR(20),
+        ADD COLUMN IF NOT EXISTS os_family VARCHAR(30),
+        ADD COLUMN IF NOT EXISTS os_version VARCHAR(20),
+        ADD COLUMN IF NOT EXISTS browser VARCHAR(40),
+        ADD COLUMN IF NOT EXISTS browser_version VARCHAR(20),
+        ADD COLUMN IF NOT EXISTS in_app_browser VARCHAR(30),
+        ADD COLUMN IF NOT EXISTS is_webview BOOLEAN
+    `);
+
+    const agents = await client.query(
+      'SELECT DISTINCT user_agent FROM qr_scans WHERE user_agent IS NOT NULL AND device_type IS NULL'
+    );
+    for (const { user_agent: userAgent } of agents.rows) {
+      const device = parseUserAgent(userAgent);
+      await client.query(`
+        UPDATE qr_scans
+        SET device_type = $2, os_family = $3, os_version = $4, browser = $5,
+            browser_version = $6, in_app_browser = $7, is_webview = $8
+        WHERE user_agent = $1 AND device_type IS NULL
+      `, [userAgent, device.deviceType, device.osFamily, device.osVersion, device.browser,
+          device.browserVersion, device.inAppBrowser, device.isWebView]);
+    }
+    console.log(`   parsed ${agents.rows.length} distinct user agent(s)`);
+  },
+
+  down: [
+    `ALTER TABLE qr_scans
+      DROP COLUMN IF EXISTS is_webview,
+      DROP COLUMN IF EXISTS in_app_browser,
+      DROP COLUMN IF EXISTS browser_version,
+      DROP COLUMN IF EXISTS browser,
+      DROP COLUMN IF EXISTS os_version,
+      DROP COLUMN IF EXISTS os_family,
+      DROP COLUMN IF EXISTS device_type`
+  ]
+};
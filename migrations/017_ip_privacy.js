@@ -0,0 +1,72 @@
+// 017_ip_privacy.js
+// Guest IPs are anonymised before they are written: truncated to their network (/24 IPv4, /48 IPv6)
+// or replaced by a keyed hash whose salt rotates daily, per venue.
+// Raw scans older than the venue's retention window are either rolled up into daily aggregates
+// or deleted outright; every run is logged in retention_runs.
+// Existing full IPs are truncated in place.
+
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS venue_privacy_settings (
+      restaurant_id VARCHAR(100) PRIMARY KEY REFERENCES restaurants(restaurant_id) ON DELETE CASCADE,
+      ip_mode VARCHAR(10) NOT NULL DEFAULT 'truncate' CHECK (ip_mode IN ('truncate', 'hash')),
+      raw_scan_retention_days INTEGER NOT NULL DEFAULT 90 CHECK (raw_scan_retention_days BETWEEN 1 AND 3650),
+      retention_action VARCHAR(10) NOT NULL DEFAULT 'aggregate' CHECK (retention_action IN ('aggregate', 'delete')),
+      updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      updated_at TIMESTAMP DEFAULT NOW()
+    )`,
+
+    // One salt per UTC day; yesterday's is dropped by the retention job so old hashes can't be recomputed
+    `CREATE TABLE IF NOT EXISTS ip_hash_salts (
+      salt_date DATE PRIMARY KEY,
+      salt VARCHAR(64) NOT NULL,
+      created_at TIMESTAMP DEFAULT NOW()
+    )`,
+
+    `ALTER TABLE qr_scans ADD COLUMN IF NOT EXISTS ip_hash VARCHAR(64)`,
+
+    `CREATE TABLE IF NOT EXISTS qr_scan_daily_aggregates (
+      restaurant_id VARCHAR(100) NOT NULL REFERENCES restaurants(restaurant_id) ON DELETE CASCADE,
+      scan_date DATE NOT NULL,
+      qr_type VARCHAR(50) NOT NULL,
+      table_number VARCHAR(50) NOT NULL DEFAULT '',
+      scan_class VARCHAR(20) NOT NULL DEFAULT 'human',
+      device_type VARCHAR(20) NOT NULL DEFAULT 'unknown',
+      scans INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (restaurant_id, scan_date, qr_type, table_number, scan_class, device_type)
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS retention_runs (
+      id SERIAL PRIMARY KEY,
+      restaurant_id VARCHAR(100) NOT NULL REFERENCES restaurants(restaurant_id) ON DELETE CASCADE,
+      retention_days INTEGER NOT NULL,
+      retention_action VARCHAR(10) NOT NULL,
+      cutoff TIMESTAMP NOT NULL,
+      scans_deleted INTEGER NOT NULL DEFAULT 0,
+      aggregate_rows INTEGER NOT NULL DEFAULT 0,
+      oldest_deleted TIMESTAMP,
+      newest_deleted TIMESTAMP,
+      status VARCHAR(20) NOT NULL DEFAULT 'completed' CHECK (status IN ('completed', 'failed')),
+      error TEXT,
+      triggered_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      started_at TIMESTAMP DEFAULT NOW(),
+      finished_at TIMESTAMP
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_retention_runs_restaurant ON retention_runs(restaurant_id, started_at DESC)`,
+
+    `UPDATE qr_scans
+     SET ip_address = CASE family(ip_address)
+       WHEN 4 THEN host(network(set_masklen(ip_address, 24)))::inet
+       ELSE host(network(set_masklen(ip_address, 48)))::inet
+     END
+     WHERE ip_address IS NOT NULL`
+  ],
+
+  down: [
+    `DROP TABLE IF EXISTS retention_runs`,
+    `DROP TABLE IF EXISTS qr_scan_daily_aggregates`,
+    `ALTER TABLE qr_scans DROP COLUMN IF EXISTS ip_hash`,
+    `DROP TABLE IF EXISTS ip_hash_salts`,
+    `DROP TABLE IF EXISTS venue_privacy_settings`
+  ]
+};
@@ -0,0 +1,35 @@
+// 018_tenant_data.js
+// Venue data export/erasure support.
+// - chat_conversations gains restaurant_id (set when a signed-in venue uses the chatbot) so chat
+//   history leaves with the venue; anonymous marketing-site chats stay untagged.
+// - erasure_reports outlives the venue it describes: no foreign key, and only counts plus a masked
+//   requester email are kept.
+
+module.exports = {
+  up: [
+    `ALTER TABLE chat_conversations
+      ADD COLUMN IF NOT EXISTS restaurant_id VARCHAR(100) REFERENCES restaurants(restaurant_id) ON DELETE CASCADE`,
+    `CREATE INDEX IF NOT EXISTS idx_chat_conversations_restaurant ON chat_conversations(restaurant_id, created_at)
+      WHERE restaurant_id IS NOT NULL`,
+
+    `CREATE TABLE IF NOT EXISTS erasure_reports (
+      id UUID PRIMARY KEY,
+      restaurant_id VARCHAR(100) NOT NULL,
+      requested_by_user_id INTEGER,
+      requested_by_email_masked VARCHAR(255),
+      datasets JSONB NOT NULL,
+      total_rows_deleted INTEGER NOT NULL,
+      verified BOOLEAN NOT NULL,
+      report_sha256 VARCHAR(64) NOT NULL,
+      started_at TIMESTAMPTZ NOT NULL,
+      completed_at TIMESTAMPTZ NOT NULL
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_erasure_reports_restaurant ON erasure_reports(restaurant_id, completed_at DESC)`
+  ],
+
+  down: [
+    `DROP TABLE IF EXISTS erasure_reports`,
+    `DROP INDEX IF EXISTS idx_chat_conversations_restaurant`,
+    `ALTER TABLE chat_conversations DROP COLUMN IF EXISTS restaurant_id`
+  ]
+};
@@ -0,0 +1,48 @@
+// 019_forecasting_models.js
+// prediction_models finally gets used: one row per trained model (parameters in model_data,
+// backtest metrics in metrics), at most one active per venue and prediction type.
+// selection records whether the venue picked the model or the best backtest did ('auto').
+// live_predictions records which model made each forecast and the time it is for.
+
+module.exports = {
+  up: [
+    `ALTER TABLE prediction_models
+      ADD COLUMN IF NOT EXISTS prediction_type VARCHAR(50) NOT NULL DEFAULT 'customer_volume',
+      ADD COLUMN IF NOT EXISTS horizon_minutes INTEGER NOT NULL DEFAULT 120,
+      ADD COLUMN IF NOT EXISTS metrics JSONB,
+      ADD COLUMN IF NOT EXISTS selection VARCHAR(10) NOT NULL DEFAULT 'auto',
+      ADD COLUMN IF NOT EXISTS trained_from TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS trained_to TIMESTAMP`,
+    `ALTER TABLE prediction_models DROP CONSTRAINT IF EXISTS prediction_models_selection_check`,
+    `ALTER TABLE prediction_models ADD CONSTRAINT prediction_models_selection_check
+      CHECK (selection IN ('auto', 'venue'))`,
+    // Never populated before this migration - anything there predates the model interface
+    `UPDATE prediction_models SET is_active = FALSE`,
+    `CREATE UNIQUE INDEX IF NOT EXISTS idx_prediction_models_one_active
+      ON prediction_models(restaurant_id, prediction_type) WHERE is_active`,
+    `CREATE INDEX IF NOT EXISTS idx_prediction_models_lookup
+      ON prediction_models(restaurant_id, prediction_type, model_type, last_trained DESC)`,
+
+    `ALTER TABLE live_predictions
+      ADD COLUMN IF NOT EXISTS model_id INTEGER REFERENCES prediction_models(id) ON DELETE SET NULL,
+      ADD COLUMN IF NOT EXISTS model_type VARCHAR(50),
+      ADD COLUMN IF NOT EXISTS target_time TIMESTAMP`
+  ],
+
+  down: [
+    `ALTER TABLE live_predictions
+      DROP COLUMN IF EXISTS target_time,
+      DROP COLUMN IF EXISTS model_type,
+      DROP COLUMN IF EXISTS model_id`,
+    `DROP INDEX IF EXISTS idx_prediction_models_lookup`,
+    `DROP INDEX IF EXISTS idx_prediction_models_one_active`,
+    `ALTER TABLE prediction_models DROP CONSTRAINT IF EXISTS prediction_models_selection_check`,
+    `ALTER TABLE prediction_models
+      DROP COLUMN IF EXISTS trained_to,
+      DROP COLUMN IF EXISTS trained_from,
+      DROP COLUMN IF EXISTS selection,
+      DROP COLUMN IF EXISTS metrics,
+      DROP COLUMN IF EXISTS horizon_minutes,
+      DROP COLUMN IF EXISTS prediction_type`
+  ]
+};
@@ -0,0 +1,31 @@
+// 020_prediction_scoring.js
+// Predictions are scored once their target time has passed: actual_value comes from what was
+// observed (snapshots, table sessions), accuracy_score = 1 - relative error. status moves from
+// 'active' (pending) to 'scored', or 'no_actuals' when nothing was observed to compare against
+// (e.g. revenue at venues without POS data).
+// Predictions from before target_time existed are treated as 2-hour forecasts.
+
+module.exports = {
+  up: [
+    `ALTER TABLE live_predictions ADD COLUMN IF NOT EXISTS scored_at TIMESTAMP`,
+    `ALTER TABLE live_predictions DROP CONSTRAINT IF EXISTS live_predictions_status_check`,
+    `UPDATE live_predictions SET status = 'active' WHERE status IS NULL OR status NOT IN ('scored', 'no_actuals')`,
+    `ALTER TABLE live_predictions ALTER COLUMN status SET DEFAULT 'active'`,
+    `ALTER TABLE live_predictions ALTER COLUMN status SET NOT NULL`,
+    `ALTER TABLE live_predictions ADD CONSTRAINT live_predictions_status_check
+      CHECK (status IN ('active', 'scored', 'no_actuals'))`,
+    `CREATE INDEX IF NOT EXISTS idx_live_predictions_unscored
+      ON live_predictions(prediction_time) WHERE status = 'active'`,
+    `CREATE INDEX IF NOT EXISTS idx_live_predictions_scored
+      ON live_predictions(restaurant_id, prediction_type, scored_at) WHERE status = 'scored'`
+  ],
+
+  down: [
+    `DROP INDEX IF EXISTS idx_live_predictions_scored`,
+    `DROP INDEX IF EXISTS idx_live_predictions_unscored`,
+    `ALTER TABLE live_predictions DROP CONSTRAINT IF EXISTS live_predictions_status_check`,
+    `ALTER TABLE live_predictions ALTER COLUMN status DROP NOT NULL`,
+    `ALTER TABLE live_predictions ALTER COLUMN status DROP DEFAULT`,
+    `ALTER TABLE live_predictions DROP COLUMN IF EXISTS scored_at`
+  ]
+};
@@ -0,0 +1,34 @@
+// 021_scheduled_jobs.js
+// Recurring per-venue jobs live in Postgres instead of per-process setIntervals, so they survive
+// restarts and run on exactly one instance (JobScheduler takes an advisory lock per job).
+// next_run_at is the only clock: a job is due when it is enabled and next_run_at has passed.
+
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS scheduled_jobs (
+      id SERIAL PRIMARY KEY,
+      job_type VARCHAR(50) NOT NULL,
+      restaurant_id VARCHAR(100) NOT NULL REFERENCES restaurants(restaurant_id) ON DELETE CASCADE,
+      enabled BOOLEAN NOT NULL DEFAULT TRUE,
+      interval_seconds INTEGER NOT NULL CHECK (interval_seconds >= 60),
+      next_run_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      last_started_at TIMESTAMPTZ,
+      last_finished_at TIMESTAMPTZ,
+      last_status VARCHAR(10) CHECK (last_status IN ('success', 'failed')),
+      last_error TEXT,
+      last_duration_ms INTEGER,
+      last_runner VARCHAR(100),
+      run_count INTEGER NOT NULL DEFAULT 0,
+      consecutive_failures INTEGER NOT NULL DEFAULT 0,
+      created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      updated_at TIMESTAMPTZ DEFAULT NOW(),
+      UNIQUE (job_type, restaurant_id)
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_scheduled_jobs_due
+      ON scheduled_jobs(next_run_at) WHERE enabled`
+  ],
+  down: [
+    `DROP TABLE IF EXISTS scheduled_jobs`
+  ]
+};
@@ -0,0 +1,54 @@
+// 022_staff_roster.js
+// Who is actually working: shifts per staff member (scheduled ahead, or opened by clocking in
+// without one) and an hourly wage per venue role. A shift keeps the wage in force when it was
+// clocked into, so later wage changes don't rewrite past labour cost.
+// Staffing recommendations record what the change they suggest costs (or saves) per hour.
+
+const ROLE_CHECK = `CHECK (venue_role IN ('owner', 'manager', 'server', 'host', 'kitchen'))`;
+
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS role_wages (
+      restaurant_id VARCHAR(100) NOT NULL REFERENCES restaurants(restaurant_id) ON DELETE CASCADE,
+      venue_role VARCHAR(20) NOT NULL ${ROLE_CHECK},
+      hourly_wage DECIMAL(8,2) NOT NULL CHECK (hourly_wage >= 0),
+      updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      updated_at TIMESTAMPTZ DEFAULT NOW(),
+      PRIMARY KEY (restaurant_id, venue_role)
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS staff_shifts (
+      id SERIAL PRIMARY KEY,
+      restaurant_id VARCHAR(100) NOT NULL REFERENCES restaurants(restaurant_id) ON DELETE CASCADE,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      venue_role VARCHAR(20) NOT NULL ${ROLE_CHECK},
+      scheduled_start TIMESTAMPTZ,
+      scheduled_end TIMESTAMPTZ,
+      clock_in_at TIMESTAMPTZ,
+      clock_out_at TIMESTAMPTZ,
+      hourly_wage DECIMAL(8,2),
+      notes VARCHAR(500),
+      cancelled_at TIMESTAMPTZ,
+      created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      updated_at TIMESTAMPTZ DEFAULT NOW(),
+      CHECK ((scheduled_start IS NULL) = (scheduled_end IS NULL)),
+      CHECK (scheduled_end > scheduled_start),
+      CHECK (scheduled_start IS NOT NULL OR clock_in_at IS NOT NULL),
+      CHECK (clock_out_at IS NULL OR (clock_in_at IS NOT NULL AND clock_out_at >= clock_in_at))
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_staff_shifts_restaurant_user
+      ON staff_shifts(restaurant_id, user_id)`,
+    // Nobody is clocked in twice
+    `CREATE UNIQUE INDEX IF NOT EXISTS idx_staff_shifts_open
+      ON staff_shifts(user_id) WHERE clock_in_at IS NOT NULL AND clock_out_at IS NULL`,
+
+    `ALTER TABLE staffing_recommendations ADD COLUMN IF NOT EXISTS hourly_cost_change DECIMAL(10,2)`
+  ],
+
+  down: [
+    `ALTER TABLE staffing_recommendations DROP COLUMN IF EXISTS hourly_cost_change`,
+    `DROP TABLE IF EXISTS staff_shifts`,
+    `DROP TABLE IF EXISTS role_wages`
+  ]
+};
@@ -0,0 +1,31 @@
+// 023_staffing_feedback.js
+// Managers accept or reject staffing recommendations (implemented mirrors the decision) and
+// record the outcome afterwards in actual_outcome: covers served and labour hours/cost over the
+// window the recommendation was for. Savings are measured from those outcomes.
+
+module.exports = {
+  up: [
+    `ALTER TABLE staffing_recommendations
+      ADD COLUMN IF NOT EXISTS decision VARCHAR(10) CHECK (decision IN ('accepted', 'rejected')),
+      ADD COLUMN IF NOT EXISTS decision_reason VARCHAR(500),
+      ADD COLUMN IF NOT EXISTS decided_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      ADD COLUMN IF NOT EXISTS decided_at TIMESTAMPTZ,
+      ADD COLUMN IF NOT EXISTS outcome_recorded_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      ADD COLUMN IF NOT EXISTS outcome_recorded_at TIMESTAMPTZ`,
+    // Nothing wrote implemented before, so rows claiming it have no decision behind them
+    `UPDATE staffing_recommendations SET implemented = FALSE WHERE implemented AND decision IS NULL`,
+    `CREATE INDEX IF NOT EXISTS idx_staffing_recommendations_restaurant_time
+      ON staffing_recommendations(restaurant_id, recommendation_time DESC)`
+  ],
+
+  down: [
+    `DROP INDEX IF EXISTS idx_staffing_recommendations_restaurant_time`,
+    `ALTER TABLE staffing_recommendations
+      DROP COLUMN IF EXISTS outcome_recorded_at,
+      DROP COLUMN IF EXISTS outcome_recorded_by,
+      DROP COLUMN IF EXISTS decided_at,
+      DROP COLUMN IF EXISTS decided_by,
+      DROP COLUMN IF EXISTS decision_reason,
+      DROP COLUMN IF EXISTS decision`
+  ]
+};
@@ -0,0 +1,17 @@
+// 024_qr_wifi_credentials.js
+// WiFi codes show the network and password when scanned, so the print pack stores them on the row
+// instead of only printing them on the card
+
+module.exports = {
+  up: [
+    `ALTER TABLE qr_codes
+      ADD COLUMN IF NOT EXISTS wifi_ssid VARCHAR(64),
+      ADD COLUMN IF NOT EXISTS wifi_password VARCHAR(64)`
+  ],
+
+  down: [
+    `ALTER TABLE qr_codes
+      DROP COLUMN IF EXISTS wifi_password,
+      DROP COLUMN IF EXISTS wifi_ssid`
+  ]
+};
@@ -0,0 +1,17 @@
+// 025_alert_escalation_step.js
+// The highest escalation step sent for each alert lives on the alert, so a failed notification_log
+// insert can no longer make the scheduler send the same step again on every run
+
+module.exports = {
+  up: [
+    `ALTER TABLE service_alerts ADD COLUMN IF NOT EXISTS escalation_step INTEGER NOT NULL DEFAULT 0`,
+    `UPDATE service_alerts a
+      SET escalation_step = sent.step
+      FROM (SELECT alert_id, MAX(escalation_step) AS step FROM notification_log GROUP BY alert_id) sent
+      WHERE sent.alert_id = a.alert_id AND sent.step > 0`
+  ],
+
+  down: [
+    `ALTER TABLE service_alerts DROP COLUMN IF EXISTS escalation_step`
+  ]
+};
@@ -0,0 +1,13 @@
+// 026_shift_missed_clock_out.js
+// Shifts left open past the roster's limit are closed at their scheduled end on the next clock-in or
+// clock-out and flagged, so one forgotten clock-out neither blocks the next shift nor costs a day of wages
+
+module.exports = {
+  up: [
+    `ALTER TABLE staff_shifts ADD COLUMN IF NOT EXISTS missed_clock_out BOOLEAN NOT NULL DEFAULT FALSE`
+  ],
+
+  down: [
+    `ALTER TABLE staff_shifts DROP COLUMN IF EXISTS missed_clock_out`
+  ]
+};
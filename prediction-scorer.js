@@ -0,0 +1,208 @@
+/*!
+ * ═══════════════════════════════════════════════════════════════
+ * insane.marketing - Luxury Hospitality Intelligence Platform
+ * ═══════════════════════════════════════════════════════════════
+ * 
+ * Copyright (c) 2024-2025 insane.marketing
+ * All Rights Reserved - Proprietary and Confidential
+
+ * 
+ * NOTICE: This code contains proprietary business logic and trade secrets.
+ * 
+ * Unauthorized use, reproduction, or distribution of this code,
+ * or any portion of it, may result in severe civil and criminal penalties,
+ * and will be prosecuted to the maximum extent possible under the law.
+
+ * 
+ * Key Protected Features:
+ * - Zero-Knowledge Architecture & Data Handling
+ * - Time Machine Transformation Visualization System
+ * - VIP Prediction & Recognition Engine
+ * - Service Recovery Intelligence System
+ * - Real-time Mission Control Analytics
+
+ * Protected by AI tracking - active
+ * For licensing inquiries: steve@insane.marketing
+
+ * ═══════════════════════════════════════════════════════════════
+ */
+
+
+
+
+
+
+// prediction-scorer.js
+// Closes the loop on live_predictions: once a prediction's target time has passed, looks up what
+// actually happened and stores actual_value + accuracy_score, then reports measured accuracy.
+//   customer_volume  - customer_count of the snapshot at the target time, else rebuilt from the
+//                      table sessions active in the hour before it (same estimate the snapshots use)
+//   staffing_needs   - the staff that observed volume would have needed
+//   revenue_forecast - revenue_actual of the snapshot; without one the prediction is 'no_actuals'
+
+const ADVISORY_LOCK_KEY = 720421; // one instance scores at a time
+const DEFAULT_INTERVAL_MS = 15 * 60 * 1000;
+const LEGACY_HORIZON_MINUTES = 120; // predictions stored before target_time meant "next 2 hours"
+const GRACE_MINUTES = 15; // let the snapshot for the target time land first
+const BATCH_SIZE = 500;
+const SNAPSHOT_TOLERANCE_MINUTES = 10;
+
+// 1 - |predicted - actual| / actual, floored at 0. Actuals under 1 count as 1 so a quiet period
+// predicted as 0.4 instead of 0 isn't scored as a 100% miss.
+function accuracyScore(predicted, actual) {
+  return Math.max(0, 1 - Math.abs(predicted - actual) / Math.max(Math.abs(actual), 1));
+}
+
+class PredictionScorer {
+  constructor(pool, { customersPerTable, staffForVolume, intervalMs = DEFAULT_INTERVAL_MS }) {
+    this.pool = pool;
+    this.customersPerTable = customersPerTable;
+    this.staffForVolume = staffForVolume; // customers -> staff, the rule staffing predictions use
+    this.intervalMs = intervalMs;
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    console.log(`✅ Prediction scoring running every ${this.intervalMs / 60000} minutes`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async tick() {
+    let client;
+    try {
+      client = await this.pool.connect();
+      const lock = await client.query('SELECT pg_try_advisory_lock($1) AS locked', [ADVISORY_LOCK_KEY]);
+      if (!lock.rows[0].locked) return;
+
+      try {
+        const { scored, noActuals } = await this.scoreDue();
+        if (scored + noActuals > 0) console.log(`🎯 Scored ${scored} predictions (${noActuals} without actuals)`);
+      } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [ADVISORY_LOCK_KEY]);
+      }
+    } catch (error) {
+      console.error('Prediction scoring failed:', error);
+    } finally {
+      if (client) client.release();
+    }
+  }
+
+  // Scores every pending prediction whose target time (plus grace) has passed, oldest first.
+  // Batches until nothing is due, so a backlog (after downtime, or the history migration 020
+  // marked pending) is cleared in one run; every row leaves 'active', so the loop always ends.
+  async scoreDue({ restaurantId = null } = {}) {
+    let scored = 0;
+    let noActuals = 0;
+    for (;;) {
+      const due = await this.pool.query(`
+        SELECT id, restaurant_id, prediction_type, predicted_value,
+               COALESCE(target_time, prediction_time + make_interval(mins => $1)) AS target_time
+        FROM live_predictions
+        WHERE status = 'active'
+          AND COALESCE(target_time, prediction_time + make_interval(mins => $1)) < NOW() - make_interval(mins => $2)
+          AND ($3::text IS NULL OR restaurant_id = $3)
+        ORDER BY prediction_time
+        LIMIT $4
+      `, [LEGACY_HORIZON_MINUTES, GRACE_MINUTES, restaurantId, BATCH_SIZE]);
+
+      for (const prediction of due.rows) {
+        const actual = await this.observedValue(prediction);
+        if (actual === null) {
+          await this.pool.query(
+            `UPDATE live_predictions SET status = 'no_actuals', scored_at = NOW() WHERE id = $1`,
+            [prediction.id]
+          );
+          noActuals++;
+          continue;
+        }
+
+        await this.pool.query(`
+          UPDATE live_predictions
+          SET actual_value = $2, accuracy_score = $3, status = 'scored', scored_at = NOW()
+          WHERE id = $1
+        `, [prediction.id, actual, accuracyScore(parseFloat(prediction.predicted_value), actual)]);
+        scored++;
+      }
+
+      if (due.rows.length < BATCH_SIZE) return { scored, noActuals };
+    }
+  }
+
+  async observedValue({ restaurant_id: restaurantId, prediction_type: predictionType, target_time: targetTime }) {
+    if (predictionType === 'revenue_forecast') {
+      return this.snapshotAt(restaurantId, targetTime, 'revenue_actual');
+    }
+
+    const volume = await this.observedVolume(restaurantId, targetTime);
+    if (predictionType === 'customer_volume') return volume;
+    if (predictionType === 'staffing_needs') return this.staffForVolume(volume);
+    return null;
+  }
+
+  async observedVolume(restaurantId, targetTime) {
+    const snapshot = await this.snapshotAt(restaurantId, targetTime, 'customer_count');
+    if (snapshot !== null) return snapshot;
+
+    const sessions = await this.pool.query(`
+      SELECT COUNT(*) AS tables FROM table_sessions
+      WHERE restaurant_id = $1 AND start_time <= $2 AND last_activity > $2::timestamp - INTERVAL '1 hour'
+    `, [restaurantId, targetTime]);
+    return parseInt(sessions.rows[0].tables) * this.customersPerTable;
+  }
+
+  async snapshotAt(restaurantId, time, column) {
+    const result = await this.pool.query(`
+      SELECT ${column} AS value FROM performance_snapshots
+      WHERE restaurant_id = $1 AND ${column} IS NOT NULL
+        AND snapshot_time BETWEEN $2::timestamp - make_interval(mins => $3) AND $2::timestamp + make_interval(mins => $3)
+      ORDER BY ABS(EXTRACT(EPOCH FROM (snapshot_time - $2::timestamp)))
+      LIMIT 1
+    `, [restaurantId, time, SNAPSHOT_TOLERANCE_MINUTES]);
+    return result.rows.length > 0 ? parseFloat(result.rows[0].value) : null;
+  }
+
+  // Measured accuracy of scored predictions: overall and per type (and per model for volume)
+  async accuracy(restaurantId, { from = null, to = null, days = 7 } = {}) {
+    const result = await this.pool.query(`
+      SELECT prediction_type, model_type,
+             GROUPING(prediction_type) AS all_types, GROUPING(model_type) AS all_models,
+             COUNT(*) AS predictions,
+             AVG(accuracy_score) AS accuracy,
+             AVG(ABS(predicted_value - actual_value)) AS mae,
+             AVG(ABS(predicted_value - actual_value) / NULLIF(ABS(actual_value), 0)) AS mape
+      FROM live_predictions
+      WHERE restaurant_id = $1 AND status = 'scored'
+        AND prediction_time >= COALESCE($2::timestamp, NOW() - make_interval(days => $4))
+        AND prediction_time < COALESCE($3::timestamp, NOW())
+      GROUP BY GROUPING SETS ((prediction_type, model_type), (prediction_type), ())
+    `, [restaurantId, from, to, days]);
+
+    const number = value => (value === null ? null : parseFloat(value));
+    const summary = row => ({
+      predictions: parseInt(row.predictions),
+      accuracy: row.accuracy === null ? null : Math.round(parseFloat(row.accuracy) * 1000) / 10,
+      mae: number(row.mae),
+      mape: number(row.mape)
+    });
+
+    const report = { predictions: 0, accuracy: null, mae: null, mape: null, byType: {} };
+    for (const row of result.rows.filter(row => row.all_models)) {
+      if (row.all_types) Object.assign(report, summary(row));
+      else report.byType[row.prediction_type] = { ...summary(row), byModel: {} };
+    }
+    for (const row of result.rows.filter(row => !row.all_models)) {
+      report.byType[row.prediction_type].byModel[row.model_type || 'unknown'] = summary(row);
+    }
+    return report;
+  }
+}
+
+PredictionScorer.accuracyScore = accuracyScore;
+
+module.exports = PredictionScorer;
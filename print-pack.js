@@ -0,0 +1,196 @@
+/*!
+ * ═══════════════════════════════════════════════════════════════
+ * insane.marketing - Luxury Hospitality Intelligence Platform
+ * ═══════════════════════════════════════════════════════════════
+ * 
+ * Copyright (c) 2024-2025 insane.marketing
+ * All Rights Reserved - Proprietary and Confidential
+
+ * 
+ * NOTICE: This code contains proprietary business logic and trade secrets.
+ * 
+ * Unauthorized use, reproduction, or distribution of this code,
+ * or any portion of it, may result in severe civil and criminal penalties,
+ * and will be prosecuted to the maximum extent possible under the law.
+
+ * 
+ * Key Protected Features:
+ * - Zero-Knowledge Architecture & Data Handling
+ * - Time Machine Transformation Visualization System
+ * - VIP Prediction & Recognition Engine
+ * - Service Recovery Intelligence System
+ * - Real-time Mission Control Analytics
+
+ * Protected by AI tracking - active
+ * For licensing inquiries: steve@insane.marketing
+
+ * ═══════════════════════════════════════════════════════════════
+ */
+
+
+
+
+
+
+// print-pack.js
+// Print-ready table cards for a whole venue: multi-page PDF or a ZIP of SVGs
+
+const PDFDocument = require('pdfkit');
+const archiver = require('archiver');
+
+// Card is A6 portrait; A4 sheets hold four cards (2 x 2) with cut lines
+const CARD_MM = { width: 105, height: 148 };
+const MM_TO_PT = 72 / 25.4;
+
+const CAPTIONS = {
+  menu: 'Scan to view our menu',
+  service: 'Scan to call your server',
+  wifi: 'Scan for free WiFi',
+  review: 'Scan to leave us a review',
+  booking: 'Scan to book your next visit',
+  specials: "Scan for today's specials"
+};
+
+// Vertical positions and sizes as fractions of the card height (tops of text lines)
+const LAYOUT = {
+  venueTop: 0.06, venueSize: 0.05,
+  captionTop: 0.135, captionSize: 0.03,
+  qrTop: 0.19, qrWidth: 0.68,
+  tableLabelTop: 0.69, tableLabelSize: 0.027,
+  tableNumberTop: 0.725, tableNumberSize: 0.11,
+  wifiTop: 0.9, wifiSize: 0.024
+};
+
+class PrintPackBuilder {
+  constructor(renderer) {
+    this.renderer = renderer;
+  }
+
+  // cards: [{ tableNumber, qrType, url }]
+  // options: { venueName, layout: 'A6' | 'A4', wifi: { ssid, password }, plus QR style options }
+  streamPdf(cards, options, output) {
+    const sheet = options.layout === 'A4';
+    const cardWidth = CARD_MM.width * MM_TO_PT;
+    const cardHeight = CARD_MM.height * MM_TO_PT;
+    const perPage = sheet ? 4 : 1;
+
+    const doc = new PDFDocument({
+      size: sheet ? 'A4' : [cardWidth, cardHeight],
+      margin: 0,
+      autoFirstPage: false,
+      info: { Title: `${options.venueName} - table cards`, Creator: 'insane.marketing' }
+    });
+    doc.pipe(output);
+
+    cards.forEach((card, index) => {
+      const slot = index % perPage;
+      if (slot === 0) {
+        doc.addPage();
+        if (sheet) this.drawCutLines(doc);
+      }
+
+      const x = sheet ? (slot % 2) * (doc.page.width / 2) + (doc.page.width / 2 - cardWidth) / 2 : 0;
+      const y = sheet ? Math.floor(slot / 2) * (doc.page.height / 2) + (doc.page.height / 2 - cardHeight) / 2 : 0;
+      this.drawPdfCard(doc, card, options, x, y, cardWidth, cardHeight);
+    });
+
+    doc.end();
+    return doc;
+  }
+
+  drawCutLines(doc) {
+    doc.save()
+      .lineWidth(0.5)
+      .dash(4, { space: 4 })
+      .strokeColor('#bbbbbb')
+      .moveTo(doc.page.width / 2, 0).lineTo(doc.page.width / 2, doc.page.height)
+      .moveTo(0, doc.page.height / 2).lineTo(doc.page.width, doc.page.height / 2)
+      .stroke()
+      .undash()
+      .restore();
+  }
+
+  drawPdfCard(doc, card, options, x, y, width, height) {
+    const text = (value, top, size, font, colour = '#111111') => {
+      doc.font(font).fontSize(size).fillColor(colour)
+        .text(value, x + width * 0.06, y + height * top, { width: width * 0.88, align: 'center', lineBreak: false });
+    };
+
+    text(options.venueName, LAYOUT.venueTop, height * LAYOUT.venueSize, 'Helvetica-Bold');
+    text(CAPTIONS[card.qrType] || 'Scan me', LAYOUT.captionTop, height * LAYOUT.captionSize, 'Helvetica', '#444444');
+
+    const qrSize = width * LAYOUT.qrWidth;
+    const matrix = this.renderer.createMatrix(card.url, options);
+    this.renderer.drawOnPdf(doc, matrix, this.styleOptions(options), x + (width - qrSize) / 2, y + height * LAYOUT.qrTop, qrSize);
+
+    text('TABLE', LAYOUT.tableLabelTop, height * LAYOUT.tableLabelSize, 'Helvetica', '#666666');
+    text(String(card.tableNumber), LAYOUT.tableNumberTop, height * LAYOUT.tableNumberSize, 'Helvetica-Bold');
+
+    if (card.qrType === 'wifi' && options.wifi) {
+      text(wifiLine(options.wifi), LAYOUT.wifiTop, height * LAYOUT.wifiSize, 'Helvetica', '#444444');
+    }
+  }
+
+  // One SVG per card, sized in millimetres for the print vendor
+  streamZip(cards, options, output) {
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    archive.pipe(output);
+
+    for (const card of cards) {
+      const filename = `table-${String(card.tableNumber).padStart(3, '0')}-${card.qrType}.svg`;
+      archive.append(this.svgCard(card, options), { name: filename });
+    }
+
+    archive.finalize();
+    return archive;
+  }
+
+  svgCard(card, options) {
+    const { width, height } = CARD_MM;
+    const matrix = this.renderer.createMatrix(card.url, options);
+    const qrSize = width * LAYOUT.qrWidth;
+
+    const text = (value, top, size, weight, colour = '#111111') =>
+      `<text x="${width / 2}" y="${round(height * top)}" font-size="${round(height * size)}" font-weight="${weight}" ` +
+      `fill="${colour}" text-anchor="middle" dominant-baseline="hanging">${escapeXml(value)}</text>`;
+
+    return `<?xml version="1.0" encoding="UTF-8"?>\n` +
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${width}mm" height="${height}mm" ` +
+      `viewBox="0 0 ${width} ${height}" font-family="Helvetica, Arial, sans-serif">` +
+      `<rect width="${width}" height="${height}" fill="#ffffff"/>` +
+      text(options.venueName, LAYOUT.venueTop, LAYOUT.venueSize, 'bold') +
+      text(CAPTIONS[card.qrType] || 'Scan me', LAYOUT.captionTop, LAYOUT.captionSize, 'normal', '#444444') +
+      `<svg x="${round((width - qrSize) / 2)}" y="${round(height * LAYOUT.qrTop)}" width="${round(qrSize)}" height="${round(qrSize)}" ` +
+      `viewBox="0 0 ${matrix.total} ${matrix.total}" shape-rendering="crispEdges">` +
+      this.renderer.svgContent(matrix, this.styleOptions(options)) +
+      `</svg>` +
+      text('TABLE', LAYOUT.tableLabelTop, LAYOUT.tableLabelSize, 'normal', '#666666') +
+      text(String(card.tableNumber), LAYOUT.tableNumberTop, LAYOUT.tableNumberSize, 'bold') +
+      (card.qrType === 'wifi' && options.wifi
+        ? text(wifiLine(options.wifi), LAYOUT.wifiTop, LAYOUT.wifiSize, 'normal', '#444444')
+        : '') +
+      `</svg>\n`;
+  }
+
+  styleOptions(options) {
+    return { ...this.renderer.defaults, ...options };
+  }
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function wifiLine(wifi) {
+  return wifi.password ? `Network: ${wifi.ssid}   Password: ${wifi.password}` : `Network: ${wifi.ssid}`;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+module.exports = PrintPackBuilder;
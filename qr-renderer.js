@@ -0,0 +1,327 @@
+/*!
+ * ═══════════════════════════════════════════════════════════════
+ * insane.marketing - Luxury Hospitality Intelligence Platform
+ * ═══════════════════════════════════════════════════════════════
+ * 
+ * Copyright (c) 2024-2025 insane.marketing
+ * All Rights Reserved - Proprietary and Confidential
+
+ * 
+ * NOTICE: This code contains proprietary business logic and trade secrets.
+ * 
+ * Unauthorized use, reproduction, or distribution of this code,
+ * or any portion of it, may result in severe civil and criminal penalties,
+ * and will be prosecuted to the maximum extent possible under the law.
+
+ * 
+ * Key Protected Features:
+ * - Zero-Knowledge Architecture & Data Handling
+ * - Time Machine Transformation Visualization System
+ * - VIP Prediction & Recognition Engine
+ * - Service Recovery Intelligence System
+ * - Real-time Mission Control Analytics
+
+ * Protected by AI tracking - active
+ * For licensing inquiries: steve@insane.marketing
+
+ * ═══════════════════════════════════════════════════════════════
+ */
+
+
+
+
+
+
+// qr-renderer.js
+// Server-side QR artwork (PNG / SVG / PDF) with optional centre logo
+
+const QRCode = require('qrcode');
+const { PNG } = require('pngjs');
+const PDFDocument = require('pdfkit');
+
+const CONTENT_TYPES = {
+  png: 'image/png',
+  svg: 'image/svg+xml',
+  pdf: 'application/pdf'
+};
+
+// Default output size per format: pixels for PNG/SVG, points (1/72in) for PDF
+const DEFAULT_SIZES = {
+  png: 1024,
+  svg: 1024,
+  pdf: 283 // 100mm
+};
+
+// Logo formats each output can embed
+const LOGO_TYPES = {
+  png: ['image/png'],
+  svg: ['image/png', 'image/jpeg', 'image/svg+xml'],
+  pdf: ['image/png', 'image/jpeg']
+};
+
+// A logo only ever fills a fifth of the code; larger uploads are refused before anything is decoded,
+// since a few KB of compressed PNG can claim (and inflate to) gigabytes of pixels
+const MAX_LOGO_SIDE = 2048;
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+class QRRenderer {
+  constructor(defaults = {}) {
+    this.defaults = {
+      errorCorrectionLevel: 'M',
+      margin: 4,
+      foreground: '#000000',
+      background: '#ffffff',
+      logoScale: 0.22,
+      ...defaults
+    };
+  }
+
+  static parseDataUri(dataUri) {
+    const match = /^data:(image\/(?:png|jpeg|svg\+xml));base64,([A-Za-z0-9+/=\s]+)$/.exec(dataUri || '');
+    if (!match) return null;
+    return { mimeType: match[1], buffer: Buffer.from(match[2], 'base64') };
+  }
+
+  // Why a parsed logo can't be drawn, or null if it can. Checks the size in the PNG/JPEG header,
+  // then decodes PNGs (kept on logo.png for toPng), so a corrupt or oversized upload is a 400
+  // rather than a render failure.
+  static logoError(logo) {
+    if (logo.mimeType === 'image/svg+xml') {
+      return /<svg[\s>]/.test(logo.buffer.toString('utf8')) ? null : 'logo is not an SVG document';
+    }
+
+    const isPng = logo.mimeType === 'image/png';
+    const size = isPng ? pngSize(logo.buffer) : jpegSize(logo.buffer);
+    if (!size) return `logo could not be decoded as a ${isPng ? 'PNG' : 'JPEG'} image`;
+    if (size.width > MAX_LOGO_SIDE || size.height > MAX_LOGO_SIDE) {
+      return `logo is ${size.width}x${size.height} pixels - the largest accepted is ${MAX_LOGO_SIDE}x${MAX_LOGO_SIDE}`;
+    }
+    if (!isPng) return null;
+
+    try {
+      logo.png = PNG.sync.read(logo.buffer);
+    } catch {
+      return 'logo could not be decoded as a PNG image';
+    }
+    return null;
+  }
+
+  static supportsLogo(format, mimeType) {
+    return (LOGO_TYPES[format] || []).includes(mimeType);
+  }
+
+  static contentType(format) {
+    return CONTENT_TYPES[format];
+  }
+
+  // Module matrix plus the square cleared for a centre logo (in module coordinates)
+  createMatrix(text, options = {}) {
+    const opts = { ...this.defaults, ...options };
+    const qr = QRCode.create(text, { errorCorrectionLevel: opts.errorCorrectionLevel });
+    const count = qr.modules.size;
+
+    let logoBox = null;
+    if (opts.logo) {
+      // Odd-sized box so it sits exactly on the centre module
+      let side = Math.round(count * opts.logoScale);
+      if (side % 2 === 0) side += 1;
+      const start = (count - side) / 2;
+      logoBox = { start, end: start + side, side };
+    }
+
+    return {
+      count,
+      margin: opts.margin,
+      total: count + opts.margin * 2,
+      logoBox,
+      isDark: (row, col) => {
+        if (logoBox && row >= logoBox.start && row < logoBox.end && col >= logoBox.start && col < logoBox.end) {
+          return false;
+        }
+        return qr.modules.get(row, col) === 1;
+      }
+    };
+  }
+
+  async render(text, options = {}) {
+    const format = options.format || 'png';
+    const opts = { ...this.defaults, ...options, size: options.size || DEFAULT_SIZES[format] };
+    const matrix = this.createMatrix(text, opts);
+
+    let buffer;
+    if (format === 'svg') {
+      buffer = Buffer.from(this.toSvg(matrix, opts));
+    } else if (format === 'pdf') {
+      buffer = await this.toPdf(matrix, opts);
+    } else if (format === 'png') {
+      buffer = this.toPng(matrix, opts);
+    } else {
+      throw new Error(`Unsupported QR format: ${format}`);
+    }
+
+    return { buffer, contentType: CONTENT_TYPES[format], extension: format };
+  }
+
+  // Inner SVG markup in module units (0..total), reusable inside larger layouts
+  svgContent(matrix, opts) {
+    const { count, margin, logoBox } = matrix;
+    let path = '';
+    for (let row = 0; row < count; row++) {
+      for (let col = 0; col < count; col++) {
+        if (matrix.isDark(row, col)) path += `M${col + margin} ${row + margin}h1v1h-1z`;
+      }
+    }
+
+    let markup = `<rect width="${matrix.total}" height="${matrix.total}" fill="${opts.background}"/>` +
+      `<path d="${path}" fill="${opts.foreground}"/>`;
+
+    if (logoBox && opts.logo) {
+      // One module of padding inside the cleared box
+      const x = logoBox.start + margin + 1;
+      const side = logoBox.side - 2;
+      const href = `data:${opts.logo.mimeType};base64,${opts.logo.buffer.toString('base64')}`;
+      markup += `<image x="${x}" y="${x}" width="${side}" height="${side}" href="${href}" preserveAspectRatio="xMidYMid meet"/>`;
+    }
+
+    return markup;
+  }
+
+  toSvg(matrix, opts) {
+    return `<?xml version="1.0" encoding="UTF-8"?>\n` +
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${opts.size}" height="${opts.size}" ` +
+      `viewBox="0 0 ${matrix.total} ${matrix.total}" shape-rendering="crispEdges">` +
+      this.svgContent(matrix, opts) +
+      `</svg>\n`;
+  }
+
+  // Whole pixels per module keep edges sharp; output is rounded down to a multiple of the module count
+  toPng(matrix, opts) {
+    const scale = Math.max(1, Math.floor(opts.size / matrix.total));
+    const pixels = matrix.total * scale;
+    const png = new PNG({ width: pixels, height: pixels });
+    const fg = parseHexColour(opts.foreground);
+    const bg = parseHexColour(opts.background);
+
+    for (let y = 0; y < pixels; y++) {
+      const row = Math.floor(y / scale) - matrix.margin;
+      for (let x = 0; x < pixels; x++) {
+        const col = Math.floor(x / scale) - matrix.margin;
+        const inCode = row >= 0 && col >= 0 && row < matrix.count && col < matrix.count;
+        const colour = inCode && matrix.isDark(row, col) ? fg : bg;
+        const idx = (y * pixels + x) * 4;
+        png.data[idx] = colour[0];
+        png.data[idx + 1] = colour[1];
+        png.data[idx + 2] = colour[2];
+        png.data[idx + 3] = 255;
+      }
+    }
+
+    if (matrix.logoBox && opts.logo) {
+      const offset = (matrix.logoBox.start + matrix.margin + 1) * scale;
+      const side = (matrix.logoBox.side - 2) * scale;
+      drawPngLogo(png, opts.logo.png || PNG.sync.read(opts.logo.buffer), offset, side, bg);
+    }
+
+    return PNG.sync.write(png);
+  }
+
+  // Draw the code onto an existing PDF document at (x, y) with the given side length in points
+  drawOnPdf(doc, matrix, opts, x, y, size) {
+    const moduleSize = size / matrix.total;
+
+    doc.save();
+    doc.rect(x, y, size, size).fill(opts.background);
+    for (let row = 0; row < matrix.count; row++) {
+      for (let col = 0; col < matrix.count; col++) {
+        if (matrix.isDark(row, col)) {
+          doc.rect(
+            x + (col + matrix.margin) * moduleSize,
+            y + (row + matrix.margin) * moduleSize,
+            moduleSize, moduleSize
+          );
+        }
+      }
+    }
+    doc.fill(opts.foreground);
+
+    if (matrix.logoBox && opts.logo) {
+      const offset = (matrix.logoBox.start + matrix.margin + 1) * moduleSize;
+      const side = (matrix.logoBox.side - 2) * moduleSize;
+      doc.image(opts.logo.buffer, x + offset, y + offset, { fit: [side, side], align: 'center', valign: 'center' });
+    }
+    doc.restore();
+  }
+
+  toPdf(matrix, opts) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: [opts.size, opts.size], margin: 0 });
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      this.drawOnPdf(doc, matrix, opts, 0, 0, opts.size);
+      doc.end();
+    });
+  }
+}
+
+function parseHexColour(hex) {
+  let value = hex.replace('#', '');
+  if (value.length === 3) value = value.split('').map(c => c + c).join('');
+  return [0, 2, 4].map(i => parseInt(value.slice(i, i + 2), 16));
+}
+
+// { width, height } from a PNG's IHDR chunk, which the format requires to come first
+function pngSize(buffer) {
+  if (buffer.length < 24 || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) return null;
+  if (buffer.toString('latin1', 12, 16) !== 'IHDR') return null;
+  const width = buffer.readUInt32BE(16);
+  const height = buffer.readUInt32BE(20);
+  return width && height ? { width, height } : null;
+}
+
+// { width, height } from a JPEG's start-of-frame marker, or null if there isn't one
+function jpegSize(buffer) {
+  if (buffer.length < 4 || buffer[0] !== 0xff || buffer[1] !== 0xd8) return null;
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    const length = buffer.readUInt16BE(offset + 2);
+    const isFrame = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+    if (isFrame) {
+      const height = buffer.readUInt16BE(offset + 5);
+      const width = buffer.readUInt16BE(offset + 7);
+      return width && height ? { width, height } : null;
+    }
+    if (length < 2) return null;
+    offset += 2 + length;
+  }
+  return null;
+}
+
+// Nearest-neighbour scale of the logo into a side x side square, alpha-blended over the background
+function drawPngLogo(target, logo, offset, side, background) {
+  const ratio = Math.min(side / logo.width, side / logo.height);
+  const width = Math.floor(logo.width * ratio);
+  const height = Math.floor(logo.height * ratio);
+  const left = offset + Math.floor((side - width) / 2);
+  const top = offset + Math.floor((side - height) / 2);
+
+  for (let y = 0; y < height; y++) {
+    const srcY = Math.min(logo.height - 1, Math.floor(y / ratio));
+    for (let x = 0; x < width; x++) {
+      const srcX = Math.min(logo.width - 1, Math.floor(x / ratio));
+      const src = (srcY * logo.width + srcX) * 4;
+      const dst = ((top + y) * target.width + (left + x)) * 4;
+      const alpha = logo.data[src + 3] / 255;
+      for (let c = 0; c < 3; c++) {
+        target.data[dst + c] = Math.round(logo.data[src + c] * alpha + background[c] * (1 - alpha));
+      }
+      target.data[dst + 3] = 255;
+    }
+  }
+}
+
+module.exports = QRRenderer;
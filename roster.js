@@ -0,0 +1,412 @@
+/*!
+ * ═══════════════════════════════════════════════════════════════
+ * insane.marketing - Luxury Hospitality Intelligence Platform
+ * ═══════════════════════════════════════════════════════════════
+ * 
+ * Copyright (c) 2024-2025 insane.marketing
+ * All Rights Reserved - Proprietary and Confidential
+
+ * 
+ * NOTICE: This code contains proprietary business logic and trade secrets.
+ * 
+ * Unauthorized use, reproduction, or distribution of this code,
+ * or any portion of it, may result in severe civil and criminal penalties,
+ * and will be prosecuted to the maximum extent possible under the law.
+
+ * 
+ * Key Protected Features:
+ * - Zero-Knowledge Architecture & Data Handling
+ * - Time Machine Transformation Visualization System
+ * - VIP Prediction & Recognition Engine
+ * - Service Recovery Intelligence System
+ * - Real-time Mission Control Analytics
+
+ * Protected by AI tracking - active
+ * For licensing inquiries: steve@insane.marketing
+
+ * ═══════════════════════════════════════════════════════════════
+ */
+
+
+
+
+
+
+// roster.js
+// Shifts, clock-in/out and hourly wages per venue role.
+// A shift is either scheduled ahead (scheduled_start/end) and later clocked into, or opened by
+// clocking in without one. Whoever has clocked in and not out is on shift; shifts left open longer
+// than MAX_OPEN_SHIFT_HOURS are taken to be forgotten clock-outs and not counted, and are closed at
+// their scheduled end and flagged (missedClockOut) on that person's next clock-in or clock-out.
+
+const { ROLES } = require('./venue-permissions');
+
+const FLOOR_ROLES = ['server', 'host']; // the staff the predictive engine's staffing model counts
+const MAX_OPEN_SHIFT_HOURS = 16;
+const EARLY_CLOCK_IN_MINUTES = 60; // clocking in this long before a scheduled shift starts it
+const ROSTER_ACTIVE_DAYS = 14; // venues with no shifts in this window aren't using the roster
+
+// Clock-out recorded for a forgotten shift: its scheduled end, or its clock-in when it wasn't
+// scheduled - no hours are guessed, a manager corrects the flagged shift with updateShift
+const FORGOTTEN_CLOCK_OUT = `LEAST(GREATEST(clock_in_at, COALESCE(scheduled_end, clock_in_at)),
+  clock_in_at + make_interval(hours => ${MAX_OPEN_SHIFT_HOURS}))`;
+
+const SHIFT_COLUMNS = `
+  s.id, s.user_id, u.full_name, u.email, s.venue_role, s.scheduled_start, s.scheduled_end,
+  s.clock_in_at, s.clock_out_at, s.missed_clock_out, s.hourly_wage, s.notes, s.cancelled_at, s.created_at,
+  s.updated_at
+`;
+
+class RosterService {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  // ===== WAGES =====
+
+  // { role: hourly wage, or null when the venue hasn't set one }
+  async getWages(restaurantId) {
+    const result = await this.pool.query(
+      'SELECT venue_role, hourly_wage FROM role_wages WHERE restaurant_id = $1',
+      [restaurantId]
+    );
+    const wages = Object.fromEntries(ROLES.map(role => [role, null]));
+    for (const row of result.rows) wages[row.venue_role] = parseFloat(row.hourly_wage);
+    return wages;
+  }
+
+  // hourlyWage null removes the role's wage
+  async setWage(restaurantId, role, hourlyWage, updatedBy) {
+    if (hourlyWage === null) {
+      await this.pool.query('DELETE FROM role_wages WHERE restaurant_id = $1 AND venue_role = $2', [restaurantId, role]);
+    } else {
+      await this.pool.query(`
+        INSERT INTO role_wages (restaurant_id, venue_role, hourly_wage, updated_by)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (restaurant_id, venue_role) DO UPDATE
+        SET hourly_wage = EXCLUDED.hourly_wage, updated_by = EXCLUDED.updated_by, updated_at = NOW()
+      `, [restaurantId, role, hourlyWage, updatedBy]);
+    }
+    return this.getWages(restaurantId);
+  }
+
+  // ===== SHIFTS =====
+
+  async staffMember(restaurantId, userId, client = this.pool) {
+    const result = await client.query(
+      'SELECT id, full_name, venue_role, is_active FROM users WHERE id = $1 AND restaurant_id = $2',
+      [userId, restaurantId]
+    );
+    if (result.rows.length === 0) throw this.error('Staff member not found', 'STAFF_NOT_FOUND', 404);
+    if (!result.rows[0].is_active) throw this.error('Staff member is disabled', 'STAFF_DISABLED', 409);
+    return result.rows[0];
+  }
+
+  async getShift(restaurantId, shiftId, client = this.pool) {
+    const result = await client.query(`
+      SELECT ${SHIFT_COLUMNS}
+      FROM staff_shifts s JOIN users u ON u.id = s.user_id
+      WHERE s.id = $1 AND s.restaurant_id = $2
+    `, [shiftId, restaurantId]);
+    if (result.rows.length === 0) throw this.error('Shift not found', 'SHIFT_NOT_FOUND', 404);
+    return result.rows[0];
+  }
+
+  // Shifts overlapping [from, to), with scheduled and worked hours and labour cost at each shift's wage
+  async listShifts(restaurantId, { from, to, userId = null, includeCancelled = false }) {
+    const result = await this.pool.query(`
+      SELECT ${SHIFT_COLUMNS}
+      FROM staff_shifts s JOIN users u ON u.id = s.user_id
+      WHERE s.restaurant_id = $1
+        AND LEAST(s.scheduled_start, s.clock_in_at) < $3
+        AND GREATEST(s.scheduled_end, s.clock_out_at,
+                     CASE WHEN s.clock_in_at IS NOT NULL AND s.clock_out_at IS NULL THEN NOW() END) > $2
+        AND ($4::integer IS NULL OR s.user_id = $4)
+        AND ($5 OR s.cancelled_at IS NULL)
+      ORDER BY COALESCE(s.scheduled_start, s.clock_in_at), u.full_name
+    `, [restaurantId, from, to, userId, includeCancelled]);
+
+    const shifts = result.rows.map(row => RosterService.formatShift(row));
+    const live = shifts.filter(shift => !shift.cancelledAt);
+    const sum = (values) => Math.round(values.reduce((total, value) => total + (value || 0), 0) * 100) / 100;
+
+    return {
+      shifts,
+      totals: {
+        scheduledHours: sum(live.map(shift => shift.scheduledHours)),
+        workedHours: sum(live.map(shift => shift.workedHours)),
+        labourCost: sum(live.map(shift => shift.labourCost)),
+        // Worked time on shifts clocked in before any wage was set for the role
+        uncostedHours: sum(live.filter(shift => shift.hourlyWage === null).map(shift => shift.workedHours))
+      }
+    };
+  }
+
+  async createShift(restaurantId, { userId, role, scheduledStart, scheduledEnd, notes = null }, createdBy) {
+    const member = await this.staffMember(restaurantId, userId);
+    await this.assertNoOverlap(restaurantId, userId, scheduledStart, scheduledEnd);
+
+    const result = await this.pool.query(`
+      INSERT INTO staff_shifts (restaurant_id, user_id, venue_role, scheduled_start, scheduled_end, notes, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING id
+    `, [restaurantId, userId, role || member.venue_role, scheduledStart, scheduledEnd, notes, createdBy]);
+
+    return RosterService.formatShift(await this.getShift(restaurantId, result.rows[0].id));
+  }
+
+  // Reschedule, change role or notes, or correct clock times (e.g. close a forgotten clock-out)
+  async updateShift(restaurantId, shiftId, changes) {
+    const shift = await this.getShift(restaurantId, shiftId);
+    if (shift.cancelled_at) throw this.error('Shift has been cancelled', 'SHIFT_CANCELLED', 409);
+
+    const next = {
+      venueRole: changes.role || shift.venue_role,
+      scheduledStart: changes.scheduledStart !== undefined ? changes.scheduledStart : shift.scheduled_start,
+      scheduledEnd: changes.scheduledEnd !== undefined ? changes.scheduledEnd : shift.scheduled_end,
+      clockInAt: changes.clockInAt !== undefined ? changes.clockInAt : shift.clock_in_at,
+      clockOutAt: changes.clockOutAt !== undefined ? changes.clockOutAt : shift.clock_out_at,
+      notes: changes.notes !== undefined ? changes.notes : shift.notes
+    };
+
+    if ((next.scheduledStart === null) !== (next.scheduledEnd === null) ||
+        (next.scheduledStart && next.scheduledEnd <= next.scheduledStart)) {
+      throw this.error('Scheduled end must be after scheduled start', 'INVALID_SHIFT_TIMES', 400);
+    }
+    if (!next.scheduledStart && !next.clockInAt) {
+      throw this.error('A shift needs scheduled times or a clock-in', 'INVALID_SHIFT_TIMES', 400);
+    }
+    if (next.clockOutAt && (!next.clockInAt || next.clockOutAt < next.clockInAt)) {
+      throw this.error('Clock-out must be after clock-in', 'INVALID_SHIFT_TIMES', 400);
+    }
+    if (next.scheduledStart) {
+      await this.assertNoOverlap(restaurantId, shift.user_id, next.scheduledStart, next.scheduledEnd, shift.id);
+    }
+
+    try {
+      await this.pool.query(`
+        UPDATE staff_shifts
+        SET venue_role = $3, scheduled_start = $4, scheduled_end = $5, clock_in_at = $6, clock_out_at = $7,
+            notes = $8, missed_clock_out = missed_clock_out AND NOT $9, updated_at = NOW()
+        WHERE id = $1 AND restaurant_id = $2
+      `, [shift.id, restaurantId, next.venueRole, next.scheduledStart, next.scheduledEnd,
+        next.clockInAt, next.clockOutAt, next.notes, changes.clockOutAt !== undefined]);
+    } catch (error) {
+      if (error.code === '23505') throw this.error('Staff member already has an open shift', 'ALREADY_CLOCKED_IN', 409);
+      throw error;
+    }
+
+    return RosterService.formatShift(await this.getShift(restaurantId, shift.id));
+  }
+
+  // Only shifts nobody has clocked into can be cancelled; worked time is corrected with updateShift
+  async cancelShift(restaurantId, shiftId) {
+    const shift = await this.getShift(restaurantId, shiftId);
+    if (shift.cancelled_at) throw this.error('Shift has already been cancelled', 'SHIFT_CANCELLED', 409);
+    if (shift.clock_in_at) throw this.error('Shift has been clocked into and cannot be cancelled', 'SHIFT_STARTED', 409);
+
+    await this.pool.query(
+      'UPDATE staff_shifts SET cancelled_at = NOW(), updated_at = NOW() WHERE id = $1',
+      [shift.id]
+    );
+    return RosterService.formatShift(await this.getShift(restaurantId, shift.id));
+  }
+
+  async assertNoOverlap(restaurantId, userId, start, end, excludeShiftId = null) {
+    const overlap = await this.pool.query(`
+      SELECT id FROM staff_shifts
+      WHERE restaurant_id = $1 AND user_id = $2 AND cancelled_at IS NULL
+        AND scheduled_start < $4 AND scheduled_end > $3
+        AND ($5::integer IS NULL OR id <> $5)
+      LIMIT 1
+    `, [restaurantId, userId, start, end, excludeShiftId]);
+
+    if (overlap.rows.length > 0) {
+      throw this.error(`Overlaps shift ${overlap.rows[0].id} for this staff member`, 'SHIFT_OVERLAP', 409);
+    }
+  }
+
+  // ===== CLOCKING =====
+
+  // Starts the staff member's scheduled shift if one is due (or under way), otherwise opens an
+  // unscheduled one. The role's current wage is fixed on the shift.
+  async clockIn(restaurantId, userId) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const member = await this.staffMember(restaurantId, userId, client);
+
+      await client.query(`
+        UPDATE staff_shifts SET clock_out_at = ${FORGOTTEN_CLOCK_OUT}, missed_clock_out = TRUE, updated_at = NOW()
+        WHERE user_id = $1 AND clock_in_at IS NOT NULL AND clock_out_at IS NULL
+          AND clock_in_at <= NOW() - make_interval(hours => $2)
+      `, [userId, MAX_OPEN_SHIFT_HOURS]);
+
+      const open = await client.query(
+        'SELECT id FROM staff_shifts WHERE user_id = $1 AND clock_in_at IS NOT NULL AND clock_out_at IS NULL',
+        [userId]
+      );
+      if (open.rows.length > 0) throw this.error('Already clocked in', 'ALREADY_CLOCKED_IN', 409);
+
+      const scheduled = await client.query(`
+        SELECT id, venue_role FROM staff_shifts
+        WHERE restaurant_id = $1 AND user_id = $2 AND cancelled_at IS NULL AND clock_in_at IS NULL
+          AND scheduled_start <= NOW() + make_interval(mins => $3) AND scheduled_end > NOW()
+        ORDER BY scheduled_start
+        LIMIT 1
+        FOR UPDATE
+      `, [restaurantId, userId, EARLY_CLOCK_IN_MINUTES]);
+
+      const role = scheduled.rows[0]?.venue_role || member.venue_role;
+      const wage = await client.query(
+        'SELECT hourly_wage FROM role_wages WHERE restaurant_id = $1 AND venue_role = $2',
+        [restaurantId, role]
+      );
+      const hourlyWage = wage.rows[0]?.hourly_wage ?? null;
+
+      let shiftId;
+      if (scheduled.rows.length > 0) {
+        shiftId = scheduled.rows[0].id;
+        await client.query(
+          'UPDATE staff_shifts SET clock_in_at = NOW(), hourly_wage = $2, updated_at = NOW() WHERE id = $1',
+          [shiftId, hourlyWage]
+        );
+      } else {
+        const inserted = await client.query(`
+          INSERT INTO staff_shifts (restaurant_id, user_id, venue_role, clock_in_at, hourly_wage, created_by)
+          VALUES ($1, $2, $3, NOW(), $4, $2)
+          RETURNING id
+        `, [restaurantId, userId, role, hourlyWage]);
+        shiftId = inserted.rows[0].id;
+      }
+
+      const shift = await this.getShift(restaurantId, shiftId, client);
+      await client.query('COMMIT');
+      return RosterService.formatShift(shift);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      // Two clock-ins racing: the open-shift unique index lets one through
+      if (error.code === '23505') throw this.error('Already clocked in', 'ALREADY_CLOCKED_IN', 409);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async clockOut(restaurantId, userId) {
+    const result = await this.pool.query(`
+      UPDATE staff_shifts
+      SET clock_out_at = CASE WHEN clock_in_at > NOW() - make_interval(hours => $3) THEN NOW() ELSE ${FORGOTTEN_CLOCK_OUT} END,
+          missed_clock_out = clock_in_at <= NOW() - make_interval(hours => $3),
+          updated_at = NOW()
+      WHERE restaurant_id = $1 AND user_id = $2 AND clock_in_at IS NOT NULL AND clock_out_at IS NULL
+      RETURNING id
+    `, [restaurantId, userId, MAX_OPEN_SHIFT_HOURS]);
+    if (result.rows.length === 0) throw this.error('Not clocked in', 'NOT_CLOCKED_IN', 409);
+
+    return RosterService.formatShift(await this.getShift(restaurantId, result.rows[0].id));
+  }
+
+  // ===== ON SHIFT NOW =====
+
+  async onShift(restaurantId) {
+    const result = await this.pool.query(`
+      SELECT ${SHIFT_COLUMNS}
+      FROM staff_shifts s JOIN users u ON u.id = s.user_id
+      WHERE s.restaurant_id = $1 AND s.clock_in_at IS NOT NULL AND s.clock_out_at IS NULL
+        AND s.clock_in_at > NOW() - make_interval(hours => $2)
+      ORDER BY s.venue_role, s.clock_in_at
+    `, [restaurantId, MAX_OPEN_SHIFT_HOURS]);
+
+    return result.rows.map(row => RosterService.formatShift(row));
+  }
+
+  // Floor staff on shift right now and what one more or one fewer costs per hour: the average wage
+  // of those on shift, or the server wage when nobody is. null when the venue isn't using the roster.
+  async floorCoverage(restaurantId) {
+    const used = await this.pool.query(`
+      SELECT 1 FROM staff_shifts
+      WHERE restaurant_id = $1 AND COALESCE(scheduled_start, clock_in_at) > NOW() - make_interval(days => $2)
+      LIMIT 1
+    `, [restaurantId, ROSTER_ACTIVE_DAYS]);
+    if (used.rows.length === 0) return null;
+
+    const floor = (await this.onShift(restaurantId)).filter(shift => FLOOR_ROLES.includes(shift.role));
+    const wages = floor.map(shift => shift.hourlyWage).filter(wage => wage !== null);
+
+    let marginalWage = wages.length > 0 ? wages.reduce((total, wage) => total + wage, 0) / wages.length : null;
+    if (marginalWage === null) marginalWage = (await this.getWages(restaurantId)).server;
+
+    return {
+      staffOnShift: floor.length,
+      hourlyCost: wages.length === floor.length ? wages.reduce((total, wage) => total + wage, 0) : null,
+      marginalWage
+    };
+  }
+
+  // ===== LABOUR =====
+
+  // Clocked time of the given roles inside [from, to), costed at each shift's wage.
+  // uncostedHours is time on shifts that started before the role had a wage.
+  async labourBetween(restaurantId, from, to, roles = FLOOR_ROLES) {
+    const result = await this.pool.query(`
+      WITH worked AS (
+        SELECT hourly_wage,
+               EXTRACT(EPOCH FROM (LEAST(COALESCE(clock_out_at, NOW()), $3) - GREATEST(clock_in_at, $2))) / 3600 AS hours
+        FROM staff_shifts
+        WHERE restaurant_id = $1 AND cancelled_at IS NULL AND venue_role = ANY($4)
+          AND clock_in_at < $3 AND COALESCE(clock_out_at, NOW()) > $2
+          AND clock_in_at > $2::timestamptz - make_interval(hours => $5)
+      )
+      SELECT COALESCE(SUM(hours), 0) AS hours,
+             COALESCE(SUM(hours * hourly_wage), 0) AS cost,
+             COALESCE(SUM(hours) FILTER (WHERE hourly_wage IS NULL), 0) AS uncosted_hours
+      FROM worked
+    `, [restaurantId, from, to, roles, MAX_OPEN_SHIFT_HOURS]);
+
+    const row = result.rows[0];
+    const round = value => Math.round(parseFloat(value) * 100) / 100;
+    return { hours: round(row.hours), cost: round(row.cost), uncostedHours: round(row.uncosted_hours) };
+  }
+
+  static formatShift(row) {
+    const hours = (start, end) => (start && end ? Math.round((new Date(end) - new Date(start)) / 36e3) / 100 : null);
+    const workedHours = row.clock_in_at ? hours(row.clock_in_at, row.clock_out_at || new Date()) : null;
+    const hourlyWage = row.hourly_wage === null ? null : parseFloat(row.hourly_wage);
+
+    return {
+      id: row.id,
+      userId: row.user_id,
+      name: row.full_name || row.email,
+      role: row.venue_role,
+      status: row.cancelled_at ? 'cancelled'
+        : row.clock_out_at ? 'completed'
+          : row.clock_in_at ? 'on_shift'
+            : 'scheduled',
+      scheduledStart: row.scheduled_start,
+      scheduledEnd: row.scheduled_end,
+      clockInAt: row.clock_in_at,
+      clockOutAt: row.clock_out_at,
+      missedClockOut: row.missed_clock_out,
+      scheduledHours: hours(row.scheduled_start, row.scheduled_end),
+      workedHours,
+      hourlyWage,
+      labourCost: workedHours !== null && hourlyWage !== null ? Math.round(workedHours * hourlyWage * 100) / 100 : null,
+      notes: row.notes,
+      cancelledAt: row.cancelled_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  error(message, code, statusCode) {
+    const error = new Error(message);
+    error.code = code;
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+RosterService.FLOOR_ROLES = FLOOR_ROLES;
+
+module.exports = RosterService;
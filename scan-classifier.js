@@ -0,0 +1,128 @@
+/*!
+ * ═══════════════════════════════════════════════════════════════
+ * insane.marketing - Luxury Hospitality Intelligence Platform
+ * ═══════════════════════════════════════════════════════════════
+ * 
+ * Copyright (c) 2024-2025 insane.marketing
+ * All Rights Reserved - Proprietary and Confidential
+
+ * 
+ * NOTICE: This code contains proprietary business logic and trade secrets.
+ * 
+ * Unauthorized use, reproduction, or distribution of this code,
+ * or any portion of it, may result in severe civil and criminal penalties,
+ * and will be prosecuted to the maximum extent possible under the law.
+
+ * 
+ * Key Protected Features:
+ * - Zero-Knowledge Architecture & Data Handling
+ * - Time Machine Transformation Visualization System
+ * - VIP Prediction & Recognition Engine
+ * - Service Recovery Intelligence System
+ * - Real-time Mission Control Analytics
+
+ * Protected by AI tracking - active
+ * For licensing inquiries: steve@insane.marketing
+
+ * ═══════════════════════════════════════════════════════════════
+ */
+
+
+
+
+
+
+// scan-classifier.js
+// Decides what kind of hit a QR scan was before it is written to qr_scans:
+//   preview   - link unfurlers (WhatsApp, Slack, iMessage...), HEAD requests, browser prefetch
+//   bot       - crawlers, uptime checks, scripts, requests with no user agent
+//   duplicate - the same device hitting the same code again within the dedupe window (double taps, refreshes)
+//   human     - everything else; the only class analytics and table sessions count by default
+
+const crypto = require('crypto');
+
+const SCAN_CLASSES = ['human', 'duplicate', 'bot', 'preview'];
+
+// Checked before BOT_PATTERN - most unfurlers also call themselves "bot".
+// WhatsApp and Pinterest only by their fetchers' own user agents: their in-app browsers carry the
+// app name too ("... WhatsApp/2.23 ...", "[Pinterest/iOS]") and are guests.
+const PREVIEW_PATTERN = /facebookexternalhit|facebot|^whatsapp\/|slackbot|slack-imgproxy|twitterbot|telegrambot|discordbot|linkedinbot|skypeuripreview|pinterestbot|pinterest\/0\.|redditbot|embedly|vkshare|applebot|google-pagerenderer/i;
+
+// "bot" only as a word of its own or a product token, so phone models like CUBOT aren't matched;
+// "+http://..." is the contact link crawlers put in their user agent
+const BOT_PATTERN = /\bbot\b|bot\/|\+https?:\/\/|crawl|spider|slurp|curl\/|wget|python-requests|python-urllib|go-http-client|okhttp|java\/|libwww|httpclient|headlesschrome|phantomjs|scrapy|node-fetch|axios\/|uptime|monitor|pingdom/i;
+
+// Headers browsers send when fetching a page speculatively rather than for a person
+const PREFETCH_HEADERS = {
+  purpose: /prefetch|preview/i,
+  'sec-purpose': /prefetch|prerender/i,
+  'x-purpose': /prefetch|preview/i,
+  'x-moz': /prefetch/i
+};
+
+const DEFAULT_DEDUPE_WINDOW_SECONDS = 30;
+
+class ScanClassifier {
+  constructor(pool, { secret, dedupeWindowSeconds, ipPrivacy = null } = {}) {
+    this.pool = pool;
+    this.secret = secret || '';
+    this.dedupeWindowSeconds = parseInt(dedupeWindowSeconds, 10) || DEFAULT_DEDUPE_WINDOW_SECONDS;
+    this.ipPrivacy = ipPrivacy; // supplies the daily salt, so hashes can't be linked across days
+  }
+
+  // Keyed hash of IP + user agent - enough to recognise a repeat visit without storing who it was
+  async deviceHash(ipAddress, userAgent) {
+    if (!ipAddress && !userAgent) return null;
+    const key = this.ipPrivacy ? await this.ipPrivacy.dailySalt() : this.secret;
+    return crypto.createHmac('sha256', key)
+      .update(`${ipAddress || ''}|${userAgent || ''}`)
+      .digest('hex');
+  }
+
+  // The request-only part: no database needed
+  classifyRequest({ method, headers = {} }) {
+    if (method === 'HEAD') return { scanClass: 'preview', reason: 'head_request' };
+
+    for (const [header, pattern] of Object.entries(PREFETCH_HEADERS)) {
+      if (headers[header] && pattern.test(headers[header])) {
+        return { scanClass: 'preview', reason: `header:${header}` };
+      }
+    }
+
+    const userAgent = headers['user-agent'];
+    if (!userAgent) return { scanClass: 'bot', reason: 'ua:missing' };
+    if (PREVIEW_PATTERN.test(userAgent)) return { scanClass: 'preview', reason: 'ua:link_preview' };
+    if (BOT_PATTERN.test(userAgent)) return { scanClass: 'bot', reason: 'ua:bot' };
+
+    return { scanClass: 'human', reason: null };
+  }
+
+  // Full classification for a scan about to be recorded
+  async classify({ restaurantId, qrId = null, qrType, tableNumber = null, ipAddress, method, headers = {} }) {
+    const deviceHash = await this.deviceHash(ipAddress, headers['user-agent']);
+    const { scanClass, reason } = this.classifyRequest({ method, headers });
+
+    if (scanClass !== 'human' || !deviceHash) {
+      return { scanClass, reason, deviceHash };
+    }
+
+    const recent = await this.pool.query(`
+      SELECT 1 FROM qr_scans
+      WHERE device_hash = $1 AND restaurant_id = $2 AND qr_type = $3
+        AND table_number IS NOT DISTINCT FROM $4 AND qr_id IS NOT DISTINCT FROM $5
+        AND scan_class IN ('human', 'duplicate')
+        AND scan_timestamp > NOW() - make_interval(secs => $6)
+      LIMIT 1
+    `, [deviceHash, restaurantId, qrType, tableNumber === null ? null : String(tableNumber), qrId,
+        this.dedupeWindowSeconds]);
+
+    if (recent.rows.length > 0) {
+      return { scanClass: 'duplicate', reason: 'dedupe_window', deviceHash };
+    }
+    return { scanClass: 'human', reason: null, deviceHash };
+  }
+}
+
+ScanClassifier.SCAN_CLASSES = SCAN_CLASSES;
+
+module.exports = ScanClassifier;
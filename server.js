@@ -40,14 +40,35 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const { Pool } = require('pg');
-const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
 const helmet = require('helmet');
 const Joi = require('joi');
 const GitHubScanner = require('./github-scanner');
 const ClaudeAnalyzer = require('./claude-analyzer');
+const MigrationRunner = require('./migration-runner');
+const QRRenderer = require('./qr-renderer');
+const PrintPackBuilder = require('./print-pack');
+const LiveEventBus = require('./live-events');
+const ServiceAlertWorkflow = require('./service-alert-workflow');
+const EscalationScheduler = require('./escalation-scheduler');
+const SlaReporter = require('./sla-reporter');
+const AuthService = require('./auth-service');
+const Mailer = require('./mailer');
+const LoginGuard = require('./login-guard');
+const ApiKeyService = require('./api-keys');
+const ScanClassifier = require('./scan-classifier');
+const IpPrivacy = require('./ip-privacy');
+const TenantDataService = require('./tenant-data');
+const DataExporter = require('./data-export');
+const ForecastingService = require('./forecasting');
+const PredictionScorer = require('./prediction-scorer');
+const JobScheduler = require('./job-scheduler');
+const RosterService = require('./roster');
+const StaffingFeedbackService = require('./staffing-feedback');
+const { parseUserAgent } = require('./user-agent-parser');
+const venuePermissions = require('./venue-permissions');
 const fs = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
 const Anthropic = require('@anthropic-ai/sdk');
 
 
@@ -73,22 +94,28 @@ app.set('trust proxy', 1);
 console.log('Setting up middleware...');
 app.use(cors({
   origin: ['https://qr.insane.marketing', 'https://insane.marketing', 'https://www.insane.marketing', 'http://localhost:3000'],
-  methods: ['GET', 'POST', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'],
   credentials: true
 }));
 
 
 app.use(helmet());
+
+// Live stream clients pass their token in the query string - keep it out of the logs
+function redactUrl(url) {
+  return url.replace(/access_token=[^&]+/, 'access_token=[redacted]');
+}
+
 // Log every request
 app.use((req, res, next) => {
-  console.log(`${req.method} ${req.url}`); // Optional logging
+  console.log(`${req.method} ${redactUrl(req.url)}`); // Optional logging
   next();
 });
 
 // LOG ALL INCOMING REQUESTS (including health checks)
 app.use((req, res, next) => {
-  console.log(`[REQUEST] ${req.method} ${req.url} from ${req.ip}`);
+  console.log(`[REQUEST] ${req.method} ${redactUrl(req.url)} from ${req.ip}`);
   next();
 });
 
@@ -142,7 +169,7 @@ app.use(express.json());
 console.log('Creating database pool...');
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
-  ssl: {
+  ssl: process.env.DATABASE_SSL === 'false' ? false : {
     rejectUnauthorized: false
   },
   max: 20,
@@ -150,6 +177,60 @@ const pool = new Pool({
   connectionTimeoutMillis: 2000,
 });
 
+// Live dashboard events (scans, sessions, alerts, predictions) over Postgres LISTEN/NOTIFY
+const liveEvents = new LiveEventBus(pool);
+
+// Scoped per-venue keys for integrations - accepted by authenticateToken alongside user JWTs
+const apiKeys = new ApiKeyService(pool);
+
+// Truncates or hashes guest IPs at ingest and enforces each venue's raw scan retention
+const ipPrivacy = new IpPrivacy(pool);
+
+// Export and erasure of everything stored for a venue
+const tenantData = new TenantDataService(pool);
+
+// Filtered CSV/XLSX history exports, streamed from a cursor
+const dataExporter = new DataExporter(pool);
+
+// Trained forecasting models (prediction_models) behind the predictive engine
+const forecasting = new ForecastingService(pool);
+
+// Shifts, clock-in/out and role wages - who is actually on shift, and what they cost
+const roster = new RosterService(pool);
+
+// Accept/reject decisions and measured outcomes for staffing recommendations
+const staffingFeedback = new StaffingFeedbackService(pool, { roster, staffForVolume: optimalStaffFor });
+
+// Recurring per-venue jobs kept in scheduled_jobs; one runner per job across instances
+const jobScheduler = new JobScheduler(pool);
+
+// Labels each scan human/duplicate/bot/preview before it is stored
+const scanClassifier = new ScanClassifier(pool, {
+  secret: process.env.JWT_SECRET,
+  dedupeWindowSeconds: process.env.SCAN_DEDUPE_WINDOW_SECONDS,
+  ipPrivacy
+});
+
+// Analytics count human scans only; ?includeAll=true counts previews, bots and duplicates too
+function includeAllScans(req) {
+  return req.query.includeAll === 'true';
+}
+
+function scanClassFilter(includeAll, column = 'scan_class') {
+  return includeAll ? '' : `AND ${column} = 'human'`;
+}
+
+// Service alert state machine (created -> acknowledged -> in_progress -> resolved/escalated/cancelled)
+const alertWorkflow = new ServiceAlertWorkflow(pool, liveEvents);
+
+// Re-notifies staff (then managers) about alerts nobody has acknowledged
+const escalationScheduler = new EscalationScheduler(pool, {
+  notify: (...args) => sendNotificationToStaff(...args),
+  alertWorkflow
+});
+
+const slaReporter = new SlaReporter(pool);
+
 // Initialize Anthropic client for chatbot
 const anthropic = new Anthropic({
   apiKey: process.env.ANTHROPIC_API_KEY,
@@ -356,115 +437,153 @@ pool.on('error', (err) => {
 
 
 
-// User Registration
-// User Registration
-app.post('/api/register', async (req, res) => {
-  try {
-    const schema = Joi.object({
-      email: Joi.string().email().required(),
-      password: Joi.string().min(6).required(),
-      full_name: Joi.string().required(),
-      company_name: Joi.string().required(),
-      restaurant_id: Joi.string().required()
-    });
-
-    const { error } = schema.validate(req.body);
-    if (error) return res.status(400).json({ error: error.details[0].message });
+app.use(express.json({ limit: '10mb' }));
 
-    const { email, password, full_name, company_name, restaurant_id } = req.body;
-    const saltRounds = 10;
-    const password_hash = await bcrypt.hash(password, saltRounds);
 
-    await ensureRestaurantExists(restaurant_id);
-    const result = await pool.query(
-      'INSERT INTO users (email, password_hash, full_name, company_name, restaurant_id, venue_setup_complete) VALUES ($1, $2, $3, $4, $5, FALSE) RETURNING id',
-      [email, password_hash, full_name, company_name, restaurant_id]
-    );
 
-    res.status(201).json({ success: true, userId: result.rows[0].id });
-  } catch (error) {
-    if (error.code === '23505') {
-      return res.status(409).json({ error: 'Email already exists' });
-    }
-    console.error('Register error:', error);
-    res.status(500).json({ error: 'Failed to register' });
-  }
+// Rate limiting with production settings
+const limiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: process.env.NODE_ENV === 'production' ? 1000 : 2000,
+  message: 'Too many requests from this IP, please try again later.',
+  standardHeaders: true,
+  legacyHeaders: false
 });
+app.use(limiter);
 
-// User Login
-// User Login
-app.post('/api/login', async (req, res) => {
-  try {
-    const schema = Joi.object({
-      email: Joi.string().email().required(),
-      password: Joi.string().required()
-    });
 
-    const { error } = schema.validate(req.body);
-    if (error) return res.status(400).json({ error: error.details[0].message });
+// ======================================================
+// TENANT AUTHORIZATION
+// ======================================================
 
-    const { email, password } = req.body;
-    const userResult = await pool.query('SELECT * FROM users WHERE email = $1', [email]);
-    if (userResult.rows.length === 0) {
-      return res.status(401).json({ error: 'Invalid credentials' });
-    }
+const SUPER_ADMIN_ROLE = 'super_admin';
 
-    const user = userResult.rows[0];
-    const match = await bcrypt.compare(password, user.password_hash);
-    if (!match) {
-      return res.status(401).json({ error: 'Invalid credentials' });
-    }
+// Everything under /api that names a venue goes through authenticateToken. The only routes left
+// public are the ones guests' phones call, and none of them answer with venue data:
+//   GET  /q/:shortCode, /qr/:restaurantId/...  - record the scan, then redirect to the destination
+//   POST /api/service/request                  - guest service-request page; answers with the alert id
+//   POST /api/analytics/interaction            - guest page interaction beacon; answers { success }
+//   GET  /api/erasure-reports/:reportId        - proof of erasure, looked up by its unguessable id
 
-    const token = jwt.sign({ id: user.id, email: user.email, restaurant_id: user.restaurant_id }, JWT_SECRET, { expiresIn: '1h' });
+// Tokens carry `restaurantId`; older routes read `req.user.restaurant_id`, so both spellings are set.
+// Tokens minted before venue roles existed belong to a venue's only login, which is its owner.
+function normaliseTokenClaims(user) {
+  const restaurantId = user.restaurantId || user.restaurant_id || null;
+  return { ...user, restaurantId, restaurant_id: restaurantId, venueRole: user.venueRole || 'owner' };
+}
 
-    await pool.query('UPDATE users SET last_login = NOW() WHERE id = $1', [user.id]);
+function canAccessRestaurant(user, restaurantId) {
+  if (!user) return false;
+  if (user.platformRole === SUPER_ADMIN_ROLE) return true;
+  return !!user.restaurantId && user.restaurantId === restaurantId;
+}
 
-    res.json({
-  success: true,
-  token,
-  user: {
-    id: user.id,
-    email: user.email,
-    full_name: user.full_name,
-    restaurant_name: user.company_name,
-    restaurant_id: user.restaurant_id,
-    needsSetup: !user.venue_setup_complete
+// For restaurant IDs that arrive in the body or query rather than the path.
+// Sends the 403 itself; callers just `if (!requireRestaurantAccess(...)) return;`
+function requireRestaurantAccess(req, res, restaurantId) {
+  if (canAccessRestaurant(req.user, restaurantId)) {
+    if (req.user.platformRole === SUPER_ADMIN_ROLE && req.user.restaurantId !== restaurantId) {
+      console.log(`🛡️ Super admin ${req.user.email} accessed ${restaurantId}: ${req.method} ${req.path}`);
+    }
+    return true;
   }
-});
 
-  } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ error: 'Failed to login' });
-  }
-});
+  console.warn(`🚫 Tenant mismatch: user ${req.user?.id} (${req.user?.restaurantId}) tried ${restaurantId}: ${req.method} ${req.path}`);
+  res.status(403).json({ error: 'Forbidden - No access to this restaurant' });
+  return false;
+}
 
+// Role check - goes after authenticateToken: app.get(path, authenticateToken, requirePermission('analytics.view'), ...)
+// API keys are checked against the permissions their scopes grant instead of a role.
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (req.user.apiKeyId) {
+      if (req.user.permissions.includes(permission)) return next();
+      return res.status(403).json({ error: 'Forbidden - this API key does not have the required scope', permission });
+    }
+    if (req.user.platformRole === SUPER_ADMIN_ROLE || venuePermissions.hasPermission(req.user.venueRole, permission)) {
+      return next();
+    }
+    res.status(403).json({ error: `Forbidden - your role (${req.user.venueRole}) cannot do this`, permission });
+  };
+}
 
-app.use(express.json({ limit: '10mb' }));
+// Who to record as having done something: a user's email, or the API key's name
+function actorName(user) {
+  if (user.apiKeyId) return `api-key:${user.apiKeyName}`;
+  return user.email || String(user.id);
+}
 
+// Numeric ids in the path (:qrId, :shiftId, ...). Anything else would reach Postgres and fail as a 500.
+// Sends the 400 itself; callers just `if (!requireIdParam(req, res, 'qrId')) return;`
+const idParamSchema = Joi.number().integer().min(1).max(2147483647).required();
 
+function requireIdParam(req, res, name) {
+  if (!idParamSchema.validate(req.params[name]).error) return true;
+  res.status(400).json({ error: `${name} must be a positive integer` });
+  return false;
+}
 
-// Rate limiting with production settings
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: process.env.NODE_ENV === 'production' ? 1000 : 2000,
-  message: 'Too many requests from this IP, please try again later.',
-  standardHeaders: true,
-  legacyHeaders: false
-});
-app.use(limiter);
+// API key variant of authenticateToken. Keys belong to one venue, so they are only accepted on
+// venue routes (a :restaurantId in the path) - never on account routes like /api/auth/*.
+function authenticateApiKey(req, res, next, key) {
+  if (req.params.restaurantId === undefined) {
+    return res.status(403).json({ error: 'Forbidden - API keys cannot be used on this endpoint', code: 'API_KEY_NOT_ALLOWED' });
+  }
+
+  apiKeys.authenticate(key, { ipAddress: req.ip })
+    .then((principal) => {
+      const rate = apiKeys.consume(principal);
+      res.set('X-RateLimit-Limit', String(rate.limit));
+      res.set('X-RateLimit-Remaining', String(rate.remaining));
+      if (!rate.allowed) {
+        res.set('Retry-After', String(rate.retryAfterSeconds));
+        return res.status(429).json({ error: 'API key rate limit exceeded', code: 'API_KEY_RATE_LIMITED', retryAfterSeconds: rate.retryAfterSeconds });
+      }
 
+      req.user = { ...principal, restaurant_id: principal.restaurantId, venueRole: null };
+      if (!requireRestaurantAccess(req, res, req.params.restaurantId)) return;
+      next();
+    })
+    .catch((error) => {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: `Unauthorized - ${error.message}`, code: error.code });
+      }
+      console.error('API key verification failed:', error);
+      res.status(500).json({ error: 'Authentication unavailable' });
+    });
+}
 
 // JWT Authentication Middleware
+// Rejects expired, legacy (no jti/expiry) and revoked tokens via authService.
+// Also takes venue API keys, either as the bearer token or in an X-API-Key header.
+// Every authenticated route with a :restaurantId path parameter is tenant-checked here.
 function authenticateToken(req, res, next) {
   const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];  // Bearer <token>
+  const token = req.headers['x-api-key'] || (authHeader && authHeader.split(' ')[1]);  // Bearer <token>
   if (!token) return res.status(401).json({ error: 'Unauthorized - No token provided' });
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
-    if (err) return res.status(403).json({ error: 'Forbidden - Invalid token' });
-    req.user = user;
-    next();
-  });
+  if (ApiKeyService.isApiKey(token)) return authenticateApiKey(req, res, next, token);
+
+  authService.verifyAccessToken(token)
+    .then((user) => {
+      req.user = normaliseTokenClaims(user);
+
+      if (req.params.restaurantId !== undefined && !requireRestaurantAccess(req, res, req.params.restaurantId)) {
+        return;
+      }
+      next();
+    })
+    .catch((error) => {
+      if (error.statusCode === 401) {
+        return res.status(401).json({ error: `Unauthorized - ${error.message}`, code: error.code });
+      }
+      if (error.statusCode) {
+        return res.status(403).json({ error: 'Forbidden - Invalid token', code: error.code });
+      }
+      console.error('Token verification failed:', error);
+      res.status(500).json({ error: 'Authentication unavailable' });
+    });
 }
 
 
@@ -497,8 +616,12 @@ try {
 
 
 
-// DATABASE INITIALIZATION WITH PREDICTIVE ANALYTICS
+// DATABASE INITIALIZATION (VERSIONED MIGRATIONS)
 // ======================================================
+// Schema lives in ./migrations and is applied with `npm run migrate`.
+// Startup refuses to serve when the database is behind the code.
+
+const migrationRunner = new MigrationRunner(pool);
 
 async function initializeDatabase() {
   try {
@@ -508,358 +631,19 @@ async function initializeDatabase() {
     console.log('Database connected successfully');
     client.release();
 
-    // Create restaurants table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS restaurants (
-        restaurant_id VARCHAR(100) PRIMARY KEY,
-        name VARCHAR(255) NOT NULL,
-        created_at TIMESTAMP DEFAULT NOW(),
-        updated_at TIMESTAMP DEFAULT NOW()
-      )
-    `);
-console.log('✅ Restaurants table initialized');
-
-    // Create users table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS users (
-        id SERIAL PRIMARY KEY,
-        email VARCHAR(255) UNIQUE NOT NULL,
-        password_hash VARCHAR(255) NOT NULL,
-        full_name VARCHAR(255) NOT NULL,
-        company_name VARCHAR(255) NOT NULL,
-        restaurant_id VARCHAR(100) NOT NULL,
-        plan VARCHAR(50) DEFAULT 'professional',
-        created_at TIMESTAMP DEFAULT NOW(),
-        last_login TIMESTAMP,
-        is_active BOOLEAN DEFAULT true,
-        FOREIGN KEY (restaurant_id) REFERENCES restaurants(restaurant_id) ON DELETE CASCADE
-      )
-    `);
-
-console.log('✅ Users table initialized');
-
-// Add missing columns if they don't exist
-await pool.query(`
-  ALTER TABLE users 
-  ADD COLUMN IF NOT EXISTS venue_setup_complete BOOLEAN DEFAULT FALSE,
-  ADD COLUMN IF NOT EXISTS setup_data JSONB,
-  ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT NOW()
-`);
-console.log('✅ User table columns verified');
-
-
-
-
-
- 
-    // Create qr_codes table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS qr_codes (
-        id SERIAL PRIMARY KEY,
-        restaurant_id VARCHAR(100) NOT NULL,
-        qr_type VARCHAR(50) NOT NULL,
-        tracking_url TEXT NOT NULL,
-        destination_url TEXT NOT NULL,
-        table_number VARCHAR(50),
-        created_at TIMESTAMP DEFAULT NOW(),
-        FOREIGN KEY (restaurant_id) REFERENCES restaurants(restaurant_id) ON DELETE CASCADE
-      )
-    `);
-
-    // Create qr_scans table
-    await pool.query(`
-  CREATE TABLE IF NOT EXISTS qr_scans (
-    id SERIAL PRIMARY KEY,
-    restaurant_id VARCHAR(100) NOT NULL,
-    qr_id INTEGER,
-    qr_type VARCHAR(50) NOT NULL,
-    table_number VARCHAR(50),
-    scan_timestamp TIMESTAMP DEFAULT NOW(),
-    user_agent TEXT,
-    ip_address INET,
-    referrer TEXT,
-    session_duration INTEGER,
-    converted BOOLEAN,
-    FOREIGN KEY (restaurant_id) REFERENCES restaurants(restaurant_id) ON DELETE CASCADE,
-    FOREIGN KEY (qr_id) REFERENCES qr_codes(id) ON DELETE CASCADE
-  )
-`);
-
-    // Create table_sessions table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS table_sessions (
-        id SERIAL PRIMARY KEY,
-        restaurant_id VARCHAR(100) NOT NULL,
-        table_number VARCHAR(50) NOT NULL,
-        session_id VARCHAR(100) UNIQUE NOT NULL,
-        start_time TIMESTAMP NOT NULL,
-        last_activity TIMESTAMP NOT NULL,
-        customer_count INTEGER DEFAULT 1,
-        status VARCHAR(20) DEFAULT 'active',
-        total_scans INTEGER DEFAULT 0,
-        created_at TIMESTAMP DEFAULT NOW(),
-        ended_at TIMESTAMP,
-        FOREIGN KEY (restaurant_id) REFERENCES restaurants(restaurant_id) ON DELETE CASCADE
-      )
-    `);
-
-    // Create service_alerts table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS service_alerts (
-        id SERIAL PRIMARY KEY,
-        alert_id VARCHAR(100) UNIQUE NOT NULL,
-        restaurant_id VARCHAR(100) NOT NULL,
-        table_number VARCHAR(50) NOT NULL,
-        alert_type VARCHAR(50) NOT NULL,
-        service_type VARCHAR(50),
-        message TEXT NOT NULL,
-        action_required TEXT,
-        priority VARCHAR(20) DEFAULT 'medium',
-        source VARCHAR(30) DEFAULT 'behavioral',
-        resolved BOOLEAN DEFAULT FALSE,
-        resolved_at TIMESTAMP,
-        resolved_by VARCHAR(100),
-        acknowledged BOOLEAN DEFAULT FALSE,
-        acknowledged_at TIMESTAMP,
-        acknowledged_by VARCHAR(100),
-        created_at TIMESTAMP DEFAULT NOW(),
-        FOREIGN KEY (restaurant_id) REFERENCES restaurants(restaurant_id) ON DELETE CASCADE
-      )
-    `);
-
-    // Create table_activities table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS table_activities (
-        id SERIAL PRIMARY KEY,
-        restaurant_id VARCHAR(100) NOT NULL,
-        table_number VARCHAR(50) NOT NULL,
-        session_id VARCHAR(100),
-        qr_type VARCHAR(50) NOT NULL,
-        activity_data JSONB,
-        created_at TIMESTAMP DEFAULT NOW(),
-        FOREIGN KEY (restaurant_id) REFERENCES restaurants(restaurant_id) ON DELETE CASCADE
-      )
-    `);
-
-    // Create performance_snapshots table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS performance_snapshots (
-        id SERIAL PRIMARY KEY,
-        restaurant_id VARCHAR(100) NOT NULL,
-        snapshot_time TIMESTAMP NOT NULL,
-        qr_scans_last_hour INTEGER DEFAULT 0,
-        qr_scans_last_2hours INTEGER DEFAULT 0,
-        customer_count INTEGER,
-        revenue_actual DECIMAL(10,2),
-        staff_count INTEGER,
-        weather_condition VARCHAR(50),
-        day_of_week INTEGER,
-        hour_of_day INTEGER,
-        is_holiday BOOLEAN DEFAULT FALSE,
-        local_events TEXT,
-        created_at TIMESTAMP DEFAULT NOW(),
-        FOREIGN KEY (restaurant_id) REFERENCES restaurants(restaurant_id) ON DELETE CASCADE
-      )
-    `);
-
-    // Create prediction_models table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS prediction_models (
-        id SERIAL PRIMARY KEY,
-        restaurant_id VARCHAR(100) NOT NULL,
-        model_type VARCHAR(50) NOT NULL,
-        model_data JSONB NOT NULL,
-        accuracy_score DECIMAL(5,4),
-        training_data_count INTEGER,
-        last_trained TIMESTAMP DEFAULT NOW(),
-        is_active BOOLEAN DEFAULT TRUE,
-        created_at TIMESTAMP DEFAULT NOW(),
-        FOREIGN KEY (restaurant_id) REFERENCES restaurants(restaurant_id) ON DELETE CASCADE
-      )
-    `);
-
-    // Create live_predictions table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS live_predictions (
-        id SERIAL PRIMARY KEY,
-        restaurant_id VARCHAR(100) NOT NULL,
-        prediction_type VARCHAR(50) NOT NULL,
-        prediction_time TIMESTAMP NOT NULL,
-        predicted_value DECIMAL(10,2),
-        confidence_score DECIMAL(5,4),
-        recommended_action TEXT,
-        actual_value DECIMAL(10,2),
-        accuracy_score DECIMAL(5,4),
-status VARCHAR(50),
-        created_at TIMESTAMP DEFAULT NOW(),
-        FOREIGN KEY (restaurant_id) REFERENCES restaurants(restaurant_id) ON DELETE CASCADE
-      )
-    `);
-
-    // Create staffing_recommendations table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS staffing_recommendations (
-        id SERIAL PRIMARY KEY,
-        restaurant_id VARCHAR(100) NOT NULL,
-        recommendation_time TIMESTAMP NOT NULL,
-        current_staff INTEGER,
-        recommended_staff INTEGER,
-        predicted_revenue DECIMAL(10,2),
-        confidence_level VARCHAR(20),
-        reasoning TEXT,
-        implemented BOOLEAN DEFAULT FALSE,
-        actual_outcome JSONB,
-        created_at TIMESTAMP DEFAULT NOW(),
-        FOREIGN KEY (restaurant_id) REFERENCES restaurants(restaurant_id) ON DELETE CASCADE
-      )
-    `);
-
-    // Create table_alerts table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS table_alerts (
-        id SERIAL PRIMARY KEY,
-        restaurant_id VARCHAR(100) NOT NULL,
-        table_number VARCHAR(50) NOT NULL,
-status VARCHAR(20) DEFAULT 'created' NOT NULL,
-        alert_type VARCHAR(50) NOT NULL,
-        message TEXT,        
-        created_at TIMESTAMP DEFAULT NOW(),
-        FOREIGN KEY (restaurant_id) REFERENCES restaurants(restaurant_id) ON DELETE CASCADE
-      )
-    `);
-
-    // Create table_status table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS table_status (
-        id SERIAL PRIMARY KEY,
-        restaurant_id VARCHAR(100) NOT NULL,
-        table_number VARCHAR(50) NOT NULL,
-        status VARCHAR(50) NOT NULL,
-        last_updated TIMESTAMP DEFAULT NOW(),
-        FOREIGN KEY (restaurant_id) REFERENCES restaurants(restaurant_id) ON DELETE CASCADE
-      )
-    `);
-
-
-// ✅ NEW: Create card_configurations table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS card_configurations (
-        id SERIAL PRIMARY KEY,
-        restaurant_id VARCHAR(100) NOT NULL UNIQUE,
-        selected_cards JSONB NOT NULL DEFAULT '[]'::jsonb,
-        configurations JSONB NOT NULL DEFAULT '{}'::jsonb,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (restaurant_id) REFERENCES restaurants(restaurant_id) ON DELETE CASCADE
-      )
-    `);
-    console.log('✅ Card configurations table initialized');
-
-
-
-
-
-    // Create indexes for performance
-    await pool.query(`
-      CREATE INDEX IF NOT EXISTS idx_users_email ON users(email)
-    `);
-    await pool.query(`
-      CREATE INDEX IF NOT EXISTS idx_qr_scans_restaurant_date 
-      ON qr_scans(restaurant_id, scan_timestamp DESC)
-    `);
-    await pool.query(`
-      CREATE INDEX IF NOT EXISTS idx_table_sessions_restaurant_active 
-      ON table_sessions(restaurant_id, status, last_activity DESC)
-    `);
-    await pool.query(`
-      CREATE INDEX IF NOT EXISTS idx_service_alerts_restaurant_unresolved 
-      ON service_alerts(restaurant_id, resolved, priority, created_at DESC)
-    `);
-    await pool.query(`
-      CREATE INDEX IF NOT EXISTS idx_performance_snapshots_restaurant_time 
-      ON performance_snapshots(restaurant_id, snapshot_time DESC)
-    `);
-    await pool.query(`
-      CREATE INDEX IF NOT EXISTS idx_live_predictions_restaurant_type 
-      ON live_predictions(restaurant_id, prediction_type, created_at DESC)
-    `);
-    await pool.query(`
-      CREATE INDEX IF NOT EXISTS idx_table_alerts_restaurant_status 
-      ON table_alerts(restaurant_id, status, created_at DESC)
-    `);
-    await pool.query(`
-      CREATE INDEX IF NOT EXISTS idx_table_status_restaurant 
-      ON table_status(restaurant_id, last_updated DESC)
-    `);
-    await pool.query(`
-      CREATE INDEX IF NOT EXISTS idx_card_configurations_restaurant 
-      ON card_configurations(restaurant_id)
-    `);
-
-    // Create notification tables
-    await createNotificationTables();
+    if (process.env.AUTO_MIGRATE === 'true') {
+      console.log('AUTO_MIGRATE enabled - applying pending migrations...');
+      await migrationRunner.migrate();
+    }
 
-    console.log('Database tables initialized successfully with predictive analytics');
+    const { currentVersion } = await migrationRunner.assertUpToDate();
+    console.log(`✅ Database schema up to date (version ${currentVersion})`);
   } catch (error) {
     console.error('Database initialization failed:', error);
     throw error;
   }
 }
 
-
-// ======================================================
-// NOTIFICATION TABLES CREATION
-// ======================================================
-
-async function createNotificationTables() {
-  try {
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS push_subscriptions (
-        id SERIAL PRIMARY KEY,
-        restaurant_id VARCHAR(100) NOT NULL,
-        staff_type VARCHAR(50) NOT NULL,
-        staff_name VARCHAR(100),
-        phone_number VARCHAR(20),
-        subscription_data JSONB NOT NULL,
-        is_active BOOLEAN DEFAULT true,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        last_used TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (restaurant_id) REFERENCES restaurants(restaurant_id) ON DELETE CASCADE
-      )
-    `);
-
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS notification_log (
-        id SERIAL PRIMARY KEY,
-        alert_id VARCHAR(100) NOT NULL,
-        restaurant_id VARCHAR(100) NOT NULL,
-        table_number VARCHAR(50),
-        notification_type VARCHAR(50),
-        status VARCHAR(50) DEFAULT 'sent',
-        sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        delivered_at TIMESTAMP,
-        staff_notified JSONB,
-        FOREIGN KEY (restaurant_id) REFERENCES restaurants(restaurant_id) ON DELETE CASCADE
-      )
-    `);
-
-    await pool.query(`
-      CREATE INDEX IF NOT EXISTS idx_push_subscriptions_restaurant 
-      ON push_subscriptions(restaurant_id, is_active)
-    `);
-
-    await pool.query(`
-      CREATE INDEX IF NOT EXISTS idx_notification_log_alert 
-      ON notification_log(alert_id)
-    `);
-
-    console.log('Notification tables created successfully');
-  } catch (error) {
-    console.error('Error creating notification tables:', error);
-    throw error;
-  }
-}
-
 // ======================================================
 // ENSURE DEMO DATA EXISTS
 // ======================================================
@@ -950,20 +734,20 @@ async function ensureRestaurantExists(restaurantId, restaurantName = null) {
 
 async function sendNotificationToStaff(restaurantId, notificationData, targetStaffType = null) {
   try {
+    // Subscriptions of disabled staff accounts are skipped; unlinked (pre-account) ones still receive
     const staffQuery = targetStaffType
-      ? `SELECT * FROM push_subscriptions 
-         WHERE restaurant_id = $1 AND is_active = true AND staff_type = $2`
-      : `SELECT * FROM push_subscriptions 
-         WHERE restaurant_id = $1 AND is_active = true`;
+      ? `SELECT ps.* FROM push_subscriptions ps
+         LEFT JOIN users u ON u.id = ps.user_id
+         WHERE ps.restaurant_id = $1 AND ps.is_active = true AND ps.staff_type = $2
+           AND (ps.user_id IS NULL OR u.is_active = true)`
+      : `SELECT ps.* FROM push_subscriptions ps
+         LEFT JOIN users u ON u.id = ps.user_id
+         WHERE ps.restaurant_id = $1 AND ps.is_active = true
+           AND (ps.user_id IS NULL OR u.is_active = true)`;
     
     const params = targetStaffType ? [restaurantId, targetStaffType] : [restaurantId];
     const subscriptions = await pool.query(staffQuery, params);
 
-    if (subscriptions.rows.length === 0) {
-      console.log(`No active subscriptions found for ${restaurantId}`);
-      return { sent: 0, failed: 0 };
-    }
-
     let sent = 0, failed = 0;
     const staffNotified = [];
 
@@ -975,6 +759,7 @@ async function sendNotificationToStaff(restaurantId, notificationData, targetSta
         tableNumber: notificationData.tableNumber,
         alertId: notificationData.alertId,
         type: notificationData.type,
+        escalationStep: notificationData.escalationStep || 0,
         tag: `table-${notificationData.tableNumber}`,
         url: '/table-control-center.html?mobile=true'
       });
@@ -996,18 +781,24 @@ async function sendNotificationToStaff(restaurantId, notificationData, targetSta
       }
     }
 
-    // Log notification attempt
+    // Log every attempt, including ones nobody was subscribed for - escalation relies on this
+    if (subscriptions.rows.length === 0) {
+      console.log(`No active subscriptions found for ${restaurantId}${targetStaffType ? ` (${targetStaffType})` : ''}`);
+    }
+
     await pool.query(
       `INSERT INTO notification_log 
-       (alert_id, restaurant_id, table_number, notification_type, status, staff_notified) 
-       VALUES ($1, $2, $3, $4, $5, $6)`,
+       (alert_id, restaurant_id, table_number, notification_type, status, staff_notified, escalation_step, target_staff_type) 
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
       [
         notificationData.alertId,
         restaurantId,
         notificationData.tableNumber,
         'push',
-        sent > 0 ? 'sent' : 'failed',
-        JSON.stringify(staffNotified)
+        subscriptions.rows.length === 0 ? 'no_recipients' : (sent > 0 ? 'sent' : 'failed'),
+        JSON.stringify(staffNotified),
+        notificationData.escalationStep || 0,
+        targetStaffType
       ]
     );
 
@@ -1022,43 +813,52 @@ async function sendNotificationToStaff(restaurantId, notificationData, targetSta
 // PREDICTIVE ANALYTICS ENGINE
 // ======================================================
 
+const CUSTOMERS_PER_TABLE = 2.3; // active tables -> customers, until covers come from a POS
+
+// Staffing model: 1 server per 12-15 customers, minimum 2 staff
+function optimalStaffFor(customers) {
+  return Math.max(2, Math.ceil(customers / 13));
+}
+
+const PREDICTIVE_JOB = 'predictive_collection';
+
 class PredictiveAnalyticsEngine {
-  constructor() {
-    this.activeRestaurants = new Set();
-    this.intervals = new Map();
+  // Collection runs as a scheduled job, so enabled venues resume after a restart on whichever instance is up
+  constructor(jobScheduler) {
+    this.jobScheduler = jobScheduler;
+    jobScheduler.register(PREDICTIVE_JOB, job => this.runCollection(job.restaurant_id), {
+      intervalSeconds: 15 * 60 // Every 15 minutes
+    });
   }
 
   // Start continuous data collection for a restaurant
-  startDataCollection(restaurantId) {
-    if (this.activeRestaurants.has(restaurantId)) {
-      console.log(`Predictive analytics already running for ${restaurantId}`);
-      return;
-    }
+  async startDataCollection(restaurantId, startedBy = null) {
+    const job = await this.jobScheduler.schedule(PREDICTIVE_JOB, restaurantId, { createdBy: startedBy });
+    console.log(`Predictive analytics enabled for ${restaurantId}`);
+    return JobScheduler.formatJob(job);
+  }
 
-    const interval = setInterval(async () => {
-      try {
-        await this.collectPerformanceSnapshot(restaurantId);
-        await this.generatePredictions(restaurantId);
-      } catch (error) {
-        console.error(`Predictive analytics error for ${restaurantId}:`, error);
-      }
-    }, 15 * 60 * 1000); // Every 15 minutes
+  // Stop data collection for a restaurant; false if it wasn't running
+  async stopDataCollection(restaurantId) {
+    const stopped = await this.jobScheduler.unschedule(PREDICTIVE_JOB, restaurantId);
+    if (stopped) console.log(`Predictive analytics stopped for ${restaurantId}`);
+    return stopped;
+  }
 
-    this.intervals.set(restaurantId, interval);
-    this.activeRestaurants.add(restaurantId);
+  async isCollecting(restaurantId) {
+    return this.jobScheduler.isEnabled(PREDICTIVE_JOB, restaurantId);
+  }
 
-    console.log(`Predictive analytics started for ${restaurantId}`);
+  async activeRestaurantCount() {
+    return (await this.jobScheduler.countEnabled())[PREDICTIVE_JOB] || 0;
   }
 
-  // Stop data collection for a restaurant
-  stopDataCollection(restaurantId) {
-    const interval = this.intervals.get(restaurantId);
-    if (interval) {
-      clearInterval(interval);
-      this.intervals.delete(restaurantId);
-      this.activeRestaurants.delete(restaurantId);
-      console.log(`Predictive analytics stopped for ${restaurantId}`);
-    }
+  // One scheduled run. The collectors log and swallow their own errors, so a missing snapshot is
+  // turned back into a failure here for the job's last_status.
+  async runCollection(restaurantId) {
+    const snapshot = await this.collectPerformanceSnapshot(restaurantId);
+    if (!snapshot) throw new Error('Performance snapshot collection failed');
+    await this.generatePredictions(restaurantId);
   }
 
   // Collect current performance snapshot
@@ -1071,12 +871,12 @@ class PredictiveAnalyticsEngine {
       // Get QR scan counts
       const scansLastHour = await pool.query(`
         SELECT COUNT(*) as count FROM qr_scans 
-        WHERE restaurant_id = $1 AND scan_timestamp > $2
+        WHERE restaurant_id = $1 AND scan_timestamp > $2 AND scan_class = 'human'
       `, [restaurantId, hourAgo]);
 
       const scansLast2Hours = await pool.query(`
         SELECT COUNT(*) as count FROM qr_scans 
-        WHERE restaurant_id = $1 AND scan_timestamp > $2
+        WHERE restaurant_id = $1 AND scan_timestamp > $2 AND scan_class = 'human'
       `, [restaurantId, twoHoursAgo]);
 
       // Get active table count as proxy for customer count
@@ -1090,7 +890,7 @@ class PredictiveAnalyticsEngine {
         snapshot_time: now,
         qr_scans_last_hour: parseInt(scansLastHour.rows[0].count),
         qr_scans_last_2hours: parseInt(scansLast2Hours.rows[0].count),
-        customer_count: parseInt(activeTablesResult.rows[0].count) * 2.3, // Estimate customers per table
+        customer_count: Math.round(parseInt(activeTablesResult.rows[0].count) * CUSTOMERS_PER_TABLE), // integer column
         day_of_week: now.getDay(),
         hour_of_day: now.getHours(),
         is_holiday: this.isHoliday(now)
@@ -1118,11 +918,13 @@ class PredictiveAnalyticsEngine {
   // Generate predictions based on historical data
   async generatePredictions(restaurantId) {
     try {
-      const predictions = await Promise.all([
-        this.predictCustomerVolume(restaurantId),
-        this.predictStaffingNeeds(restaurantId),
-        this.predictRevenue(restaurantId)
-      ]);
+      // Staffing and revenue are derived from the volume forecast, so it is made once
+      const volumePrediction = await this.predictCustomerVolume(restaurantId);
+      const predictions = [
+        volumePrediction,
+        await this.predictStaffingNeeds(restaurantId, volumePrediction),
+        await this.predictRevenue(restaurantId, volumePrediction)
+      ];
 
       // Store predictions
       for (const prediction of predictions) {
@@ -1138,43 +940,24 @@ class PredictiveAnalyticsEngine {
     }
   }
 
-  // Predict customer volume for next 2 hours
+  // Predict customer volume for next 2 hours, using the venue's active forecasting model
   async predictCustomerVolume(restaurantId) {
     try {
-      const now = new Date();
-      const currentHour = now.getHours();
-      const currentDay = now.getDay();
-
-      // Get historical data for same day/time
-      const historicalData = await pool.query(`
-        SELECT customer_count, qr_scans_last_hour, qr_scans_last_2hours
-        FROM performance_snapshots 
-        WHERE restaurant_id = $1 
-          AND day_of_week = $2 
-          AND hour_of_day BETWEEN $3 AND $4
-          AND snapshot_time > NOW() - INTERVAL '8 weeks'
-        ORDER BY snapshot_time DESC
-        LIMIT 50
-      `, [restaurantId, currentDay, currentHour - 1, currentHour + 1]);
-
-      if (historicalData.rows.length < 5) {
-        return null; // Not enough data for prediction
+      const forecast = await forecasting.forecast(restaurantId, 'customer_volume');
+      if (!forecast) {
+        return null; // Not enough snapshot history for any model yet
       }
 
-      // Get current QR scan activity
       const currentActivity = await this.getCurrentActivity(restaurantId);
 
-      // Calculate prediction based on QR scan patterns
-      const prediction = this.calculateVolumePredicton(
-        historicalData.rows,
-        currentActivity
-      );
-
       return {
         type: 'customer_volume',
-        predicted_value: prediction.volume,
-        confidence_score: prediction.confidence,
-        recommended_action: this.generateVolumeRecommendation(prediction.volume, currentActivity)
+        predicted_value: forecast.value,
+        confidence_score: forecast.confidence,
+        recommended_action: this.generateVolumeRecommendation(forecast.value, currentActivity),
+        model_id: forecast.modelId,
+        model_type: forecast.modelType,
+        target_time: forecast.targetTime
       };
     } catch (error) {
       console.error('Customer volume prediction failed:', error);
@@ -1182,48 +965,61 @@ class PredictiveAnalyticsEngine {
     }
   }
 
-  // Predict optimal staffing for next 2 hours
-  async predictStaffingNeeds(restaurantId) {
+  // Predict optimal staffing for next 2 hours, against the floor staff actually clocked in
+  async predictStaffingNeeds(restaurantId, volumePrediction) {
     try {
-      const volumePrediction = await this.predictCustomerVolume(restaurantId);
       if (!volumePrediction) return null;
 
       const predictedCustomers = volumePrediction.predicted_value;
       
-      // Staffing model: 1 server per 12-15 customers, minimum 2 staff
-      const optimalStaff = Math.max(2, Math.ceil(predictedCustomers / 13));
-      const currentStaff = await this.getCurrentStaffCount(restaurantId);
+      const optimalStaff = optimalStaffFor(predictedCustomers);
+      const coverage = await roster.floorCoverage(restaurantId);
+      const currentStaff = coverage ? coverage.staffOnShift : null;
       
-      const staffingDifference = optimalStaff - currentStaff;
       let recommendation = '';
+      let hourlyCostChange = null;
       let confidence = volumePrediction.confidence_score;
 
-      if (staffingDifference > 0) {
-        recommendation = `Add ${staffingDifference} staff - predicted ${Math.round(predictedCustomers)} customers`;
-      } else if (staffingDifference < 0) {
-        const potentialSavings = Math.abs(staffingDifference) * 12; // £12/hour per staff
-        recommendation = `Reduce by ${Math.abs(staffingDifference)} staff - save £${potentialSavings}/hour`;
+      if (!coverage) {
+        recommendation = `Plan for ${optimalStaff} floor staff - predicted ${Math.round(predictedCustomers)} customers (no roster to compare against)`;
       } else {
-        recommendation = 'Current staffing is optimal for predicted demand';
+        const staffingDifference = optimalStaff - currentStaff;
+        if (coverage.marginalWage !== null) {
+          hourlyCostChange = Math.round(staffingDifference * coverage.marginalWage * 100) / 100;
+        }
+
+        if (staffingDifference > 0) {
+          const cost = hourlyCostChange !== null ? ` (+£${hourlyCostChange.toFixed(2)}/hour)` : '';
+          recommendation = `Add ${staffingDifference} staff - predicted ${Math.round(predictedCustomers)} customers${cost}`;
+        } else if (staffingDifference < 0) {
+          const savings = hourlyCostChange !== null ? ` - save £${Math.abs(hourlyCostChange).toFixed(2)}/hour` : '';
+          recommendation = `Reduce by ${Math.abs(staffingDifference)} staff${savings}`;
+        } else {
+          recommendation = 'Current staffing is optimal for predicted demand';
+        }
       }
 
       // Store staffing recommendation
       await pool.query(`
         INSERT INTO staffing_recommendations 
-        (restaurant_id, recommendation_time, current_staff, recommended_staff, predicted_revenue, confidence_level, reasoning)
-        VALUES ($1, NOW(), $2, $3, $4, $5, $6)
+        (restaurant_id, recommendation_time, current_staff, recommended_staff, predicted_revenue, confidence_level,
+         reasoning, hourly_cost_change)
+        VALUES ($1, NOW(), $2, $3, $4, $5, $6, $7)
       `, [
         restaurantId, currentStaff, optimalStaff, 
         predictedCustomers * 18.50, // Average spend per customer
         confidence > 0.7 ? 'high' : confidence > 0.5 ? 'medium' : 'low',
-        recommendation
+        recommendation, hourlyCostChange
       ]);
 
       return {
         type: 'staffing_needs',
         predicted_value: optimalStaff,
         confidence_score: confidence,
-        recommended_action: recommendation
+        recommended_action: recommendation,
+        model_id: volumePrediction.model_id,
+        model_type: volumePrediction.model_type,
+        target_time: volumePrediction.target_time
       };
     } catch (error) {
       console.error('Staffing prediction failed:', error);
@@ -1231,10 +1027,22 @@ class PredictiveAnalyticsEngine {
     }
   }
 
-  // Predict revenue for next 2 hours
-  async predictRevenue(restaurantId) {
+  // Predict revenue for next 2 hours - from a revenue model when the venue records revenue,
+  // otherwise predicted volume x average spend
+  async predictRevenue(restaurantId, volumePrediction) {
     try {
-      const volumePrediction = await this.predictCustomerVolume(restaurantId);
+      const forecast = await forecasting.forecast(restaurantId, 'revenue_forecast');
+      if (forecast) {
+        return {
+          type: 'revenue_forecast',
+          predicted_value: forecast.value,
+          confidence_score: forecast.confidence,
+          recommended_action: `Expected revenue: £${forecast.value.toFixed(2)} next 2 hours`,
+          model_id: forecast.modelId,
+          model_type: forecast.modelType,
+          target_time: forecast.targetTime
+        };
+      }
       if (!volumePrediction) return null;
 
       // Get average spend per customer from historical data or use default
@@ -1245,7 +1053,10 @@ class PredictiveAnalyticsEngine {
         type: 'revenue_forecast',
         predicted_value: predictedRevenue,
         confidence_score: volumePrediction.confidence_score,
-        recommended_action: `Expected revenue: £${predictedRevenue.toFixed(2)} next 2 hours`
+        recommended_action: `Expected revenue: £${predictedRevenue.toFixed(2)} next 2 hours`,
+        model_id: volumePrediction.model_id,
+        model_type: volumePrediction.model_type,
+        target_time: volumePrediction.target_time
       };
     } catch (error) {
       console.error('Revenue prediction failed:', error);
@@ -1258,7 +1069,7 @@ class PredictiveAnalyticsEngine {
     const hourAgo = new Date(Date.now() - 60 * 60 * 1000);
     const result = await pool.query(`
       SELECT COUNT(*) as scans FROM qr_scans 
-      WHERE restaurant_id = $1 AND scan_timestamp > $2
+      WHERE restaurant_id = $1 AND scan_timestamp > $2 AND scan_class = 'human'
     `, [restaurantId, hourAgo]);
 
     return {
@@ -1267,31 +1078,6 @@ class PredictiveAnalyticsEngine {
     };
   }
 
-  calculateVolumePredicton(historicalData, currentActivity) {
-    // Correlation-based prediction
-    const correlations = historicalData.map(row => ({
-      customer_count: row.customer_count,
-      scan_activity: row.qr_scans_last_hour
-    }));
-
-    // Find similar scan activity patterns
-    const similarPatterns = correlations.filter(pattern => 
-      Math.abs(pattern.scan_activity - currentActivity.scans_last_hour) <= 3
-    );
-
-    if (similarPatterns.length === 0) {
-      // Fallback to overall average with low confidence
-      const avgCustomers = correlations.reduce((sum, p) => sum + p.customer_count, 0) / correlations.length;
-      return { volume: Math.max(0, avgCustomers), confidence: 0.3 };
-    }
-
-    // Average customer count for similar scan patterns
-    const predictedVolume = similarPatterns.reduce((sum, p) => sum + p.customer_count, 0) / similarPatterns.length;
-    const confidence = Math.min(0.95, 0.4 + (similarPatterns.length * 0.1));
-
-    return { volume: Math.max(0, predictedVolume), confidence };
-  }
-
   generateVolumeRecommendation(predictedVolume, currentActivity) {
     const rounded = Math.round(predictedVolume);
     
@@ -1304,17 +1090,6 @@ class PredictiveAnalyticsEngine {
     }
   }
 
-  async getCurrentStaffCount(restaurantId) {
-    // Estimate based on day/time (would integrate with actual staffing system)
-    const hour = new Date().getHours();
-    const day = new Date().getDay();
-    const isWeekend = day === 0 || day === 6;
-    
-    if (hour >= 11 && hour <= 14) return Math.round(4 * (isWeekend ? 1.2 : 1)); // Lunch rush
-    if (hour >= 18 && hour <= 21) return Math.round(5 * (isWeekend ? 1.2 : 1)); // Dinner rush
-    return Math.round(2 * (isWeekend ? 1.2 : 1)); // Off-peak
-  }
-
   async getAverageSpendPerCustomer(restaurantId) {
     // Would integrate with POS system - using industry average for now
     return 18.50;
@@ -1323,12 +1098,22 @@ class PredictiveAnalyticsEngine {
   async storePrediction(restaurantId, prediction) {
     await pool.query(`
       INSERT INTO live_predictions 
-      (restaurant_id, prediction_type, prediction_time, predicted_value, confidence_score, recommended_action)
-      VALUES ($1, $2, NOW(), $3, $4, $5)
+      (restaurant_id, prediction_type, prediction_time, predicted_value, confidence_score, recommended_action,
+       model_id, model_type, target_time)
+      VALUES ($1, $2, NOW(), $3, $4, $5, $6, $7, $8)
     `, [
       restaurantId, prediction.type, prediction.predicted_value,
-      prediction.confidence_score, prediction.recommended_action
+      prediction.confidence_score, prediction.recommended_action,
+      prediction.model_id || null, prediction.model_type || null, prediction.target_time || null
     ]);
+
+    await liveEvents.publish(restaurantId, 'prediction.updated', {
+      predictionType: prediction.type,
+      predictedValue: prediction.predicted_value,
+      confidenceScore: prediction.confidence_score,
+      recommendedAction: prediction.recommended_action,
+      modelType: prediction.model_type || null
+    });
   }
 
   isHoliday(date) {
@@ -1344,25 +1129,14 @@ class PredictiveAnalyticsEngine {
   }
 }
 
+// Fills in actual_value / accuracy_score once a prediction's target time has passed
+const predictionScorer = new PredictionScorer(pool, {
+  customersPerTable: CUSTOMERS_PER_TABLE,
+  staffForVolume: optimalStaffFor
+});
+
 // Initialize predictive analytics engine
-const predictiveEngine = {
-  sendNotificationToStaff: async ({ restaurantId, tableNumber, alertId, title, body, type }) => {
-    try {
-      const subscriptions = await pool.query(
-        'SELECT * FROM push_subscriptions WHERE restaurant_id = $1',
-        [restaurantId]
-      );
-      for (const subscription of subscriptions.rows) {
-        await webpush.sendNotification(
-          subscription.subscription,
-          JSON.stringify({ title, body, alertId, type })
-        );
-      }
-    } catch (error) {
-      console.error('Error sending push notification:', error);
-    }
-  }
-};
+const predictiveEngine = new PredictiveAnalyticsEngine(jobScheduler);
 
 
 // ======================================================
@@ -1372,7 +1146,8 @@ const predictiveEngine = {
 app.get('/api/status', async (req, res) => {
   try {
     const result = await pool.query('SELECT NOW()');
-    
+    const activeRestaurants = await predictiveEngine.activeRestaurantCount();
+
     res.json({ 
       status: 'online',
       timestamp: new Date().toISOString(),
@@ -1389,12 +1164,12 @@ app.get('/api/status', async (req, res) => {
         'Push Notifications'
       ],
       predictive_analytics: {
-        active_restaurants: predictiveEngine.activeRestaurants.size,
+        active_restaurants: activeRestaurants,
         status: 'operational'
       },
       notifications: {
         vapid_configured: !!vapidKeys.publicKey && vapidKeys.publicKey !== 'YOUR_VAPID_PUBLIC_KEY',
-        sms_configured: !!smsClient
+        sms_configured: false // no SMS provider is configured
       }
     });
   } catch (error) {
@@ -1421,7 +1196,7 @@ app.get('/api/notifications/vapid-public-key', (req, res) => {
 });
 
 // Register push subscription
-app.post('/api/notifications/subscribe', authenticateToken, async (req, res) => {
+app.post('/api/notifications/subscribe', authenticateToken, requirePermission('notifications.subscribe'), async (req, res) => {
   try {
     const schema = Joi.object({
       subscription: Joi.object().required(),
@@ -1435,28 +1210,37 @@ app.post('/api/notifications/subscribe', authenticateToken, async (req, res) =>
     if (error) return res.status(400).json({ error: error.details[0].message });
 
     const { subscription, restaurantId, staffType, staffName, phoneNumber } = req.body; 
+    if (!requireRestaurantAccess(req, res, restaurantId)) return;
 
    
     if (!subscription || !restaurantId) {
       return res.status(400).json({ error: 'Missing required fields' });
     }
 
+    // The subscription belongs to the signed-in staff account; its role is what escalation targets.
+    // staffType/staffName from older clients are only used when the account has no value.
+    const accountResult = await pool.query('SELECT full_name, venue_role FROM users WHERE id = $1', [req.user.id]);
+    const account = accountResult.rows[0] || {};
+    const subscriberType = account.venue_role || staffType;
+    const subscriberName = account.full_name || staffName;
+
     const result = await pool.query(
       `INSERT INTO push_subscriptions 
-       (restaurant_id, staff_type, staff_name, phone_number, subscription_data) 
-       VALUES ($1, $2, $3, $4, $5) 
+       (restaurant_id, staff_type, staff_name, phone_number, subscription_data, user_id) 
+       VALUES ($1, $2, $3, $4, $5, $6) 
        ON CONFLICT (restaurant_id, subscription_data) 
        DO UPDATE SET 
          staff_type = $2, 
          staff_name = $3, 
          phone_number = $4,
+         user_id = $6,
          is_active = true, 
          last_used = CURRENT_TIMESTAMP
        RETURNING id`,
-      [restaurantId, staffType, staffName, phoneNumber, JSON.stringify(subscription)]
+      [restaurantId, subscriberType, subscriberName, phoneNumber, JSON.stringify(subscription), req.user.id]
     );
 
-    console.log(`✅ Push subscription registered: ${staffName} (${staffType})`);
+    console.log(`✅ Push subscription registered: user ${req.user.id} (${subscriberType})`);
     
     res.json({
       success: true,
@@ -1471,9 +1255,10 @@ app.post('/api/notifications/subscribe', authenticateToken, async (req, res) =>
 });
 
 // Unregister push subscription
-app.post('/api/notifications/unsubscribe', authenticateToken, async (req, res) => {
+app.post('/api/notifications/unsubscribe', authenticateToken, requirePermission('notifications.subscribe'), async (req, res) => {
   try {
     const { subscriptionEndpoint, restaurantId } = req.body;
+    if (!requireRestaurantAccess(req, res, restaurantId)) return;
     
     await pool.query(
       `UPDATE push_subscriptions 
@@ -1491,15 +1276,16 @@ app.post('/api/notifications/unsubscribe', authenticateToken, async (req, res) =
 });
 
 // Notification delivery confirmation
-app.post('/api/notifications/delivered', authenticateToken, async (req, res) => {
+app.post('/api/notifications/delivered', authenticateToken, requirePermission('notifications.subscribe'), async (req, res) => {
   try {
     const { alertId } = req.body;
+    const restaurantId = req.user.platformRole === SUPER_ADMIN_ROLE ? null : req.user.restaurantId;
     
     await pool.query(
       `UPDATE notification_log 
        SET status = 'delivered', delivered_at = CURRENT_TIMESTAMP 
-       WHERE alert_id = $1`,
-      [alertId]
+       WHERE alert_id = $1 AND ($2::text IS NULL OR restaurant_id = $2::text)`,
+      [alertId, restaurantId]
     );
 
     res.json({ success: true });
@@ -1509,14 +1295,52 @@ app.post('/api/notifications/delivered', authenticateToken, async (req, res) =>
   }
 });
 
-// Get notification stats for dashboard
-app.get('/api/notifications/stats/:restaurantId', authenticateToken, async (req, res) => {
+// Escalation ladder per alert priority (venue-specific or the built-in default)
+app.get('/api/escalation-policies/:restaurantId', authenticateToken, requirePermission('alerts.configure'), async (req, res) => {
+  try {
+    const policies = await escalationScheduler.getPolicy(req.params.restaurantId);
+    res.json({ restaurantId: req.params.restaurantId, policies });
+  } catch (error) {
+    console.error('Get escalation policy error:', error);
+    res.status(500).json({ error: 'Failed to get escalation policy' });
+  }
+});
+
+const escalationPolicySchema = Joi.object({
+  priority: Joi.string().valid(...EscalationScheduler.PRIORITIES).required(),
+  steps: Joi.array().max(5).items(Joi.object({
+    afterSeconds: Joi.number().integer().min(30).max(86400).required(),
+    targetStaffType: Joi.string().max(50).allow(null).optional(),
+    markEscalated: Joi.boolean().optional()
+  })).unique('afterSeconds').required()
+});
+
+// Replace the ladder for one priority - an empty steps list restores the default
+app.put('/api/escalation-policies/:restaurantId', authenticateToken, requirePermission('alerts.configure'), async (req, res) => {
+  try {
+    const { restaurantId } = req.params;
+
+    const { error } = escalationPolicySchema.validate(req.body);
+    if (error) return res.status(400).json({ error: error.details[0].message });
+
+    const policies = await escalationScheduler.setPolicy(restaurantId, req.body.priority, req.body.steps);
+    console.log(`Escalation policy updated: ${restaurantId} ${req.body.priority} (${req.body.steps.length} steps)`);
+
+    res.json({ success: true, restaurantId, policies });
+  } catch (error) {
+    console.error('Update escalation policy error:', error);
+    res.status(500).json({ error: 'Failed to update escalation policy' });
+  }
+});
+
+// Get notification stats for dashboard
+app.get('/api/notifications/stats/:restaurantId', authenticateToken, requirePermission('analytics.view'), async (req, res) => {
   try {
     const { restaurantId } = req.params;
     
     const stats = await pool.query(
       `SELECT 
-         COUNT(*) as total_sent,
+         COUNT(CASE WHEN status <> 'no_recipients' THEN 1 END) as total_sent,
          COUNT(CASE WHEN status = 'delivered' THEN 1 END) as delivered,
          COUNT(CASE WHEN notification_type = 'push' THEN 1 END) as push_notifications,
          COUNT(CASE WHEN staff_notified::text LIKE '%sms_backup%' THEN 1 END) as sms_backups
@@ -1545,6 +1369,17 @@ app.get('/api/notifications/stats/:restaurantId', authenticateToken, async (req,
 });
 
 
+// The chatbot is public; chats from a signed-in venue are tagged so they leave with its data export/erasure
+async function chatRestaurantId(req) {
+  const token = req.headers['authorization']?.split(' ')[1];
+  if (!token || ApiKeyService.isApiKey(token)) return null;
+  try {
+    return normaliseTokenClaims(await authService.verifyAccessToken(token)).restaurantId;
+  } catch {
+    return null;
+  }
+}
+
 // Chatbot endpoint
 app.post('/api/chat', async (req, res) => {
   try {
@@ -1597,9 +1432,9 @@ app.post('/api/chat', async (req, res) => {
     try {
       await pool.query(
         `INSERT INTO chat_conversations 
-         (conversation_id, user_message, bot_response, created_at) 
-         VALUES ($1, $2, $3, NOW())`,
-        [conversationId, sanitizedMessage, botResponse]
+         (conversation_id, user_message, bot_response, restaurant_id, created_at) 
+         VALUES ($1, $2, $3, $4, NOW())`,
+        [conversationId, sanitizedMessage, botResponse, await chatRestaurantId(req)]
       );
     } catch (dbError) {
       console.warn('Could not store chat in database:', dbError.message);
@@ -1629,28 +1464,138 @@ app.post('/api/chat', async (req, res) => {
 });
 
 // ======================================================
-// QR GENERATION RECORDING
+// QR CODE HELPERS (MANAGED SHORT LINKS)
 // ======================================================
 
-app.post('/api/qr/generated', async (req, res) => {
-  try {
-    const { restaurantId, qrType, trackingUrl, destinationUrl, restaurantData } = req.body;
+const SHORT_CODE_ALPHABET = 'abcdefghijkmnpqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const SHORT_CODE_LENGTH = 8;
+
+function generateShortCode() {
+  const bytes = crypto.randomBytes(SHORT_CODE_LENGTH);
+  let code = '';
+  for (const byte of bytes) {
+    code += SHORT_CODE_ALPHABET[byte % SHORT_CODE_ALPHABET.length];
+  }
+  return code;
+}
+
+function getPublicBaseUrl(req) {
+  return process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+}
 
-    if (!restaurantId || !qrType) {
-      return res.status(400).json({ error: 'Missing required fields: restaurantId, qrType' });
+// Create a qr_codes row that owns its destination; printed codes point at /q/:shortCode
+async function createQrCode(req, { restaurantId, qrType, destinationUrl, tableNumber = null, wifi = null }) {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const shortCode = generateShortCode();
+    try {
+      const result = await pool.query(
+        `INSERT INTO qr_codes (restaurant_id, qr_type, tracking_url, destination_url, table_number, short_code,
+                               wifi_ssid, wifi_password)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING *`,
+        [
+          restaurantId, qrType,
+          `${getPublicBaseUrl(req)}/q/${shortCode}`,
+          destinationUrl, tableNumber, shortCode,
+          wifi ? wifi.ssid : null, wifi ? wifi.password || null : null
+        ]
+      );
+      return result.rows[0];
+    } catch (error) {
+      // Retry on the (unlikely) short code collision only
+      if (error.code === '23505' && error.constraint === 'idx_qr_codes_short_code') continue;
+      throw error;
     }
+  }
+  throw new Error('Could not allocate a unique short code');
+}
 
-    // Ensure restaurant exists
-    await ensureRestaurantExists(restaurantId, restaurantData?.name);
+// Single place every tracked scan is written from. Every hit is stored with its class, but only
+// human scans reach the live dashboard - callers also skip table sessions/alerts for the rest.
+// `req` is the scanning request (or anything with method, headers and ip).
+// The full IP is only used in memory - what is stored is truncated or hashed per the venue's privacy mode.
+async function recordScan(req, { restaurantId, qrId = null, qrType, tableNumber = null, destinationUrl = null }) {
+  const userAgent = req.headers['user-agent'];
+  const rawIp = req.ip || req.connection?.remoteAddress;
 
-    // Record QR code
-    await pool.query(
-      'INSERT INTO qr_codes (restaurant_id, qr_type, tracking_url, destination_url) VALUES ($1, $2, $3, $4)',
-      [restaurantId, qrType, trackingUrl, destinationUrl]
-    );
+  const { scanClass, reason, deviceHash } = await scanClassifier.classify({
+    restaurantId, qrId, qrType, tableNumber, ipAddress: rawIp, method: req.method, headers: req.headers
+  });
+  const { ipAddress, ipHash } = await ipPrivacy.anonymise(restaurantId, rawIp);
+  const device = parseUserAgent(userAgent);
+
+  const result = await pool.query(
+    `INSERT INTO qr_scans (restaurant_id, qr_id, qr_type, table_number, user_agent, ip_address, ip_hash, destination_url,
+                           scan_class, class_reason, device_hash,
+                           device_type, os_family, os_version, browser, browser_version, in_app_browser, is_webview)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
+     RETURNING id, scan_class`,
+    [restaurantId, qrId, qrType, tableNumber, userAgent, ipAddress, ipHash, destinationUrl, scanClass, reason, deviceHash,
+     device.deviceType, device.osFamily, device.osVersion, device.browser, device.browserVersion,
+     device.inAppBrowser, device.isWebView]
+  );
 
-    console.log(`QR Generated: ${qrType} for ${restaurantId}`);
-    res.json({ success: true, message: 'QR generation recorded' });
+  if (scanClass === 'human') {
+    await liveEvents.publish(restaurantId, 'scan.recorded', {
+      scanId: result.rows[0].id,
+      qrId,
+      qrType,
+      tableNumber
+    });
+  }
+
+  return { id: result.rows[0].id, scanClass, reason };
+}
+
+const destinationUrlSchema = Joi.string().uri({ scheme: ['http', 'https'] });
+
+const QR_TYPES = ['menu', 'service', 'wifi', 'review', 'booking', 'specials'];
+
+// Venue for the QR routes without a :restaurantId - the caller's own, unless a super admin names
+// another one in the body. Sends the 403 itself and returns null when access is refused.
+function qrRestaurantFor(req, res, requestedId) {
+  const restaurantId = requestedId || req.user.restaurantId;
+  if (!restaurantId) {
+    res.status(400).json({ error: 'No restaurant for this account' });
+    return null;
+  }
+  return requireRestaurantAccess(req, res, restaurantId) ? restaurantId : null;
+}
+
+// ======================================================
+// QR GENERATION RECORDING
+// ======================================================
+
+const qrGeneratedSchema = Joi.object({
+  restaurantId: Joi.string().max(100).optional(),
+  qrType: Joi.string().valid(...QR_TYPES).required(),
+  destinationUrl: destinationUrlSchema.required(),
+  tableNumber: Joi.number().integer().optional()
+}).unknown(true); // older clients still send trackingUrl/restaurantData - both are ignored
+
+app.post('/api/qr/generated', authenticateToken, requirePermission('qr.manage'), async (req, res) => {
+  try {
+    const { error, value } = qrGeneratedSchema.validate(req.body);
+    if (error) return res.status(400).json({ error: error.details[0].message });
+
+    const restaurantId = qrRestaurantFor(req, res, value.restaurantId);
+    if (!restaurantId) return;
+
+    // Record QR code - the tracking URL is always our own short link
+    const qrCode = await createQrCode(req, {
+      restaurantId,
+      qrType: value.qrType,
+      destinationUrl: value.destinationUrl,
+      tableNumber: value.tableNumber
+    });
+
+    console.log(`QR Generated: ${value.qrType} for ${restaurantId} by ${actorName(req.user)}`);
+    res.json({
+      success: true,
+      message: 'QR generation recorded',
+      qrId: qrCode.id,
+      shortUrl: `${getPublicBaseUrl(req)}/q/${qrCode.short_code}`
+    });
 
   } catch (error) {
     console.error('QR generation recording failed:', error);
@@ -1662,57 +1607,113 @@ app.post('/api/qr/generated', async (req, res) => {
 // QR TRACKING ROUTES (FIXED)
 // ======================================================
 
-// Regular QR tracking
+// Managed short link - destination comes from the qr_codes row, not the query string
+app.get('/q/:shortCode', async (req, res) => {
+  let qrCode;
+  try {
+    const result = await pool.query(
+      'SELECT * FROM qr_codes WHERE short_code = $1 AND is_active = TRUE',
+      [req.params.shortCode]
+    );
+    qrCode = result.rows[0];
+  } catch (error) {
+    console.error('Short link lookup failed:', error);
+    return res.status(500).send('Tracking error occurred');
+  }
+
+  if (!qrCode) {
+    return res.status(404).send('QR code not found');
+  }
+
+  const tableNumber = qrCode.table_number ? parseInt(qrCode.table_number) : null;
+
+  // Tracking must never stop the guest reaching the destination
+  try {
+    const scan = await recordScan(req, {
+      restaurantId: qrCode.restaurant_id,
+      qrId: qrCode.id,
+      qrType: qrCode.qr_type,
+      tableNumber,
+      destinationUrl: qrCode.destination_url
+    });
+
+    if (tableNumber && scan.scanClass === 'human') {
+      await updateTableSession(qrCode.restaurant_id, tableNumber, qrCode.qr_type, req.headers['user-agent']);
+      await generateTableServiceAlerts(qrCode.restaurant_id, tableNumber);
+    }
+
+    console.log(`Short link ${qrCode.short_code} scan recorded for ${qrCode.restaurant_id} (${scan.scanClass})`);
+  } catch (error) {
+    console.error('Short link scan tracking failed:', error);
+  }
+
+  handleQRResponse(res, qrCode.restaurant_id, qrCode.qr_type, {
+    dest: qrCode.destination_url,
+    ssid: qrCode.wifi_ssid,
+    pass: qrCode.wifi_password || '',
+    tableNumber: tableNumber || undefined
+  });
+});
+
+// Printed before short links existed, these carry their destination in ?dest=. It is only followed
+// when it is stored on one of the venue's qr_codes rows (else the newest matching row's destination
+// is used), so the links can't be pointed anywhere else.
+async function legacyDestination(restaurantId, qrType, tableNumber, dest) {
+  const result = await pool.query(`
+    SELECT destination_url FROM qr_codes
+    WHERE restaurant_id = $1 AND qr_type = $2 AND is_active = TRUE AND destination_url IS NOT NULL
+      AND (table_number IS NULL OR table_number = $3)
+    ORDER BY (destination_url = $4) IS TRUE DESC, table_number IS NULL, updated_at DESC
+    LIMIT 1
+  `, [restaurantId, qrType, tableNumber === null ? null : String(tableNumber), dest || null]);
+  return result.rows[0]?.destination_url || null;
+}
+
+// Regular QR tracking (legacy links)
 app.get('/qr/:restaurantId/:qrType', async (req, res) => {
   try {
     const { restaurantId, qrType } = req.params;
-    const { dest, ssid, pass } = req.query;
-    const userAgent = req.headers['user-agent'];
-    const ipAddress = req.ip || req.connection.remoteAddress;
+    const { ssid, pass } = req.query;
 
     // ENSURE RESTAURANT EXISTS BEFORE SCAN INSERT
     await ensureRestaurantExists(restaurantId);
 
-    await pool.query(
-      'INSERT INTO qr_scans (restaurant_id, qr_type, user_agent, ip_address, destination_url) VALUES ($1, $2, $3, $4, $5)',
-      [restaurantId, qrType, userAgent, ipAddress, dest]
-    );
+    const dest = await legacyDestination(restaurantId, qrType, null, req.query.dest);
+    const scan = await recordScan(req, { restaurantId, qrType, destinationUrl: dest });
 
-    console.log(`Scan recorded: ${qrType} for ${restaurantId}`);
+    console.log(`Scan recorded: ${qrType} for ${restaurantId} (${scan.scanClass})`);
     handleQRResponse(res, restaurantId, qrType, { dest, ssid, pass });
 
   } catch (error) {
     console.error('QR scan tracking failed:', error);
-    handleQRFallback(res, req.query.dest);
+    res.status(500).send('Tracking error occurred');
   }
 });
 
-// Table-specific QR tracking
+// Table-specific QR tracking (legacy links)
 app.get('/qr/:restaurantId/table/:tableNumber/:qrType', async (req, res) => {
   try {
     const { restaurantId, tableNumber, qrType } = req.params;
-    const { dest, ssid, pass } = req.query;
-    const userAgent = req.headers['user-agent'];
-    const ipAddress = req.ip || req.connection.remoteAddress;
+    const { ssid, pass } = req.query;
     const tableNum = parseInt(tableNumber);
 
     // ENSURE RESTAURANT EXISTS BEFORE SCAN INSERT
     await ensureRestaurantExists(restaurantId);
 
-    await pool.query(
-      'INSERT INTO qr_scans (restaurant_id, qr_type, table_number, user_agent, ip_address, destination_url) VALUES ($1, $2, $3, $4, $5, $6)',
-      [restaurantId, qrType, tableNum, userAgent, ipAddress, dest]
-    );
+    const dest = await legacyDestination(restaurantId, qrType, tableNum, req.query.dest);
+    const scan = await recordScan(req, { restaurantId, qrType, tableNumber: tableNum, destinationUrl: dest });
 
-    await updateTableSession(restaurantId, tableNum, qrType, userAgent);
-    await generateTableServiceAlerts(restaurantId, tableNum);
+    if (scan.scanClass === 'human') {
+      await updateTableSession(restaurantId, tableNum, qrType, req.headers['user-agent']);
+      await generateTableServiceAlerts(restaurantId, tableNum);
+    }
 
-    console.log(`Table ${tableNumber} ${qrType} scan recorded for ${restaurantId}`);
+    console.log(`Table ${tableNumber} ${qrType} scan recorded for ${restaurantId} (${scan.scanClass})`);
     handleQRResponse(res, restaurantId, qrType, { dest, ssid, pass, tableNumber });
 
   } catch (error) {
     console.error('Table QR tracking failed:', error);
-    handleQRFallback(res, req.query.dest);
+    res.status(500).send('Tracking error occurred');
   }
 });
 
@@ -1721,12 +1722,12 @@ app.get('/qr/:restaurantId/table/:tableNumber/:qrType', async (req, res) => {
 // ======================================================
 
 // Get live predictions for restaurant
-app.get('/api/predictions/:restaurantId', authenticateToken, async (req, res) => {
+app.get('/api/predictions/:restaurantId', authenticateToken, requirePermission('predictions.view'), async (req, res) => {
   try {
     const { restaurantId } = req.params;
 
     const predictions = await pool.query(`
-      SELECT prediction_type, predicted_value, confidence_score, recommended_action, created_at
+      SELECT prediction_type, predicted_value, confidence_score, recommended_action, model_type, target_time, created_at
       FROM live_predictions 
       WHERE restaurant_id = $1 
         AND created_at > NOW() - INTERVAL '2 hours'
@@ -1734,7 +1735,8 @@ app.get('/api/predictions/:restaurantId', authenticateToken, async (req, res) =>
     `, [restaurantId]);
 
     const staffingRecommendations = await pool.query(`
-      SELECT current_staff, recommended_staff, predicted_revenue, confidence_level, reasoning, created_at
+      SELECT id, current_staff, recommended_staff, hourly_cost_change, predicted_revenue, confidence_level, reasoning,
+             decision, created_at
       FROM staffing_recommendations 
       WHERE restaurant_id = $1 
         AND created_at > NOW() - INTERVAL '4 hours'
@@ -1760,7 +1762,7 @@ app.get('/api/predictions/:restaurantId', authenticateToken, async (req, res) =>
 });
 
 // Manual prediction trigger
-app.post('/api/predictions/:restaurantId/generate', authenticateToken, async (req, res) => {
+app.post('/api/predictions/:restaurantId/generate', authenticateToken, requirePermission('predictions.manage'), async (req, res) => {
   try {
     const { restaurantId } = req.params;
     
@@ -1779,15 +1781,16 @@ app.post('/api/predictions/:restaurantId/generate', authenticateToken, async (re
 });
 
 // Start predictive analytics for restaurant
-app.post('/api/predictions/:restaurantId/start', authenticateToken, async (req, res) => {
+app.post('/api/predictions/:restaurantId/start', authenticateToken, requirePermission('predictions.manage'), async (req, res) => {
   try {
     const { restaurantId } = req.params;
-    
-    predictiveEngine.startDataCollection(restaurantId);
-    
+
+    const job = await predictiveEngine.startDataCollection(restaurantId, req.user.id);
+
     res.json({
       success: true,
-      message: `Predictive analytics started for ${restaurantId}`
+      message: `Predictive analytics started for ${restaurantId}`,
+      job
     });
 
   } catch (error) {
@@ -1796,200 +1799,646 @@ app.post('/api/predictions/:restaurantId/start', authenticateToken, async (req,
   }
 });
 
-
-// 3D - ADD THESE API ENDPOINTS TO YOUR server.js
-
-// Get restaurant data
-// Enhanced restaurant endpoint with auto-demo data creation
-app.get('/api/restaurant/:restaurantId', async (req, res) => {
+// Stop predictive analytics for restaurant
+app.post('/api/predictions/:restaurantId/stop', authenticateToken, requirePermission('predictions.manage'), async (req, res) => {
   try {
     const { restaurantId } = req.params;
-    
-    let result = await pool.query(
-      'SELECT * FROM restaurants WHERE restaurant_id = $1',
-      [restaurantId]
-    );
-    
-    // If restaurant doesn't exist, create demo data automatically
-    if (result.rows.length === 0 && restaurantId === 'demo-restaurant') {
-      console.log('Creating demo restaurant data...');
-      
-      await pool.query(
-        'INSERT INTO restaurants (restaurant_id, name) VALUES ($1, $2)',
-        ['demo-restaurant', 'Demo Restaurant']
-      );
-      
-      // Create some demo scan data for live stats
-      const today = new Date();
-      const yesterday = new Date(today);
-      yesterday.setDate(yesterday.getDate() - 1);
-      
-      await pool.query(
-        'INSERT INTO qr_scans (restaurant_id, qr_type, table_number, scan_timestamp) VALUES ($1, $2, $3, $4)',
-        ['demo-restaurant', 'menu', 1, today]
-      );
-      
-      await pool.query(
-        'INSERT INTO qr_scans (restaurant_id, qr_type, table_number, scan_timestamp, actual_wait_time) VALUES ($1, $2, $3, $4, $5)',
-        ['demo-restaurant', 'service', 2, yesterday, 12]
-      );
-      
-      console.log('✅ Demo restaurant data created');
-      
-      // Fetch the newly created data
-      result = await pool.query(
-        'SELECT * FROM restaurants WHERE restaurant_id = $1',
-        ['demo-restaurant']
-      );
-    }
-    
-    if (result.rows.length > 0) {
-      res.json(result.rows[0]);
-    } else {
-      res.status(404).json({ error: 'Restaurant not found' });
-    }
+
+    const stopped = await predictiveEngine.stopDataCollection(restaurantId);
+    if (!stopped) return res.status(404).json({ error: 'Predictive analytics is not running for this venue' });
+
+    res.json({
+      success: true,
+      message: `Predictive analytics stopped for ${restaurantId}`
+    });
+
   } catch (error) {
-    console.error('Error fetching restaurant:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    console.error('Failed to stop predictive analytics:', error);
+    res.status(500).json({ error: 'Failed to stop predictive analytics' });
   }
 });
 
-// Get today's scan count
-app.get('/api/analytics/:restaurantId/scans-today', async (req, res) => {
+// Scheduled jobs for the venue: enabled, running now, next run and how the last one went
+app.get('/api/predictions/:restaurantId/schedule', authenticateToken, requirePermission('predictions.view'), async (req, res) => {
   try {
-    const { restaurantId } = req.params;
-    const today = new Date().toISOString().split('T')[0];
-    
-    const result = await pool.query(
-      'SELECT COUNT(*) as count FROM qr_scans WHERE restaurant_id = $1 AND DATE(scan_timestamp) = $2',
-      [restaurantId, today]
-    );
-    
-    res.json({ count: parseInt(result.rows[0].count) || 0 });
+    res.json({
+      restaurantId: req.params.restaurantId,
+      jobs: await jobScheduler.list(req.params.restaurantId)
+    });
   } catch (error) {
-    console.error('Error fetching scan count:', error);
-    res.json({ count: 0 });
+    console.error('Scheduled jobs error:', error);
+    res.status(500).json({ error: 'Failed to load scheduled jobs' });
   }
 });
 
-// Get average wait time
-app.get('/api/analytics/:restaurantId/avg-wait', async (req, res) => {
+// ===== FORECASTING MODELS =====
+
+// Available model types, the latest trained version of each and which one is active per prediction type
+app.get('/api/predictions/:restaurantId/models', authenticateToken, requirePermission('predictions.view'), async (req, res) => {
   try {
-    const { restaurantId } = req.params;
-    
-    const result = await pool.query(
-      'SELECT AVG(actual_wait_time) as avg_wait FROM qr_scans WHERE restaurant_id = $1 AND actual_wait_time IS NOT NULL',
-      [restaurantId]
-    );
-    
-    const avgWait = result.rows[0].avg_wait;
-    res.json({ minutes: avgWait ? Math.round(avgWait) : 15 });
+    const models = await forecasting.listModels(req.params.restaurantId);
+    const active = Object.fromEntries(ForecastingService.PREDICTION_TYPES.map(type => [
+      type, models.find(model => model.predictionType === type && model.isActive) || null
+    ]));
+
+    res.json({
+      predictionTypes: ForecastingService.PREDICTION_TYPES,
+      modelTypes: ForecastingService.MODEL_TYPES,
+      active,
+      models
+    });
   } catch (error) {
-    console.error('Error fetching avg wait:', error);
-    res.json({ minutes: 15 });
+    console.error('List forecasting models error:', error);
+    res.status(500).json({ error: 'Failed to list forecasting models' });
   }
 });
 
-// Track interaction analytics
-app.post('/api/analytics/interaction', async (req, res) => {
-  try {
-    const { restaurant_id, table_number, interaction_type, qr_type, timestamp } = req.body;
-    
-    await pool.query(
-      'INSERT INTO table_activities (restaurant_id, table_number, qr_type, activity_data, created_at) VALUES ($1, $2, $3, $4, $5)',
-      [restaurant_id, table_number, qr_type, JSON.stringify({ interaction_type, timestamp }), new Date()]
-    );
-    
-    res.json({ success: true });
-  } catch (error) {
-    console.error('Error tracking interaction:', error);
-    res.status(500).json({ error: 'Failed to track interaction' });
-  }
+const trainModelsSchema = Joi.object({
+  predictionType: Joi.string().valid(...ForecastingService.PREDICTION_TYPES).default('customer_volume'),
+  modelTypes: Joi.array().items(Joi.string().valid(...ForecastingService.MODEL_TYPES)).min(1).unique().optional(),
+  horizonMinutes: Joi.number().integer().min(15).max(24 * 60).default(ForecastingService.DEFAULT_HORIZON_MINUTES),
+  activate: Joi.string().valid('auto', ...ForecastingService.MODEL_TYPES).allow(null).default(null)
 });
 
-// Generate QR codes for 3D experience
-app.post('/api/qr/generate', async (req, res) => {
+// Fit and backtest models on the venue's snapshot history; returns the metrics of each
+app.post('/api/predictions/:restaurantId/models/train', authenticateToken, requirePermission('predictions.manage'), async (req, res) => {
   try {
-    const { restaurant_id, qr_type, table_number, destination_url } = req.body;
-    
-    // Create tracking URL
-    const trackingUrl = `${req.protocol}://${req.get('host')}/qr/${restaurant_id}/table/${table_number}/${qr_type}`;
-    
-    // Store in database
-    await pool.query(
-      'INSERT INTO qr_codes (restaurant_id, qr_type, tracking_url, destination_url, table_number) VALUES ($1, $2, $3, $4, $5)',
-      [restaurant_id, qr_type, trackingUrl, destination_url, table_number]
-    );
-    
-    res.json({
-      tracking_url: trackingUrl,
-      destination_url: destination_url,
-      qr_type: qr_type
+    const { error, value } = trainModelsSchema.validate(req.body);
+    if (error) return res.status(400).json({ error: error.details[0].message });
+
+    const result = await forecasting.train(req.params.restaurantId, value.predictionType, {
+      modelTypes: value.modelTypes,
+      horizonMinutes: value.horizonMinutes,
+      activate: value.activate
     });
+
+    console.log(`📈 Trained ${result.models.length} ${value.predictionType} models for ${req.params.restaurantId}`);
+    res.json({ success: true, ...result });
   } catch (error) {
-    console.error('Error generating QR code:', error);
-    res.status(500).json({ error: 'Failed to generate QR code' });
+    if (error.statusCode) return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    console.error('Train forecasting models error:', error);
+    res.status(500).json({ error: 'Failed to train forecasting models' });
   }
 });
 
-// ======================================================
-// ANALYTICS API (ENHANCED WITH PREDICTIONS)
-// ======================================================
+const backtestSchema = Joi.object({
+  predictionType: Joi.string().valid(...ForecastingService.PREDICTION_TYPES).default('customer_volume'),
+  modelType: Joi.string().valid('all', ...ForecastingService.MODEL_TYPES).default('all'),
+  from: Joi.date().iso().required(),
+  to: Joi.date().iso().greater(Joi.ref('from')).default(() => new Date()),
+  horizonMinutes: Joi.number().integer().min(15).max(24 * 60).default(ForecastingService.DEFAULT_HORIZON_MINUTES)
+});
 
-app.get('/api/analytics/:restaurantId', async (req, res) => {
+// Historical backtest of one model (or all) over a date range: MAE/MAPE of forecasts made as if
+// the range hadn't happened yet, next to the measured accuracy of the live predictions in it
+app.get('/api/predictions/:restaurantId/backtest', authenticateToken, requirePermission('predictions.view'), async (req, res) => {
   try {
     const { restaurantId } = req.params;
 
-    // Get total scans
-    const totalScansResult = await pool.query(
-      'SELECT COUNT(*) as total FROM qr_scans WHERE restaurant_id = $1',
-      [restaurantId]
-    );
+    const { error, value } = backtestSchema.validate(req.query);
+    if (error) return res.status(400).json({ error: error.details[0].message });
+    if (value.to - value.from > 92 * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({ error: 'Backtest range cannot exceed 92 days' });
+    }
 
-    // Get scans by QR type
-    const qrScansResult = await pool.query(
-      'SELECT qr_type, COUNT(*) as scans FROM qr_scans WHERE restaurant_id = $1 GROUP BY qr_type',
-      [restaurantId]
-    );
+    const backtest = await forecasting.backtestRange(restaurantId, value.predictionType, {
+      modelTypes: value.modelType === 'all' ? ForecastingService.MODEL_TYPES : [value.modelType],
+      from: value.from,
+      to: value.to,
+      horizonMinutes: value.horizonMinutes
+    });
+    const live = await predictionScorer.accuracy(restaurantId, { from: value.from, to: value.to });
 
-    // Get daily scans for last 7 days
-    const dailyScansResult = await pool.query(`
-      SELECT DATE(scan_timestamp) as scan_date, COUNT(*) as scans 
-      FROM qr_scans 
-      WHERE restaurant_id = $1 AND scan_timestamp >= NOW() - INTERVAL '7 days'
-      GROUP BY DATE(scan_timestamp) 
-      ORDER BY scan_date
-    `, [restaurantId]);
+    res.json({ backtest, live });
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    console.error('Backtest error:', error);
+    res.status(500).json({ error: 'Failed to run backtest' });
+  }
+});
 
-    // Get recent activity
-    const recentActivityResult = await pool.query(`
-      SELECT qr_type, table_number, scan_timestamp, ip_address, destination_url
-      FROM qr_scans 
-      WHERE restaurant_id = $1 
-      ORDER BY scan_timestamp DESC 
-      LIMIT 10
-    `, [restaurantId]);
+const selectModelSchema = Joi.object({
+  predictionType: Joi.string().valid(...ForecastingService.PREDICTION_TYPES).required(),
+  modelType: Joi.string().valid('auto', ...ForecastingService.MODEL_TYPES).required()
+});
 
-    // Get table intelligence summary
-    const tableStatsResult = await pool.query(`
-      SELECT 
-        COUNT(DISTINCT CASE WHEN status = 'active' THEN table_number END) as active_tables,
-        COUNT(DISTINCT table_number) as total_tables,
-        AVG(EXTRACT(EPOCH FROM (last_activity - start_time))/60) as avg_session_minutes
-      FROM table_sessions 
-      WHERE restaurant_id = $1 AND DATE(start_time) = CURRENT_DATE
-    `, [restaurantId]);
+// Choose the model for a prediction type, or 'auto' to follow the best backtest
+app.put('/api/predictions/:restaurantId/models/active', authenticateToken, requirePermission('predictions.manage'), async (req, res) => {
+  try {
+    const { error, value } = selectModelSchema.validate(req.body);
+    if (error) return res.status(400).json({ error: error.details[0].message });
 
-    // Get prediction savings (if available)
-    const predictiveSavings = await calculatePredictiveSavings(restaurantId);
+    const active = await forecasting.select(req.params.restaurantId, value.predictionType, value.modelType);
 
-    // Format data
-    const totalScans = parseInt(totalScansResult.rows[0]?.total || 0);
-    
-    const qrCodes = {};
-    qrScansResult.rows.forEach(row => {
-      qrCodes[row.qr_type] = { scans: parseInt(row.scans) };
-    });
+    console.log(`📈 ${req.params.restaurantId} ${value.predictionType} model: ${active.modelType} (${active.selection})`);
+    res.json({ success: true, active });
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    console.error('Select forecasting model error:', error);
+    res.status(500).json({ error: 'Failed to select forecasting model' });
+  }
+});
+
+
+// Welcome dashboard routes for the caller's own venue. They must be registered before
+// /api/restaurant/:restaurantId and /api/analytics/:restaurantId, which would otherwise take
+// "profile" and "summary" as restaurant IDs and refuse them in the tenant check.
+
+// Restaurant Profile Endpoint
+app.get('/api/restaurant/profile', authenticateToken, async (req, res) => {
+  try {
+    const restaurantId = req.user.restaurant_id || req.user.restaurantId;
+    
+    if (!restaurantId) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Restaurant ID not found' 
+      });
+    }
+
+    const result = await pool.query(`
+      SELECT 
+        r.restaurant_id,
+        r.name as restaurant_name,
+        u.email,
+        u.full_name,
+        u.venue_role,
+        u.created_at
+      FROM restaurants r
+      LEFT JOIN users u ON u.restaurant_id = r.restaurant_id AND u.id = $2
+      WHERE r.restaurant_id = $1
+      LIMIT 1
+    `, [restaurantId, req.user.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Restaurant not found' 
+      });
+    }
+
+    const restaurant = result.rows[0];
+
+    res.json({
+      success: true,
+      restaurant_name: restaurant.restaurant_name,
+      restaurant_id: restaurant.restaurant_id,
+      email: restaurant.email,
+      full_name: restaurant.full_name,
+      role: restaurant.venue_role,
+      permissions: venuePermissions.permissionsFor(restaurant.venue_role),
+      created_at: restaurant.created_at
+    });
+
+  } catch (error) {
+    console.error('Error fetching restaurant profile:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error fetching profile' 
+    });
+  }
+});
+
+// Analytics Summary Endpoint
+app.get('/api/analytics/summary', authenticateToken, requirePermission('analytics.view'), async (req, res) => {
+  try {
+    const restaurantId = req.user.restaurant_id || req.user.restaurantId;
+
+    if (!restaurantId) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Restaurant ID not found' 
+      });
+    }
+
+    // Get total scans
+    const totalScansQuery = await pool.query(`
+      SELECT COUNT(*) as total_scans 
+      FROM qr_scans 
+      WHERE restaurant_id = $1 ${scanClassFilter(includeAllScans(req))}
+    `, [restaurantId]);
+
+    // Get today's scans
+    const todayScansQuery = await pool.query(`
+      SELECT COUNT(*) as today_scans 
+      FROM qr_scans 
+      WHERE restaurant_id = $1 
+      AND DATE(scan_timestamp) = CURRENT_DATE ${scanClassFilter(includeAllScans(req))}
+    `, [restaurantId]);
+
+    // Count active cards from card_configurations
+    const activeCardsQuery = await pool.query(`
+      SELECT 
+        jsonb_array_length(selected_cards) as active_cards
+      FROM card_configurations 
+      WHERE restaurant_id = $1
+    `, [restaurantId]);
+
+    const totalScans = parseInt(totalScansQuery.rows[0]?.total_scans || 0);
+    const todayScans = parseInt(todayScansQuery.rows[0]?.today_scans || 0);
+    const activeCards = parseInt(activeCardsQuery.rows[0]?.active_cards || 0);
+
+    res.json({
+      success: true,
+      total_scans: totalScans,
+      today_scans: todayScans,
+      active_cards: activeCards,
+      restaurant_id: restaurantId
+    });
+
+  } catch (error) {
+    console.error('Error fetching analytics summary:', error);
+    
+    // Fail gracefully with defaults
+    res.json({
+      success: true,
+      total_scans: 0,
+      today_scans: 0,
+      active_cards: 0,
+      message: 'Analytics not available - showing defaults'
+    });
+  }
+});
+
+// 3D - ADD THESE API ENDPOINTS TO YOUR server.js
+
+// Get restaurant data
+// Enhanced restaurant endpoint with auto-demo data creation
+app.get('/api/restaurant/:restaurantId', authenticateToken, requirePermission('tables.view'), async (req, res) => {
+  try {
+    const { restaurantId } = req.params;
+    
+    let result = await pool.query(
+      'SELECT * FROM restaurants WHERE restaurant_id = $1',
+      [restaurantId]
+    );
+    
+    // If restaurant doesn't exist, create demo data automatically
+    if (result.rows.length === 0 && restaurantId === 'demo-restaurant') {
+      console.log('Creating demo restaurant data...');
+      
+      await pool.query(
+        'INSERT INTO restaurants (restaurant_id, name) VALUES ($1, $2)',
+        ['demo-restaurant', 'Demo Restaurant']
+      );
+      
+      // Create some demo scan data for live stats
+      const today = new Date();
+      const yesterday = new Date(today);
+      yesterday.setDate(yesterday.getDate() - 1);
+      
+      await pool.query(
+        'INSERT INTO qr_scans (restaurant_id, qr_type, table_number, scan_timestamp) VALUES ($1, $2, $3, $4)',
+        ['demo-restaurant', 'menu', 1, today]
+      );
+      
+      await pool.query(
+        'INSERT INTO qr_scans (restaurant_id, qr_type, table_number, scan_timestamp, actual_wait_time) VALUES ($1, $2, $3, $4, $5)',
+        ['demo-restaurant', 'service', 2, yesterday, 12]
+      );
+      
+      console.log('✅ Demo restaurant data created');
+      
+      // Fetch the newly created data
+      result = await pool.query(
+        'SELECT * FROM restaurants WHERE restaurant_id = $1',
+        ['demo-restaurant']
+      );
+    }
+    
+    if (result.rows.length > 0) {
+      res.json(result.rows[0]);
+    } else {
+      res.status(404).json({ error: 'Restaurant not found' });
+    }
+  } catch (error) {
+    console.error('Error fetching restaurant:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get today's scan count
+app.get('/api/analytics/:restaurantId/scans-today', authenticateToken, requirePermission('analytics.view'), async (req, res) => {
+  try {
+    const { restaurantId } = req.params;
+    const today = new Date().toISOString().split('T')[0];
+    
+    const result = await pool.query(
+      `SELECT COUNT(*) as count FROM qr_scans WHERE restaurant_id = $1 AND DATE(scan_timestamp) = $2 ${scanClassFilter(includeAllScans(req))}`,
+      [restaurantId, today]
+    );
+    
+    res.json({ count: parseInt(result.rows[0].count) || 0 });
+  } catch (error) {
+    console.error('Error fetching scan count:', error);
+    res.json({ count: 0 });
+  }
+});
+
+// Average wait: median time for staff to respond to a request over the last week
+app.get('/api/analytics/:restaurantId/avg-wait', authenticateToken, requirePermission('analytics.view'), async (req, res) => {
+  try {
+    const { restaurantId } = req.params;
+
+    const wait = await slaReporter.measureWait(restaurantId);
+    res.json({ minutes: wait.minutes, samples: wait.samples, measured: wait.minutes !== null });
+  } catch (error) {
+    console.error('Error fetching avg wait:', error);
+    res.status(500).json({ error: 'Failed to measure wait time' });
+  }
+});
+
+// SLA report: median/p90 time-to-acknowledge and time-to-resolve, target breaches, who closed alerts
+const slaReportSchema = Joi.object({
+  groupBy: Joi.string().valid(...SlaReporter.GROUPINGS).default('day'),
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().optional(),
+  source: Joi.string().valid('customer_request', 'staff', 'behavioral').optional(),
+  priority: Joi.string().valid(...Object.keys(SlaReporter.DEFAULT_TARGETS)).optional()
+});
+
+app.get('/api/analytics/:restaurantId/sla', authenticateToken, requirePermission('analytics.view'), async (req, res) => {
+  try {
+    const { restaurantId } = req.params;
+
+    const { error, value } = slaReportSchema.validate(req.query);
+    if (error) return res.status(400).json({ error: error.details[0].message });
+
+    const to = value.to || new Date();
+    const from = value.from || new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+    if (from >= to) {
+      return res.status(400).json({ error: '"from" must be before "to"' });
+    }
+    if (to - from > 366 * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({ error: 'Report range cannot exceed 366 days' });
+    }
+
+    const report = await slaReporter.report(restaurantId, {
+      groupBy: value.groupBy,
+      from,
+      to,
+      source: value.source || null,
+      priority: value.priority || null
+    });
+
+    res.json(report);
+  } catch (error) {
+    console.error('SLA report error:', error);
+    res.status(500).json({ error: 'Failed to build SLA report' });
+  }
+});
+
+// ===== DEVICE BREAKDOWN =====
+
+// Android WebViews before Chrome 80 (early 2020) miss syntax like optional chaining that guest pages may use
+const LEGACY_WEBVIEW_CHROME_MAJOR = 80;
+
+function emptyDeviceBreakdown() {
+  return { scans: 0, deviceType: {}, os: {}, browser: {}, inAppBrowser: {}, webviewScans: 0 };
+}
+
+function addToDeviceBreakdown(breakdown, row, scans) {
+  const tally = (bucket, key) => { bucket[key] = (bucket[key] || 0) + scans; };
+  breakdown.scans += scans;
+  tally(breakdown.deviceType, row.device_type || 'unknown');
+  tally(breakdown.os, row.os_family ? [row.os_family, row.os_major].filter(Boolean).join(' ') : 'unknown');
+  tally(breakdown.browser, row.browser || 'unknown');
+  tally(breakdown.inAppBrowser, row.in_app_browser || 'none');
+  if (row.is_webview) breakdown.webviewScans += scans;
+}
+
+// Scans by device type, OS (family + major version), browser and in-app browser - overall, per QR type and per table
+app.get('/api/analytics/:restaurantId/devices', authenticateToken, requirePermission('analytics.view'), async (req, res) => {
+  try {
+    const { restaurantId } = req.params;
+
+    const { error, value } = Joi.object({
+      days: Joi.number().integer().min(1).max(366).default(30),
+      includeAll: Joi.boolean().optional()
+    }).validate(req.query);
+    if (error) return res.status(400).json({ error: error.details[0].message });
+
+    const result = await pool.query(`
+      SELECT qr_type, table_number, device_type, os_family, split_part(os_version, '.', 1) AS os_major,
+             browser, browser_version, in_app_browser, is_webview, COUNT(*) AS scans
+      FROM qr_scans
+      WHERE restaurant_id = $1 AND scan_timestamp > NOW() - make_interval(days => $2) ${scanClassFilter(value.includeAll)}
+      GROUP BY qr_type, table_number, device_type, os_family, os_major, browser, browser_version, in_app_browser, is_webview
+    `, [restaurantId, value.days]);
+
+    const overall = emptyDeviceBreakdown();
+    const byQrType = {};
+    const byTable = {};
+    const compatibility = { androidWebViewScans: 0, legacyAndroidWebViewScans: 0, androidWebViewByChromeMajor: {} };
+
+    result.rows.forEach(row => {
+      const scans = parseInt(row.scans);
+      addToDeviceBreakdown(overall, row, scans);
+      addToDeviceBreakdown(byQrType[row.qr_type] = byQrType[row.qr_type] || emptyDeviceBreakdown(), row, scans);
+      if (row.table_number) {
+        addToDeviceBreakdown(byTable[row.table_number] = byTable[row.table_number] || emptyDeviceBreakdown(), row, scans);
+      }
+
+      if (row.browser === 'Android WebView' || row.browser === 'Android Browser') {
+        const chromeMajor = parseInt(row.browser_version) || null;
+        compatibility.androidWebViewScans += scans;
+        compatibility.androidWebViewByChromeMajor[chromeMajor || 'unknown'] =
+          (compatibility.androidWebViewByChromeMajor[chromeMajor || 'unknown'] || 0) + scans;
+        if (!chromeMajor || chromeMajor < LEGACY_WEBVIEW_CHROME_MAJOR) {
+          compatibility.legacyAndroidWebViewScans += scans;
+        }
+      }
+    });
+
+    res.json({
+      restaurantId,
+      days: value.days,
+      scanFilter: value.includeAll ? 'all' : 'human',
+      overall,
+      byQrType,
+      byTable,
+      compatibility: {
+        ...compatibility,
+        legacyThreshold: `Android WebView below Chrome ${LEGACY_WEBVIEW_CHROME_MAJOR}`,
+        legacyShare: overall.scans > 0
+          ? Math.round(compatibility.legacyAndroidWebViewScans / overall.scans * 1000) / 10
+          : 0
+      }
+    });
+  } catch (error) {
+    console.error('Device breakdown error:', error);
+    res.status(500).json({ error: 'Failed to build device breakdown' });
+  }
+});
+
+app.get('/api/service-level-targets/:restaurantId', authenticateToken, requirePermission('alerts.configure'), async (req, res) => {
+  try {
+    const targets = await slaReporter.getTargets(req.params.restaurantId);
+    res.json({ restaurantId: req.params.restaurantId, targets });
+  } catch (error) {
+    console.error('Get SLA targets error:', error);
+    res.status(500).json({ error: 'Failed to get service level targets' });
+  }
+});
+
+const slaTargetSchema = Joi.object({
+  acknowledgeSeconds: Joi.number().integer().min(10).max(86400).required(),
+  resolveSeconds: Joi.number().integer().min(10).max(86400).required()
+});
+
+const slaTargetsSchema = Joi.object(
+  Object.fromEntries(Object.keys(SlaReporter.DEFAULT_TARGETS).map(p => [p, slaTargetSchema.optional()]))
+).min(1);
+
+app.put('/api/service-level-targets/:restaurantId', authenticateToken, requirePermission('alerts.configure'), async (req, res) => {
+  try {
+    const { restaurantId } = req.params;
+
+    const { error } = slaTargetsSchema.validate(req.body);
+    if (error) return res.status(400).json({ error: error.details[0].message });
+
+    const targets = await slaReporter.setTargets(restaurantId, req.body);
+    res.json({ success: true, restaurantId, targets });
+  } catch (error) {
+    console.error('Update SLA targets error:', error);
+    res.status(500).json({ error: 'Failed to update service level targets' });
+  }
+});
+
+// Track interaction analytics
+app.post('/api/analytics/interaction', async (req, res) => {
+  try {
+    const { restaurant_id, table_number, interaction_type, qr_type, timestamp } = req.body;
+    
+    await pool.query(
+      'INSERT INTO table_activities (restaurant_id, table_number, qr_type, activity_data, created_at) VALUES ($1, $2, $3, $4, $5)',
+      [restaurant_id, table_number, qr_type, JSON.stringify({ interaction_type, timestamp }), new Date()]
+    );
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error tracking interaction:', error);
+    res.status(500).json({ error: 'Failed to track interaction' });
+  }
+});
+
+const qrGenerateSchema = Joi.object({
+  restaurant_id: Joi.string().max(100).optional(),
+  qr_type: Joi.string().valid(...QR_TYPES).required(),
+  destination_url: destinationUrlSchema.required(),
+  table_number: Joi.number().integer().optional()
+});
+
+// Generate QR codes for 3D experience
+app.post('/api/qr/generate', authenticateToken, requirePermission('qr.manage'), async (req, res) => {
+  try {
+    const { error } = qrGenerateSchema.validate(req.body);
+    if (error) return res.status(400).json({ error: error.details[0].message });
+
+    const { restaurant_id, qr_type, table_number, destination_url } = req.body;
+    const restaurantId = qrRestaurantFor(req, res, restaurant_id);
+    if (!restaurantId) return;
+
+    // Store in database - the printed code is the short link, the row owns the destination
+    const qrCode = await createQrCode(req, {
+      restaurantId,
+      qrType: qr_type,
+      destinationUrl: destination_url,
+      tableNumber: table_number
+    });
+    
+    res.json({
+      qr_id: qrCode.id,
+      short_code: qrCode.short_code,
+      tracking_url: qrCode.tracking_url,
+      destination_url: destination_url,
+      qr_type: qr_type
+    });
+  } catch (error) {
+    console.error('Error generating QR code:', error);
+    res.status(500).json({ error: 'Failed to generate QR code' });
+  }
+});
+
+// ======================================================
+// ANALYTICS API (ENHANCED WITH PREDICTIONS)
+// ======================================================
+
+app.get('/api/analytics/:restaurantId', authenticateToken, requirePermission('analytics.view'), async (req, res) => {
+  try {
+    const { restaurantId } = req.params;
+    const scanFilter = scanClassFilter(includeAllScans(req));
+
+    // Counts include scans the retention job has rolled up into qr_scan_daily_aggregates
+    const totalScansResult = await pool.query(`
+      SELECT (SELECT COUNT(*) FROM qr_scans WHERE restaurant_id = $1 ${scanFilter})
+           + (SELECT COALESCE(SUM(scans), 0) FROM qr_scan_daily_aggregates WHERE restaurant_id = $1 ${scanFilter}) as total
+    `, [restaurantId]);
+
+    // How many hits were filtered out, and why
+    const scanClassesResult = await pool.query(`
+      SELECT scan_class, SUM(scans) as scans FROM (
+        SELECT scan_class, COUNT(*) as scans FROM qr_scans WHERE restaurant_id = $1 GROUP BY scan_class
+        UNION ALL
+        SELECT scan_class, SUM(scans) FROM qr_scan_daily_aggregates WHERE restaurant_id = $1 GROUP BY scan_class
+      ) counts GROUP BY scan_class
+    `, [restaurantId]);
+
+    // Get scans by QR type
+    const qrScansResult = await pool.query(`
+      SELECT qr_type, SUM(scans) as scans FROM (
+        SELECT qr_type, COUNT(*) as scans FROM qr_scans WHERE restaurant_id = $1 ${scanFilter} GROUP BY qr_type
+        UNION ALL
+        SELECT qr_type, SUM(scans) FROM qr_scan_daily_aggregates WHERE restaurant_id = $1 ${scanFilter} GROUP BY qr_type
+      ) counts GROUP BY qr_type
+    `, [restaurantId]);
+
+    // Get daily scans for last 7 days
+    const dailyScansResult = await pool.query(`
+      SELECT scan_date, SUM(scans) as scans FROM (
+        SELECT DATE(scan_timestamp) as scan_date, COUNT(*) as scans
+        FROM qr_scans
+        WHERE restaurant_id = $1 AND scan_timestamp >= NOW() - INTERVAL '7 days' ${scanFilter}
+        GROUP BY DATE(scan_timestamp)
+        UNION ALL
+        SELECT scan_date, SUM(scans)
+        FROM qr_scan_daily_aggregates
+        WHERE restaurant_id = $1 AND scan_date >= CURRENT_DATE - 7 ${scanFilter}
+        GROUP BY scan_date
+      ) counts
+      GROUP BY scan_date
+      ORDER BY scan_date
+    `, [restaurantId]);
+
+    // Get recent activity
+    const recentActivityResult = await pool.query(`
+      SELECT qr_type, table_number, scan_timestamp, ip_address, destination_url, scan_class
+      FROM qr_scans 
+      WHERE restaurant_id = $1 ${scanFilter}
+      ORDER BY scan_timestamp DESC 
+      LIMIT 10
+    `, [restaurantId]);
+
+    // Get table intelligence summary
+    const tableStatsResult = await pool.query(`
+      SELECT 
+        COUNT(DISTINCT CASE WHEN status = 'active' THEN table_number END) as active_tables,
+        COUNT(DISTINCT table_number) as total_tables,
+        AVG(EXTRACT(EPOCH FROM (last_activity - start_time))/60) as avg_session_minutes
+      FROM table_sessions 
+      WHERE restaurant_id = $1 AND DATE(start_time) = CURRENT_DATE
+    `, [restaurantId]);
+
+    // Get prediction savings (if available)
+    const predictiveSavings = await calculatePredictiveSavings(restaurantId);
+
+    // Format data
+    const totalScans = parseInt(totalScansResult.rows[0]?.total || 0);
+    
+    const qrCodes = {};
+    qrScansResult.rows.forEach(row => {
+      qrCodes[row.qr_type] = { scans: parseInt(row.scans) };
+    });
 
     const dailyScans = Array(7).fill(0);
     dailyScansResult.rows.forEach(row => {
@@ -1997,764 +2446,1629 @@ app.get('/api/analytics/:restaurantId', async (req, res) => {
       dailyScans[dayIndex] = parseInt(row.scans);
     });
 
-    const recentActivity = recentActivityResult.rows.map(row => ({
-      qrType: row.qr_type,
-      tableNumber: row.table_number,
-      timestamp: row.scan_timestamp,
-      ip: row.ip_address?.toString().replace(/\.\d+$/, '.xxx'),
-      destination: row.destination_url
-    }));
+    const recentActivity = recentActivityResult.rows.map(row => ({
+      qrType: row.qr_type,
+      tableNumber: row.table_number,
+      timestamp: row.scan_timestamp,
+      ip: IpPrivacy.maskIp(row.ip_address),
+      destination: row.destination_url,
+      scanClass: row.scan_class
+    }));
+
+    const scanClasses = Object.fromEntries(ScanClassifier.SCAN_CLASSES.map(scanClass => [scanClass, 0]));
+    scanClassesResult.rows.forEach(row => {
+      scanClasses[row.scan_class] = parseInt(row.scans);
+    });
+
+    const tableStats = tableStatsResult.rows[0] || {};
+
+    const analytics = {
+      restaurantId: restaurantId,
+      restaurantName: formatRestaurantName(restaurantId),
+      totalScans: totalScans,
+      scanFilter: scanFilter ? 'human' : 'all',
+      scanClasses: scanClasses,
+      totalSavings: predictiveSavings.totalSavings,
+      qrCodes: qrCodes,
+      dailyScans: dailyScans,
+      recentActivity: recentActivity,
+      engagementRate: totalScans > 0 ? Math.min(95, (totalScans / 10) + 30) : 0,
+      scansToday: dailyScans[new Date().getDay()] || 0,
+      tableIntelligence: {
+        activeTables: parseInt(tableStats.active_tables || 0),
+        totalTables: parseInt(tableStats.total_tables || 0),
+        avgSessionTime: Math.floor(parseFloat(tableStats.avg_session_minutes || 0))
+      },
+      predictiveAnalytics: {
+        enabled: await predictiveEngine.isCollecting(restaurantId),
+        weeklySavings: predictiveSavings.weeklySavings,
+        accuracy: predictiveSavings.accuracy
+      }
+    };
+
+    res.json(analytics);
+
+  } catch (error) {
+    console.error('Analytics query failed:', error);
+    res.status(500).json({ 
+      error: 'Analytics unavailable',
+      restaurantId: req.params.restaurantId,
+      totalScans: 0
+    });
+  }
+});
+
+const dataExportSchema = Joi.object({
+  format: Joi.string().valid(...DataExporter.FORMATS).default('csv'),
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().min(Joi.ref('from')).optional(),
+  table: Joi.string().max(50).optional(),
+  qrType: Joi.string().valid('menu', 'service', 'wifi', 'review', 'booking', 'specials').optional(),
+  includeAll: Joi.boolean().optional()
+});
+
+// Raw history for spreadsheets: /api/exports/:restaurantId/scans?format=xlsx&from=2025-01-01&to=2025-01-31&table=4
+app.get('/api/exports/:restaurantId/:dataset', authenticateToken, requirePermission('analytics.view'), async (req, res) => {
+  try {
+    const { restaurantId, dataset } = req.params;
+
+    // Validated for shape only - `from`/`to` are passed on as typed so a bare date keeps meaning "that whole day"
+    const { error, value } = dataExportSchema.validate(req.query);
+    if (error) return res.status(400).json({ error: error.details[0].message });
+
+    const query = dataExporter.buildQuery(restaurantId, dataset, {
+      from: req.query.from,
+      to: req.query.to,
+      table: value.table,
+      qrType: value.qrType,
+      includeAll: value.includeAll
+    });
+
+    const range = `${req.query.from || 'all'}-to-${req.query.to || 'now'}`.replace(/[^0-9A-Za-z.-]/g, '');
+    res.set('Content-Type', value.format === 'xlsx'
+      ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+      : 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${restaurantId}-${dataset}-${range}.${value.format}"`);
+
+    const { rows, completed } = await dataExporter.stream(query, value.format, res, dataset);
+    console.log(`📤 ${dataset} export (${value.format}) for ${restaurantId}: ${rows} rows${completed ? '' : ' - client disconnected'}`);
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    console.error('Data export error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to export data' });
+    } else {
+      res.destroy(error);
+    }
+  }
+});
+
+// ======================================================
+// TABLE INTELLIGENCE FUNCTIONS
+// ======================================================
+
+async function updateTableSession(restaurantId, tableNumber, qrType, userAgent) {
+  try {
+    const sessionTimeout = 30; // minutes
+    const now = new Date();
+    const cutoffTime = new Date(now.getTime() - sessionTimeout * 60000);
+
+    const sessionResult = await pool.query(`
+      SELECT * FROM table_sessions 
+      WHERE restaurant_id = $1 AND table_number = $2 AND status = 'active' AND last_activity > $3
+      ORDER BY last_activity DESC LIMIT 1
+    `, [restaurantId, tableNumber, cutoffTime]);
+
+    let sessionId;
+
+    if (sessionResult.rows.length === 0) {
+      sessionId = `${restaurantId}_${tableNumber}_${Date.now()}`;
+      
+      await pool.query(`
+        INSERT INTO table_sessions (restaurant_id, table_number, session_id, start_time, last_activity, customer_count)
+        VALUES ($1, $2, $3, $4, $5, $6)
+      `, [restaurantId, tableNumber, sessionId, now, now, Math.floor(Math.random() * 3) + 1]);
+
+      await liveEvents.publish(restaurantId, 'session.started', { sessionId, tableNumber, startTime: now });
+      console.log(`New session started: Table ${tableNumber}`);
+    } else {
+      sessionId = sessionResult.rows[0].session_id;
+      
+      await pool.query(`
+        UPDATE table_sessions 
+        SET last_activity = $1, total_scans = total_scans + 1
+        WHERE session_id = $2
+      `, [now, sessionId]);
+    }
+
+    await pool.query(`
+      INSERT INTO table_activities (restaurant_id, table_number, session_id, qr_type, activity_data)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [restaurantId, tableNumber, sessionId, qrType, JSON.stringify({ userAgent, timestamp: now })]);
+
+  } catch (error) {
+    console.error('Table session update failed:', error);
+  }
+}
+
+async function generateTableServiceAlerts(restaurantId, tableNumber) {
+  try {
+    const sessionResult = await pool.query(`
+      SELECT s.*, 
+             COUNT(a.id) as menu_scans_recent,
+             EXTRACT(EPOCH FROM (NOW() - s.start_time))/60 as session_duration_minutes,
+             EXTRACT(EPOCH FROM (NOW() - s.last_activity))/60 as idle_minutes
+      FROM table_sessions s
+      LEFT JOIN table_activities a ON s.session_id = a.session_id 
+                                   AND a.qr_type = 'menu' 
+                                   AND a.created_at > NOW() - INTERVAL '5 minutes'
+      WHERE s.restaurant_id = $1 AND s.table_number = $2 AND s.status = 'active'
+      GROUP BY s.id, s.session_id, s.start_time, s.last_activity
+      ORDER BY s.last_activity DESC LIMIT 1
+    `, [restaurantId, tableNumber]);
+
+    if (sessionResult.rows.length === 0) return;
+
+    const session = sessionResult.rows[0];
+    const sessionDuration = parseFloat(session.session_duration_minutes);
+    const idleTime = parseFloat(session.idle_minutes);
+    const menuScansRecent = parseInt(session.menu_scans_recent);
+
+    // Replace this table's behavioural alerts - anything staff have claimed or customers asked for stays
+    await alertWorkflow.resolveOpenAlerts(restaurantId, {
+      actor: 'system_auto',
+      tableNumber,
+      source: 'behavioral',
+      statuses: ['created']
+    });
+
+    const alerts = [];
+
+    if (idleTime > 8) {
+      alerts.push({
+        type: 'idle',
+        message: `Table ${tableNumber} idle for ${Math.floor(idleTime)} minutes`,
+        action: 'Check if they need assistance',
+        priority: 'medium'
+      });
+    }
+
+    if (sessionDuration > 90) {
+      alerts.push({
+        type: 'long_session',
+        message: `Table ${tableNumber} session over 90 minutes`,
+        action: 'Check satisfaction, offer bill',
+        priority: 'high'
+      });
+    }
+
+    if (menuScansRecent >= 2) {
+      alerts.push({
+        type: 'ready_to_order',
+        message: `Table ${tableNumber} viewed menu ${menuScansRecent} times recently`,
+        action: 'Likely ready to order - send server',
+        priority: 'urgent'
+      });
+    }
+
+    for (const alert of alerts) {
+      const alertId = `${restaurantId}_${tableNumber}_${alert.type}_${Date.now()}`;
+      
+      await alertWorkflow.create({
+        alertId,
+        restaurantId,
+        tableNumber,
+        alertType: alert.type,
+        message: alert.message,
+        actionRequired: alert.action,
+        priority: alert.priority,
+        source: 'behavioral'
+      });
+
+      // Send notification for urgent behavioral alerts
+      if (alert.priority === 'urgent') {
+        await sendNotificationToStaff(restaurantId, {
+          title: `📋 Table ${tableNumber} Ready to Order`,
+          body: `${menuScansRecent} menu scans in 5 minutes - Customer likely ready to order`,
+          tableNumber,
+          alertId,
+          type: 'behavioral_alert'
+        }, 'server');
+      }
+    }
+
+    if (alerts.length > 0) {
+      console.log(`Generated ${alerts.length} service alerts for Table ${tableNumber}`);
+    }
+
+  } catch (error) {
+    console.error('Service alert generation failed:', error);
+  }
+}
+
+// ======================================================
+// LIVE TABLE DATA API
+// ======================================================
+
+// Shared by the polling endpoint and the initial snapshot of the live stream
+async function getLiveTableData(restaurantId) {
+  await cleanupOldSessions(restaurantId);
+
+  const sessionsResult = await pool.query(`
+    SELECT s.*, 
+           EXTRACT(EPOCH FROM (NOW() - s.start_time))/60 as session_duration,
+           EXTRACT(EPOCH FROM (NOW() - s.last_activity))/60 as idle_time
+    FROM table_sessions s
+    WHERE s.restaurant_id = $1 AND s.status = 'active'
+    ORDER BY s.table_number
+  `, [restaurantId]);
+
+  const tablesResult = await pool.query(`
+    SELECT table_number, 
+           COUNT(*) as total_scans,
+           MAX(scan_timestamp) as last_activity
+    FROM qr_scans 
+    WHERE restaurant_id = $1 AND table_number IS NOT NULL AND scan_class = 'human'
+    GROUP BY table_number
+    ORDER BY table_number
+  `, [restaurantId]);
+
+  const alertsResult = await pool.query(`
+    SELECT alert_id as id, table_number, alert_type as type, service_type, message, 
+           action_required as action, priority, source, created_at as timestamp,
+           status, acknowledged_by, acknowledged_at, started_by, started_at
+    FROM service_alerts
+    WHERE restaurant_id = $1 AND resolved = FALSE
+    ORDER BY 
+      CASE priority 
+        WHEN 'urgent' THEN 1 
+        WHEN 'high' THEN 2 
+        WHEN 'medium' THEN 3 
+        ELSE 4 
+      END,
+      created_at DESC
+    LIMIT 20
+  `, [restaurantId]);
+
+  const todayScansResult = await pool.query(`
+    SELECT COUNT(*) as count
+    FROM qr_scans 
+    WHERE restaurant_id = $1 AND DATE(scan_timestamp) = CURRENT_DATE AND scan_class = 'human'
+  `, [restaurantId]);
+
+  const tables = {};
+  tablesResult.rows.forEach(row => {
+    tables[row.table_number] = {
+      tableNumber: row.table_number,
+      totalScans: parseInt(row.total_scans),
+      lastActivity: row.last_activity,
+      topActivities: {}
+    };
+  });
+
+  const sessions = {};
+  sessionsResult.rows.forEach(row => {
+    sessions[row.table_number] = {
+      tableNumber: row.table_number,
+      sessionId: row.session_id,
+      startTime: row.start_time,
+      lastActivity: row.last_activity,
+      customerCount: row.customer_count,
+      status: row.status,
+      totalScans: row.total_scans,
+      sessionDuration: Math.floor(row.session_duration),
+      idleTime: Math.floor(row.idle_time)
+    };
+  });
+
+  const summary = {
+    activeTables: sessionsResult.rows.length,
+    totalTables: tablesResult.rows.length,
+    pendingAlerts: alertsResult.rows.length,
+    totalScansToday: parseInt(todayScansResult.rows[0]?.count || 0)
+  };
+
+  return {
+    tables,
+    sessions,
+    alerts: alertsResult.rows,
+    summary,
+    lastUpdated: new Date().toISOString()
+  };
+}
+
+app.get('/api/tables/:restaurantId/live', authenticateToken, requirePermission('tables.view'), async (req, res) => {
+  try {
+    res.json(await getLiveTableData(req.params.restaurantId));
+  } catch (error) {
+    console.error('Live table data query failed:', error);
+    res.status(500).json({
+      error: 'Live data unavailable',
+      tables: {},
+      sessions: {},
+      alerts: [],
+      summary: { activeTables: 0, totalTables: 0, pendingAlerts: 0, totalScansToday: 0 }
+    });
+  }
+});
+
+// ======================================================
+// LIVE TABLE STREAM (Server-Sent Events)
+// ======================================================
+
+const LIVE_STREAM_HEARTBEAT_MS = 25000;
+const SESSION_SWEEP_INTERVAL_MS = 60000;
+
+// EventSource cannot set headers, so the stream also accepts ?access_token=<jwt>
+function acceptQueryToken(req, res, next) {
+  if (!req.headers['authorization'] && typeof req.query.access_token === 'string') {
+    req.headers['authorization'] = `Bearer ${req.query.access_token}`;
+  }
+  next();
+}
+
+function writeLiveEvent(res, event) {
+  res.write(`event: ${event.type}\n`);
+  if (event.id) res.write(`id: ${event.id}\n`);
+  res.write(`data: ${JSON.stringify(event)}\n\n`);
+}
+
+app.get('/api/tables/:restaurantId/stream', acceptQueryToken, authenticateToken, requirePermission('tables.view'), async (req, res) => {
+  const { restaurantId } = req.params;
+
+  let snapshot;
+  try {
+    snapshot = await getLiveTableData(restaurantId);
+  } catch (error) {
+    console.error('Live stream snapshot error:', error);
+    return res.status(500).json({ error: 'Live data unavailable' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // stop nginx/Railway proxies buffering the stream
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  // Full state first, then incremental events - clients re-sync on reconnect
+  writeLiveEvent(res, {
+    type: 'snapshot',
+    restaurantId,
+    data: snapshot,
+    timestamp: new Date().toISOString()
+  });
+
+  const unsubscribe = liveEvents.subscribe(restaurantId, (event) => writeLiveEvent(res, event));
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), LIVE_STREAM_HEARTBEAT_MS);
+
+  console.log(`📡 Live stream opened for ${restaurantId} (${liveEvents.subscriberCount(restaurantId)} connected)`);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    console.log(`📡 Live stream closed for ${restaurantId}`);
+  });
+});
+
+// Streaming clients no longer poll /live, so stale sessions and alerts are swept here instead
+async function sweepStaleSessions() {
+  try {
+    const result = await pool.query(`
+      SELECT DISTINCT restaurant_id FROM table_sessions
+      WHERE status = 'active' AND last_activity < NOW() - INTERVAL '45 minutes'
+      UNION
+      SELECT DISTINCT restaurant_id FROM service_alerts
+      WHERE resolved = FALSE AND created_at < NOW() - INTERVAL '60 minutes'
+    `);
+
+    for (const row of result.rows) {
+      await cleanupOldSessions(row.restaurant_id);
+    }
+  } catch (error) {
+    console.error('Session sweep error:', error);
+  }
+}
+
+async function cleanupOldSessions(restaurantId) {
+  try {
+    const sessionTimeout = 45; // minutes
+    const cutoffTime = new Date(Date.now() - sessionTimeout * 60000);
+
+    const endedResult = await pool.query(`
+      UPDATE table_sessions 
+      SET status = 'ended', ended_at = NOW()
+      WHERE restaurant_id = $1 AND status = 'active' AND last_activity < $2
+      RETURNING session_id, table_number, ended_at
+    `, [restaurantId, cutoffTime]);
+
+    for (const session of endedResult.rows) {
+      await liveEvents.publish(restaurantId, 'session.ended', {
+        sessionId: session.session_id,
+        tableNumber: session.table_number,
+        endedAt: session.ended_at
+      });
+    }
+
+    await alertWorkflow.resolveOpenAlerts(restaurantId, {
+      actor: 'system_cleanup',
+      olderThanMinutes: 60
+    });
+
+  } catch (error) {
+    console.error('Session cleanup failed:', error);
+  }
+}
+
+// ======================================================
+// SERVICE REQUEST HANDLING WITH NOTIFICATIONS
+// ======================================================
+
+app.post('/api/service/request', async (req, res) => {
+  try {
+    const { restaurantId, tableNumber, serviceType, timestamp, urgent } = req.body;
+
+    if (!restaurantId || !tableNumber || !serviceType) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    await ensureRestaurantExists(restaurantId);
+
+    const alertId = `${restaurantId}_${tableNumber}_request_${Date.now()}`;
+    const priority = urgent ? 'urgent' : 'high';
+    const message = `Table ${tableNumber}: ${serviceType.replace('_', ' ')}`;
+    const action = getServiceAction(serviceType);
+
+    await alertWorkflow.create({
+      alertId,
+      restaurantId,
+      tableNumber,
+      alertType: 'customer_request',
+      serviceType,
+      message,
+      actionRequired: action,
+      priority,
+      source: 'customer_request'
+    });
+
+    // Send push notifications to staff
+    const notificationResult = await sendNotificationToStaff(restaurantId, {
+      title: `🔔 Table ${tableNumber} Service Request`,
+      body: `${serviceType.replace('_', ' ').toUpperCase()} requested - Customer needs immediate assistance`,
+      tableNumber,
+      alertId,
+      type: 'customer_request'
+    }, 'server');
+
+    console.log(`SERVICE REQUEST: Table ${tableNumber} - ${serviceType} - ${notificationResult.sent} staff notified`);
+
+    res.json({ 
+      success: true, 
+      message: 'Service request recorded and staff notified', 
+      alertId
+    });
+
+  } catch (error) {
+    console.error('Service request error:', error);
+    res.status(500).json({ error: 'Failed to process service request' });
+  }
+});
+
+// Authentication endpoints 
+// Real Authentication System with PostgreSQL
+
+// JWT Secret
+const JWT_SECRET = process.env.JWT_SECRET;
+if (!JWT_SECRET) {
+  console.error('❌ JWT_SECRET is not set in environment variables!');
+  process.exit(1);
+}
+
+
+// Outgoing email (verification, password reset, invitations) - MAIL_TRANSPORT=console|file|smtp
+const mailer = Mailer.fromEnv();
+
+// Failed-attempt tracking, throttling and lockout for password sign-in
+const loginGuard = new LoginGuard(pool, {
+  secret: JWT_SECRET,
+  maxFailures: process.env.LOGIN_MAX_FAILURES,
+  lockoutMinutes: process.env.LOGIN_LOCKOUT_MINUTES,
+  ipMaxFailures: process.env.LOGIN_IP_MAX_FAILURES
+});
+
+// Single token format, refresh tokens and revocation - see auth-service.js
+const authService = new AuthService(pool, {
+  secret: JWT_SECRET,
+  accessTokenTtl: process.env.ACCESS_TOKEN_TTL,
+  refreshTokenTtlDays: process.env.REFRESH_TOKEN_TTL_DAYS,
+  bcryptRounds: process.env.BCRYPT_ROUNDS,
+  mailer,
+  appBaseUrl: process.env.APP_BASE_URL,
+  requireEmailVerification: process.env.EMAIL_VERIFICATION_REQUIRED !== 'false',
+  loginGuard,
+  totpEncryptionKey: process.env.TOTP_ENCRYPTION_KEY,
+  totpIssuer: process.env.TOTP_ISSUER
+});
+
+// Errors carry both keys so old clients of /api/register (`error`) and /api/auth/* (`message`) keep working
+function sendAuthError(res, error, fallbackMessage) {
+  if (error.statusCode) {
+    const body = { success: false, error: error.message, message: error.message, code: error.code };
+    if (error.retryAfterSeconds) {
+      res.set('Retry-After', String(error.retryAfterSeconds));
+      body.retryAfterSeconds = error.retryAfterSeconds;
+    }
+    return res.status(error.statusCode).json(body);
+  }
+  console.error(`❌ ${fallbackMessage}:`, error);
+  res.status(500).json({ success: false, error: fallbackMessage, message: `${fallbackMessage}. Please try again.` });
+}
+
+function formatAuthUser(user) {
+  // ✅ Field names MUST match frontend exactly
+  return {
+    id: user.id,
+    email: user.email,
+    full_name: user.full_name,
+    restaurant_name: user.company_name,
+    restaurant_id: user.restaurant_id,
+    role: user.venue_role,
+    permissions: venuePermissions.permissionsFor(user.venue_role),
+    needsSetup: !user.venue_setup_complete,
+    emailVerified: Boolean(user.email_verified_at),
+    twoFactorEnabled: Boolean(user.totp_enabled_at)
+  };
+}
+
+function formatTokens(tokens) {
+  return {
+    token: tokens.accessToken,
+    refreshToken: tokens.refreshToken,
+    expiresIn: tokens.expiresIn,
+    refreshExpiresAt: tokens.refreshExpiresAt
+  };
+}
+
+function requestContext(req) {
+  return { userAgent: req.headers['user-agent'] || null, ipAddress: req.ip };
+}
+
+const registerSchema = Joi.object({
+  email: Joi.string().email().required(),
+  password: Joi.string().min(6).max(200).required(),
+  fullName: Joi.string().max(255).required(),
+  restaurantName: Joi.string().max(255).required(),
+  restaurantId: Joi.string().pattern(/^[a-z0-9][a-z0-9-]{1,98}$/).required()
+    .messages({ 'string.pattern.base': 'restaurantId may only contain lowercase letters, numbers and dashes' })
+});
+
+const loginSchema = Joi.object({
+  email: Joi.string().email().required(),
+  password: Joi.string().required()
+});
+
+async function handleRegister(req, res, body) {
+  try {
+    const { error, value } = registerSchema.validate(body);
+    if (error) return res.status(400).json({ success: false, error: error.details[0].message, message: error.details[0].message });
+
+    console.log(`📝 Registration request for restaurant ${value.restaurantId}`);
+
+    const user = await authService.register({
+      email: value.email,
+      password: value.password,
+      fullName: value.fullName,
+      companyName: value.restaurantName,
+      restaurantId: value.restaurantId,
+      restaurantName: value.restaurantName
+    });
+
+    console.log(`🎉 Registration successful: user ${user.id}`);
 
-    const tableStats = tableStatsResult.rows[0] || {};
+    // No session until the address is confirmed - the client shows "check your inbox"
+    if (authService.requireEmailVerification) {
+      await authService.sendVerificationEmail(user).catch(mailError => {
+        console.error(`❌ Verification email for user ${user.id} failed:`, mailError.message);
+      });
+      return res.status(201).json({
+        success: true,
+        message: 'Account created. Check your email to confirm your address, then sign in.',
+        userId: user.id,
+        verificationRequired: true,
+        user: { ...formatAuthUser(user), needsSetup: true }
+      });
+    }
 
-    const analytics = {
-      restaurantId: restaurantId,
-      restaurantName: formatRestaurantName(restaurantId),
-      totalScans: totalScans,
-      totalSavings: 12847 + Math.floor(totalScans / 100) * 50 + predictiveSavings.weeklySavings,
-      qrCodes: qrCodes,
-      dailyScans: dailyScans,
-      recentActivity: recentActivity,
-      engagementRate: totalScans > 0 ? Math.min(95, (totalScans / 10) + 30) : 0,
-      scansToday: dailyScans[new Date().getDay()] || 0,
-      tableIntelligence: {
-        activeTables: parseInt(tableStats.active_tables || 0),
-        totalTables: parseInt(tableStats.total_tables || 0),
-        avgSessionTime: Math.floor(parseFloat(tableStats.avg_session_minutes || 0))
-      },
-      predictiveAnalytics: {
-        enabled: predictiveEngine.activeRestaurants.has(restaurantId),
-        weeklySavings: predictiveSavings.weeklySavings,
-        accuracy: predictiveSavings.accuracy
-      }
-    };
+    const tokens = await authService.issueTokens(user, requestContext(req));
+    res.status(201).json({
+      success: true,
+      message: 'Account created successfully',
+      userId: user.id,
+      ...formatTokens(tokens),
+      user: { ...formatAuthUser(user), needsSetup: true }
+    });
+  } catch (error) {
+    sendAuthError(res, error, 'Registration failed');
+  }
+}
 
-    res.json(analytics);
+async function handleLogin(req, res) {
+  try {
+    const { error, value } = loginSchema.validate(req.body);
+    if (error) return res.status(400).json({ success: false, error: error.details[0].message, message: error.details[0].message });
+
+    const { user, ...tokens } = await authService.login(value.email, value.password, requestContext(req));
+
+    // Password was right but the account has 2FA - the client asks for a code and calls /api/auth/login/2fa
+    if (tokens.twoFactorRequired) {
+      return res.json({
+        success: true,
+        message: 'Enter the code from your authenticator app',
+        twoFactorRequired: true,
+        challengeToken: tokens.challengeToken,
+        challengeExpiresIn: tokens.challengeExpiresIn
+      });
+    }
 
+    console.log(`✅ Login successful: user ${user.id}`);
+    res.json({
+      success: true,
+      message: 'Login successful',
+      ...formatTokens(tokens),
+      user: formatAuthUser(user)
+    });
   } catch (error) {
-    console.error('Analytics query failed:', error);
-    res.status(500).json({ 
-      error: 'Analytics unavailable',
-      restaurantId: req.params.restaurantId,
-      totalScans: 0
+    sendAuthError(res, error, 'Login failed');
+  }
+}
+
+// User Registration
+app.post('/api/auth/register', (req, res) => handleRegister(req, res, req.body));
+
+// Legacy registration (snake_case body) - compatibility shim
+app.post('/api/register', (req, res) => handleRegister(req, res, {
+  email: req.body.email,
+  password: req.body.password,
+  fullName: req.body.full_name,
+  restaurantName: req.body.company_name,
+  restaurantId: req.body.restaurant_id
+}));
+
+// User Login (+ legacy path)
+app.post('/api/auth/login', handleLogin);
+app.post('/api/login', handleLogin);
+
+// Second login step for accounts with 2FA: challenge token from /api/auth/login + authenticator or recovery code
+app.post('/api/auth/login/2fa', async (req, res) => {
+  try {
+    const { error, value } = Joi.object({
+      challengeToken: Joi.string().required(),
+      code: Joi.string().max(20).required()
+    }).validate(req.body);
+    if (error) return res.status(400).json({ success: false, error: error.details[0].message, message: error.details[0].message });
+
+    const { user, ...tokens } = await authService.completeTwoFactorLogin(value.challengeToken, value.code, requestContext(req));
+
+    console.log(`✅ Login successful (2FA): user ${user.id}`);
+    res.json({
+      success: true,
+      message: 'Login successful',
+      ...formatTokens(tokens),
+      user: formatAuthUser(user)
     });
+  } catch (error) {
+    sendAuthError(res, error, 'Login failed');
   }
 });
 
-// ======================================================
-// TABLE INTELLIGENCE FUNCTIONS
-// ======================================================
+// Exchange a refresh token for a new access/refresh pair (the old refresh token stops working)
+app.post('/api/auth/refresh', async (req, res) => {
+  try {
+    const { error } = Joi.object({ refreshToken: Joi.string().required() }).validate(req.body);
+    if (error) return res.status(400).json({ success: false, error: error.details[0].message, message: error.details[0].message });
 
-async function updateTableSession(restaurantId, tableNumber, qrType, userAgent) {
+    const { user, ...tokens } = await authService.refresh(req.body.refreshToken, requestContext(req));
+    res.json({ success: true, ...formatTokens(tokens), user: formatAuthUser(user) });
+  } catch (error) {
+    sendAuthError(res, error, 'Token refresh failed');
+  }
+});
+
+// Revoke the current access token and the given refresh token (or every session with allDevices)
+app.post('/api/auth/logout', authenticateToken, async (req, res) => {
   try {
-    const sessionTimeout = 30; // minutes
-    const now = new Date();
-    const cutoffTime = new Date(now.getTime() - sessionTimeout * 60000);
+    const schema = Joi.object({
+      refreshToken: Joi.string().optional(),
+      allDevices: Joi.boolean().optional()
+    });
+    const { error } = schema.validate(req.body || {});
+    if (error) return res.status(400).json({ success: false, error: error.details[0].message, message: error.details[0].message });
 
-    const sessionResult = await pool.query(`
-      SELECT * FROM table_sessions 
-      WHERE restaurant_id = $1 AND table_number = $2 AND status = 'active' AND last_activity > $3
-      ORDER BY last_activity DESC LIMIT 1
-    `, [restaurantId, tableNumber, cutoffTime]);
+    await authService.logout(req.user, req.body || {});
+    console.log(`👋 Logout: user ${req.user.id}${req.body?.allDevices ? ' (all devices)' : ''}`);
 
-    let sessionId;
+    res.json({ success: true, message: 'Logged out' });
+  } catch (error) {
+    sendAuthError(res, error, 'Logout failed');
+  }
+});
 
-    if (sessionResult.rows.length === 0) {
-      sessionId = `${restaurantId}_${tableNumber}_${Date.now()}`;
-      
-      await pool.query(`
-        INSERT INTO table_sessions (restaurant_id, table_number, session_id, start_time, last_activity, customer_count)
-        VALUES ($1, $2, $3, $4, $5, $6)
-      `, [restaurantId, tableNumber, sessionId, now, now, Math.floor(Math.random() * 3) + 1]);
+// ===== EMAIL VERIFICATION & PASSWORD RESET =====
 
-      console.log(`New session started: Table ${tableNumber}`);
-    } else {
-      sessionId = sessionResult.rows[0].session_id;
-      
-      await pool.query(`
-        UPDATE table_sessions 
-        SET last_activity = $1, total_scans = total_scans + 1
-        WHERE session_id = $2
-      `, [now, sessionId]);
+const emailOnlySchema = Joi.object({ email: Joi.string().email().required() });
+const emailTokenSchema = Joi.object({ token: Joi.string().required() });
+const resetPasswordSchema = Joi.object({
+  token: Joi.string().required(),
+  password: Joi.string().min(6).max(200).required()
+});
+
+// Confirms the address from the emailed link and signs the user in
+app.post('/api/auth/verify-email', async (req, res) => {
+  try {
+    const { error, value } = emailTokenSchema.validate(req.body);
+    if (error) return res.status(400).json({ success: false, error: error.details[0].message, message: error.details[0].message });
+
+    const user = await authService.verifyEmail(value.token);
+    if (user.is_active === false) {
+      return res.status(403).json({ success: false, error: 'Account is disabled', message: 'Account is disabled', code: 'ACCOUNT_DISABLED' });
     }
+    const tokens = await authService.issueTokens(user, requestContext(req));
 
-    await pool.query(`
-      INSERT INTO table_activities (restaurant_id, table_number, session_id, qr_type, activity_data)
-      VALUES ($1, $2, $3, $4, $5)
-    `, [restaurantId, tableNumber, sessionId, qrType, JSON.stringify({ userAgent, timestamp: now })]);
+    console.log(`📧 Email verified: user ${user.id}`);
+    res.json({ success: true, message: 'Email address confirmed', ...formatTokens(tokens), user: formatAuthUser(user) });
+  } catch (error) {
+    sendAuthError(res, error, 'Email verification failed');
+  }
+});
 
+// The answer is the same whether or not the address exists, so it can't be used to probe for accounts
+app.post('/api/auth/resend-verification', async (req, res) => {
+  try {
+    const { error, value } = emailOnlySchema.validate(req.body);
+    if (error) return res.status(400).json({ success: false, error: error.details[0].message, message: error.details[0].message });
+
+    await authService.resendVerification(value.email);
+    res.json({ success: true, message: 'If that account is waiting for confirmation, a new link is on its way.' });
   } catch (error) {
-    console.error('Table session update failed:', error);
+    sendAuthError(res, error, 'Could not send verification email');
   }
-}
+});
 
-async function generateTableServiceAlerts(restaurantId, tableNumber) {
+app.post('/api/auth/forgot-password', async (req, res) => {
   try {
-    const sessionResult = await pool.query(`
-      SELECT s.*, 
-             COUNT(a.id) as menu_scans_recent,
-             EXTRACT(EPOCH FROM (NOW() - s.start_time))/60 as session_duration_minutes,
-             EXTRACT(EPOCH FROM (NOW() - s.last_activity))/60 as idle_minutes
-      FROM table_sessions s
-      LEFT JOIN table_activities a ON s.session_id = a.session_id 
-                                   AND a.qr_type = 'menu' 
-                                   AND a.created_at > NOW() - INTERVAL '5 minutes'
-      WHERE s.restaurant_id = $1 AND s.table_number = $2 AND s.status = 'active'
-      GROUP BY s.id, s.session_id, s.start_time, s.last_activity
-      ORDER BY s.last_activity DESC LIMIT 1
-    `, [restaurantId, tableNumber]);
+    const { error, value } = emailOnlySchema.validate(req.body);
+    if (error) return res.status(400).json({ success: false, error: error.details[0].message, message: error.details[0].message });
 
-    if (sessionResult.rows.length === 0) return;
+    await authService.requestPasswordReset(value.email);
+    res.json({ success: true, message: 'If an account exists for that address, a reset link is on its way.' });
+  } catch (error) {
+    sendAuthError(res, error, 'Could not send password reset email');
+  }
+});
 
-    const session = sessionResult.rows[0];
-    const sessionDuration = parseFloat(session.session_duration_minutes);
-    const idleTime = parseFloat(session.idle_minutes);
-    const menuScansRecent = parseInt(session.menu_scans_recent);
+// Sets the new password; every existing session for the account is revoked
+app.post('/api/auth/reset-password', async (req, res) => {
+  try {
+    const { error, value } = resetPasswordSchema.validate(req.body);
+    if (error) return res.status(400).json({ success: false, error: error.details[0].message, message: error.details[0].message });
 
-    // Clear existing alerts for this table
-    await pool.query(`
-      UPDATE service_alerts 
-      SET resolved = TRUE, resolved_at = NOW(), resolved_by = 'system_auto'
-      WHERE restaurant_id = $1 AND table_number = $2 AND resolved = FALSE
-    `, [restaurantId, tableNumber]);
+    const user = await authService.resetPassword(value.token, value.password);
 
-    const alerts = [];
+    console.log(`🔑 Password reset: user ${user.id}`);
+    res.json({ success: true, message: 'Password updated. Please sign in with your new password.' });
+  } catch (error) {
+    sendAuthError(res, error, 'Password reset failed');
+  }
+});
 
-    if (idleTime > 8) {
-      alerts.push({
-        type: 'idle',
-        message: `Table ${tableNumber} idle for ${Math.floor(idleTime)} minutes`,
-        action: 'Check if they need assistance',
-        priority: 'medium'
+// ===== TWO-FACTOR AUTHENTICATION =====
+
+const twoFactorCodeSchema = Joi.object({ code: Joi.string().max(20).required() });
+
+app.get('/api/auth/2fa', authenticateToken, async (req, res) => {
+  try {
+    res.json({ success: true, ...(await authService.twoFactorStatus(req.user.id)) });
+  } catch (error) {
+    sendAuthError(res, error, 'Could not load two-factor status');
+  }
+});
+
+// Returns the secret and otpauth:// URI for the authenticator app; nothing changes until /activate
+app.post('/api/auth/2fa/setup', authenticateToken, async (req, res) => {
+  try {
+    const enrolment = await authService.beginTotpEnrolment(req.user.id);
+    res.json({ success: true, ...enrolment });
+  } catch (error) {
+    sendAuthError(res, error, 'Could not start two-factor setup');
+  }
+});
+
+app.post('/api/auth/2fa/activate', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = twoFactorCodeSchema.validate(req.body);
+    if (error) return res.status(400).json({ success: false, error: error.details[0].message, message: error.details[0].message });
+
+    const recoveryCodes = await authService.activateTotp(req.user.id, value.code);
+
+    console.log(`🔐 2FA enabled: user ${req.user.id}`);
+    res.json({
+      success: true,
+      message: 'Two-factor authentication is on. Store these recovery codes somewhere safe - they are shown only once.',
+      recoveryCodes
+    });
+  } catch (error) {
+    sendAuthError(res, error, 'Could not enable two-factor authentication');
+  }
+});
+
+app.post('/api/auth/2fa/disable', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = Joi.object({
+      password: Joi.string().required(),
+      code: Joi.string().max(20).required()
+    }).validate(req.body);
+    if (error) return res.status(400).json({ success: false, error: error.details[0].message, message: error.details[0].message });
+
+    await authService.disableTotp(req.user.id, value);
+
+    console.log(`🔓 2FA disabled: user ${req.user.id}`);
+    res.json({ success: true, message: 'Two-factor authentication is off' });
+  } catch (error) {
+    sendAuthError(res, error, 'Could not disable two-factor authentication');
+  }
+});
+
+// Replaces every recovery code (used or not) with a fresh set
+app.post('/api/auth/2fa/recovery-codes', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = twoFactorCodeSchema.validate(req.body);
+    if (error) return res.status(400).json({ success: false, error: error.details[0].message, message: error.details[0].message });
+
+    const recoveryCodes = await authService.regenerateRecoveryCodes(req.user.id, value.code);
+    res.json({ success: true, recoveryCodes });
+  } catch (error) {
+    sendAuthError(res, error, 'Could not create new recovery codes');
+  }
+});
+
+// Token Verification
+app.post('/api/auth/verify', async (req, res) => {
+  try {
+    const { token } = req.body;
+    
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token is required'
       });
     }
 
-    if (sessionDuration > 90) {
-      alerts.push({
-        type: 'long_session',
-        message: `Table ${tableNumber} session over 90 minutes`,
-        action: 'Check satisfaction, offer bill',
-        priority: 'high'
+    let decoded;
+    try {
+      decoded = await authService.verifyAccessToken(token);
+    } catch (error) {
+      if (!error.statusCode) throw error;
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired token',
+        code: error.code
       });
     }
 
-    if (menuScansRecent >= 2) {
-      alerts.push({
-        type: 'ready_to_order',
-        message: `Table ${tableNumber} viewed menu ${menuScansRecent} times recently`,
-        action: 'Likely ready to order - send server',
-        priority: 'urgent'
+    const userResult = await pool.query(`
+      SELECT id, email, full_name, company_name, restaurant_id, venue_setup_complete, venue_role 
+      FROM users 
+      WHERE id = $1
+    `, [decoded.id]);
+
+    if (userResult.rows.length === 0) {
+      return res.status(401).json({
+        success: false,
+        message: 'User not found'
       });
     }
 
-    for (const alert of alerts) {
-      const alertId = `${restaurantId}_${tableNumber}_${alert.type}_${Date.now()}`;
-      
-      await pool.query(`
-        INSERT INTO service_alerts (alert_id, restaurant_id, table_number, alert_type, message, action_required, priority, source)
-        VALUES ($1, $2, $3, $4, $5, $6, $7, 'behavioral')
-      `, [alertId, restaurantId, tableNumber, alert.type, alert.message, alert.action, alert.priority]);
+    res.json({
+      success: true,
+      message: 'Token is valid',
+      user: formatAuthUser(userResult.rows[0])
+    });
 
-      // Send notification for urgent behavioral alerts
-      if (alert.priority === 'urgent') {
-        await sendNotificationToStaff(restaurantId, {
-          title: `📋 Table ${tableNumber} Ready to Order`,
-          body: `${menuScansRecent} menu scans in 5 minutes - Customer likely ready to order`,
-          tableNumber,
-          alertId,
-          type: 'behavioral_alert'
-        }, 'server');
-      }
+  } catch (error) {
+    console.error('❌ Token verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Token verification failed'
+    });
+  }
+});
+
+console.log('✅ Auth endpoints loaded with correct field names');  
+
+
+// Venue Setup
+app.post('/api/venue/setup', authenticateToken, requirePermission('venue.setup'), async (req, res) => {
+  try {
+    const { restaurant_id, setup_data, completed_at } = req.body;
+    if (!restaurant_id || !setup_data) {
+      return res.status(400).json({ success: false, message: 'Missing required fields' });
     }
+    if (!requireRestaurantAccess(req, res, restaurant_id)) return;
 
-    if (alerts.length > 0) {
-      console.log(`Generated ${alerts.length} service alerts for Table ${tableNumber}`);
+    const userResult = await pool.query(
+      'SELECT id FROM users WHERE restaurant_id = $1',
+      [restaurant_id]
+    );
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'User not found' });
     }
 
+    await pool.query(
+      `UPDATE users SET venue_setup_complete = TRUE, setup_data = $1, updated_at = $2 WHERE restaurant_id = $3`,
+      [JSON.stringify(setup_data), new Date(completed_at), restaurant_id]
+    );
+
+    res.json({ success: true, message: 'Venue setup completed' });
   } catch (error) {
-    console.error('Service alert generation failed:', error);
+    console.error('Venue setup error:', error);
+    res.status(500).json({ success: false, message: 'Failed to save venue setup' });
   }
-}
+});
+
 
 // ======================================================
-// LIVE TABLE DATA API
+// STAFF ACCOUNTS & INVITATIONS
 // ======================================================
 
-app.get('/api/tables/:restaurantId/live', authenticateToken, async (req, res) => {
+const staffInvitationSchema = Joi.object({
+  email: Joi.string().email().required(),
+  role: Joi.string().valid(...venuePermissions.ROLES).required()
+});
+
+// List the venue's staff and open invitations
+app.get('/api/staff/:restaurantId', authenticateToken, requirePermission('staff.manage'), async (req, res) => {
   try {
     const { restaurantId } = req.params;
 
-    await cleanupOldSessions(restaurantId);
-
-    const sessionsResult = await pool.query(`
-      SELECT s.*, 
-             EXTRACT(EPOCH FROM (NOW() - s.start_time))/60 as session_duration,
-             EXTRACT(EPOCH FROM (NOW() - s.last_activity))/60 as idle_time
-      FROM table_sessions s
-      WHERE s.restaurant_id = $1 AND s.status = 'active'
-      ORDER BY s.table_number
+    const staff = await pool.query(`
+      SELECT id, email, full_name, venue_role AS role, is_active, last_login, created_at, invited_by
+      FROM users
+      WHERE restaurant_id = $1
+      ORDER BY CASE venue_role WHEN 'owner' THEN 1 WHEN 'manager' THEN 2 ELSE 3 END, full_name
     `, [restaurantId]);
 
-    const tablesResult = await pool.query(`
-      SELECT table_number, 
-             COUNT(*) as total_scans,
-             MAX(scan_timestamp) as last_activity
-      FROM qr_scans 
-      WHERE restaurant_id = $1 AND table_number IS NOT NULL
-      GROUP BY table_number
-      ORDER BY table_number
+    const invitations = await pool.query(`
+      SELECT id, email, venue_role AS role, invited_by, expires_at, created_at
+      FROM staff_invitations
+      WHERE restaurant_id = $1 AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()
+      ORDER BY created_at DESC
     `, [restaurantId]);
 
-    const alertsResult = await pool.query(`
-      SELECT alert_id as id, table_number, alert_type as type, service_type, message, 
-             action_required as action, priority, source, created_at as timestamp
-      FROM service_alerts
-      WHERE restaurant_id = $1 AND resolved = FALSE
-      ORDER BY 
-        CASE priority 
-          WHEN 'urgent' THEN 1 
-          WHEN 'high' THEN 2 
-          WHEN 'medium' THEN 3 
-          ELSE 4 
-        END,
-        created_at DESC
-      LIMIT 20
-    `, [restaurantId]);
+    res.json({ staff: staff.rows, invitations: invitations.rows });
+  } catch (error) {
+    console.error('List staff error:', error);
+    res.status(500).json({ error: 'Failed to list staff' });
+  }
+});
 
-    const todayScansResult = await pool.query(`
-      SELECT COUNT(*) as count
-      FROM qr_scans 
-      WHERE restaurant_id = $1 AND DATE(scan_timestamp) = CURRENT_DATE
-    `, [restaurantId]);
+// Invite a staff member - the link is emailed to them and also returned so it can be shared by hand
+app.post('/api/staff/:restaurantId/invitations', authenticateToken, requirePermission('staff.manage'), async (req, res) => {
+  try {
+    const { restaurantId } = req.params;
 
-    const tables = {};
-    tablesResult.rows.forEach(row => {
-      tables[row.table_number] = {
-        tableNumber: row.table_number,
-        totalScans: parseInt(row.total_scans),
-        lastActivity: row.last_activity,
-        topActivities: {}
-      };
-    });
+    const { error, value } = staffInvitationSchema.validate(req.body);
+    if (error) return res.status(400).json({ error: error.details[0].message });
 
-    const sessions = {};
-    sessionsResult.rows.forEach(row => {
-      sessions[row.table_number] = {
-        tableNumber: row.table_number,
-        sessionId: row.session_id,
-        startTime: row.start_time,
-        lastActivity: row.last_activity,
-        customerCount: row.customer_count,
-        status: row.status,
-        totalScans: row.total_scans,
-        sessionDuration: Math.floor(row.session_duration),
-        idleTime: Math.floor(row.idle_time)
-      };
+    if (req.user.platformRole !== SUPER_ADMIN_ROLE && !venuePermissions.canAssignRole(req.user.venueRole, value.role)) {
+      return res.status(403).json({ error: `A ${req.user.venueRole} cannot invite a ${value.role}` });
+    }
+
+    const { invitation, token } = await authService.createInvitation({
+      restaurantId,
+      email: value.email,
+      role: value.role,
+      invitedBy: req.user.id
     });
 
-    const summary = {
-      activeTables: sessionsResult.rows.length,
-      totalTables: tablesResult.rows.length,
-      pendingAlerts: alertsResult.rows.length,
-      totalScansToday: parseInt(todayScansResult.rows[0]?.count || 0)
-    };
+    console.log(`✉️ Staff invitation ${invitation.id} (${value.role}) created for ${restaurantId} by user ${req.user.id}`);
 
-    res.json({
-      tables,
-      sessions,
-      alerts: alertsResult.rows,
-      summary,
-      lastUpdated: new Date().toISOString()
+    const details = await pool.query(`
+      SELECT r.name AS restaurant_name, u.full_name AS inviter_name
+      FROM restaurants r
+      LEFT JOIN users u ON u.id = $2
+      WHERE r.restaurant_id = $1
+    `, [restaurantId, req.user.id]);
+
+    let emailSent = true;
+    const inviteUrl = await authService.sendInvitationEmail({
+      email: invitation.email,
+      role: invitation.venue_role,
+      restaurantName: details.rows[0]?.restaurant_name || restaurantId,
+      inviterName: details.rows[0]?.inviter_name || 'Your manager',
+      token
+    }).catch(mailError => {
+      console.error(`❌ Invitation email ${invitation.id} failed:`, mailError.message);
+      emailSent = false;
+      return `${authService.appBaseUrl}/accept-invite.html?token=${token}`;
     });
 
-  } catch (error) {
-    console.error('Live table data query failed:', error);
-    res.status(500).json({
-      error: 'Live data unavailable',
-      tables: {},
-      sessions: {},
-      alerts: [],
-      summary: { activeTables: 0, totalTables: 0, pendingAlerts: 0, totalScansToday: 0 }
+    res.status(201).json({
+      success: true,
+      invitation,
+      emailSent,
+      inviteToken: token,
+      inviteUrl
     });
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    console.error('Create invitation error:', error);
+    res.status(500).json({ error: 'Failed to create invitation' });
   }
 });
 
-async function cleanupOldSessions(restaurantId) {
+app.delete('/api/staff/:restaurantId/invitations/:invitationId', authenticateToken, requirePermission('staff.manage'), async (req, res) => {
   try {
-    const sessionTimeout = 45; // minutes
-    const cutoffTime = new Date(Date.now() - sessionTimeout * 60000);
-
-    await pool.query(`
-      UPDATE table_sessions 
-      SET status = 'ended', ended_at = NOW()
-      WHERE restaurant_id = $1 AND status = 'active' AND last_activity < $2
-    `, [restaurantId, cutoffTime]);
+    const { restaurantId, invitationId } = req.params;
 
-    const alertCutoff = new Date(Date.now() - 60 * 60000);
-    await pool.query(`
-      UPDATE service_alerts 
-      SET resolved = TRUE, resolved_at = NOW(), resolved_by = 'system_cleanup'
-      WHERE restaurant_id = $1 AND resolved = FALSE AND created_at < $2
-    `, [restaurantId, alertCutoff]);
+    const result = await pool.query(`
+      UPDATE staff_invitations SET revoked_at = NOW()
+      WHERE id = $1 AND restaurant_id = $2 AND accepted_at IS NULL AND revoked_at IS NULL
+      RETURNING id
+    `, [invitationId, restaurantId]);
 
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+    res.json({ success: true });
   } catch (error) {
-    console.error('Session cleanup failed:', error);
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({ error: 'Failed to revoke invitation' });
   }
-}
+});
 
-// ======================================================
-// SERVICE REQUEST HANDLING WITH NOTIFICATIONS
-// ======================================================
+const staffUpdateSchema = Joi.object({
+  role: Joi.string().valid(...venuePermissions.ROLES).optional(),
+  isActive: Joi.boolean().optional()
+}).min(1);
 
-app.post('/api/service/request', async (req, res) => {
+// Change a staff member's role or disable their account. Their sessions are revoked, and access
+// tokens already issued pick up the change on their next use.
+app.patch('/api/staff/:restaurantId/:userId', authenticateToken, requirePermission('staff.manage'), async (req, res) => {
   try {
-    const { restaurantId, tableNumber, serviceType, timestamp, urgent } = req.body;
+    if (!requireIdParam(req, res, 'userId')) return;
+    const { restaurantId, userId } = req.params;
 
-    if (!restaurantId || !tableNumber || !serviceType) {
-      return res.status(400).json({ error: 'Missing required fields' });
+    const { error, value } = staffUpdateSchema.validate(req.body);
+    if (error) return res.status(400).json({ error: error.details[0].message });
+
+    const target = await pool.query(
+      'SELECT id, venue_role, is_active FROM users WHERE id = $1 AND restaurant_id = $2',
+      [userId, restaurantId]
+    );
+    if (target.rows.length === 0) {
+      return res.status(404).json({ error: 'Staff member not found' });
     }
 
-    await ensureRestaurantExists(restaurantId);
+    const member = target.rows[0];
+    const isSuperAdmin = req.user.platformRole === SUPER_ADMIN_ROLE;
+    const newRole = value.role || member.venue_role;
 
-    const alertId = `${restaurantId}_${tableNumber}_request_${Date.now()}`;
-    const priority = urgent ? 'urgent' : 'high';
-    const message = `Table ${tableNumber}: ${serviceType.replace('_', ' ')}`;
-    const action = getServiceAction(serviceType);
+    if (!isSuperAdmin && (!venuePermissions.canAssignRole(req.user.venueRole, member.venue_role) ||
+                          !venuePermissions.canAssignRole(req.user.venueRole, newRole))) {
+      return res.status(403).json({ error: `A ${req.user.venueRole} cannot change a ${member.venue_role} to ${newRole}` });
+    }
 
-    await pool.query(`
-      INSERT INTO service_alerts (alert_id, restaurant_id, table_number, alert_type, service_type, message, action_required, priority, source)
-      VALUES ($1, $2, $3, 'customer_request', $4, $5, $6, $7, 'customer_request')
-    `, [alertId, restaurantId, tableNumber, serviceType, message, action, priority]);
+    const losesOwner = member.venue_role === 'owner' && member.is_active &&
+      (newRole !== 'owner' || value.isActive === false);
+    if (losesOwner) {
+      const owners = await pool.query(
+        `SELECT COUNT(*) AS count FROM users WHERE restaurant_id = $1 AND venue_role = 'owner' AND is_active = TRUE`,
+        [restaurantId]
+      );
+      if (parseInt(owners.rows[0].count) <= 1) {
+        return res.status(409).json({ error: 'A venue must keep at least one active owner' });
+      }
+    }
 
-    // Send push notifications to staff
-    const notificationResult = await sendNotificationToStaff(restaurantId, {
-      title: `🔔 Table ${tableNumber} Service Request`,
-      body: `${serviceType.replace('_', ' ').toUpperCase()} requested - Customer needs immediate assistance`,
-      tableNumber,
-      alertId,
-      type: 'customer_request'
-    }, 'server');
+    const result = await pool.query(`
+      UPDATE users
+      SET venue_role = $1, is_active = COALESCE($2, is_active), updated_at = NOW()
+      WHERE id = $3
+      RETURNING id, email, full_name, venue_role AS role, is_active
+    `, [newRole, value.isActive ?? null, member.id]);
 
-    console.log(`SERVICE REQUEST: Table ${tableNumber} - ${serviceType} - ${notificationResult.sent} staff notified`);
+    // Push subscriptions follow the account: role drives escalation targeting, disabled users get nothing
+    await pool.query(`
+      UPDATE push_subscriptions
+      SET staff_type = $1, is_active = CASE WHEN $2::boolean = FALSE THEN FALSE ELSE is_active END
+      WHERE user_id = $3
+    `, [newRole, value.isActive ?? null, member.id]);
 
-    res.json({ 
-      success: true, 
-      message: 'Service request recorded and staff notified', 
-      alertId,
-      notificationsSent: notificationResult.sent
-    });
+    const revokedSessions = await authService.revokeAllForUser(member.id);
+    console.log(`👥 Staff ${member.id} updated by user ${req.user.id}: role=${newRole} active=${result.rows[0].is_active}`);
 
+    res.json({ success: true, staff: result.rows[0], revokedSessions });
   } catch (error) {
-    console.error('Service request error:', error);
-    res.status(500).json({ error: 'Failed to process service request' });
+    console.error('Update staff error:', error);
+    res.status(500).json({ error: 'Failed to update staff member' });
   }
 });
 
-app.patch('/api/service/resolve/:requestId', async (req, res) => {
+// Invitation details for the accept page
+app.get('/api/auth/invitations/:token', async (req, res) => {
   try {
-    const { requestId } = req.params;
-    const { restaurantId, resolvedBy } = req.body;
+    const invitation = await authService.previewInvitation(req.params.token);
+    res.json({ success: true, invitation });
+  } catch (error) {
+    sendAuthError(res, error, 'Invitation lookup failed');
+  }
+});
 
-    const result = await pool.query(`
-      UPDATE service_alerts 
-      SET resolved = TRUE, resolved_at = NOW(), resolved_by = $1
-      WHERE alert_id = $2 AND restaurant_id = $3 AND resolved = FALSE
-      RETURNING *
-    `, [resolvedBy || 'staff', requestId, restaurantId]);
+// Accept an invitation: creates the staff account and signs them in
+app.post('/api/auth/accept-invitation', async (req, res) => {
+  try {
+    const schema = Joi.object({
+      token: Joi.string().required(),
+      fullName: Joi.string().max(255).required(),
+      password: Joi.string().min(6).max(200).required()
+    });
+    const { error, value } = schema.validate(req.body);
+    if (error) return res.status(400).json({ success: false, error: error.details[0].message, message: error.details[0].message });
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Service request not found' });
-    }
+    const user = await authService.acceptInvitation(value.token, value);
+    const tokens = await authService.issueTokens(user, requestContext(req));
 
-    const alert = result.rows[0];
-    console.log(`Service request resolved: Table ${alert.table_number} by ${resolvedBy}`);
+    console.log(`🎉 Invitation accepted: user ${user.id} joined ${user.restaurant_id} as ${user.venue_role}`);
+    res.status(201).json({
+      success: true,
+      message: 'Welcome aboard',
+      ...formatTokens(tokens),
+      user: formatAuthUser(user)
+    });
+  } catch (error) {
+    sendAuthError(res, error, 'Accepting invitation failed');
+  }
+});
 
-    res.json({ 
-      success: true, 
-      message: 'Service request resolved',
-      alert: alert
+// Sign-in history for the venue's accounts (successes, wrong passwords, lockouts) and who is locked out now
+app.get('/api/venue/:restaurantId/sign-ins', authenticateToken, requirePermission('security.view'), async (req, res) => {
+  try {
+    const schema = Joi.object({
+      days: Joi.number().integer().min(1).max(90).default(30),
+      limit: Joi.number().integer().min(1).max(500).default(100),
+      outcome: Joi.string().valid('success', 'failure').optional()
     });
+    const { error, value } = schema.validate(req.query);
+    if (error) return res.status(400).json({ error: error.details[0].message });
+
+    const history = await loginGuard.recentSignIns(req.params.restaurantId, value);
 
+    res.json({
+      restaurantId: req.params.restaurantId,
+      days: value.days,
+      ...history
+    });
   } catch (error) {
-    console.error('Service resolution error:', error);
-    res.status(500).json({ error: 'Failed to resolve service request' });
+    console.error('Sign-in history error:', error);
+    res.status(500).json({ error: 'Failed to load sign-in history' });
   }
 });
 
-// Authentication endpoints 
-// Real Authentication System with PostgreSQL
+// ===== STAFF ROSTER =====
 
-// JWT Secret
-const JWT_SECRET = process.env.JWT_SECRET;
-if (!JWT_SECRET) {
-  console.error('❌ JWT_SECRET is not set in environment variables!');
-  process.exit(1);
-}
+const wageSchema = Joi.object({
+  hourlyWage: Joi.number().min(0).max(1000).precision(2).allow(null).required()
+});
 
+const shiftSchema = Joi.object({
+  userId: Joi.number().integer().required(),
+  role: Joi.string().valid(...venuePermissions.ROLES).optional(),
+  scheduledStart: Joi.date().iso().required(),
+  scheduledEnd: Joi.date().iso().greater(Joi.ref('scheduledStart')).required(),
+  notes: Joi.string().max(500).allow('', null).optional()
+});
 
-// Helper functions
-function generateToken(user) {
-  return jwt.sign(
-    { 
-      id: user.id,
-      email: user.email,
-      restaurantId: user.restaurant_id,
-      companyName: user.company_name
-    },
-    JWT_SECRET
-  );
+const shiftUpdateSchema = Joi.object({
+  role: Joi.string().valid(...venuePermissions.ROLES).optional(),
+  scheduledStart: Joi.date().iso().allow(null).optional(),
+  scheduledEnd: Joi.date().iso().allow(null).optional(),
+  clockInAt: Joi.date().iso().max('now').allow(null).optional(),
+  clockOutAt: Joi.date().iso().max('now').allow(null).optional(),
+  notes: Joi.string().max(500).allow('', null).optional()
+}).min(1);
+
+const shiftRangeSchema = Joi.object({
+  from: Joi.date().iso().default(() => new Date(Date.now() - 7 * 24 * 60 * 60 * 1000)),
+  to: Joi.date().iso().greater(Joi.ref('from')).default(() => new Date(Date.now() + 7 * 24 * 60 * 60 * 1000)),
+  userId: Joi.number().integer().optional(),
+  includeCancelled: Joi.boolean().default(false)
+});
+
+// Clocking yourself in or out needs roster.clock; doing it for someone else needs roster.manage
+const clockSchema = Joi.object({ userId: Joi.number().integer().optional() });
+
+function clockTarget(req, res) {
+  const { error, value } = clockSchema.validate(req.body || {});
+  if (error) {
+    res.status(400).json({ error: error.details[0].message });
+    return null;
+  }
+
+  const userId = value.userId || req.user.id;
+  if (!userId) {
+    res.status(400).json({ error: 'userId is required' });
+    return null;
+  }
+  const isSelf = userId === req.user.id;
+  if (!isSelf && req.user.platformRole !== SUPER_ADMIN_ROLE && !venuePermissions.hasPermission(req.user.venueRole, 'roster.manage')) {
+    res.status(403).json({ error: `Forbidden - your role (${req.user.venueRole}) cannot clock other staff in or out`, permission: 'roster.manage' });
+    return null;
+  }
+  return userId;
 }
 
-function verifyToken(token) {
+app.get('/api/roster/:restaurantId/wages', authenticateToken, requirePermission('roster.view'), async (req, res) => {
   try {
-    return jwt.verify(token, JWT_SECRET);
+    res.json({ restaurantId: req.params.restaurantId, wages: await roster.getWages(req.params.restaurantId) });
   } catch (error) {
-    return null;
+    console.error('Get role wages error:', error);
+    res.status(500).json({ error: 'Failed to load role wages' });
   }
-}
+});
 
-// User Registration
-// ============================================
-// ✅ FIXED AUTH ENDPOINTS - Correct field names
-// ============================================
+// hourlyWage null clears the role's wage. Shifts already clocked into keep the wage they started on.
+app.put('/api/roster/:restaurantId/wages/:role', authenticateToken, requirePermission('roster.manage'), async (req, res) => {
+  try {
+    const { restaurantId, role } = req.params;
+    if (!venuePermissions.ROLES.includes(role)) return res.status(404).json({ error: `Unknown role: ${role}` });
 
-// User Registration
-app.post('/api/auth/register', async (req, res) => {
+    const { error, value } = wageSchema.validate(req.body);
+    if (error) return res.status(400).json({ error: error.details[0].message });
+
+    const wages = await roster.setWage(restaurantId, role, value.hourlyWage, req.user.id);
+
+    console.log(`💷 ${role} wage for ${restaurantId} set to ${value.hourlyWage ?? 'none'} by user ${req.user.id}`);
+    res.json({ success: true, restaurantId, wages });
+  } catch (error) {
+    console.error('Set role wage error:', error);
+    res.status(500).json({ error: 'Failed to set role wage' });
+  }
+});
+
+// Shifts overlapping a range (default: a week either side of now) with hours and labour cost
+app.get('/api/roster/:restaurantId/shifts', authenticateToken, requirePermission('roster.view'), async (req, res) => {
   try {
-    console.log('📝 Registration request:', {
-      email: req.body.email,
-      restaurantName: req.body.restaurantName,
-      hasPassword: !!req.body.password
-    });
+    const { error, value } = shiftRangeSchema.validate(req.query);
+    if (error) return res.status(400).json({ error: error.details[0].message });
 
-    const { restaurantName, restaurantId, fullName, email, password } = req.body;
+    const result = await roster.listShifts(req.params.restaurantId, value);
+    res.json({ restaurantId: req.params.restaurantId, from: value.from, to: value.to, ...result });
+  } catch (error) {
+    console.error('List shifts error:', error);
+    res.status(500).json({ error: 'Failed to list shifts' });
+  }
+});
 
-    // Validate required fields
-    if (!restaurantName || !restaurantId || !fullName || !email || !password) {
-      console.log('❌ Missing required fields');
-      return res.status(400).json({
-        success: false,
-        message: 'All fields are required'
-      });
-    }
+app.post('/api/roster/:restaurantId/shifts', authenticateToken, requirePermission('roster.manage'), async (req, res) => {
+  try {
+    const { error, value } = shiftSchema.validate(req.body);
+    if (error) return res.status(400).json({ error: error.details[0].message });
 
-    if (password.length < 6) {
-      console.log('❌ Password too short');
-      return res.status(400).json({
-        success: false,
-        message: 'Password must be at least 6 characters long'
-      });
-    }
+    const shift = await roster.createShift(req.params.restaurantId, value, req.user.id);
 
-    // Check if email already exists
-    const existingUser = await pool.query(
-      'SELECT id FROM users WHERE email = $1',
-      [email.toLowerCase()]
-    );
+    console.log(`🗓️ Shift ${shift.id} scheduled for user ${shift.userId} at ${req.params.restaurantId} by user ${req.user.id}`);
+    res.status(201).json({ success: true, shift });
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    console.error('Create shift error:', error);
+    res.status(500).json({ error: 'Failed to create shift' });
+  }
+});
+
+app.patch('/api/roster/:restaurantId/shifts/:shiftId', authenticateToken, requirePermission('roster.manage'), async (req, res) => {
+  try {
+    if (!requireIdParam(req, res, 'shiftId')) return;
+    const { error, value } = shiftUpdateSchema.validate(req.body);
+    if (error) return res.status(400).json({ error: error.details[0].message });
+
+    const shift = await roster.updateShift(req.params.restaurantId, req.params.shiftId, value);
+
+    console.log(`🗓️ Shift ${shift.id} at ${req.params.restaurantId} updated by user ${req.user.id}`);
+    res.json({ success: true, shift });
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    console.error('Update shift error:', error);
+    res.status(500).json({ error: 'Failed to update shift' });
+  }
+});
+
+app.delete('/api/roster/:restaurantId/shifts/:shiftId', authenticateToken, requirePermission('roster.manage'), async (req, res) => {
+  try {
+    if (!requireIdParam(req, res, 'shiftId')) return;
+    const shift = await roster.cancelShift(req.params.restaurantId, req.params.shiftId);
+
+    console.log(`🗓️ Shift ${shift.id} at ${req.params.restaurantId} cancelled by user ${req.user.id}`);
+    res.json({ success: true, shift });
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    console.error('Cancel shift error:', error);
+    res.status(500).json({ error: 'Failed to cancel shift' });
+  }
+});
+
+// Who is clocked in right now
+app.get('/api/roster/:restaurantId/on-shift', authenticateToken, requirePermission('roster.view'), async (req, res) => {
+  try {
+    const shifts = await roster.onShift(req.params.restaurantId);
+    res.json({
+      restaurantId: req.params.restaurantId,
+      onShift: shifts,
+      floorStaff: shifts.filter(shift => RosterService.FLOOR_ROLES.includes(shift.role)).length
+    });
+  } catch (error) {
+    console.error('On-shift error:', error);
+    res.status(500).json({ error: 'Failed to load who is on shift' });
+  }
+});
 
-    if (existingUser.rows.length > 0) {
-      console.log('❌ Email already exists:', email);
-      return res.status(400).json({
-        success: false,
-        message: 'An account with this email already exists'
-      });
-    }
+app.post('/api/roster/:restaurantId/clock-in', authenticateToken, requirePermission('roster.clock'), async (req, res) => {
+  try {
+    const userId = clockTarget(req, res);
+    if (!userId) return;
 
-    // Ensure restaurant exists
-    console.log('🏢 Creating restaurant:', restaurantId);
-    await ensureRestaurantExists(restaurantId, restaurantName);
+    const shift = await roster.clockIn(req.params.restaurantId, userId);
 
-    // Hash password
-    const passwordHash = await bcrypt.hash(password, 12);
+    console.log(`🕘 User ${userId} clocked in at ${req.params.restaurantId} (shift ${shift.id})`);
+    res.json({ success: true, shift });
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    console.error('Clock-in error:', error);
+    res.status(500).json({ error: 'Failed to clock in' });
+  }
+});
 
-    // Create user - TRY with venue_setup_complete, fallback without it
-    console.log('👤 Creating user...');
-    let userResult;
-    
-    try {
-      userResult = await pool.query(`
-        INSERT INTO users (email, password_hash, full_name, company_name, restaurant_id, venue_setup_complete)
-        VALUES ($1, $2, $3, $4, $5, FALSE)
-        RETURNING id, email, full_name, company_name, restaurant_id, created_at
-      `, [email.toLowerCase(), passwordHash, fullName, restaurantName, restaurantId]);
-    } catch (dbError) {
-      // If venue_setup_complete column doesn't exist, try without it
-      if (dbError.message.includes('venue_setup_complete')) {
-        console.log('⚠️ venue_setup_complete column not found, inserting without it');
-        userResult = await pool.query(`
-          INSERT INTO users (email, password_hash, full_name, company_name, restaurant_id)
-          VALUES ($1, $2, $3, $4, $5)
-          RETURNING id, email, full_name, company_name, restaurant_id, created_at
-        `, [email.toLowerCase(), passwordHash, fullName, restaurantName, restaurantId]);
-      } else {
-        throw dbError;
-      }
-    }
+app.post('/api/roster/:restaurantId/clock-out', authenticateToken, requirePermission('roster.clock'), async (req, res) => {
+  try {
+    const userId = clockTarget(req, res);
+    if (!userId) return;
 
-    const user = userResult.rows[0];
-    console.log('✅ User created:', user.id);
+    const shift = await roster.clockOut(req.params.restaurantId, userId);
 
-    const token = generateToken(user);
+    console.log(`🕔 User ${userId} clocked out at ${req.params.restaurantId} (shift ${shift.id}, ${shift.workedHours}h)`);
+    res.json({ success: true, shift });
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    console.error('Clock-out error:', error);
+    res.status(500).json({ error: 'Failed to clock out' });
+  }
+});
 
-    // ✅ CRITICAL FIX: Field names MUST match frontend exactly
-    res.status(201).json({
-      success: true,
-      message: 'Account created successfully',
-      token: token,
-      user: {
-        id: user.id,
-        email: user.email,
-        full_name: user.full_name,           // ✅ NOT 'name'
-        restaurant_name: user.company_name,   // ✅ NOT 'restaurantName'
-        restaurant_id: user.restaurant_id,    // ✅ NOT 'restaurantId'
-        needsSetup: true
-      }
-    });
+// ===== API KEYS =====
 
-    console.log('🎉 Registration successful:', email);
+const apiKeySchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  scopes: Joi.array().items(Joi.string().valid(...ApiKeyService.SCOPES)).min(1).required(),
+  rateLimitPerMinute: Joi.number().integer().min(1).max(6000).optional(),
+  expiresAt: Joi.date().greater('now').optional()
+});
 
+app.get('/api/api-keys/:restaurantId', authenticateToken, requirePermission('api_keys.manage'), async (req, res) => {
+  try {
+    res.json({ apiKeys: await apiKeys.list(req.params.restaurantId), availableScopes: ApiKeyService.SCOPES });
   } catch (error) {
-    console.error('❌ Registration error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Registration failed. Please try again.',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+    console.error('List API keys error:', error);
+    res.status(500).json({ error: 'Failed to list API keys' });
   }
 });
 
-// User Login
-app.post('/api/auth/login', async (req, res) => {
+// The full key is in this response only - it can't be retrieved later
+app.post('/api/api-keys/:restaurantId', authenticateToken, requirePermission('api_keys.manage'), async (req, res) => {
   try {
-    console.log('🔐 Login request:', req.body.email);
+    const { error, value } = apiKeySchema.validate(req.body);
+    if (error) return res.status(400).json({ error: error.details[0].message });
 
-    const { email, password } = req.body;
+    const { apiKey, key } = await apiKeys.create(req.params.restaurantId, { ...value, createdBy: req.user.id });
 
-    if (!email || !password) {
-      return res.status(400).json({
-        success: false,
-        message: 'Email and password are required'
-      });
-    }
+    console.log(`🔑 API key ${apiKey.key_prefix} (${apiKey.scopes.join(', ')}) created for ${req.params.restaurantId} by user ${req.user.id}`);
+    res.status(201).json({ success: true, apiKey, key });
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    console.error('Create API key error:', error);
+    res.status(500).json({ error: 'Failed to create API key' });
+  }
+});
 
-    // Find user - try with venue_setup_complete, fallback without
-    let userResult;
-    try {
-      userResult = await pool.query(`
-        SELECT id, email, password_hash, full_name, company_name, restaurant_id, venue_setup_complete
-        FROM users 
-        WHERE email = $1
-      `, [email.toLowerCase()]);
-    } catch (dbError) {
-      if (dbError.message.includes('venue_setup_complete')) {
-        console.log('⚠️ venue_setup_complete column not found, querying without it');
-        userResult = await pool.query(`
-          SELECT id, email, password_hash, full_name, company_name, restaurant_id
-          FROM users 
-          WHERE email = $1
-        `, [email.toLowerCase()]);
-      } else {
-        throw dbError;
-      }
-    }
+app.delete('/api/api-keys/:restaurantId/:keyId', authenticateToken, requirePermission('api_keys.manage'), async (req, res) => {
+  try {
+    if (!requireIdParam(req, res, 'keyId')) return;
+    const revoked = await apiKeys.revoke(req.params.restaurantId, req.params.keyId, req.user.id);
 
-    if (userResult.rows.length === 0) {
-      console.log('❌ User not found:', email);
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid email or password'
-      });
-    }
+    console.log(`🔑 API key ${revoked.key_prefix} revoked for ${req.params.restaurantId} by user ${req.user.id}`);
+    res.json({ success: true, apiKey: revoked });
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    console.error('Revoke API key error:', error);
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+});
 
-    const user = userResult.rows[0];
+// ===== PRIVACY & RETENTION =====
 
-    // Verify password
-    const passwordValid = await bcrypt.compare(password, user.password_hash);
-    
-    if (!passwordValid) {
-      console.log('❌ Invalid password for:', email);
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid email or password'
-      });
-    }
+const privacySettingsSchema = Joi.object({
+  ipMode: Joi.string().valid(...IpPrivacy.IP_MODES).optional(),
+  rawScanRetentionDays: Joi.number().integer().min(1).max(3650).optional(),
+  retentionAction: Joi.string().valid(...IpPrivacy.RETENTION_ACTIONS).optional()
+}).min(1);
 
-    const token = generateToken(user);
+app.get('/api/privacy/:restaurantId', authenticateToken, requirePermission('privacy.manage'), async (req, res) => {
+  try {
+    const settings = await ipPrivacy.getSettings(req.params.restaurantId);
+    res.json({ restaurantId: req.params.restaurantId, settings, defaults: IpPrivacy.DEFAULT_SETTINGS });
+  } catch (error) {
+    console.error('Get privacy settings error:', error);
+    res.status(500).json({ error: 'Failed to get privacy settings' });
+  }
+});
 
-    // ✅ CRITICAL FIX: Field names MUST match frontend exactly
-    res.json({
-      success: true,
-      message: 'Login successful',
-      token: token,
-      user: {
-        id: user.id,
-        email: user.email,
-        full_name: user.full_name,           // ✅ NOT 'name'
-        restaurant_name: user.company_name,   // ✅ NOT 'restaurantName'
-        restaurant_id: user.restaurant_id,    // ✅ NOT 'restaurantId'
-        needsSetup: user.venue_setup_complete === false || user.venue_setup_complete === undefined
-      }
-    });
+// Applies to scans recorded from now on; a shorter window takes effect at the next retention run
+app.put('/api/privacy/:restaurantId', authenticateToken, requirePermission('privacy.manage'), async (req, res) => {
+  try {
+    const { error, value } = privacySettingsSchema.validate(req.body);
+    if (error) return res.status(400).json({ error: error.details[0].message });
 
-    console.log('✅ Login successful:', email);
+    const settings = await ipPrivacy.setSettings(req.params.restaurantId, value, req.user.id);
+    console.log(`🔒 Privacy settings for ${req.params.restaurantId}: ${settings.ipMode}, ${settings.rawScanRetentionDays}d ${settings.retentionAction}`);
 
+    res.json({ success: true, restaurantId: req.params.restaurantId, settings });
   } catch (error) {
-    console.error('❌ Login error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Login failed. Please try again.'
-    });
+    console.error('Update privacy settings error:', error);
+    res.status(500).json({ error: 'Failed to update privacy settings' });
   }
 });
 
-// Token Verification
-app.post('/api/auth/verify', async (req, res) => {
+// What each retention run removed
+app.get('/api/privacy/:restaurantId/retention-runs', authenticateToken, requirePermission('privacy.manage'), async (req, res) => {
   try {
-    const { token } = req.body;
-    
-    if (!token) {
-      return res.status(400).json({
-        success: false,
-        message: 'Token is required'
-      });
-    }
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    res.json({ runs: await ipPrivacy.recentRuns(req.params.restaurantId, limit) });
+  } catch (error) {
+    console.error('Retention run history error:', error);
+    res.status(500).json({ error: 'Failed to load retention runs' });
+  }
+});
 
-    const decoded = verifyToken(token);
-    
-    if (!decoded) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid or expired token'
-      });
-    }
+// Enforce the venue's policy now instead of waiting for the scheduled run
+app.post('/api/privacy/:restaurantId/retention-runs', authenticateToken, requirePermission('privacy.manage'), async (req, res) => {
+  try {
+    const run = await ipPrivacy.purgeVenue(req.params.restaurantId, { triggeredBy: req.user.id });
+    console.log(`🧹 Retention run for ${req.params.restaurantId}: ${run.scansDeleted} raw scans removed`);
+    res.json({ success: true, run });
+  } catch (error) {
+    console.error('Manual retention run error:', error);
+    res.status(500).json({ error: 'Failed to run retention' });
+  }
+});
 
-    // Find user - try with venue_setup_complete, fallback without
-    let userResult;
-    try {
-      userResult = await pool.query(`
-        SELECT id, email, full_name, company_name, restaurant_id, venue_setup_complete 
-        FROM users 
-        WHERE id = $1
-      `, [decoded.id]);
-    } catch (dbError) {
-      if (dbError.message.includes('venue_setup_complete')) {
-        console.log('⚠️ venue_setup_complete column not found, querying without it');
-        userResult = await pool.query(`
-          SELECT id, email, full_name, company_name, restaurant_id 
-          FROM users 
-          WHERE id = $1
-        `, [decoded.id]);
-      } else {
-        throw dbError;
-      }
-    }
+// ===== VENUE DATA EXPORT & ERASURE =====
 
-    if (userResult.rows.length === 0) {
-      return res.status(401).json({
-        success: false,
-        message: 'User not found'
-      });
+// ZIP of every dataset held for the venue, as JSON and CSV, with a manifest of row counts and file hashes
+app.get('/api/venue/:restaurantId/export', authenticateToken, requirePermission('privacy.manage'), async (req, res) => {
+  try {
+    const { restaurantId } = req.params;
+    if (!(await tenantData.venueExists(restaurantId))) {
+      return res.status(404).json({ error: 'Restaurant not found', code: 'RESTAURANT_NOT_FOUND' });
     }
 
-    const user = userResult.rows[0];
-
-    // ✅ CRITICAL FIX: Field names MUST match frontend exactly
-    res.json({
-      success: true,
-      message: 'Token is valid',
-      user: {
-        id: user.id,
-        email: user.email,
-        full_name: user.full_name,           // ✅ NOT 'name'
-        restaurant_name: user.company_name,   // ✅ NOT 'restaurantName'
-        restaurant_id: user.restaurant_id,    // ✅ NOT 'restaurantId'
-        needsSetup: user.venue_setup_complete === false || user.venue_setup_complete === undefined
-      }
-    });
+    const filename = `${restaurantId}-data-export-${new Date().toISOString().slice(0, 10)}.zip`;
+    res.set('Content-Type', 'application/zip');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
 
+    // Written straight from the database; null means the client went away mid-download
+    const manifest = await tenantData.streamZip(restaurantId, res);
+    if (manifest) {
+      const rows = manifest.datasets.reduce((sum, dataset) => sum + dataset.rows, 0);
+      console.log(`📦 Data export for ${restaurantId} by user ${req.user.id}: ${rows} rows`);
+    }
   } catch (error) {
-    console.error('❌ Token verification error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Token verification failed'
-    });
+    if (error.statusCode && !res.headersSent) return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    console.error('Data export error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to export venue data' });
+    } else {
+      // Part of the ZIP is already out - cut the download so it can't pass for a complete export
+      res.destroy(error);
+    }
   }
 });
 
-console.log('✅ Auth endpoints loaded with correct field names');  
-
+const erasureSchema = Joi.object({
+  confirm: Joi.string().required(),
+  password: Joi.string().required()
+});
 
-// Venue Setup
-app.post('/api/venue/setup', authenticateToken, async (req, res) => {
+// Irreversible: deletes the venue, its staff accounts and everything else it owns.
+// Needs the venue id typed back and the caller's password.
+app.post('/api/venue/:restaurantId/erase', authenticateToken, requirePermission('privacy.manage'), async (req, res) => {
   try {
-    const { restaurant_id, setup_data, completed_at } = req.body;
-    if (!restaurant_id || !setup_data) {
-      return res.status(400).json({ success: false, message: 'Missing required fields' });
-    }
+    const { restaurantId } = req.params;
 
-    const userResult = await pool.query(
-      'SELECT id FROM users WHERE restaurant_id = $1',
-      [restaurant_id]
-    );
-    if (userResult.rows.length === 0) {
-      return res.status(404).json({ success: false, message: 'User not found' });
+    const { error, value } = erasureSchema.validate(req.body);
+    if (error) return res.status(400).json({ error: error.details[0].message });
+    if (value.confirm !== restaurantId) {
+      return res.status(400).json({ error: 'confirm must match the restaurant id', code: 'CONFIRMATION_MISMATCH' });
     }
 
-    await pool.query(
-      `UPDATE users SET venue_setup_complete = TRUE, setup_data = $1, updated_at = $2 WHERE restaurant_id = $3`,
-      [JSON.stringify(setup_data), new Date(completed_at), restaurant_id]
-    );
+    await authService.confirmPassword(req.user.id, value.password);
 
-    res.json({ success: true, message: 'Venue setup completed' });
+    const report = await tenantData.erase(restaurantId, {
+      requestedBy: { id: req.user.id, emailMasked: loginGuard.maskEmail(req.user.email) }
+    });
+    ipPrivacy.settingsCache.delete(restaurantId);
+    await authService.revokeAccessToken(req.user);
+
+    console.log(`🗑️ Venue ${restaurantId} erased by user ${req.user.id}: ${report.totalRowsDeleted} rows (report ${report.id})`);
+    res.json({ success: true, report });
   } catch (error) {
-    console.error('Venue setup error:', error);
-    res.status(500).json({ success: false, message: 'Failed to save venue setup' });
+    if (error.statusCode) return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    console.error('Venue erasure error:', error);
+    res.status(500).json({ error: 'Failed to erase venue data' });
   }
 });
 
+// Reports outlive the venue and its accounts, so they are fetched by their unguessable id alone
+app.get('/api/erasure-reports/:reportId', async (req, res) => {
+  try {
+    if (!/^[0-9a-f-]{36}$/i.test(req.params.reportId)) {
+      return res.status(404).json({ error: 'Erasure report not found' });
+    }
+    res.json({ report: await tenantData.getReport(req.params.reportId) });
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    console.error('Erasure report error:', error);
+    res.status(500).json({ error: 'Failed to load erasure report' });
+  }
+});
 
 // ======================================================
 // HELPER FUNCTIONS
 // ======================================================
 
+// Measured over the last week's scored predictions; accuracy is null until some have been scored
 async function calculatePredictionAccuracy(restaurantId) {
   try {
-    const accuracyResult = await pool.query(`
-      SELECT AVG(confidence_score) as avg_confidence
-      FROM live_predictions 
-      WHERE restaurant_id = $1 AND created_at > NOW() - INTERVAL '7 days'
-    `, [restaurantId]);
+    const report = await predictionScorer.accuracy(restaurantId, { days: 7 });
 
     return {
-      accuracy: (accuracyResult.rows[0]?.avg_confidence * 100) || 75,
-      dataPoints: 50 + Math.floor(Math.random() * 100)
+      accuracy: report.accuracy,
+      dataPoints: report.predictions,
+      mae: report.mae,
+      mape: report.mape,
+      byType: report.byType
     };
   } catch (error) {
     console.error('Prediction accuracy calculation failed:', error);
-    return { accuracy: 75, dataPoints: 50 };
+    return { accuracy: null, dataPoints: 0 };
   }
 }
 
+// Labour savings measured from the outcomes of accepted staffing recommendations
 async function calculatePredictiveSavings(restaurantId) {
   try {
-    const savingsResult = await pool.query(`
-      SELECT 
-        COUNT(*) as total_recommendations,
-        COUNT(CASE WHEN implemented = TRUE THEN 1 END) as implemented_count
-      FROM staffing_recommendations 
-      WHERE restaurant_id = $1 AND created_at > NOW() - INTERVAL '7 days'
-    `, [restaurantId]);
+    const savings = await staffingFeedback.labourSavings(restaurantId, new Date(Date.now() - 7 * 24 * 60 * 60 * 1000));
 
-    const implementedCount = parseInt(savingsResult.rows[0]?.implemented_count || 0);
-    const weeklySavings = implementedCount * 45; // Average £45 savings per implemented recommendation
+    // Measured accuracy of the volume forecasts the recommendations are built on
+    const accuracy = await predictionScorer.accuracy(restaurantId, { days: 7 });
 
     return {
-      weeklySavings,
-      accuracy: 78 + Math.random() * 15
+      weeklySavings: savings.recent,
+      totalSavings: savings.total,
+      accuracy: accuracy.byType.customer_volume?.accuracy ?? null
     };
   } catch (error) {
     console.error('Predictive savings calculation failed:', error);
-    return { weeklySavings: 0, accuracy: 75 };
+    return { weeklySavings: 0, totalSavings: 0, accuracy: null };
   }
 }
 
@@ -2807,14 +4121,6 @@ function handleQRResponse(res, restaurantId, qrType, options) {
   }
 }
 
-function handleQRFallback(res, dest) {
-  if (dest) {
-    res.redirect(dest);
-  } else {
-    res.status(500).send('Tracking error occurred');
-  }
-}
-
 function createServiceRequestPage(restaurantId, tableNumber) {
   const restaurantName = formatRestaurantName(restaurantId);
   
@@ -3179,69 +4485,349 @@ function createWiFiPage(restaurantId, ssid, pass, tableNumber) {
   `;
 }
 
-function createSpecialsPage(restaurantId, tableNumber) {
-  const tableInfo = tableNumber ? ` - Table ${tableNumber}` : '';
-  return `
-    <html>
-    <head><title>Specials - ${formatRestaurantName(restaurantId)}${tableInfo}</title></head>
-    <body style="font-family: Arial; text-align: center; padding: 50px;">
-      <h2>${formatRestaurantName(restaurantId)} Specials</h2>
-      ${tableNumber ? `<p>Table ${tableNumber}</p>` : ''}
-      <p>Check back soon for our latest offers!</p>
-      <p><a href="javascript:history.back()">Back</a></p>
-    </body>
-    </html>
-  `;
-}
+function createSpecialsPage(restaurantId, tableNumber) {
+  const tableInfo = tableNumber ? ` - Table ${tableNumber}` : '';
+  return `
+    <html>
+    <head><title>Specials - ${formatRestaurantName(restaurantId)}${tableInfo}</title></head>
+    <body style="font-family: Arial; text-align: center; padding: 50px;">
+      <h2>${formatRestaurantName(restaurantId)} Specials</h2>
+      ${tableNumber ? `<p>Table ${tableNumber}</p>` : ''}
+      <p>Check back soon for our latest offers!</p>
+      <p><a href="javascript:history.back()">Back</a></p>
+    </body>
+    </html>
+  `;
+}
+
+function formatRestaurantName(restaurantId) {
+  return restaurantId
+    .replace(/([A-Z])/g, ' $1')
+    .replace(/^./, str => str.toUpperCase())
+    .trim() || 'Restaurant';
+}
+
+function getServiceAction(serviceType) {
+  const actions = {
+    ready_to_order: 'Send server to take order immediately',
+    need_help: 'Check what customer needs',
+    request_bill: 'Prepare and deliver bill',
+    urgent_help: 'Manager attention required now'
+  };
+  return actions[serviceType] || 'Assist customer';
+}
+
+
+
+// QR Code Generation
+app.post('/api/qr-codes/:restaurantId/generate', authenticateToken, requirePermission('qr.manage'), async (req, res) => {
+  try {
+    const { restaurantId } = req.params;
+    const { qr_type, destination_url, table_number } = req.body;
+
+    const schema = Joi.object({
+      qr_type: Joi.string().valid(...QR_TYPES).required(),
+      destination_url: destinationUrlSchema.required(),
+      table_number: Joi.number().integer().optional()
+    });
+    const { error } = schema.validate(req.body);
+    if (error) return res.status(400).json({ error: error.details[0].message });
+
+    const qrCode = await createQrCode(req, {
+      restaurantId,
+      qrType: qr_type,
+      destinationUrl: destination_url,
+      tableNumber: table_number
+    });
+
+    res.json({
+      success: true,
+      qrId: qrCode.id,
+      shortCode: qrCode.short_code,
+      tracking_url: qrCode.tracking_url
+    });
+  } catch (error) {
+    console.error('Generate QR code error:', error);
+    res.status(500).json({ error: 'Failed to generate QR code' });
+  }
+});
+
+// List managed QR codes with scan counts
+app.get('/api/qr-codes/:restaurantId', authenticateToken, requirePermission('qr.manage'), async (req, res) => {
+  try {
+    const { restaurantId } = req.params;
+
+    const result = await pool.query(`
+      SELECT c.id, c.qr_type, c.table_number, c.short_code, c.tracking_url, c.destination_url,
+             c.is_active, c.created_at, c.updated_at,
+             COUNT(s.id) as total_scans,
+             MAX(s.scan_timestamp) as last_scan
+      FROM qr_codes c
+      LEFT JOIN qr_scans s ON s.qr_id = c.id AND s.scan_class = 'human'
+      WHERE c.restaurant_id = $1
+      GROUP BY c.id
+      ORDER BY c.table_number NULLS FIRST, c.qr_type, c.created_at DESC
+    `, [restaurantId]);
+
+    res.json({
+      success: true,
+      qrCodes: result.rows.map(row => ({ ...row, total_scans: parseInt(row.total_scans) }))
+    });
+  } catch (error) {
+    console.error('List QR codes error:', error);
+    res.status(500).json({ error: 'Failed to list QR codes' });
+  }
+});
+
+// Change where a printed code points (or retire it) without reprinting
+app.patch('/api/qr-codes/:restaurantId/:qrId', authenticateToken, requirePermission('qr.manage'), async (req, res) => {
+  try {
+    const { restaurantId, qrId } = req.params;
+    if (!requireIdParam(req, res, 'qrId')) return;
+
+    const schema = Joi.object({
+      destination_url: destinationUrlSchema.optional(),
+      is_active: Joi.boolean().optional()
+    }).min(1);
+    const { error } = schema.validate(req.body);
+    if (error) return res.status(400).json({ error: error.details[0].message });
+
+    const { destination_url, is_active } = req.body;
+
+    const result = await pool.query(`
+      UPDATE qr_codes
+      SET destination_url = COALESCE($1, destination_url),
+          is_active = COALESCE($2, is_active),
+          updated_at = NOW()
+      WHERE id = $3 AND restaurant_id = $4
+      RETURNING *
+    `, [destination_url, is_active, qrId, restaurantId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'QR code not found' });
+    }
+
+    console.log(`QR code ${qrId} updated for ${restaurantId}`);
+    res.json({ success: true, qrCode: result.rows[0] });
+  } catch (error) {
+    console.error('Update QR code error:', error);
+    res.status(500).json({ error: 'Failed to update QR code' });
+  }
+});
+
+// ======================================================
+// QR IMAGE RENDERING (PRINT ARTWORK)
+// ======================================================
+
+const qrRenderer = new QRRenderer();
+const hexColourSchema = Joi.string().pattern(/^#([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/);
+
+const qrImageSchema = Joi.object({
+  format: Joi.string().valid('png', 'svg', 'pdf').default('png'),
+  ecc: Joi.string().valid('L', 'M', 'Q', 'H').optional(),
+  size: Joi.number().integer().min(64).max(4096).optional(),
+  margin: Joi.number().integer().min(0).max(20).default(4),
+  fg: hexColourSchema.default('#000000'),
+  bg: hexColourSchema.default('#ffffff'),
+  logo: Joi.string().max(100000).optional(),
+  download: Joi.boolean().default(false)
+});
+
+// Options come from the query string (GET) or JSON body (POST, needed for a logo data URI)
+async function renderQrCodeImage(req, res) {
+  try {
+    const { restaurantId, qrId } = req.params;
+    if (!requireIdParam(req, res, 'qrId')) return;
+
+    const { error, value } = qrImageSchema.validate({ ...req.query, ...req.body });
+    if (error) return res.status(400).json({ error: error.details[0].message });
+
+    let logo = null;
+    if (value.logo) {
+      logo = QRRenderer.parseDataUri(value.logo);
+      if (!logo || !QRRenderer.supportsLogo(value.format, logo.mimeType)) {
+        return res.status(400).json({ error: `logo must be a base64 data URI of an image type supported for ${value.format}` });
+      }
+      const logoError = QRRenderer.logoError(logo);
+      if (logoError) return res.status(400).json({ error: logoError });
+      if (value.ecc === 'L' || value.ecc === 'M') {
+        return res.status(400).json({ error: 'Use error correction level Q or H with a centre logo' });
+      }
+    }
+
+    const result = await pool.query(
+      'SELECT id, short_code FROM qr_codes WHERE id = $1 AND restaurant_id = $2',
+      [qrId, restaurantId]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'QR code not found' });
+    }
 
-function formatRestaurantName(restaurantId) {
-  return restaurantId
-    .replace(/([A-Z])/g, ' $1')
-    .replace(/^./, str => str.toUpperCase())
-    .trim() || 'Restaurant';
-}
+    // Always encode the canonical short link, never a client-supplied URL
+    const qrCode = result.rows[0];
+    const trackingUrl = `${getPublicBaseUrl(req)}/q/${qrCode.short_code}`;
+
+    const image = await qrRenderer.render(trackingUrl, {
+      format: value.format,
+      errorCorrectionLevel: value.ecc || (logo ? 'H' : 'M'),
+      size: value.size,
+      margin: value.margin,
+      foreground: value.fg,
+      background: value.bg,
+      logo
+    });
 
-function getServiceAction(serviceType) {
-  const actions = {
-    ready_to_order: 'Send server to take order immediately',
-    need_help: 'Check what customer needs',
-    request_bill: 'Prepare and deliver bill',
-    urgent_help: 'Manager attention required now'
-  };
-  return actions[serviceType] || 'Assist customer';
+    const filename = `qr-${restaurantId}-${qrCode.id}.${image.extension}`;
+    res.set('Content-Type', image.contentType);
+    res.set('Content-Disposition', `${value.download ? 'attachment' : 'inline'}; filename="${filename}"`);
+    res.set('Cache-Control', 'private, max-age=300');
+    res.send(image.buffer);
+
+  } catch (error) {
+    console.error('QR image render error:', error);
+    res.status(500).json({ error: 'Failed to render QR code' });
+  }
 }
 
+app.get('/api/qr-codes/:restaurantId/:qrId/image', authenticateToken, requirePermission('qr.manage'), renderQrCodeImage);
+app.post('/api/qr-codes/:restaurantId/:qrId/image', authenticateToken, requirePermission('qr.manage'), renderQrCodeImage);
+
+// ======================================================
+// VENUE PRINT PACK (BULK TABLE CARDS)
+// ======================================================
+
+const printPackBuilder = new PrintPackBuilder(qrRenderer);
+const MAX_PRINT_PACK_CARDS = 400;
+
+const printPackSchema = Joi.object({
+  tableFrom: Joi.number().integer().min(1).required(),
+  tableTo: Joi.number().integer().min(Joi.ref('tableFrom')).required(),
+  qrTypes: Joi.array()
+    .items(Joi.string().valid('menu', 'service', 'wifi', 'review', 'booking', 'specials'))
+    .min(1).unique().required(),
+  destinations: Joi.object()
+    .pattern(Joi.string().valid('menu', 'review', 'booking', 'specials'), destinationUrlSchema)
+    .default({}),
+  format: Joi.string().valid('pdf', 'zip').default('pdf'),
+  layout: Joi.string().valid('A6', 'A4').default('A6'),
+  venueName: Joi.string().max(60).optional(),
+  wifi: Joi.object({
+    ssid: Joi.string().max(64).required(),
+    password: Joi.string().max(64).allow('').optional()
+  }).optional(),
+  ecc: Joi.string().valid('Q', 'H').default('Q'),
+  fg: hexColourSchema.default('#000000'),
+  bg: hexColourSchema.default('#ffffff'),
+  logo: Joi.string().max(100000).optional()
+});
 
+// Reuse the table's existing code so reprinting a pack never orphans cards already on tables.
+// WiFi codes keep the network printed on the card, which is what the scanned page shows.
+async function provisionTableQrCode(req, restaurantId, tableNumber, qrType, destinationUrl, wifi) {
+  const cardWifi = qrType === 'wifi' ? wifi || null : null;
+  const existing = await pool.query(`
+    SELECT * FROM qr_codes
+    WHERE restaurant_id = $1 AND table_number = $2 AND qr_type = $3 AND is_active = TRUE
+    ORDER BY created_at DESC
+    LIMIT 1
+  `, [restaurantId, String(tableNumber), qrType]);
+
+  if (existing.rows.length === 0) {
+    return createQrCode(req, { restaurantId, qrType, destinationUrl: destinationUrl || null, tableNumber, wifi: cardWifi });
+  }
 
-// QR Code Generation
-app.post('/api/qr-codes/:restaurantId/generate', authenticateToken, async (req, res) => {
+  const qrCode = existing.rows[0];
+  if (destinationUrl && destinationUrl !== qrCode.destination_url) {
+    await pool.query(
+      'UPDATE qr_codes SET destination_url = $1, updated_at = NOW() WHERE id = $2',
+      [destinationUrl, qrCode.id]
+    );
+  }
+  if (cardWifi) {
+    await pool.query(
+      'UPDATE qr_codes SET wifi_ssid = $1, wifi_password = $2, updated_at = NOW() WHERE id = $3',
+      [cardWifi.ssid, cardWifi.password || null, qrCode.id]
+    );
+  }
+  return qrCode;
+}
+
+app.post('/api/qr-codes/:restaurantId/print-pack', authenticateToken, requirePermission('qr.manage'), async (req, res) => {
   try {
     const { restaurantId } = req.params;
-    const { qr_type, destination_url, table_number } = req.body;
 
-    const schema = Joi.object({
-      qr_type: Joi.string().valid('menu', 'service', 'wifi', 'review', 'booking', 'specials').required(),
-      destination_url: Joi.string().uri().required(),
-      table_number: Joi.number().integer().optional()
-    });
-    const { error } = schema.validate(req.body);
+    const { error, value } = printPackSchema.validate(req.body);
     if (error) return res.status(400).json({ error: error.details[0].message });
 
-    const tracking_url = `https://qr.insane.marketing/qr/${restaurantId}/${qr_type}/${Date.now()}`;
-    const result = await pool.query(
-      'INSERT INTO qr_codes (restaurant_id, qr_type, tracking_url, destination_url, table_number) VALUES ($1, $2, $3, $4, $5) RETURNING id',
-      [restaurantId, qr_type, tracking_url, destination_url, table_number]
-    );
+    const cardCount = (value.tableTo - value.tableFrom + 1) * value.qrTypes.length;
+    if (cardCount > MAX_PRINT_PACK_CARDS) {
+      return res.status(400).json({ error: `A print pack is limited to ${MAX_PRINT_PACK_CARDS} cards (requested ${cardCount})` });
+    }
+
+    let logo = null;
+    if (value.logo) {
+      logo = QRRenderer.parseDataUri(value.logo);
+      const vectorFormat = value.format === 'zip' ? 'svg' : 'pdf';
+      if (!logo || !QRRenderer.supportsLogo(vectorFormat, logo.mimeType)) {
+        const accepted = value.format === 'zip' ? 'PNG, JPEG or SVG' : 'PNG or JPEG';
+        return res.status(400).json({ error: `logo must be a base64 ${accepted} data URI` });
+      }
+      const logoError = QRRenderer.logoError(logo);
+      if (logoError) return res.status(400).json({ error: logoError });
+    }
+
+    const restaurantResult = await pool.query('SELECT name FROM restaurants WHERE restaurant_id = $1', [restaurantId]);
+    if (restaurantResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Restaurant not found' });
+    }
+
+    const cards = [];
+    for (let table = value.tableFrom; table <= value.tableTo; table++) {
+      for (const qrType of value.qrTypes) {
+        const qrCode = await provisionTableQrCode(req, restaurantId, table, qrType, value.destinations[qrType], value.wifi);
+        cards.push({
+          tableNumber: table,
+          qrType,
+          url: `${getPublicBaseUrl(req)}/q/${qrCode.short_code}`
+        });
+      }
+    }
+
+    const options = {
+      venueName: value.venueName || restaurantResult.rows[0].name,
+      layout: value.layout,
+      wifi: value.wifi,
+      errorCorrectionLevel: logo ? 'H' : value.ecc,
+      foreground: value.fg,
+      background: value.bg,
+      logo
+    };
+
+    const filename = `${restaurantId}-tables-${value.tableFrom}-${value.tableTo}.${value.format}`;
+    res.set('Content-Type', value.format === 'zip' ? 'application/zip' : 'application/pdf');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+    console.log(`Print pack: ${cards.length} cards (${value.format}) for ${restaurantId}`);
+
+    // Stream straight to the response - large venues never sit in memory as one buffer
+    const stream = value.format === 'zip'
+      ? printPackBuilder.streamZip(cards, options, res)
+      : printPackBuilder.streamPdf(cards, options, res);
+    stream.on('error', (streamError) => {
+      console.error('Print pack stream error:', streamError);
+      res.destroy(streamError);
+    });
 
-    res.json({ success: true, qrId: result.rows[0].id, tracking_url });
   } catch (error) {
-    console.error('Generate QR code error:', error);
-    res.status(500).json({ error: 'Failed to generate QR code' });
+    console.error('Print pack error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to generate print pack' });
+    }
   }
 });
 
-// Log QR Scan (public for customers)
-app.post('/api/qr-scans', async (req, res) => {
+// Log a QR scan seen by a venue's own page or app (guests' scans are recorded by /q/:shortCode)
+app.post('/api/qr-scans', authenticateToken, requirePermission('qr.manage'), async (req, res) => {
   try {
     const { qr_id, restaurant_id, qr_type, table_number, user_agent, ip_address, destination_url } = req.body;
 
@@ -3256,13 +4842,23 @@ app.post('/api/qr-scans', async (req, res) => {
     });
     const { error } = schema.validate(req.body);
     if (error) return res.status(400).json({ error: error.details[0].message });
+    if (!requireRestaurantAccess(req, res, restaurant_id)) return;
 
-    await pool.query(
-      'INSERT INTO qr_scans (restaurant_id, qr_id, qr_type, table_number, user_agent, ip_address, destination_url, scan_timestamp) VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())',
-      [restaurant_id, qr_id, qr_type, table_number, user_agent, ip_address, destination_url]
-    );
+    // The page reporting the scan may pass the guest's user agent / IP; classify as if they made the request
+    const scanRequest = {
+      method: 'GET',
+      headers: { ...req.headers, 'user-agent': user_agent || req.headers['user-agent'] },
+      ip: ip_address || req.ip
+    };
+    const scan = await recordScan(scanRequest, {
+      restaurantId: restaurant_id,
+      qrId: qr_id,
+      qrType: qr_type,
+      tableNumber: table_number,
+      destinationUrl: destination_url
+    });
 
-    res.json({ success: true });
+    res.json({ success: true, scanClass: scan.scanClass });
   } catch (error) {
     console.error('Log QR scan error:', error);
     res.status(500).json({ error: 'Failed to log QR scan' });
@@ -3270,7 +4866,7 @@ app.post('/api/qr-scans', async (req, res) => {
 });
 
 // Get Table Alerts
-app.get('/api/tables/:restaurantId/alerts', authenticateToken, async (req, res) => {
+app.get('/api/tables/:restaurantId/alerts', authenticateToken, requirePermission('tables.view'), async (req, res) => {
   try {
     const { restaurantId } = req.params;
     const alerts = await pool.query(
@@ -3284,76 +4880,148 @@ app.get('/api/tables/:restaurantId/alerts', authenticateToken, async (req, res)
   }
 });
 
-// Create Service Alert (public for service-request.html)
-app.post('/api/service-alerts/:restaurantId', async (req, res) => {
+// Create Service Alert (staff and integrations - guests use POST /api/service/request)
+app.post('/api/service-alerts/:restaurantId', authenticateToken, requirePermission('alerts.respond'), async (req, res) => {
   try {
     const { restaurantId } = req.params;
-    const { table_number, alert_type, service_type, message, action_required, priority, source } = req.body;
 
+    // Raised by a person or a device, so escalated like a guest request ('behavioral' alerts are not)
     const schema = Joi.object({
       table_number: Joi.number().integer().required(),
       alert_type: Joi.string().valid('order', 'assistance', 'bill', 'urgent').required(),
       service_type: Joi.string().optional(),
       message: Joi.string().required(),
       action_required: Joi.string().optional(),
-      priority: Joi.string().valid('low', 'medium', 'high').optional().default('medium'),
-      source: Joi.string().optional().default('behavioral')
+      priority: Joi.string().valid('low', 'medium', 'high', 'urgent').optional().default('medium'),
+      source: Joi.string().valid('staff', 'customer_request', 'behavioral').optional().default('staff')
     });
-    const { error } = schema.validate(req.body);
+    const { error, value } = schema.validate(req.body);
     if (error) return res.status(400).json({ error: error.details[0].message });
+    const { table_number, alert_type, service_type, message, action_required, priority, source } = value;
 
     const alert_id = `alert_${Date.now()}_${Math.random().toString(36).slice(2)}`;
-    const result = await pool.query(
-      'INSERT INTO service_alerts (alert_id, restaurant_id, table_number, alert_type, service_type, message, action_required, priority, source, resolved, created_at) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW()) RETURNING id, alert_id',
-      [alert_id, restaurantId, table_number, alert_type, service_type, message, action_required, priority, source, false]
-    );
-
-    await predictiveEngine.sendNotificationToStaff({
+    const alert = await alertWorkflow.create({
+      alertId: alert_id,
       restaurantId,
       tableNumber: table_number,
-      alertId: result.rows[0].alert_id,
+      alertType: alert_type,
+      serviceType: service_type,
+      message,
+      actionRequired: action_required,
+      priority,
+      source
+    });
+
+    console.log(`🔔 Alert ${alert.alert_id} raised for table ${table_number} at ${restaurantId} by ${actorName(req.user)}`);
+
+    await sendNotificationToStaff(restaurantId, {
+      tableNumber: table_number,
+      alertId: alert.alert_id,
       title: `Table ${table_number} Alert`,
       body: message || `${alert_type} request from Table ${table_number}`,
       type: alert_type
     });
 
-    res.json({ success: true, alertId: result.rows[0].alert_id });
+    res.json({ success: true, alertId: alert.alert_id });
   } catch (error) {
     console.error('Create service alert error:', error);
     res.status(500).json({ error: 'Failed to create alert' });
   }
 });
 
-// Resolve Service Alert
-app.patch('/api/service/resolve/:alertId', authenticateToken, async (req, res) => {
+// Resolve Service Alert (kept for existing dashboards - same as POST .../resolve below)
+app.patch('/api/service/resolve/:alertId', authenticateToken, requirePermission('alerts.respond'), async (req, res) => {
   try {
     const { alertId } = req.params;
-    const { resolvedBy } = req.body;
 
     const schema = Joi.object({
-      resolvedBy: Joi.string().required()
+      resolvedBy: Joi.string().max(100).optional(), // still sent by old dashboards; the signed-in user is recorded
+      restaurantId: Joi.string().optional(),
+      note: Joi.string().max(500).optional()
     });
     const { error } = schema.validate(req.body);
     if (error) return res.status(400).json({ error: error.details[0].message });
 
-    const result = await pool.query(
-      'UPDATE service_alerts SET resolved = $1, resolved_at = NOW(), resolved_by = $2 WHERE alert_id = $3 RETURNING id',
-      [true, resolvedBy, alertId]
-    );
+    const restaurantId = req.body.restaurantId || req.user.restaurantId;
+    if (!requireRestaurantAccess(req, res, restaurantId)) return;
 
-    if (result.rowCount === 0) {
-      return res.status(404).json({ error: 'Alert not found' });
-    }
+    const alert = await alertWorkflow.transition(restaurantId, alertId, 'resolved', {
+      actor: actorName(req.user),
+      note: req.body.note
+    });
 
-    res.json({ success: true });
+    console.log(`Service request resolved: Table ${alert.table_number} by ${alert.resolved_by}`);
+    res.json({ success: true, message: 'Service request resolved', alert });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code, ...error.details });
+    }
     console.error('Resolve service alert error:', error);
     res.status(500).json({ error: 'Failed to resolve alert' });
   }
 });
 
+// Alert lifecycle transitions: acknowledge (claim), start, resolve, escalate, cancel
+const ALERT_ACTIONS = {
+  acknowledge: 'acknowledged',
+  start: 'in_progress',
+  resolve: 'resolved',
+  escalate: 'escalated',
+  cancel: 'cancelled'
+};
+
+const alertTransitionSchema = Joi.object({
+  note: Joi.string().max(500).optional()
+});
+
+app.post('/api/service-alerts/:restaurantId/:alertId/:action', authenticateToken, requirePermission('alerts.respond'), async (req, res) => {
+  try {
+    const { restaurantId, alertId, action } = req.params;
+
+    const toStatus = ALERT_ACTIONS[action];
+    if (!toStatus) {
+      return res.status(404).json({ error: `Unknown alert action "${action}"` });
+    }
+
+    const { error } = alertTransitionSchema.validate(req.body || {});
+    if (error) return res.status(400).json({ error: error.details[0].message });
+
+    const actor = actorName(req.user);
+    const alert = await alertWorkflow.transition(restaurantId, alertId, toStatus, {
+      actor,
+      note: req.body?.note
+    });
+
+    console.log(`Alert ${alertId} ${toStatus} by ${actor}`);
+    res.json({ success: true, alert });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code, ...error.details });
+    }
+    console.error('Alert transition error:', error);
+    res.status(500).json({ error: 'Failed to update alert' });
+  }
+});
+
+// Alert history: who picked it up, who worked it, and how long each step took
+app.get('/api/service-alerts/:restaurantId/:alertId/events', authenticateToken, requirePermission('tables.view'), async (req, res) => {
+  try {
+    const { restaurantId, alertId } = req.params;
+
+    const history = await alertWorkflow.getHistory(restaurantId, alertId);
+    if (!history) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+
+    res.json(history);
+  } catch (error) {
+    console.error('Alert history error:', error);
+    res.status(500).json({ error: 'Failed to get alert history' });
+  }
+});
+
 // Get Table Status
-app.get('/api/tables/:restaurantId/status', authenticateToken, async (req, res) => {
+app.get('/api/tables/:restaurantId/status', authenticateToken, requirePermission('tables.view'), async (req, res) => {
   try {
     const { restaurantId } = req.params;
     const status = await pool.query(
@@ -3368,7 +5036,7 @@ app.get('/api/tables/:restaurantId/status', authenticateToken, async (req, res)
 });
 
 // Log Table Activity
-app.post('/api/tables/:restaurantId/activity', authenticateToken, async (req, res) => {
+app.post('/api/tables/:restaurantId/activity', authenticateToken, requirePermission('tables.view'), async (req, res) => {
   try {
     const { restaurantId } = req.params;
     const { table_number, session_id, qr_type, activity_data } = req.body;
@@ -3395,7 +5063,7 @@ app.post('/api/tables/:restaurantId/activity', authenticateToken, async (req, re
 });
 
 // Get Staffing Recommendations
-app.get('/api/staffing/:restaurantId', authenticateToken, async (req, res) => {
+app.get('/api/staffing/:restaurantId', authenticateToken, requirePermission('predictions.view'), async (req, res) => {
   try {
     const { restaurantId } = req.params;
     const recommendations = await pool.query(
@@ -3409,67 +5077,94 @@ app.get('/api/staffing/:restaurantId', authenticateToken, async (req, res) => {
   }
 });
 
+// ===== STAFFING FEEDBACK =====
 
+const staffingDecisionSchema = Joi.object({
+  decision: Joi.string().valid(...StaffingFeedbackService.DECISIONS).required(),
+  reason: Joi.string().trim().max(500).allow('', null)
+    .when('decision', { is: 'rejected', then: Joi.string().trim().min(1).required() })
+});
 
+const staffingOutcomeSchema = Joi.object({
+  actualCovers: Joi.number().integer().min(0).required(),
+  labourHours: Joi.number().min(0).max(10000).optional(),
+  labourCost: Joi.number().min(0).precision(2).optional(),
+  windowStart: Joi.date().iso().optional(),
+  windowEnd: Joi.date().iso().optional(),
+  notes: Joi.string().max(500).allow('', null).optional()
+}).and('windowStart', 'windowEnd').and('labourHours', 'labourCost');
+
+const staffingRangeSchema = Joi.object({
+  from: Joi.date().iso().default(() => new Date(Date.now() - 30 * 24 * 60 * 60 * 1000)),
+  to: Joi.date().iso().greater(Joi.ref('from')).default(() => new Date())
+});
 
-// ============================================
-// NEW ROUTES FOR WELCOME DASHBOARD & CARD CUSTOMIZER
-// ============================================
+// Savings measured from recorded outcomes (default: last 30 days), plus decisions and rejection reasons
+app.get('/api/staffing/:restaurantId/savings', authenticateToken, requirePermission('predictions.view'), async (req, res) => {
+  try {
+    const { error, value } = staffingRangeSchema.validate(req.query);
+    if (error) return res.status(400).json({ error: error.details[0].message });
 
-// Restaurant Profile Endpoint
-app.get('/api/restaurant/profile', authenticateToken, async (req, res) => {
+    const report = await staffingFeedback.savingsReport(req.params.restaurantId, value);
+    const recommendations = await staffingFeedback.list(req.params.restaurantId, value);
+
+    res.json({ ...report, latest: recommendations });
+  } catch (error) {
+    console.error('Staffing savings report error:', error);
+    res.status(500).json({ error: 'Failed to build savings report' });
+  }
+});
+
+// Accept or reject a recommendation; rejecting needs a reason
+app.post('/api/staffing/:restaurantId/:recommendationId/decision', authenticateToken, requirePermission('predictions.manage'), async (req, res) => {
   try {
-    const restaurantId = req.user.restaurant_id || req.user.restaurantId;
-    
-    if (!restaurantId) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Restaurant ID not found' 
-      });
-    }
+    if (!requireIdParam(req, res, 'recommendationId')) return;
+    const { restaurantId, recommendationId } = req.params;
 
-    const result = await pool.query(`
-      SELECT 
-        r.restaurant_id,
-        r.name as restaurant_name,
-        u.email,
-        u.full_name,
-        u.created_at
-      FROM restaurants r
-      LEFT JOIN users u ON r.restaurant_id = u.restaurant_id
-      WHERE r.restaurant_id = $1
-      LIMIT 1
-    `, [restaurantId]);
+    const { error, value } = staffingDecisionSchema.validate(req.body);
+    if (error) return res.status(400).json({ error: error.details[0].message });
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ 
-        success: false, 
-        message: 'Restaurant not found' 
-      });
-    }
+    const recommendation = await staffingFeedback.decide(restaurantId, recommendationId, value, req.user.id);
 
-    const restaurant = result.rows[0];
+    console.log(`👍 Staffing recommendation ${recommendation.id} ${value.decision} for ${restaurantId} by ${actorName(req.user)}`);
+    res.json({ success: true, recommendation });
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    console.error('Staffing decision error:', error);
+    res.status(500).json({ error: 'Failed to record decision' });
+  }
+});
 
-    res.json({
-      success: true,
-      restaurant_name: restaurant.restaurant_name,
-      restaurant_id: restaurant.restaurant_id,
-      email: restaurant.email,
-      full_name: restaurant.full_name,
-      created_at: restaurant.created_at
-    });
+// What actually happened in the recommendation's window. Labour hours and cost are sent together or
+// not at all - left out, both come from the floor staff clocked in on the roster during it.
+app.post('/api/staffing/:restaurantId/:recommendationId/outcome', authenticateToken, requirePermission('predictions.manage'), async (req, res) => {
+  try {
+    if (!requireIdParam(req, res, 'recommendationId')) return;
+    const { restaurantId, recommendationId } = req.params;
+
+    const { error, value } = staffingOutcomeSchema.validate(req.body);
+    if (error) return res.status(400).json({ error: error.details[0].message });
+
+    const recommendation = await staffingFeedback.recordOutcome(restaurantId, recommendationId, value, req.user.id);
 
+    console.log(`📋 Outcome recorded for staffing recommendation ${recommendation.id} at ${restaurantId}: ${value.actualCovers} covers, savings ${recommendation.outcome.savings ?? 'n/a'}`);
+    res.json({ success: true, recommendation });
   } catch (error) {
-    console.error('Error fetching restaurant profile:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Server error fetching profile' 
-    });
+    if (error.statusCode) return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    console.error('Staffing outcome error:', error);
+    res.status(500).json({ error: 'Failed to record outcome' });
   }
 });
 
+
+
+
+// ============================================
+// NEW ROUTES FOR WELCOME DASHBOARD & CARD CUSTOMIZER
+// ============================================
+
 // Card Configuration - Save
-app.post('/api/cards/configuration', authenticateToken, async (req, res) => {
+app.post('/api/cards/configuration', authenticateToken, requirePermission('venue.configure'), async (req, res) => {
   try {
     const restaurantId = req.user.restaurant_id || req.user.restaurantId;
     const { selectedCards, configurations } = req.body;
@@ -3523,7 +5218,7 @@ app.post('/api/cards/configuration', authenticateToken, async (req, res) => {
 });
 
 // Card Configuration - Load
-app.get('/api/cards/configuration', authenticateToken, async (req, res) => {
+app.get('/api/cards/configuration', authenticateToken, requirePermission('venue.configure'), async (req, res) => {
   try {
     const restaurantId = req.user.restaurant_id || req.user.restaurantId;
 
@@ -3573,67 +5268,6 @@ app.get('/api/cards/configuration', authenticateToken, async (req, res) => {
   }
 });
 
-// Analytics Summary Endpoint
-app.get('/api/analytics/summary', authenticateToken, async (req, res) => {
-  try {
-    const restaurantId = req.user.restaurant_id || req.user.restaurantId;
-
-    if (!restaurantId) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Restaurant ID not found' 
-      });
-    }
-
-    // Get total scans
-    const totalScansQuery = await pool.query(`
-      SELECT COUNT(*) as total_scans 
-      FROM qr_scans 
-      WHERE restaurant_id = $1
-    `, [restaurantId]);
-
-    // Get today's scans
-    const todayScansQuery = await pool.query(`
-      SELECT COUNT(*) as today_scans 
-      FROM qr_scans 
-      WHERE restaurant_id = $1 
-      AND DATE(scan_timestamp) = CURRENT_DATE
-    `, [restaurantId]);
-
-    // Count active cards from card_configurations
-    const activeCardsQuery = await pool.query(`
-      SELECT 
-        jsonb_array_length(selected_cards) as active_cards
-      FROM card_configurations 
-      WHERE restaurant_id = $1
-    `, [restaurantId]);
-
-    const totalScans = parseInt(totalScansQuery.rows[0]?.total_scans || 0);
-    const todayScans = parseInt(todayScansQuery.rows[0]?.today_scans || 0);
-    const activeCards = parseInt(activeCardsQuery.rows[0]?.active_cards || 0);
-
-    res.json({
-      success: true,
-      total_scans: totalScans,
-      today_scans: todayScans,
-      active_cards: activeCards,
-      restaurant_id: restaurantId
-    });
-
-  } catch (error) {
-    console.error('Error fetching analytics summary:', error);
-    
-    // Fail gracefully with defaults
-    res.json({
-      success: true,
-      total_scans: 0,
-      today_scans: 0,
-      active_cards: 0,
-      message: 'Analytics not available - showing defaults'
-    });
-  }
-});
-
 console.log('✅ New dashboard routes loaded');
 
 
@@ -3875,16 +5509,28 @@ async function startServer() {
     await ensureDemoData(); // Ensure demo restaurants exist
     console.log('✅ Demo data ensured');
 
+    await liveEvents.start();
+    setInterval(sweepStaleSessions, SESSION_SWEEP_INTERVAL_MS);
+    escalationScheduler.start();
+    setInterval(() => authService.purgeExpired().catch(error => console.error('Token purge error:', error)), 60 * 60 * 1000);
+    setInterval(() => loginGuard.purge().catch(error => console.error('Login attempt purge error:', error)), 60 * 60 * 1000);
+    ipPrivacy.start();
+    predictionScorer.start();
+    jobScheduler.start();
+
     const server = app.listen(process.env.PORT || 8080, '0.0.0.0', () => {
   console.log(`🚀 Restaurant Intelligence Server running on port ${process.env.PORT || 8080}`);
 
       console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
       console.log(`Analytics API: /api/analytics/[restaurantId]`);
       console.log(`QR Tracking: /qr/[restaurantId]/[qrType]`);
+      console.log(`SHORT LINKS: /q/[shortCode]`);
       console.log(`TABLE INTELLIGENCE: /qr/[restaurantId]/table/[number]/[qrType]`);
       console.log(`SERVICE REQUEST: /qr/[restaurantId]/table/[number]/service`);
       console.log(`Live Dashboard: /api/tables/[restaurantId]/live`);
+      console.log(`📡 LIVE STREAM (SSE): /api/tables/[restaurantId]/stream`);
       console.log(`SERVICE API: /api/service/request`);
+      console.log(`⚠️ ESCALATION POLICIES: /api/escalation-policies/[restaurantId]`);
       console.log(`PREDICTIVE ANALYTICS: /api/predictions/[restaurantId]`);
       console.log(`🔔 PUSH NOTIFICATIONS: /api/notifications/*`);
       console.log(`Production-ready with PostgreSQL + Predictive Intelligence + Service Calls + Push Notifications`);
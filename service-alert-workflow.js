@@ -0,0 +1,263 @@
+/*!
+ * ═══════════════════════════════════════════════════════════════
+ * insane.marketing - Luxury Hospitality Intelligence Platform
+ * ═══════════════════════════════════════════════════════════════
+ * 
+ * Copyright (c) 2024-2025 insane.marketing
+ * All Rights Reserved - Proprietary and Confidential
+
+ * 
+ * NOTICE: This code contains proprietary business logic and trade secrets.
+ * 
+ * Unauthorized use, reproduction, or distribution of this code,
+ * or any portion of it, may result in severe civil and criminal penalties,
+ * and will be prosecuted to the maximum extent possible under the law.
+
+ * 
+ * Key Protected Features:
+ * - Zero-Knowledge Architecture & Data Handling
+ * - Time Machine Transformation Visualization System
+ * - VIP Prediction & Recognition Engine
+ * - Service Recovery Intelligence System
+ * - Real-time Mission Control Analytics
+
+ * Protected by AI tracking - active
+ * For licensing inquiries: steve@insane.marketing
+
+ * ═══════════════════════════════════════════════════════════════
+ */
+
+
+
+
+
+
+// service-alert-workflow.js
+// Lifecycle of a service alert: who claimed it, who worked it, how it ended.
+// Every change goes through here so service_alert_events holds the full history.
+
+const TRANSITIONS = {
+  created: ['acknowledged', 'escalated', 'resolved', 'cancelled'],
+  acknowledged: ['in_progress', 'escalated', 'resolved', 'cancelled'],
+  in_progress: ['escalated', 'resolved', 'cancelled'],
+  escalated: ['acknowledged', 'in_progress', 'resolved', 'cancelled'],
+  resolved: [],
+  cancelled: []
+};
+
+const OPEN_STATUSES = ['created', 'acknowledged', 'in_progress', 'escalated'];
+
+// Columns stamped when an alert enters each status ($1 is the actor).
+// `resolved` doubles as the closed flag the dashboards filter on, so cancelling sets it too.
+const STATUS_UPDATES = {
+  acknowledged: 'acknowledged = TRUE, acknowledged_at = NOW(), acknowledged_by = $1',
+  in_progress: `acknowledged = TRUE, acknowledged_at = COALESCE(acknowledged_at, NOW()),
+                acknowledged_by = COALESCE(acknowledged_by, $1), started_at = NOW(), started_by = $1`,
+  escalated: 'escalated_at = NOW(), escalated_by = $1',
+  resolved: 'resolved = TRUE, resolved_at = NOW(), resolved_by = $1',
+  cancelled: 'resolved = TRUE, cancelled_at = NOW(), cancelled_by = $1'
+};
+
+const LIVE_EVENT_TYPES = {
+  acknowledged: 'alert.acknowledged',
+  in_progress: 'alert.started',
+  escalated: 'alert.escalated',
+  resolved: 'alert.resolved',
+  cancelled: 'alert.cancelled'
+};
+
+class ServiceAlertWorkflow {
+  constructor(pool, liveEvents) {
+    this.pool = pool;
+    this.liveEvents = liveEvents;
+  }
+
+  static canTransition(fromStatus, toStatus) {
+    return (TRANSITIONS[fromStatus] || []).includes(toStatus);
+  }
+
+  static isOpen(status) {
+    return OPEN_STATUSES.includes(status);
+  }
+
+  // Insert the alert and its 'created' history row in one statement
+  async create(alert) {
+    const result = await this.pool.query(`
+      WITH inserted AS (
+        INSERT INTO service_alerts (alert_id, restaurant_id, table_number, alert_type, service_type,
+                                    message, action_required, priority, source, status)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'created')
+        RETURNING *
+      ), history AS (
+        INSERT INTO service_alert_events (alert_id, restaurant_id, from_status, to_status, actor)
+        SELECT alert_id, restaurant_id, NULL, 'created', source FROM inserted
+      )
+      SELECT * FROM inserted
+    `, [
+      alert.alertId, alert.restaurantId, alert.tableNumber, alert.alertType, alert.serviceType || null,
+      alert.message, alert.actionRequired || null, alert.priority || 'medium', alert.source || 'behavioral'
+    ]);
+
+    const row = result.rows[0];
+    await this.liveEvents.publish(row.restaurant_id, 'alert.created', {
+      alertId: row.alert_id,
+      tableNumber: row.table_number,
+      type: row.alert_type,
+      serviceType: row.service_type,
+      message: row.message,
+      action: row.action_required,
+      priority: row.priority,
+      source: row.source,
+      status: row.status
+    });
+
+    return row;
+  }
+
+  async transition(restaurantId, alertId, toStatus, { actor, note = null } = {}) {
+    if (!STATUS_UPDATES[toStatus]) {
+      throw this.error(`Unknown alert status "${toStatus}"`, 'UNKNOWN_STATUS', 400);
+    }
+
+    const client = await this.pool.connect();
+    let updated;
+    let fromStatus;
+
+    try {
+      await client.query('BEGIN');
+
+      const current = await client.query(
+        'SELECT status FROM service_alerts WHERE alert_id = $1 AND restaurant_id = $2 FOR UPDATE',
+        [alertId, restaurantId]
+      );
+      if (current.rows.length === 0) {
+        throw this.error('Alert not found', 'ALERT_NOT_FOUND', 404);
+      }
+
+      fromStatus = current.rows[0].status;
+      if (!ServiceAlertWorkflow.canTransition(fromStatus, toStatus)) {
+        throw this.error(
+          `Cannot move alert from ${fromStatus} to ${toStatus}`,
+          'ILLEGAL_TRANSITION',
+          409,
+          { from: fromStatus, to: toStatus, allowed: TRANSITIONS[fromStatus] || [] }
+        );
+      }
+
+      const result = await client.query(`
+        UPDATE service_alerts
+        SET status = $2, updated_at = NOW(), ${STATUS_UPDATES[toStatus]}
+        WHERE alert_id = $3
+        RETURNING *
+      `, [actor, toStatus, alertId]);
+      updated = result.rows[0];
+
+      await client.query(`
+        INSERT INTO service_alert_events (alert_id, restaurant_id, from_status, to_status, actor, note)
+        VALUES ($1, $2, $3, $4, $5, $6)
+      `, [alertId, restaurantId, fromStatus, toStatus, actor, note]);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    await this.liveEvents.publish(restaurantId, LIVE_EVENT_TYPES[toStatus], {
+      alertId,
+      tableNumber: updated.table_number,
+      fromStatus,
+      status: toStatus,
+      actor,
+      note
+    });
+
+    return updated;
+  }
+
+  // Bulk close for system actors (behavioural refresh, stale cleanup). Returns the closed alerts.
+  async resolveOpenAlerts(restaurantId, { actor, tableNumber = null, source = null,
+                                          statuses = OPEN_STATUSES, olderThanMinutes = null } = {}) {
+    const result = await this.pool.query(`
+      WITH target AS (
+        SELECT alert_id, status FROM service_alerts
+        WHERE restaurant_id = $1
+          AND status = ANY($3::text[])
+          AND ($4::text IS NULL OR table_number = $4::text)
+          AND ($5::text IS NULL OR source = $5::text)
+          AND ($6::int IS NULL OR created_at < NOW() - make_interval(mins => $6::int))
+        FOR UPDATE
+      ), closed AS (
+        UPDATE service_alerts a
+        SET status = 'resolved', updated_at = NOW(), resolved = TRUE, resolved_at = NOW(), resolved_by = $2
+        FROM target t
+        WHERE a.alert_id = t.alert_id
+        RETURNING a.alert_id, a.table_number, t.status AS from_status
+      ), history AS (
+        INSERT INTO service_alert_events (alert_id, restaurant_id, from_status, to_status, actor)
+        SELECT alert_id, $1, from_status, 'resolved', $2 FROM closed
+      )
+      SELECT * FROM closed
+    `, [restaurantId, actor, statuses, tableNumber === null ? null : String(tableNumber), source, olderThanMinutes]);
+
+    for (const alert of result.rows) {
+      await this.liveEvents.publish(restaurantId, 'alert.resolved', {
+        alertId: alert.alert_id,
+        tableNumber: alert.table_number,
+        fromStatus: alert.from_status,
+        status: 'resolved',
+        actor
+      });
+    }
+
+    return result.rows;
+  }
+
+  // Alert plus its history and how long each stage took
+  async getHistory(restaurantId, alertId) {
+    const alertResult = await this.pool.query(
+      'SELECT * FROM service_alerts WHERE alert_id = $1 AND restaurant_id = $2',
+      [alertId, restaurantId]
+    );
+    if (alertResult.rows.length === 0) return null;
+
+    const eventsResult = await this.pool.query(`
+      SELECT from_status, to_status, actor, note, created_at
+      FROM service_alert_events
+      WHERE alert_id = $1
+      ORDER BY created_at, id
+    `, [alertId]);
+
+    const alert = alertResult.rows[0];
+    const secondsSinceCreated = (timestamp) => timestamp
+      ? Math.round((new Date(timestamp) - new Date(alert.created_at)) / 1000)
+      : null;
+
+    return {
+      alert,
+      events: eventsResult.rows,
+      timings: {
+        secondsToAcknowledge: secondsSinceCreated(alert.acknowledged_at),
+        secondsToStart: secondsSinceCreated(alert.started_at),
+        secondsToEscalate: secondsSinceCreated(alert.escalated_at),
+        secondsToResolve: secondsSinceCreated(alert.resolved_at),
+        secondsToCancel: secondsSinceCreated(alert.cancelled_at)
+      }
+    };
+  }
+
+  error(message, code, statusCode, details) {
+    const error = new Error(message);
+    error.code = code;
+    error.statusCode = statusCode;
+    if (details) error.details = details;
+    return error;
+  }
+}
+
+ServiceAlertWorkflow.TRANSITIONS = TRANSITIONS;
+ServiceAlertWorkflow.OPEN_STATUSES = OPEN_STATUSES;
+
+module.exports = ServiceAlertWorkflow;
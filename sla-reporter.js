@@ -0,0 +1,227 @@
+/*!
+ * ═══════════════════════════════════════════════════════════════
+ * insane.marketing - Luxury Hospitality Intelligence Platform
+ * ═══════════════════════════════════════════════════════════════
+ * 
+ * Copyright (c) 2024-2025 insane.marketing
+ * All Rights Reserved - Proprietary and Confidential
+
+ * 
+ * NOTICE: This code contains proprietary business logic and trade secrets.
+ * 
+ * Unauthorized use, reproduction, or distribution of this code,
+ * or any portion of it, may result in severe civil and criminal penalties,
+ * and will be prosecuted to the maximum extent possible under the law.
+
+ * 
+ * Key Protected Features:
+ * - Zero-Knowledge Architecture & Data Handling
+ * - Time Machine Transformation Visualization System
+ * - VIP Prediction & Recognition Engine
+ * - Service Recovery Intelligence System
+ * - Real-time Mission Control Analytics
+
+ * Protected by AI tracking - active
+ * For licensing inquiries: steve@insane.marketing
+
+ * ═══════════════════════════════════════════════════════════════
+ */
+
+
+
+
+
+
+// sla-reporter.js
+// Response and resolution times for service alerts, measured against per-venue targets.
+// Resolve times only count staff resolutions - system_auto/system_cleanup closures are
+// reported separately so they don't flatter (or wreck) the numbers.
+
+const DEFAULT_TARGETS = {
+  urgent: { acknowledgeSeconds: 120, resolveSeconds: 600 },
+  high: { acknowledgeSeconds: 300, resolveSeconds: 900 },
+  medium: { acknowledgeSeconds: 600, resolveSeconds: 1800 },
+  low: { acknowledgeSeconds: 900, resolveSeconds: 3600 }
+};
+
+// groupBy value -> bucket expression over service_alerts a
+const GROUPINGS = {
+  day: `to_char(a.created_at, 'YYYY-MM-DD')`,
+  hour: `EXTRACT(HOUR FROM a.created_at)::int::text`,
+  table: 'a.table_number',
+  alert_type: 'a.alert_type',
+  service_type: `COALESCE(a.service_type, 'none')`,
+  resolved_by: `COALESCE(a.resolved_by, CASE WHEN a.status = 'cancelled' THEN 'cancelled' ELSE 'unresolved' END)`
+};
+
+const SYSTEM_RESOLVERS = ['system_auto', 'system_cleanup'];
+
+class SlaReporter {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  async getTargets(restaurantId) {
+    const result = await this.pool.query(
+      'SELECT priority, acknowledge_seconds, resolve_seconds FROM service_level_targets WHERE restaurant_id = $1',
+      [restaurantId]
+    );
+
+    const targets = {};
+    for (const [priority, target] of Object.entries(DEFAULT_TARGETS)) {
+      targets[priority] = { ...target, source: 'default' };
+    }
+    for (const row of result.rows) {
+      targets[row.priority] = {
+        acknowledgeSeconds: row.acknowledge_seconds,
+        resolveSeconds: row.resolve_seconds,
+        source: 'venue'
+      };
+    }
+    return targets;
+  }
+
+  async setTargets(restaurantId, targets) {
+    for (const [priority, target] of Object.entries(targets)) {
+      await this.pool.query(`
+        INSERT INTO service_level_targets (restaurant_id, priority, acknowledge_seconds, resolve_seconds)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (restaurant_id, priority)
+        DO UPDATE SET acknowledge_seconds = $3, resolve_seconds = $4, updated_at = NOW()
+      `, [restaurantId, priority, target.acknowledgeSeconds, target.resolveSeconds]);
+    }
+    return this.getTargets(restaurantId);
+  }
+
+  async report(restaurantId, { groupBy = 'day', from, to, source = null, priority = null }) {
+    const bucket = GROUPINGS[groupBy];
+    if (!bucket) throw new Error(`Unsupported groupBy "${groupBy}"`);
+
+    const targets = await this.getTargets(restaurantId);
+    const targetRows = Object.entries(targets).map(([p, t]) => ({
+      priority: p,
+      acknowledge_seconds: t.acknowledgeSeconds,
+      resolve_seconds: t.resolveSeconds
+    }));
+
+    const result = await this.pool.query(`
+      WITH measured AS (
+        SELECT ${bucket} AS bucket,
+               CASE
+                 WHEN a.resolved_by = ANY($6::text[]) THEN a.resolved_by
+                 WHEN a.status = 'cancelled' THEN 'cancelled'
+                 WHEN a.resolved_at IS NOT NULL THEN 'staff'
+                 ELSE 'open'
+               END AS outcome,
+               EXTRACT(EPOCH FROM (a.acknowledged_at - a.created_at)) AS ack_seconds,
+               CASE WHEN a.resolved_at IS NOT NULL AND NOT (COALESCE(a.resolved_by, '') = ANY($6::text[]))
+                    THEN EXTRACT(EPOCH FROM (a.resolved_at - a.created_at)) END AS resolve_seconds,
+               -- how long the guest waited for anyone to respond (still waiting = up to now)
+               EXTRACT(EPOCH FROM (COALESCE(
+                 a.acknowledged_at,
+                 CASE WHEN NOT (COALESCE(a.resolved_by, '') = ANY($6::text[])) THEN a.resolved_at END,
+                 a.resolved_at, a.cancelled_at, NOW()
+               ) - a.created_at)) AS response_wait_seconds,
+               EXTRACT(EPOCH FROM (COALESCE(a.resolved_at, a.cancelled_at, NOW()) - a.created_at)) AS open_seconds,
+               t.acknowledge_seconds AS ack_target,
+               t.resolve_seconds AS resolve_target
+        FROM service_alerts a
+        LEFT JOIN jsonb_to_recordset($5::jsonb) AS t(priority text, acknowledge_seconds int, resolve_seconds int)
+          ON t.priority = COALESCE(a.priority, 'medium')
+        WHERE a.restaurant_id = $1
+          AND a.created_at >= $2 AND a.created_at < $3
+          AND ($4::text IS NULL OR a.source = $4::text)
+          AND ($7::text IS NULL OR a.priority = $7::text)
+      )
+      SELECT bucket, GROUPING(bucket) = 1 AS is_total,
+             COUNT(*) AS alerts,
+             COUNT(ack_seconds) AS acknowledged,
+             percentile_cont(0.5) WITHIN GROUP (ORDER BY ack_seconds) AS ack_median,
+             percentile_cont(0.9) WITHIN GROUP (ORDER BY ack_seconds) AS ack_p90,
+             COUNT(resolve_seconds) AS staff_resolved,
+             percentile_cont(0.5) WITHIN GROUP (ORDER BY resolve_seconds) AS resolve_median,
+             percentile_cont(0.9) WITHIN GROUP (ORDER BY resolve_seconds) AS resolve_p90,
+             COUNT(*) FILTER (WHERE response_wait_seconds > ack_target) AS ack_breaches,
+             COUNT(*) FILTER (WHERE
+               (outcome = 'staff' AND resolve_seconds > resolve_target)
+               OR (outcome IN ('open', 'system_cleanup') AND open_seconds > resolve_target)
+             ) AS resolve_breaches,
+             COUNT(*) FILTER (WHERE outcome = 'staff') AS resolved_staff,
+             COUNT(*) FILTER (WHERE outcome = 'system_auto') AS resolved_system_auto,
+             COUNT(*) FILTER (WHERE outcome = 'system_cleanup') AS resolved_system_cleanup,
+             COUNT(*) FILTER (WHERE outcome = 'cancelled') AS cancelled,
+             COUNT(*) FILTER (WHERE outcome = 'open') AS still_open
+      FROM measured
+      GROUP BY GROUPING SETS ((bucket), ())
+      -- hours and table numbers are text buckets; pad them so 2 sorts before 10
+      ORDER BY is_total, CASE WHEN bucket ~ '^[0-9]+$' THEN lpad(bucket, 10, '0') ELSE bucket END
+    `, [restaurantId, from, to, source, JSON.stringify(targetRows), SYSTEM_RESOLVERS, priority]);
+
+    const total = result.rows.find(row => row.is_total);
+    return {
+      groupBy,
+      from,
+      to,
+      targets,
+      summary: total ? this.formatRow(total) : null,
+      groups: result.rows.filter(row => !row.is_total).map(row => this.formatRow(row))
+    };
+  }
+
+  formatRow(row) {
+    const seconds = (value) => value === null ? null : Math.round(parseFloat(value));
+    const count = (value) => parseInt(value, 10);
+
+    return {
+      key: row.bucket,
+      alerts: count(row.alerts),
+      timeToAcknowledge: {
+        count: count(row.acknowledged),
+        medianSeconds: seconds(row.ack_median),
+        p90Seconds: seconds(row.ack_p90)
+      },
+      timeToResolve: {
+        count: count(row.staff_resolved),
+        medianSeconds: seconds(row.resolve_median),
+        p90Seconds: seconds(row.resolve_p90)
+      },
+      breaches: {
+        acknowledge: count(row.ack_breaches),
+        resolve: count(row.resolve_breaches)
+      },
+      resolutions: {
+        staff: count(row.resolved_staff),
+        system_auto: count(row.resolved_system_auto),
+        system_cleanup: count(row.resolved_system_cleanup),
+        cancelled: count(row.cancelled),
+        open: count(row.still_open)
+      }
+    };
+  }
+
+  // Median minutes a guest waited for staff to respond to a request over the last `days`
+  async measureWait(restaurantId, days = 7) {
+    const result = await this.pool.query(`
+      SELECT COUNT(*) AS samples,
+             percentile_cont(0.5) WITHIN GROUP (
+               ORDER BY EXTRACT(EPOCH FROM (COALESCE(acknowledged_at, resolved_at) - created_at))
+             ) AS median_seconds
+      FROM service_alerts
+      WHERE restaurant_id = $1
+        AND source = 'customer_request'
+        AND created_at > NOW() - make_interval(days => $2)
+        AND (acknowledged_at IS NOT NULL OR (resolved_at IS NOT NULL AND NOT (COALESCE(resolved_by, '') = ANY($3::text[]))))
+    `, [restaurantId, days, SYSTEM_RESOLVERS]);
+
+    const row = result.rows[0];
+    return {
+      samples: parseInt(row.samples, 10),
+      minutes: row.median_seconds === null ? null : Math.max(1, Math.round(row.median_seconds / 60))
+    };
+  }
+}
+
+SlaReporter.DEFAULT_TARGETS = DEFAULT_TARGETS;
+SlaReporter.GROUPINGS = Object.keys(GROUPINGS);
+
+module.exports = SlaReporter;
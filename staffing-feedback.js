@@ -0,0 +1,269 @@
+/*!
+ * ═══════════════════════════════════════════════════════════════
+ * insane.marketing - Luxury Hospitality Intelligence Platform
+ * ═══════════════════════════════════════════════════════════════
+ * 
+ * Copyright (c) 2024-2025 insane.marketing
+ * All Rights Reserved - Proprietary and Confidential
+
+ * 
+ * NOTICE: This code contains proprietary business logic and trade secrets.
+ * 
+ * Unauthorized use, reproduction, or distribution of this code,
+ * or any portion of it, may result in severe civil and criminal penalties,
+ * and will be prosecuted to the maximum extent possible under the law.
+
+ * 
+ * Key Protected Features:
+ * - Zero-Knowledge Architecture & Data Handling
+ * - Time Machine Transformation Visualization System
+ * - VIP Prediction & Recognition Engine
+ * - Service Recovery Intelligence System
+ * - Real-time Mission Control Analytics
+
+ * Protected by AI tracking - active
+ * For licensing inquiries: steve@insane.marketing
+
+ * ═══════════════════════════════════════════════════════════════
+ */
+
+
+
+
+
+
+// staffing-feedback.js
+// Closes the loop on staffing recommendations: a manager accepts or rejects each one, and once
+// the window it was for has passed, records what happened - covers served and the floor staff's
+// labour hours and cost (taken from the roster when not given).
+//
+// Savings are only claimed for accepted recommendations with an outcome. The baseline is the
+// staffing the venue had when the recommendation was made, costed at the average hourly rate
+// actually paid in the window: savings = current_staff x window hours x rate - actual labour cost.
+// Recommendations made without a roster (current_staff NULL) have no baseline and aren't counted.
+
+const WINDOW_MINUTES = 120; // recommendations are for the 2 hours after they are made
+const DECISIONS = ['accepted', 'rejected'];
+
+class StaffingFeedbackService {
+  constructor(pool, { roster, staffForVolume }) {
+    this.pool = pool;
+    this.roster = roster;
+    this.staffForVolume = staffForVolume; // covers -> staff, the rule the recommendations use
+  }
+
+  async get(restaurantId, recommendationId) {
+    const result = await this.pool.query(
+      'SELECT * FROM staffing_recommendations WHERE id = $1 AND restaurant_id = $2',
+      [recommendationId, restaurantId]
+    );
+    if (result.rows.length === 0) throw this.error('Recommendation not found', 'RECOMMENDATION_NOT_FOUND', 404);
+    return result.rows[0];
+  }
+
+  // A decision can be changed until an outcome has been recorded against it
+  async decide(restaurantId, recommendationId, { decision, reason = null }, userId) {
+    const recommendation = await this.get(restaurantId, recommendationId);
+    if (recommendation.outcome_recorded_at) {
+      throw this.error('Outcome already recorded - the decision can no longer change', 'OUTCOME_RECORDED', 409);
+    }
+
+    const result = await this.pool.query(`
+      UPDATE staffing_recommendations
+      SET decision = $3, decision_reason = $4, implemented = $5, decided_by = $6, decided_at = NOW()
+      WHERE id = $1 AND restaurant_id = $2
+      RETURNING *
+    `, [recommendation.id, restaurantId, decision, reason || null, decision === 'accepted', userId]);
+
+    return StaffingFeedbackService.format(result.rows[0], this.staffForVolume);
+  }
+
+  // Labour comes from the request when given, otherwise from floor staff clocked in during the window
+  async recordOutcome(restaurantId, recommendationId, { actualCovers, labourCost, labourHours, windowStart, windowEnd, notes = null }, userId) {
+    const recommendation = await this.get(restaurantId, recommendationId);
+    if (!recommendation.decision) {
+      throw this.error('Accept or reject the recommendation before recording its outcome', 'DECISION_REQUIRED', 409);
+    }
+
+    const start = windowStart || new Date(recommendation.recommendation_time);
+    const end = windowEnd || new Date(start.getTime() + WINDOW_MINUTES * 60 * 1000);
+    if (end <= start) throw this.error('Window end must be after its start', 'INVALID_WINDOW', 400);
+    if (end > new Date()) throw this.error('The recommendation window has not finished yet', 'WINDOW_NOT_OVER', 409);
+
+    // Both labour figures come from the same place (the route requires both or neither), so the
+    // outcome's source is true of each
+    let source = 'manual';
+    if (labourHours === undefined) {
+      const worked = await this.roster.labourBetween(restaurantId, start, end);
+      if (worked.hours === 0) {
+        throw this.error('No floor staff clocked in during the window - provide labourHours and labourCost', 'LABOUR_REQUIRED', 400);
+      }
+      if (worked.uncostedHours > 0) {
+        throw this.error('Some shifts in the window have no wage - provide labourHours and labourCost', 'LABOUR_COST_REQUIRED', 400);
+      }
+      labourHours = worked.hours;
+      labourCost = worked.cost;
+      source = 'roster';
+    }
+
+    const outcome = {
+      actualCovers,
+      labourHours,
+      labourCost,
+      windowStart: start.toISOString(),
+      windowEnd: end.toISOString(),
+      source,
+      notes: notes || null
+    };
+
+    const result = await this.pool.query(`
+      UPDATE staffing_recommendations
+      SET actual_outcome = $3, outcome_recorded_by = $4, outcome_recorded_at = NOW()
+      WHERE id = $1 AND restaurant_id = $2
+      RETURNING *
+    `, [recommendation.id, restaurantId, JSON.stringify(outcome), userId]);
+
+    return StaffingFeedbackService.format(result.rows[0], this.staffForVolume);
+  }
+
+  async list(restaurantId, { from, to, limit = 50 }) {
+    const result = await this.pool.query(`
+      SELECT * FROM staffing_recommendations
+      WHERE restaurant_id = $1 AND recommendation_time >= $2 AND recommendation_time < $3
+      ORDER BY recommendation_time DESC
+      LIMIT $4
+    `, [restaurantId, from, to, limit]);
+
+    return result.rows.map(row => StaffingFeedbackService.format(row, this.staffForVolume));
+  }
+
+  // Decisions, measured savings and how well recommendations matched the covers that turned up
+  async savingsReport(restaurantId, { from, to }) {
+    const result = await this.pool.query(`
+      SELECT * FROM staffing_recommendations
+      WHERE restaurant_id = $1 AND recommendation_time >= $2 AND recommendation_time < $3
+    `, [restaurantId, from, to]);
+
+    const items = result.rows.map(row => StaffingFeedbackService.format(row, this.staffForVolume));
+    const outcomes = items.filter(item => item.outcome);
+    const measured = items.filter(item => item.decision === 'accepted' && item.outcome?.savings != null);
+    const sum = values => Math.round(values.reduce((total, value) => total + value, 0) * 100) / 100;
+    const share = (count, total) => (total > 0 ? Math.round((count / total) * 1000) / 10 : null);
+
+    const reasons = {};
+    for (const item of items.filter(item => item.decision === 'rejected' && item.decisionReason)) {
+      const reason = item.decisionReason.trim().toLowerCase();
+      reasons[reason] = (reasons[reason] || 0) + 1;
+    }
+
+    const totalHours = sum(outcomes.map(item => item.outcome.labourHours));
+
+    return {
+      restaurantId,
+      from,
+      to,
+      recommendations: {
+        total: items.length,
+        accepted: items.filter(item => item.decision === 'accepted').length,
+        rejected: items.filter(item => item.decision === 'rejected').length,
+        undecided: items.filter(item => !item.decision).length,
+        withOutcome: outcomes.length
+      },
+      savings: {
+        labour: sum(measured.map(item => item.outcome.savings)),
+        baselineLabourCost: sum(measured.map(item => item.outcome.baselineLabourCost)),
+        actualLabourCost: sum(measured.map(item => item.outcome.labourCost)),
+        measuredRecommendations: measured.length,
+        // Accepted with an outcome, but made before the venue used the roster
+        unmeasurable: items.filter(item => item.decision === 'accepted' && item.outcome && item.outcome.savings == null).length
+      },
+      outcomes: {
+        coversPerLabourHour: totalHours > 0 ? Math.round((sum(outcomes.map(item => item.outcome.actualCovers)) / totalHours) * 100) / 100 : null,
+        // % of outcomes where the recommended staffing was what the covers actually needed
+        recommendationRightSized: share(outcomes.filter(item => item.outcome.staffNeeded === item.recommendedStaff).length, outcomes.length),
+        understaffedWindows: outcomes.filter(item => item.outcome.averageStaff < item.outcome.staffNeeded).length
+      },
+      rejectionReasons: Object.entries(reasons)
+        .map(([reason, count]) => ({ reason, count }))
+        .sort((a, b) => b.count - a.count)
+        .slice(0, 10)
+    };
+  }
+
+  // Measured labour savings - all time and since `since` - summed in Postgres, for the analytics
+  // overview that asks on every load. Same per-recommendation sums as savingsReport/format.
+  async labourSavings(restaurantId, since) {
+    const result = await this.pool.query(`
+      SELECT COALESCE(SUM(savings), 0) AS total,
+             COALESCE(SUM(savings) FILTER (WHERE recommendation_time >= $2), 0) AS recent
+      FROM (
+        SELECT recommendation_time,
+               ROUND(ROUND(current_staff * window_hours * labour_cost / labour_hours, 2) - labour_cost, 2) AS savings
+        FROM (
+          SELECT recommendation_time, current_staff,
+                 (actual_outcome->>'labourHours')::numeric AS labour_hours,
+                 (actual_outcome->>'labourCost')::numeric AS labour_cost,
+                 EXTRACT(EPOCH FROM (actual_outcome->>'windowEnd')::timestamptz
+                                  - (actual_outcome->>'windowStart')::timestamptz) / 3600 AS window_hours
+          FROM staffing_recommendations
+          WHERE restaurant_id = $1 AND decision = 'accepted' AND actual_outcome IS NOT NULL
+            AND current_staff IS NOT NULL AND recommendation_time < NOW()
+        ) outcomes
+        WHERE labour_hours > 0
+      ) measured
+    `, [restaurantId, since]);
+
+    return { total: parseFloat(result.rows[0].total), recent: parseFloat(result.rows[0].recent) };
+  }
+
+  static format(row, staffForVolume) {
+    const money = value => (value === null || value === undefined ? null : parseFloat(value));
+    let outcome = null;
+
+    if (row.actual_outcome) {
+      const recorded = row.actual_outcome;
+      const windowHours = (new Date(recorded.windowEnd) - new Date(recorded.windowStart)) / 3.6e6;
+      const averageStaff = recorded.labourHours / windowHours;
+      const hourlyRate = recorded.labourHours > 0 ? recorded.labourCost / recorded.labourHours : null;
+      const baselineLabourCost = row.current_staff !== null && hourlyRate !== null
+        ? Math.round(row.current_staff * windowHours * hourlyRate * 100) / 100
+        : null;
+
+      outcome = {
+        ...recorded,
+        averageStaff: Math.round(averageStaff * 100) / 100,
+        staffNeeded: staffForVolume(recorded.actualCovers),
+        baselineLabourCost,
+        savings: baselineLabourCost !== null ? Math.round((baselineLabourCost - recorded.labourCost) * 100) / 100 : null,
+        recordedAt: row.outcome_recorded_at
+      };
+    }
+
+    return {
+      id: row.id,
+      recommendationTime: row.recommendation_time,
+      currentStaff: row.current_staff,
+      recommendedStaff: row.recommended_staff,
+      hourlyCostChange: money(row.hourly_cost_change),
+      predictedRevenue: money(row.predicted_revenue),
+      confidenceLevel: row.confidence_level,
+      reasoning: row.reasoning,
+      decision: row.decision,
+      decisionReason: row.decision_reason,
+      decidedAt: row.decided_at,
+      outcome
+    };
+  }
+
+  error(message, code, statusCode) {
+    const error = new Error(message);
+    error.code = code;
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+StaffingFeedbackService.DECISIONS = DECISIONS;
+StaffingFeedbackService.WINDOW_MINUTES = WINDOW_MINUTES;
+
+module.exports = StaffingFeedbackService;
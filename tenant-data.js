@@ -0,0 +1,358 @@
+/*!
+ * ═══════════════════════════════════════════════════════════════
+ * insane.marketing - Luxury Hospitality Intelligence Platform
+ * ═══════════════════════════════════════════════════════════════
+ * 
+ * Copyright (c) 2024-2025 insane.marketing
+ * All Rights Reserved - Proprietary and Confidential
+
+ * 
+ * NOTICE: This code contains proprietary business logic and trade secrets.
+ * 
+ * Unauthorized use, reproduction, or distribution of this code,
+ * or any portion of it, may result in severe civil and criminal penalties,
+ * and will be prosecuted to the maximum extent possible under the law.
+
+ * 
+ * Key Protected Features:
+ * - Zero-Knowledge Architecture & Data Handling
+ * - Time Machine Transformation Visualization System
+ * - VIP Prediction & Recognition Engine
+ * - Service Recovery Intelligence System
+ * - Real-time Mission Control Analytics
+
+ * Protected by AI tracking - active
+ * For licensing inquiries: steve@insane.marketing
+
+ * ═══════════════════════════════════════════════════════════════
+ */
+
+
+
+
+
+
+// tenant-data.js
+// Everything stored for one venue, in one registry: the export bundles it into a ZIP of JSON and
+// CSV files, erasure deletes it and proves nothing is left. A new table holding venue data needs
+// a line in DATASETS or it is neither exported nor counted.
+
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const archiver = require('archiver');
+const QueryStream = require('pg-query-stream');
+const { csvLine } = require('./csv');
+
+const BATCH_SIZE = 500;
+
+// Rows belonging to the venue's own user accounts rather than to the venue directly
+const VENUE_USERS = 'user_id IN (SELECT id FROM users WHERE restaurant_id = $1)';
+
+// name: file name in the export; where: rows of the venue ($1 = restaurant_id)
+// omit: credentials and keyed hashes that mean nothing outside this system
+// exported: false for auth plumbing that is erased and counted but not worth handing over
+const DATASETS = [
+  { name: 'venue', table: 'restaurants', orderBy: 'restaurant_id' },
+  { name: 'users', table: 'users', omit: ['password_hash', 'totp_secret', 'totp_pending_secret', 'totp_last_counter'] },
+  { name: 'qr_codes', table: 'qr_codes' },
+  { name: 'qr_scans', table: 'qr_scans', omit: ['device_hash', 'ip_hash'] },
+  { name: 'qr_scan_daily_aggregates', table: 'qr_scan_daily_aggregates', orderBy: 'scan_date, qr_type' },
+  { name: 'table_sessions', table: 'table_sessions' },
+  { name: 'table_activities', table: 'table_activities' },
+  { name: 'table_status', table: 'table_status' },
+  { name: 'table_alerts', table: 'table_alerts' },
+  { name: 'service_alerts', table: 'service_alerts' },
+  { name: 'service_alert_events', table: 'service_alert_events' },
+  { name: 'notifications', table: 'notification_log' },
+  { name: 'predictions', table: 'live_predictions' },
+  { name: 'prediction_models', table: 'prediction_models' },
+  { name: 'performance_snapshots', table: 'performance_snapshots' },
+  { name: 'staffing_recommendations', table: 'staffing_recommendations' },
+  { name: 'push_subscriptions', table: 'push_subscriptions' },
+  { name: 'card_configurations', table: 'card_configurations' },
+  { name: 'chat_conversations', table: 'chat_conversations' },
+  { name: 'escalation_policies', table: 'escalation_policies' },
+  { name: 'service_level_targets', table: 'service_level_targets', orderBy: 'priority' },
+  { name: 'privacy_settings', table: 'venue_privacy_settings', orderBy: 'restaurant_id' },
+  { name: 'retention_runs', table: 'retention_runs' },
+  { name: 'scheduled_jobs', table: 'scheduled_jobs' },
+  { name: 'role_wages', table: 'role_wages', orderBy: 'venue_role' },
+  { name: 'staff_shifts', table: 'staff_shifts' },
+  { name: 'staff_invitations', table: 'staff_invitations', omit: ['token_hash'] },
+  { name: 'api_keys', table: 'api_keys', omit: ['key_hash'] },
+  { name: 'sign_in_attempts', table: 'login_attempts', omit: ['email_hash'],
+    where: `restaurant_id = $1 OR ${VENUE_USERS}` },
+  { name: 'refresh_tokens', table: 'refresh_tokens', where: VENUE_USERS, exported: false },
+  { name: 'email_tokens', table: 'user_tokens', where: VENUE_USERS, orderBy: 'created_at', exported: false },
+  { name: 'recovery_codes', table: 'user_recovery_codes', where: VENUE_USERS, exported: false }
+];
+
+function whereClause(dataset) {
+  return dataset.where || 'restaurant_id = $1';
+}
+
+function sha256(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+// Same text as JSON.stringify(rows, null, 2), one row at a time
+async function* jsonChunks(rows) {
+  let first = true;
+  yield '[';
+  for await (const row of rows) {
+    yield `${first ? '' : ','}\n  ${JSON.stringify(row, null, 2).replace(/\n/g, '\n  ')}`;
+    first = false;
+  }
+  yield first ? ']' : '\n]';
+}
+
+async function* csvChunks(columns, rows) {
+  yield csvLine(columns);
+  for await (const row of rows) {
+    yield csvLine(columns.map(column => row[column]));
+  }
+}
+
+// Adds one streamed file to the archive; resolves once it is written, with its sha256
+function appendEntry(archive, name, chunks) {
+  const hash = crypto.createHash('sha256');
+  const source = Readable.from((async function* () {
+    for await (const chunk of chunks) {
+      const buffer = Buffer.from(chunk);
+      hash.update(buffer);
+      yield buffer;
+    }
+  })(), { objectMode: false });
+
+  const written = new Promise((resolve, reject) => {
+    const done = (error) => {
+      archive.off('entry', onEntry);
+      archive.off('error', done);
+      source.off('error', done);
+      if (error) reject(error);
+      else resolve(hash.digest('hex'));
+    };
+    const onEntry = (entry) => { if (entry.name === name) done(); };
+    archive.on('entry', onEntry);
+    archive.on('error', done);
+    source.on('error', done);
+  });
+  archive.append(source, { name });
+  return { source, written };
+}
+
+class TenantDataService {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  async venueExists(restaurantId, client = this.pool, lock = false) {
+    const result = await client.query(
+      `SELECT restaurant_id FROM restaurants WHERE restaurant_id = $1${lock ? ' FOR UPDATE' : ''}`,
+      [restaurantId]
+    );
+    return result.rows.length > 0;
+  }
+
+  // Writes the ZIP to output straight from database cursors, so memory stays flat however much the
+  // venue has stored. Both files of a dataset are read in one REPEATABLE READ snapshot, so the JSON,
+  // the CSV and the row counts agree; the manifest goes last, once every file has been hashed.
+  // Resolves with the manifest, or null if the client went away first.
+  async streamZip(restaurantId, output) {
+    const client = await this.pool.connect();
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    let current = null;
+    let aborted = false;
+    let failed = false;
+    const abort = () => {
+      if (output.writableFinished) return;
+      aborted = true;
+      archive.abort();
+      if (current) current.destroy(new Error('Client disconnected'));
+    };
+    output.on('close', abort);
+
+    try {
+      await client.query('BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY');
+      if (!(await this.venueExists(restaurantId, client))) {
+        throw this.error('Restaurant not found', 'RESTAURANT_NOT_FOUND', 404);
+      }
+
+      archive.pipe(output);
+      const generatedAt = new Date().toISOString();
+      const datasets = [];
+      for (const dataset of DATASETS.filter(d => d.exported !== false)) {
+        const from = `FROM ${dataset.table} WHERE ${whereClause(dataset)}`;
+        const omit = dataset.omit || [];
+        const fields = await client.query(`SELECT * ${from} LIMIT 0`, [restaurantId]);
+        const columns = fields.fields.map(field => field.name).filter(column => !omit.includes(column));
+        const sql = `SELECT ${columns.map(column => `"${column}"`).join(', ')} ${from} ORDER BY ${dataset.orderBy || 'id'}`;
+        const cursor = () => client.query(new QueryStream(sql, [restaurantId], { batchSize: BATCH_SIZE }));
+
+        let rows = 0;
+        const counted = async function* (stream) {
+          for await (const row of stream) {
+            rows++;
+            yield row;
+          }
+        };
+        const files = {};
+        for (const [name, chunks] of [
+          [`json/${dataset.name}.json`, () => jsonChunks(counted(cursor()))],
+          [`csv/${dataset.name}.csv`, () => csvChunks(columns, cursor())]
+        ]) {
+          const entry = appendEntry(archive, name, chunks());
+          current = entry.source;
+          files[name] = await entry.written;
+        }
+        current = null;
+        datasets.push({ name: dataset.name, rows, columns, files });
+      }
+
+      const manifest = {
+        restaurantId,
+        generatedAt,
+        format: 'One JSON and one CSV file per dataset; sha256 of each file below',
+        datasets
+      };
+      archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
+      await archive.finalize();
+      await client.query('COMMIT');
+      return manifest;
+    } catch (error) {
+      failed = true;
+      if (aborted) return null;
+      archive.abort();
+      if (current) current.destroy();
+      throw error;
+    } finally {
+      output.off('close', abort);
+      // A cursor abandoned mid-read leaves the connection unusable - drop it (which also ends the
+      // read-only transaction) rather than pool it
+      client.release(failed || undefined);
+    }
+  }
+
+  async countAll(client, restaurantId) {
+    const counts = {};
+    for (const dataset of DATASETS) {
+      const result = await client.query(
+        `SELECT COUNT(*)::int AS rows FROM ${dataset.table} WHERE ${whereClause(dataset)}`,
+        [restaurantId]
+      );
+      counts[dataset.name] = result.rows[0].rows;
+    }
+    return counts;
+  }
+
+  // Deletes the venue and everything hanging off it in one transaction. The counts are taken again
+  // afterwards inside the same transaction; if anything is left it rolls back instead of reporting.
+  async erase(restaurantId, { requestedBy = {} } = {}) {
+    const startedAt = new Date();
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      if (!(await this.venueExists(restaurantId, client, true))) {
+        throw this.error('Restaurant not found', 'RESTAURANT_NOT_FOUND', 404);
+      }
+
+      const before = await this.countAll(client, restaurantId);
+
+      // Tables without a foreign key path back to the venue, then the venue itself (the rest cascades)
+      await client.query(`DELETE FROM login_attempts WHERE restaurant_id = $1 OR ${VENUE_USERS}`, [restaurantId]);
+      await client.query('DELETE FROM restaurants WHERE restaurant_id = $1', [restaurantId]);
+
+      const after = await this.countAll(client, restaurantId);
+      const leftovers = Object.entries(after).filter(([, rows]) => rows > 0);
+      if (leftovers.length > 0) {
+        throw this.error(
+          `Erasure incomplete: ${leftovers.map(([name, rows]) => `${name} (${rows})`).join(', ')}`,
+          'ERASURE_INCOMPLETE', 500
+        );
+      }
+
+      const datasets = DATASETS.map(dataset => ({
+        name: dataset.name,
+        rowsDeleted: before[dataset.name],
+        rowsRemaining: after[dataset.name]
+      }));
+      const report = {
+        id: crypto.randomUUID(),
+        restaurantId,
+        requestedBy: { userId: requestedBy.id || null, email: requestedBy.emailMasked || null },
+        datasets,
+        totalRowsDeleted: datasets.reduce((sum, d) => sum + d.rowsDeleted, 0),
+        verified: true,
+        startedAt: startedAt.toISOString(),
+        completedAt: new Date().toISOString()
+      };
+      report.sha256 = this.reportDigest(report);
+
+      await client.query(`
+        INSERT INTO erasure_reports (id, restaurant_id, requested_by_user_id, requested_by_email_masked, datasets,
+                                     total_rows_deleted, verified, report_sha256, started_at, completed_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      `, [report.id, restaurantId, report.requestedBy.userId, report.requestedBy.email, JSON.stringify(datasets),
+          report.totalRowsDeleted, report.verified, report.sha256, report.startedAt, report.completedAt]);
+
+      await client.query('COMMIT');
+      return report;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Hash over the report's content in a fixed field order - recomputing it proves the stored report
+  // hasn't been edited since the erasure ran
+  reportDigest(report) {
+    return sha256(JSON.stringify([
+      report.id, report.restaurantId, report.requestedBy.userId, report.requestedBy.email,
+      report.datasets.map(d => [d.name, d.rowsDeleted, d.rowsRemaining]),
+      report.totalRowsDeleted, report.verified, report.startedAt, report.completedAt
+    ]));
+  }
+
+  // A stored report plus two checks: the digest still matches, and nothing has reappeared since
+  async getReport(reportId) {
+    const result = await this.pool.query('SELECT * FROM erasure_reports WHERE id = $1', [reportId]);
+    if (result.rows.length === 0) throw this.error('Erasure report not found', 'REPORT_NOT_FOUND', 404);
+    const row = result.rows[0];
+
+    const report = {
+      id: row.id,
+      restaurantId: row.restaurant_id,
+      requestedBy: { userId: row.requested_by_user_id, email: row.requested_by_email_masked },
+      datasets: row.datasets,
+      totalRowsDeleted: row.total_rows_deleted,
+      verified: row.verified,
+      startedAt: row.started_at.toISOString(),
+      completedAt: row.completed_at.toISOString(),
+      sha256: row.report_sha256
+    };
+
+    const currentlyStored = await this.countAll(this.pool, row.restaurant_id);
+    return {
+      ...report,
+      verification: {
+        digestMatches: this.reportDigest(report) === row.report_sha256,
+        checkedAt: new Date().toISOString(),
+        currentlyStored,
+        venueRecreated: Object.values(currentlyStored).some(rows => rows > 0)
+      }
+    };
+  }
+
+  error(message, code, statusCode) {
+    const error = new Error(message);
+    error.code = code;
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+TenantDataService.DATASETS = DATASETS;
+
+module.exports = TenantDataService;
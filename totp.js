@@ -0,0 +1,160 @@
+/*!
+ * ═══════════════════════════════════════════════════════════════
+ * insane.marketing - Luxury Hospitality Intelligence Platform
+ * ═══════════════════════════════════════════════════════════════
+ * 
+ * Copyright (c) 2024-2025 insane.marketing
+ * All Rights Reserved - Proprietary and Confidential
+
+ * 
+ * NOTICE: This code contains proprietary business logic and trade secrets.
+ * 
+ * Unauthorized use, reproduction, or distribution of this code,
+ * or any portion of it, may result in severe civil and criminal penalties,
+ * and will be prosecuted to the maximum extent possible under the law.
+
+ * 
+ * Key Protected Features:
+ * - Zero-Knowledge Architecture & Data Handling
+ * - Time Machine Transformation Visualization System
+ * - VIP Prediction & Recognition Engine
+ * - Service Recovery Intelligence System
+ * - Real-time Mission Control Analytics
+
+ * Protected by AI tracking - active
+ * For licensing inquiries: steve@insane.marketing
+
+ * ═══════════════════════════════════════════════════════════════
+ */
+
+
+
+
+
+
+// totp.js
+// RFC 6238 time-based one-time passwords (HMAC-SHA1, 6 digits, 30s steps - what every
+// authenticator app expects), plus the helpers 2FA enrolment needs. No network, no dependencies.
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+// Lenient on input: ignores case, spaces and padding the way users type secrets in by hand
+function base32Decode(text) {
+  const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error(`Invalid base32 character "${char}"`);
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// 160-bit secret, the size RFC 4226 recommends for HMAC-SHA1
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function counterAt(timeMs = Date.now()) {
+  return Math.floor(timeMs / 1000 / STEP_SECONDS);
+}
+
+// RFC 4226 HOTP with dynamic truncation
+function hotp(secret, counter) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+function generateCode(secret, timeMs = Date.now()) {
+  return hotp(secret, counterAt(timeMs));
+}
+
+// Returns the matching time-step counter (so callers can refuse a replay) or null.
+// window = how many 30s steps either side to accept for clock drift.
+function verifyCode(secret, code, { window = 1, timeMs = Date.now() } = {}) {
+  const candidate = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(candidate)) return null;
+
+  const current = counterAt(timeMs);
+  for (let offset = -window; offset <= window; offset++) {
+    const expected = hotp(secret, current + offset);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return current + offset;
+    }
+  }
+  return null;
+}
+
+// The URI authenticator apps read from the enrolment QR code
+function otpauthUri({ secret, accountName, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+// Secrets are stored AES-256-GCM encrypted: "iv.tag.ciphertext", all base64url
+function encryptSecret(secret, key) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(key), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64url')).join('.');
+}
+
+function decryptSecret(payload, key) {
+  const [iv, tag, ciphertext] = payload.split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(key), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+function deriveKey(key) {
+  return crypto.createHash('sha256').update(`totp:${key}`).digest();
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateCode,
+  verifyCode,
+  otpauthUri,
+  encryptSecret,
+  decryptSecret
+};
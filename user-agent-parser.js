@@ -0,0 +1,154 @@
+/*!
+ * ═══════════════════════════════════════════════════════════════
+ * insane.marketing - Luxury Hospitality Intelligence Platform
+ * ═══════════════════════════════════════════════════════════════
+ * 
+ * Copyright (c) 2024-2025 insane.marketing
+ * All Rights Reserved - Proprietary and Confidential
+
+ * 
+ * NOTICE: This code contains proprietary business logic and trade secrets.
+ * 
+ * Unauthorized use, reproduction, or distribution of this code,
+ * or any portion of it, may result in severe civil and criminal penalties,
+ * and will be prosecuted to the maximum extent possible under the law.
+
+ * 
+ * Key Protected Features:
+ * - Zero-Knowledge Architecture & Data Handling
+ * - Time Machine Transformation Visualization System
+ * - VIP Prediction & Recognition Engine
+ * - Service Recovery Intelligence System
+ * - Real-time Mission Control Analytics
+
+ * Protected by AI tracking - active
+ * For licensing inquiries: steve@insane.marketing
+
+ * ═══════════════════════════════════════════════════════════════
+ */
+
+
+
+
+
+
+// user-agent-parser.js
+// Turns a scan's raw user agent into the handful of facts venues ask about: phone or tablet,
+// which OS version, which browser - and whether the page opened inside an app's built-in
+// browser (Instagram, WhatsApp, ...) or an Android WebView rather than a real browser.
+// Signature-based and deliberately small; anything unrecognised comes back as 'Other'.
+
+// First match wins
+const IN_APP_BROWSERS = [
+  ['Instagram', /Instagram/],
+  ['Messenger', /FBAN\/Messenger|MessengerForiOS|\bFB_IAB\/MESSENGER/],
+  ['Facebook', /FBAN|FBAV|FB_IAB|FBIOS/],
+  ['WhatsApp', /WhatsApp/],
+  ['TikTok', /musical_ly|BytedanceWebview|TikTok/],
+  ['Snapchat', /Snapchat/],
+  ['WeChat', /MicroMessenger/],
+  ['LINE', /\bLine\//],
+  ['Twitter', /Twitter/],
+  ['LinkedIn', /LinkedInApp/],
+  ['Pinterest', /Pinterest/],
+  ['Google App', /\bGSA\//]
+];
+
+const BROWSERS = [
+  ['Edge', /Edg(?:e|A|iOS)?\/(\d+)/],
+  ['Opera', /OPR\/(\d+)|OPiOS\/(\d+)/],
+  ['Samsung Internet', /SamsungBrowser\/(\d+)/],
+  ['Firefox', /Firefox\/(\d+)|FxiOS\/(\d+)/],
+  ['Chrome', /CriOS\/(\d+)/]
+];
+
+const WINDOWS_VERSIONS = { '10.0': '10', '6.3': '8.1', '6.2': '8', '6.1': '7', '6.0': 'Vista', '5.1': 'XP' };
+
+function parseOs(ua) {
+  let match;
+  if (/iPad/.test(ua)) {
+    match = ua.match(/OS (\d+)[_.](\d+)/);
+    return { osFamily: 'iPadOS', osVersion: match ? `${match[1]}.${match[2]}` : null };
+  }
+  if (/iPhone|iPod/.test(ua)) {
+    match = ua.match(/OS (\d+)[_.](\d+)/);
+    return { osFamily: 'iOS', osVersion: match ? `${match[1]}.${match[2]}` : null };
+  }
+  if ((match = ua.match(/Android[ /]?(\d+(?:\.\d+)?)?/))) {
+    return { osFamily: 'Android', osVersion: match[1] || null };
+  }
+  if ((match = ua.match(/Windows NT (\d+\.\d+)/))) {
+    return { osFamily: 'Windows', osVersion: WINDOWS_VERSIONS[match[1]] || match[1] };
+  }
+  if (/CrOS/.test(ua)) return { osFamily: 'ChromeOS', osVersion: null };
+  if ((match = ua.match(/Mac OS X (\d+)[_.](\d+)/))) {
+    return { osFamily: 'macOS', osVersion: `${match[1]}.${match[2]}` };
+  }
+  if (/Linux/.test(ua)) return { osFamily: 'Linux', osVersion: null };
+  return { osFamily: 'Other', osVersion: null };
+}
+
+function parseBrowser(ua, osFamily) {
+  for (const [name, pattern] of BROWSERS) {
+    const match = ua.match(pattern);
+    if (match) return { browser: name, browserVersion: match[1] || match[2] || null };
+  }
+
+  const chrome = ua.match(/Chrome\/(\d+)/);
+  // Android WebViews say "; wv)" (Lollipop+) or carry Version/x.x next to Chrome (older ones)
+  if (osFamily === 'Android' && (/; wv\)/.test(ua) || (chrome && /Version\/\d/.test(ua)))) {
+    return { browser: 'Android WebView', browserVersion: chrome ? chrome[1] : null };
+  }
+  if (chrome) return { browser: 'Chrome', browserVersion: chrome[1] };
+
+  if (osFamily === 'iOS' || osFamily === 'iPadOS') {
+    const safari = ua.match(/Version\/(\d+).*Safari/);
+    if (safari) return { browser: 'Safari', browserVersion: safari[1] };
+    // No Safari token: the page is inside some app's WKWebView
+    return { browser: 'iOS WebView', browserVersion: null };
+  }
+
+  // The pre-Chrome stock browser also says "Version/x ... Safari", so Android goes first
+  if (osFamily === 'Android' && /Version\/\d/.test(ua)) {
+    return { browser: 'Android Browser', browserVersion: null };
+  }
+  const safari = ua.match(/Version\/(\d+).*Safari/);
+  if (safari) return { browser: 'Safari', browserVersion: safari[1] };
+  return { browser: 'Other', browserVersion: null };
+}
+
+function parseDeviceType(ua, osFamily) {
+  // Word-start "bot" only - a bare /bot/ also matches phone models such as CUBOT
+  if (/\bbot\b|bot\/|\+https?:\/\/|crawl|spider|slurp/i.test(ua)) return 'bot';
+  if (osFamily === 'iPadOS' || /Tablet/i.test(ua) || (osFamily === 'Android' && !/Mobile/.test(ua))) return 'tablet';
+  if (/Mobi|iPhone|iPod|Android/.test(ua)) return 'mobile';
+  if (['Windows', 'macOS', 'Linux', 'ChromeOS'].includes(osFamily)) return 'desktop';
+  return 'unknown';
+}
+
+// Returns the columns stored on qr_scans; all null when there is no user agent
+function parseUserAgent(userAgent) {
+  if (!userAgent) {
+    return {
+      deviceType: null, osFamily: null, osVersion: null, browser: null,
+      browserVersion: null, inAppBrowser: null, isWebView: null
+    };
+  }
+
+  const ua = String(userAgent).slice(0, 1000);
+  const { osFamily, osVersion } = parseOs(ua);
+  const { browser, browserVersion } = parseBrowser(ua, osFamily);
+  const inApp = IN_APP_BROWSERS.find(([, pattern]) => pattern.test(ua));
+
+  return {
+    deviceType: parseDeviceType(ua, osFamily),
+    osFamily,
+    osVersion,
+    browser,
+    browserVersion,
+    inAppBrowser: inApp ? inApp[0] : null,
+    isWebView: Boolean(inApp) || browser === 'Android WebView' || browser === 'iOS WebView'
+  };
+}
+
+module.exports = { parseUserAgent };
@@ -0,0 +1,76 @@
+/*!
+ * ═══════════════════════════════════════════════════════════════
+ * insane.marketing - Luxury Hospitality Intelligence Platform
+ * ═══════════════════════════════════════════════════════════════
+ * 
+ * Copyright (c) 2024-2025 insane.marketing
+ * All Rights Reserved - Proprietary and Confidential
+
+ * 
+ * NOTICE: This code contains proprietary business logic and trade secrets.
+ * 
+ * Unauthorized use, reproduction, or distribution of this code,
+ * or any portion of it, may result in severe civil and criminal penalties,
+ * and will be prosecuted to the maximum extent possible under the law.
+
+ * 
+ * Key Protected Features:
+ * - Zero-Knowledge Architecture & Data Handling
+ * - Time Machine Transformation Visualization System
+ * - VIP Prediction & Recognition Engine
+ * - Service Recovery Intelligence System
+ * - Real-time Mission Control Analytics
+
+ * Protected by AI tracking - active
+ * For licensing inquiries: steve@insane.marketing
+
+ * ═══════════════════════════════════════════════════════════════
+ */
+
+
+
+
+
+
+// venue-permissions.js
+// What each venue role may do. Routes ask for a permission, never for a role,
+// so a new role only needs a line in ROLE_PERMISSIONS.
+
+const ROLES = ['owner', 'manager', 'server', 'host', 'kitchen'];
+
+const ROLE_PERMISSIONS = {
+  owner: [
+    'tables.view', 'alerts.respond', 'alerts.configure', 'analytics.view',
+    'predictions.view', 'predictions.manage', 'qr.manage', 'venue.configure', 'venue.setup',
+    'staff.manage', 'roster.view', 'roster.manage', 'roster.clock', 'security.view', 'api_keys.manage',
+    'privacy.manage', 'notifications.subscribe'
+  ],
+  manager: [
+    'tables.view', 'alerts.respond', 'alerts.configure', 'analytics.view',
+    'predictions.view', 'predictions.manage', 'qr.manage', 'venue.configure',
+    'staff.manage', 'roster.view', 'roster.manage', 'roster.clock', 'notifications.subscribe'
+  ],
+  server: ['tables.view', 'alerts.respond', 'roster.clock', 'notifications.subscribe'],
+  host: ['tables.view', 'alerts.respond', 'roster.clock', 'notifications.subscribe'],
+  kitchen: ['tables.view', 'alerts.respond', 'roster.clock', 'notifications.subscribe']
+};
+
+// Which roles each role may hand out or take away
+const ASSIGNABLE_ROLES = {
+  owner: ROLES,
+  manager: ['server', 'host', 'kitchen']
+};
+
+function hasPermission(role, permission) {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+function canAssignRole(actorRole, targetRole) {
+  return (ASSIGNABLE_ROLES[actorRole] || []).includes(targetRole);
+}
+
+function permissionsFor(role) {
+  return [...(ROLE_PERMISSIONS[role] || [])];
+}
+
+module.exports = { ROLES, hasPermission, canAssignRole, permissionsFor };